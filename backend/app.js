@@ -1,9 +1,23 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const {PORT } = require('./config/env');
+const {
+  PORT,
+  DARAJA_SIMULATOR_ENABLED,
+  DARAJA_SIMULATOR_PORT,
+  DARAJA_SIMULATOR_DELAY_MS,
+  DARAJA_SIMULATOR_RESULT_CODE,
+  MPESA_CONSUMER_KEY,
+  MPESA_CONSUMER_SECRET,
+  PRINTER_SINK_ENABLED,
+  PRINTER_SINK_PORT
+} = require('./config/env');
 const {testConnection } = require('./config/db');
 const routes = require('./routes');
+const MpesaService = require('./services/mpesaService');
+const PrintService = require('./services/printService');
+const RealtimeService = require('./services/realtimeService');
+const CardProviders = require('./services/cardProviders');
 
 /**
  * Main application entry point
@@ -97,12 +111,44 @@ class App {
     try {
       // Test database connection
       await testConnection();
+
+      // Fail fast on a missing or unknown CARD_PROVIDER (required in production)
+      CardProviders.getProvider();
+
+      // Local fake Daraja for development (point MPESA_BASE_URL at it)
+      if (DARAJA_SIMULATOR_ENABLED && process.env.NODE_ENV !== 'production') {
+        const DarajaSimulator = require('./simulators/darajaSimulator');
+        await new DarajaSimulator({
+          callbackDelayMs: DARAJA_SIMULATOR_DELAY_MS,
+          resultCode: DARAJA_SIMULATOR_RESULT_CODE,
+          consumerKey: MPESA_CONSUMER_KEY,
+          consumerSecret: MPESA_CONSUMER_SECRET
+        }).start(DARAJA_SIMULATOR_PORT);
+      }
+
+      // Local fake receipt printer for development (point a printer at localhost)
+      if (PRINTER_SINK_ENABLED && process.env.NODE_ENV !== 'production') {
+        const PrinterSink = require('./simulators/printerSink');
+        await new PrinterSink().start(PRINTER_SINK_PORT);
+      }
       
       // Start server
       this.app.listen(this.port, () => {
         console.log(`Server is running on port ${this.port}`);
         console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
       });
+
+      // Resolve STK pushes whose callback never arrived
+      MpesaService.startExpiryJob();
+
+      // Send queued print jobs and retry failed ones
+      PrintService.startPrintJob();
+
+      // Drop real-time events too old to be replayed
+      RealtimeService.startPurgeJob();
+
+      // Push stock.low when an item falls to its reorder level
+      RealtimeService.startStockJob();
     } catch (error) {
       console.error('Failed to start application:', error);
       process.exit(1);
@@ -8,9 +8,64 @@ module.exports = {
   PASSWORD: process.env.DB_PASSWORD,
   DATABASE: process.env.DB_NAME || 'lex_carwash',
   JWT_SECRET: process.env.JWT_SECRET,
+  USE_REAL_MPESA: process.env.USE_REAL_MPESA === 'true',
+  MPESA_ENVIRONMENT: process.env.MPESA_ENVIRONMENT || 'sandbox', // sandbox | production
+  MPESA_BASE_URL: process.env.MPESA_BASE_URL, // overrides MPESA_ENVIRONMENT, e.g. a local fake Daraja
   MPESA_CONSUMER_KEY: process.env.MPESA_CONSUMER_KEY,
   MPESA_CONSUMER_SECRET: process.env.MPESA_CONSUMER_SECRET,
   MPESA_PASSKEY: process.env.MPESA_PASSKEY,
   MPESA_SHORTCODE: process.env.MPESA_SHORTCODE,
+  MPESA_TRANSACTION_TYPE: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline', // or CustomerBuyGoodsOnline
+  MPESA_PARTY_B: process.env.MPESA_PARTY_B, // till number for Buy Goods; defaults to the shortcode
   MPESA_CALLBACK_URL: process.env.MPESA_CALLBACK_URL,
-};
\ No newline at end of file
+  MPESA_STK_QUERY_AFTER_SECONDS: parseInt(process.env.MPESA_STK_QUERY_AFTER_SECONDS || '60'), // query Daraja for pushes pending this long
+  MPESA_STK_TIMEOUT_SECONDS: parseInt(process.env.MPESA_STK_TIMEOUT_SECONDS || '180'), // then give up and mark them TIMEOUT
+  MPESA_EXPIRY_JOB_INTERVAL_SECONDS: parseInt(process.env.MPESA_EXPIRY_JOB_INTERVAL_SECONDS || '60'), // 0 disables the job
+  MPESA_C2B_SHORTCODE: process.env.MPESA_C2B_SHORTCODE || process.env.MPESA_SHORTCODE, // paybill/till customers pay directly
+  MPESA_C2B_VALIDATION_URL: process.env.MPESA_C2B_VALIDATION_URL, // required to register URLs; never the confirmation URL
+  MPESA_C2B_CONFIRMATION_URL: process.env.MPESA_C2B_CONFIRMATION_URL,
+  MPESA_C2B_RESPONSE_TYPE: process.env.MPESA_C2B_RESPONSE_TYPE || 'Completed', // what Daraja does when validation is unreachable: Completed | Cancelled
+  MPESA_C2B_REJECT_UNKNOWN_ACCOUNTS: process.env.MPESA_C2B_REJECT_UNKNOWN_ACCOUNTS === 'true',
+  MPESA_C2B_MATCH_WINDOW_HOURS: parseInt(process.env.MPESA_C2B_MATCH_WINDOW_HOURS || '24'), // how far back to look for an open car wash
+  MPESA_INITIATOR_NAME: process.env.MPESA_INITIATOR_NAME, // API operator for reversals and B2C
+  MPESA_SECURITY_CREDENTIAL: process.env.MPESA_SECURITY_CREDENTIAL, // initiator password encrypted with the Daraja certificate
+  MPESA_B2C_SHORTCODE: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE,
+  MPESA_RESULT_URL: process.env.MPESA_RESULT_URL, // reversal/B2C results, e.g. https://yourdomain.com/api/refunds/mpesa/result
+  MPESA_QUEUE_TIMEOUT_URL: process.env.MPESA_QUEUE_TIMEOUT_URL, // reversal/B2C queue timeouts, e.g. https://yourdomain.com/api/refunds/mpesa/timeout
+  MPESA_RECONCILE_WINDOW_MINUTES: parseInt(process.env.MPESA_RECONCILE_WINDOW_MINUTES || '120'), // how far either side of a receipt to look for its job
+  DARAJA_SIMULATOR_ENABLED: process.env.DARAJA_SIMULATOR_ENABLED === 'true', // start the local fake Daraja with the app (never in production)
+  DARAJA_SIMULATOR_PORT: parseInt(process.env.DARAJA_SIMULATOR_PORT || '4000'),
+  DARAJA_SIMULATOR_DELAY_MS: parseInt(process.env.DARAJA_SIMULATOR_DELAY_MS || '3000'), // delay before simulated callbacks
+  DARAJA_SIMULATOR_RESULT_CODE: process.env.DARAJA_SIMULATOR_RESULT_CODE || '0', // e.g. 1032 to simulate cancellations
+  MPESA_CALLBACK_TOKEN: process.env.MPESA_CALLBACK_TOKEN, // ?token= required on the STK callback, C2B and refund result URLs; callbacks are refused without it when USE_REAL_MPESA or in production
+  CARD_PROVIDER: process.env.CARD_PROVIDER || (process.env.NODE_ENV === 'production' ? undefined : 'fake'), // default card provider: pdq | fake (not in production); required in production
+  CARD_ALLOWED_PROVIDERS: (process.env.CARD_ALLOWED_PROVIDERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean), // providers a cashier may pick per payment; defaults to CARD_PROVIDER only
+  CARD_CHECKOUT_URL: process.env.CARD_CHECKOUT_URL || 'http://localhost:3000/fake-checkout', // hosted checkout page of the fake provider
+  CARD_CALLBACK_TOKEN: process.env.CARD_CALLBACK_TOKEN, // ?token= required on card checkout callbacks; hosted checkout is refused without it
+  RECEIPT_BUSINESS_NAME: process.env.RECEIPT_BUSINESS_NAME || 'Carwash', // first line of every receipt
+  RECEIPT_FOOTER: process.env.RECEIPT_FOOTER || 'Thank you for your business',
+  RECEIPT_VERIFY_URL: process.env.RECEIPT_VERIFY_URL || `http://localhost:${process.env.PORT || 3000}/api/receipts/verify`, // public base URL in receipt QR codes
+  PRINT_QUEUE_INTERVAL_SECONDS: parseInt(process.env.PRINT_QUEUE_INTERVAL_SECONDS || '5'), // how often queued print jobs are sent; 0 disables the job
+  PRINT_MAX_ATTEMPTS: parseInt(process.env.PRINT_MAX_ATTEMPTS || '5'), // then the job is marked FAILED until retried by hand
+  PRINT_SOCKET_TIMEOUT_MS: parseInt(process.env.PRINT_SOCKET_TIMEOUT_MS || '5000'),
+  PRINTER_SINK_ENABLED: process.env.PRINTER_SINK_ENABLED === 'true', // start the local fake printer with the app (never in production)
+  PRINTER_SINK_PORT: parseInt(process.env.PRINTER_SINK_PORT || '9100'),
+  SMS_GATEWAY_URL: process.env.SMS_GATEWAY_URL, // HTTP SMS gateway taking { to, message, sender_id }; unset drops messages outside production
+  SMS_API_KEY: process.env.SMS_API_KEY, // sent as a bearer token
+  SMS_SENDER_ID: process.env.SMS_SENDER_ID,
+  INSPECTION_OTP_TTL_MINUTES: parseInt(process.env.INSPECTION_OTP_TTL_MINUTES || '10'), // how long an inspection acknowledgement code works
+  INSPECTION_OTP_MAX_ATTEMPTS: parseInt(process.env.INSPECTION_OTP_MAX_ATTEMPTS || '5'), // wrong codes before a new one must be sent
+  REALTIME_HEARTBEAT_SECONDS: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS || '25'), // comment line sent on idle streams so proxies keep them open
+  REALTIME_REPLAY_LIMIT: parseInt(process.env.REALTIME_REPLAY_LIMIT || '500'), // missed events replayed on reconnect; more and the client is told to resync
+  REALTIME_RETENTION_HOURS: parseInt(process.env.REALTIME_RETENTION_HOURS || '24'), // how long events are kept for replay
+  REALTIME_PURGE_INTERVAL_MINUTES: parseInt(process.env.REALTIME_PURGE_INTERVAL_MINUTES || '60'), // 0 disables the purge job
+  REALTIME_STOCK_CHECK_MINUTES: parseInt(process.env.REALTIME_STOCK_CHECK_MINUTES || '5'), // how often items are checked for stock.low alerts; 0 disables the check
+  APPOINTMENT_SLOT_MINUTES: parseInt(process.env.APPOINTMENT_SLOT_MINUTES || '30'), // spacing of the start times offered
+  APPOINTMENT_MAX_DAYS_AHEAD: parseInt(process.env.APPOINTMENT_MAX_DAYS_AHEAD || '60'), // how far ahead bookings are taken
+  APPOINTMENT_NO_SHOW_GRACE_MINUTES: parseInt(process.env.APPOINTMENT_NO_SHOW_GRACE_MINUTES || '15'), // lateness allowed before a no-show can be marked
+  APPOINTMENT_QUEUE_PRIORITY: parseInt(process.env.APPOINTMENT_QUEUE_PRIORITY || '10'), // wash queue priority of checked-in appointments
+  WAIT_ESTIMATE_HISTORY_DAYS: parseInt(process.env.WAIT_ESTIMATE_HISTORY_DAYS || '30'), // finished jobs used to learn service durations
+  WAIT_ESTIMATE_MIN_SAMPLES: parseInt(process.env.WAIT_ESTIMATE_MIN_SAMPLES || '5'), // fewer and the estimate falls back to a broader group
+  WAIT_ESTIMATE_CACHE_MINUTES: parseInt(process.env.WAIT_ESTIMATE_CACHE_MINUTES || '10'), // how long learned durations are reused
+  WAIT_PROMISE_TOLERANCE_MINUTES: parseInt(process.env.WAIT_PROMISE_TOLERANCE_MINUTES || '5'), // ready this late still counts as on time
+};
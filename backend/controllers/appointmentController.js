@@ -0,0 +1,315 @@
+const AppointmentService = require('../services/appointmentService');
+
+/**
+ * Appointment controller: bookable services, branch opening hours, slot
+ * availability and the life of a booking
+ * Statuses: BOOKED, CHECKED_IN, CANCELLED, NO_SHOW
+ */
+class AppointmentController {
+  /**
+   * Get the services that can be booked, with their durations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBookableServices(req, res) {
+    try {
+      const services = await AppointmentService.getBookableServices();
+
+      res.json({
+        success: true,
+        data: services
+      });
+    } catch (error) {
+      console.error('Error fetching bookable services:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching bookable services',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a branch's opening hours
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOpeningHours(req, res) {
+    try {
+      const hours = await AppointmentService.getOpeningHours(req.params.branch_id);
+
+      res.json({
+        success: true,
+        data: hours
+      });
+    } catch (error) {
+      console.error('Error fetching opening hours:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching opening hours',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set a branch's opening hours ({ days: [{ day_of_week, opens_at, closes_at, is_closed }] })
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setOpeningHours(req, res) {
+    try {
+      const hours = await AppointmentService.setOpeningHours(req.params.branch_id, req.body.days);
+
+      res.json({
+        success: true,
+        message: 'Opening hours updated successfully',
+        data: hours
+      });
+    } catch (error) {
+      console.error('Error updating opening hours:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating opening hours',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Search free slots for a service on a day (?branch_id=, ?service=, ?date=YYYY-MM-DD)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAvailability(req, res) {
+    try {
+      const { branch_id, service, date } = req.query;
+
+      const availability = await AppointmentService.findAvailability({ branch_id, service, date });
+
+      res.json({
+        success: true,
+        data: availability
+      });
+    } catch (error) {
+      console.error('Error searching availability:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error searching availability',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get appointments with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAppointments(req, res) {
+    try {
+      const { branch_id, date, status, license_plate, phone_number, page = 1, limit = 50 } = req.query;
+
+      const appointments = await AppointmentService.getAppointments({
+        branch_id, date, status, license_plate, phone_number
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedAppointments = appointments.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedAppointments,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(appointments.length / limit),
+          total_appointments: appointments.length,
+          has_next: endIndex < appointments.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching appointments:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching appointments',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an appointment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAppointmentById(req, res) {
+    try {
+      const appointment = await AppointmentService.getAppointment(req.params.id);
+
+      res.json({
+        success: true,
+        data: appointment
+      });
+    } catch (error) {
+      console.error('Error fetching appointment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching appointment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Book a service
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createAppointment(req, res) {
+    try {
+      const {
+        branch_id, service, starts_at, license_plate, model, vehicle_class,
+        customer_name, phone_number, notes, bay_id
+      } = req.body;
+
+      const appointment = await AppointmentService.book({
+        branch_id, service, starts_at, license_plate, model, vehicle_class,
+        customer_name, phone_number, notes, bay_id
+      }, req.user ? req.user.id : null);
+
+      res.status(201).json({
+        success: true,
+        message: `Booked ${appointment.service_name} in ${appointment.bay_name}`,
+        data: appointment
+      });
+    } catch (error) {
+      console.error('Error booking appointment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error booking appointment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move an appointment to another time ({ starts_at, service, bay_id })
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rescheduleAppointment(req, res) {
+    try {
+      const { starts_at, service, bay_id } = req.body;
+
+      const appointment = await AppointmentService.reschedule(req.params.id, { starts_at, service, bay_id });
+
+      res.json({
+        success: true,
+        message: 'Appointment rescheduled successfully',
+        data: appointment
+      });
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error rescheduling appointment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel an appointment ({ reason })
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelAppointment(req, res) {
+    try {
+      const appointment = await AppointmentService.cancel(req.params.id, req.body.reason || null);
+
+      res.json({
+        success: true,
+        message: 'Appointment cancelled',
+        data: appointment
+      });
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error cancelling appointment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark an appointment as a no-show
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markNoShow(req, res) {
+    try {
+      const appointment = await AppointmentService.markNoShow(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Appointment marked as a no-show',
+        data: appointment
+      });
+    } catch (error) {
+      console.error('Error marking no-show:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error marking no-show',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check the customer in: registers the car service and queues it
+   * ({ model, vehicle_class, amount, price_override_reason,
+   * account_id or account_code, driver_id, driver_phone, account_order_ref for a corporate wash })
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async checkIn(req, res) {
+    try {
+      const {
+        model, vehicle_class, amount, price_override_reason,
+        account_id, account_code, driver_id, driver_phone, account_order_ref
+      } = req.body;
+
+      const result = await AppointmentService.checkIn(req.params.id, {
+        registered_by: req.user ? req.user.id : null,
+        model,
+        vehicle_class,
+        amount,
+        price_override_reason,
+        account_id,
+        account_code,
+        driver_id,
+        driver_phone,
+        account_order_ref
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Appointment checked in; car service registered',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error checking in appointment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error checking in appointment',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AppointmentController();
@@ -1,4 +1,5 @@
 const AttendantModel = require('../models/AttendantService');
+const ServiceCatalogService = require('../services/serviceCatalogService');
 
 /**
  * Attendant Service Controller for handling attendant service operations
@@ -19,26 +20,29 @@ class AttendantServiceController {
       } = req.body;
 
       // Validate required fields
-      if (!car_id || !attendant_id || !service || !amount) {
+      if (!car_id || !attendant_id || !service) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required fields: car_id, attendant_id, service, amount'
+          message: 'Missing required fields: car_id, attendant_id, service'
         });
       }
 
-      // Validate amount is a positive number
-      if (isNaN(amount) || parseFloat(amount) <= 0) {
+      // Validate amount is a positive number (defaults to the catalog price)
+      if (amount !== undefined && (isNaN(amount) || parseFloat(amount) <= 0)) {
         return res.status(400).json({
           success: false,
           message: 'Amount must be a positive number'
         });
       }
 
+      // Service must be in the catalog and charged at the car's price for it
+      const quote = await ServiceCatalogService.quoteForCar(car_id, service, amount);
+
       const serviceData = {
         car_id,
         attendant_id,
-        service,
-        amount: parseFloat(amount)
+        service: quote.service,
+        amount: quote.amount
       };
 
       const attendantService = await AttendantModel
@@ -51,9 +55,9 @@ class AttendantServiceController {
       });
     } catch (error) {
       console.error('Error creating attendant service:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Error creating attendant service',
+        message: error.status ? error.message : 'Error creating attendant service',
         error: error.message
       });
     }
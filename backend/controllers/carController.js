@@ -1,5 +1,9 @@
 const CarRegistry = require('../models/CarRegistry');
-const Payment = require('../models/Payment');
+const Vehicle = require('../models/Vehicle');
+const PaymentService = require('../services/paymentService');
+const ServiceCatalogService = require('../services/serviceCatalogService');
+const PlateService = require('../services/plateService');
+const CarRegistrationService = require('../services/carRegistrationService');
 
 /**
  * Car Controller for handling car registry operations
@@ -17,107 +21,58 @@ class CarController {
         model,
         service,
         amount,
-        registered_by,
         tip_amount = 0,
         excess_amount = 0,
         branch_id,
+        vehicle_class,
+        price_override_reason = null,
         payment_mode = 'CASH',
-        payment_ref = null
+        payment_ref = null,
+        tenders,
+        account_id,
+        account_code,
+        driver_id,
+        driver_phone,
+        account_order_ref = null
       } = req.body;
 
-      // Validate required fields
-      if (!regno || !model || !service || !amount || !registered_by || !branch_id) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required fields: regno, model, service, amount, registered_by, branch_id'
-        });
-      }
-
-      // Get current date in yyyymmdd format (from the ID format)
-      const now = new Date();
-      const currentDatePrefix = now
-        .toISOString()
-        .replace(/[-:TZ.]/g, '') // remove special chars
-        .slice(0, 8); // yyyyMMdd
-
-      // Check if the car regno already exists for today
-      const existingCar = await CarRegistry.findByRegnoAndDate(regno, currentDatePrefix);
-      if (existingCar) {
-        return res.status(409).json({
-          success: false,
-          message: `Vehicle ${regno} has already been registered today. Shift to update instead.`,
-          data: existingCar,
-        });
-      }
-
-      // Create car service data
-      const carData = {
+      const result = await CarRegistrationService.register({
         regno,
         model,
         service,
-        amount: parseFloat(amount),
-        registered_by,
-        tip_amount: parseFloat(tip_amount),
-        excess_amount: parseFloat(excess_amount),
-        branch_id
-      };
-
-      // Create car service record
-      const carService = await CarRegistry.create(carData);
-
-      // Automatically register vehicle in vehicles table
-      try {
-        const vehicleData = {
-          license_plate: regno,
-          model: model || null
-          // owner_name, phone_number, email will be updated later if provided
-        };
-
-        await Vehicle.createOrUpdate(vehicleData);
-
-        /*/ If owner information is provided during payment, update vehicle
-        if (owner_name || phone_number || email) {
-          const ownerData = {
-            owner_name: owner_name || null,
-            phone_number: phone_number || null,
-            email: email || null
-          };
-
-          await Vehicle.updateOwnerInfo(regno, ownerData);
-        }*/
-
-          // Automatically record visit in vehicle_stats
-      if (vehicle && vehicle.id) {
-        await VehicleStats.recordVisit(vehicle.id);
-      }
-      } catch (vehicleError) {
-        console.error('Error auto-registering vehicle:', vehicleError);
-        // Don't fail the car service creation if vehicle registration fails
-      }
-
-      /*/ Create payment record
-      const paymentData = {
-        source: 'CARWASH',
-        source_id: carService.id,
-        transaction_type: 'credit',
-        payment_mode: payment_mode,
-        amount: parseFloat(amount),
-        ref: payment_ref,
-        description: `Car wash service for ${regno} - ${service}`
-      };
-      
-      await Payment.create(paymentData);*/
+        amount,
+        tip_amount,
+        excess_amount,
+        branch_id,
+        vehicle_class,
+        price_override_reason,
+        payment_mode,
+        payment_ref,
+        tenders,
+        account_id,
+        account_code,
+        driver_id,
+        driver_phone,
+        account_order_ref
+      }, req.user ? req.user.id : null);
+      const { quote, plate } = result;
 
       res.status(201).json({
         success: true,
-        message: 'Car service registered successfully',
-        data: carService
+        message: quote.price_override
+          ? `Car service registered; price override (${quote.amount} instead of ${quote.list_price}) is waiting for approval`
+          : 'Car service registered successfully',
+        data: result.car_service,
+        payment: result.payment,
+        ...(result.payment_error && { payment_error: result.payment_error }),
+        ...(!plate.valid && { plate_warning: PlateService.getWarning(plate) })
       });
     } catch (error) {
       console.error('Error creating car service:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Error creating car service',
+        message: error.status ? error.message : 'Error creating car service',
+        ...(error.data && { data: error.data }),
         error: error.message
       });
     }
@@ -136,6 +91,8 @@ class CarController {
         model,
         service,
         payment_mode,
+        plate_format,
+        account_id,
         start_date,
         end_date,
         page = 1,
@@ -148,6 +105,8 @@ class CarController {
         model,
         service,
         payment_mode,
+        plate_format: plate_format ? plate_format.toUpperCase() : undefined,
+        account_id,
         start_date,
         end_date
       };
@@ -537,7 +496,9 @@ class CarController {
         amount,
         tip_amount,
         excess_amount,
-        branch_id
+        branch_id,
+        vehicle_class,
+        price_override_reason = null
       } = req.body;
 
       // Validate ID format
@@ -548,42 +509,95 @@ class CarController {
         });
       }
 
+      const plate = regno !== undefined ? PlateService.parse(regno) : null;
+      if (plate && !plate.plate) {
+        return res.status(400).json({
+          success: false,
+          message: 'regno must contain letters or digits'
+        });
+      }
+
       const updateData = {};
-      if (regno !== undefined) updateData.regno = regno;
+      if (plate) updateData.regno = plate.plate;
       if (model !== undefined) updateData.model = model;
-      if (service !== undefined) updateData.service = service;
-      if (amount !== undefined) updateData.amount = parseFloat(amount);
       if (tip_amount !== undefined) updateData.tip_amount = parseFloat(tip_amount);
       if (excess_amount !== undefined) updateData.excess_amount = parseFloat(excess_amount);
       if (branch_id !== undefined) updateData.branch_id = branch_id;
 
+      const repriced = [service, amount, vehicle_class, branch_id].some(value => value !== undefined);
+
       // Check if there's anything to update
-      if (Object.keys(updateData).length === 0) {
+      if (Object.keys(updateData).length === 0 && !repriced) {
         return res.status(400).json({
           success: false,
           message: 'No fields to update'
         });
       }
 
-      const carService = await CarRegistry.update(id, updateData);
+      const existing = await CarRegistry.findById(id);
 
-      if (!carService) {
+      if (!existing) {
         return res.status(404).json({
           success: false,
           message: 'Car service not found'
         });
       }
 
+      const carData = { ...existing, ...updateData };
+
+      // A change of service, class, branch or amount is priced again from the catalog
+      // (or the account's contract prices for a corporate wash)
+      if (repriced) {
+        // Priced for the vehicle's recorded class; charging another class is an override
+        const vehicle = await Vehicle.findByLicensePlate(carData.regno);
+        const recordedClass = (vehicle && vehicle.vehicle_class) || existing.vehicle_class;
+
+        const quote = await ServiceCatalogService.quoteForVehicle({
+          service: service !== undefined ? service : (existing.service_code || existing.service),
+          vehicle_class: vehicle_class !== undefined ? vehicle_class : recordedClass,
+          recorded_class: recordedClass,
+          branch_id: carData.branch_id,
+          amount,
+          account_id: existing.account_id
+        });
+
+        // An approved override stays approved while the price it approved is unchanged
+        const stillApproved = quote.price_override && existing.price_override_status === 'APPROVED' &&
+          existing.service_code === quote.service_code &&
+          PaymentService.round(existing.amount) === quote.amount &&
+          PaymentService.round(existing.list_price) === quote.list_price;
+
+        Object.assign(carData, {
+          service: quote.service,
+          service_code: quote.service_code,
+          vehicle_class: quote.vehicle_class,
+          amount: quote.amount,
+          list_price: quote.list_price,
+          price_override_status: stillApproved ? 'APPROVED' : (quote.price_override ? 'PENDING' : null),
+          price_override_reason: stillApproved
+            ? existing.price_override_reason
+            : (quote.price_override ? ServiceCatalogService.overrideReason(quote, price_override_reason) : null),
+          price_override_by: stillApproved
+            ? existing.price_override_by
+            : (quote.price_override ? (req.user ? req.user.id : null) : null)
+        });
+      }
+
+      const carService = await CarRegistry.update(id, carData);
+
       res.json({
         success: true,
-        message: 'Car service updated successfully',
-        data: carService
+        message: carService.price_override_status === 'PENDING' && repriced
+          ? `Car service updated; price override (${carService.amount} instead of ${carService.list_price}) is waiting for approval`
+          : 'Car service updated successfully',
+        data: carService,
+        ...(plate && !plate.valid && { plate_warning: PlateService.getWarning(plate) })
       });
     } catch (error) {
       console.error('Error updating car service:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Error updating car service',
+        message: error.status ? error.message : 'Error updating car service',
         error: error.message
       });
     }
@@ -629,6 +643,124 @@ class CarController {
     }
   }
 
+  /**
+   * Get car services whose price was overridden (?status=PENDING by default)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPriceOverrides(req, res) {
+    try {
+      const { status = 'PENDING', branch_id } = req.query;
+
+      const carServices = await CarRegistry.findAll({
+        price_override_status: status.toUpperCase(),
+        ...(branch_id && { branch_id })
+      });
+
+      res.json({
+        success: true,
+        data: carServices,
+        summary: {
+          status: status.toUpperCase(),
+          total_overrides: carServices.length,
+          total_difference: PaymentService.round(carServices.reduce(
+            (sum, car) => sum + parseFloat(car.amount || 0) - parseFloat(car.list_price || 0), 0
+          ))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching price overrides:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching price overrides',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check how a plate will be stored: its canonical form and format, so a
+   * typing mistake can be caught before the car is registered
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async checkPlate(req, res) {
+    try {
+      const plate = PlateService.parse(req.query.regno);
+
+      if (!plate.plate) {
+        return res.status(400).json({
+          success: false,
+          message: 'regno must contain letters or digits'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...plate,
+          warning: PlateService.getWarning(plate),
+          vehicle: await Vehicle.findByLicensePlate(plate.plate)
+        }
+      });
+    } catch (error) {
+      console.error('Error checking plate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking plate',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve a manual price override
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async approvePriceOverride(req, res) {
+    try {
+      const carService = await ServiceCatalogService.reviewPriceOverride(req.params.id, true, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Price override approved',
+        data: carService
+      });
+    } catch (error) {
+      console.error('Error approving price override:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error approving price override',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reject a manual price override, putting the car back on its list price
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rejectPriceOverride(req, res) {
+    try {
+      const carService = await ServiceCatalogService.reviewPriceOverride(req.params.id, false, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Price override rejected; amount reset to the list price of ${carService.amount}`,
+        data: carService
+      });
+    } catch (error) {
+      console.error('Error rejecting price override:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error rejecting price override',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Validate date format (YYYY-MM-DD)
    * @param {string} dateString - Date string to validate
@@ -666,7 +798,7 @@ class CarController {
       const paginatedServices = carServices.slice(startIndex, endIndex);
 
       const summary = {
-        license_plate: licensePlate,
+        license_plate: PlateService.normalize(licensePlate),
         total_services: carServices.length,
         total_spent: carServices.reduce((sum, service) => sum + parseFloat(service.amount || 0), 0),
         first_service: carServices.length > 0 ? CarRegistry.getReadableDateTime(carServices[carServices.length - 1].id) : null,
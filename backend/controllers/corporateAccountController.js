@@ -0,0 +1,555 @@
+const CorporateAccount = require('../models/CorporateAccount');
+const CorporateInvoice = require('../models/CorporateInvoice');
+const CorporateAccountService = require('../services/corporateAccountService');
+
+/**
+ * Corporate account controller: fleet and corporate accounts washing on
+ * credit, their invoices, statements and ageing
+ * Account statuses: ACTIVE, SUSPENDED, CLOSED; invoice statuses: ISSUED, VOID
+ * (filters also take PAID, UNPAID and OVERDUE)
+ */
+class CorporateAccountController {
+  /**
+   * Open a corporate account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createAccount(req, res) {
+    try {
+      const account = await CorporateAccountService.createAccount(req.body, req.user ? req.user.id : null);
+
+      res.status(201).json({
+        success: true,
+        message: 'Corporate account created successfully',
+        data: account
+      });
+    } catch (error) {
+      console.error('Error creating corporate account:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating corporate account',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all corporate accounts with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllAccounts(req, res) {
+    try {
+      const { status, account_type, search } = req.query;
+
+      const accounts = await CorporateAccount.findAll({
+        status: status ? status.toUpperCase() : undefined,
+        account_type: account_type ? account_type.toUpperCase() : undefined,
+        search
+      });
+
+      res.json({
+        success: true,
+        data: accounts
+      });
+    } catch (error) {
+      console.error('Error fetching corporate accounts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching corporate accounts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an account with its plates, drivers, contract prices and credit in use
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAccountById(req, res) {
+    try {
+      const profile = await CorporateAccountService.getProfile(req.params.id);
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Error fetching corporate account:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching corporate account',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update an account's details, credit limit, terms or status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateAccount(req, res) {
+    try {
+      const account = await CorporateAccountService.updateAccount(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Corporate account updated successfully',
+        data: account
+      });
+    } catch (error) {
+      console.error('Error updating corporate account:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating corporate account',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the active accounts a plate may be washed on
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAccountsForPlate(req, res) {
+    try {
+      const { regno } = req.query;
+
+      if (!regno) {
+        return res.status(400).json({
+          success: false,
+          message: 'regno is required'
+        });
+      }
+
+      const accounts = await CorporateAccountService.findAccountsForPlate(regno);
+
+      res.json({
+        success: true,
+        data: accounts
+      });
+    } catch (error) {
+      console.error('Error looking up plate accounts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error looking up plate accounts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Authorise a plate on the account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addVehicle(req, res) {
+    try {
+      const { license_plate } = req.body;
+
+      if (!license_plate) {
+        return res.status(400).json({
+          success: false,
+          message: 'license_plate is required'
+        });
+      }
+
+      const vehicles = await CorporateAccountService.addVehicle(req.params.id, license_plate, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: 'Plate authorised on account',
+        data: vehicles
+      });
+    } catch (error) {
+      console.error('Error authorising plate:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error authorising plate',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Withdraw a plate's authorisation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeVehicle(req, res) {
+    try {
+      await CorporateAccountService.removeVehicle(req.params.id, req.params.license_plate);
+
+      res.json({
+        success: true,
+        message: 'Plate removed from account'
+      });
+    } catch (error) {
+      console.error('Error removing plate:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error removing plate',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Authorise a driver on the account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addDriver(req, res) {
+    try {
+      const { name, phone_number, id_number } = req.body;
+
+      const driver = await CorporateAccountService.addDriver(req.params.id, { name, phone_number, id_number });
+
+      res.status(201).json({
+        success: true,
+        message: 'Driver authorised on account',
+        data: driver
+      });
+    } catch (error) {
+      console.error('Error adding driver:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error adding driver',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a driver or withdraw their authorisation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateDriver(req, res) {
+    try {
+      const { id, driver_id } = req.params;
+
+      const driver = await CorporateAccountService.updateDriver(id, driver_id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Driver updated successfully',
+        data: driver
+      });
+    } catch (error) {
+      console.error('Error updating driver:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating driver',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set a contract price for a service and vehicle class
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setPrice(req, res) {
+    try {
+      const { service, vehicle_class, price } = req.body;
+
+      if (!service || price === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: service, price'
+        });
+      }
+
+      const prices = await CorporateAccountService.setPrice(req.params.id, { service, vehicle_class, price });
+
+      res.json({
+        success: true,
+        message: 'Contract price set',
+        data: prices
+      });
+    } catch (error) {
+      console.error('Error setting contract price:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error setting contract price',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a contract price
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removePrice(req, res) {
+    try {
+      const { service, vehicle_class } = req.body;
+
+      await CorporateAccountService.removePrice(req.params.id, { service, vehicle_class });
+
+      res.json({
+        success: true,
+        message: 'Contract price removed'
+      });
+    } catch (error) {
+      console.error('Error removing contract price:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error removing contract price',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an account's monthly statement (?month=YYYY-MM, default last month)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStatement(req, res) {
+    try {
+      const statement = await CorporateAccountService.getStatement(req.params.id, req.query.month);
+
+      res.json({
+        success: true,
+        data: statement
+      });
+    } catch (error) {
+      console.error('Error generating statement:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating statement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get unpaid balances by days past due (?account_id=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAgeing(req, res) {
+    try {
+      const ageing = await CorporateAccountService.getAgeing({ account_id: req.query.account_id });
+
+      res.json({
+        success: true,
+        data: ageing
+      });
+    } catch (error) {
+      console.error('Error generating ageing report:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating ageing report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Invoice an account's unbilled charges up to the end of a month
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async generateInvoice(req, res) {
+    try {
+      const invoice = await CorporateAccountService.generateInvoice(
+        req.params.id,
+        req.body.month,
+        req.user ? req.user.id : null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Invoice ${invoice.invoice_number} issued for ${invoice.wash_count} washes`,
+        data: invoice
+      });
+    } catch (error) {
+      console.error('Error generating invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating invoice',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Invoice every account with unbilled charges for a month
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async generateMonthlyInvoices(req, res) {
+    try {
+      const result = await CorporateAccountService.generateMonthlyInvoices(req.body.month, req.user ? req.user.id : null);
+
+      res.status(201).json({
+        success: true,
+        message: `${result.invoices.length} invoices issued for ${result.month}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error generating monthly invoices:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating monthly invoices',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get invoices with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvoices(req, res) {
+    try {
+      const { account_id, status, page = 1, limit = 50 } = req.query;
+
+      const invoices = await CorporateInvoice.findAll({
+        account_id,
+        status: status ? status.toUpperCase() : undefined
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedInvoices = invoices.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedInvoices,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(invoices.length / limit),
+          total_invoices: invoices.length,
+          has_next: endIndex < invoices.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching invoices',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an invoice with its lines and payments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvoiceById(req, res) {
+    try {
+      const invoice = await CorporateAccountService.getInvoice(req.params.invoice_id);
+
+      res.json({
+        success: true,
+        data: invoice
+      });
+    } catch (error) {
+      console.error('Error fetching invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching invoice',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an invoice as a PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInvoicePdf(req, res) {
+    try {
+      const invoice = await CorporateAccountService.getInvoice(req.params.invoice_id);
+      const pdf = await CorporateAccountService.renderInvoicePdf(invoice);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="invoice-${invoice.invoice_number}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      console.error('Error generating invoice PDF:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating invoice PDF',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Settle an invoice with one payment (the balance unless an amount is given)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async settleInvoice(req, res) {
+    try {
+      const { payment_mode, amount, ref, description } = req.body;
+
+      const result = await CorporateAccountService.settleInvoice(
+        req.params.invoice_id,
+        { payment_mode, amount, ref, description },
+        req.user ? req.user.id : null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: result.balance === 0 ? 'Invoice settled' : `Payment recorded; ${result.balance} still due`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error settling invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error settling invoice',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Void an unpaid invoice, returning its charges to unbilled
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async voidInvoice(req, res) {
+    try {
+      const invoice = await CorporateAccountService.voidInvoice(
+        req.params.invoice_id,
+        req.user ? req.user.id : null,
+        req.body.reason || null
+      );
+
+      res.json({
+        success: true,
+        message: `Invoice ${invoice.invoice_number} voided`,
+        data: invoice
+      });
+    } catch (error) {
+      console.error('Error voiding invoice:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error voiding invoice',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CorporateAccountController();
@@ -0,0 +1,336 @@
+const Customer = require('../models/Customer');
+const CustomerStats = require('../models/CustomerStats');
+const VehicleOffer = require('../models/VehicleOffer');
+const CustomerService = require('../services/customerService');
+
+/**
+ * Customer controller: customers owning several vehicles, their carpet client
+ * records, loyalty and offers
+ */
+class CustomerController {
+  /**
+   * Create a customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createCustomer(req, res) {
+    try {
+      const { name, phone_number, email, notes } = req.body;
+
+      const customer = await CustomerService.createCustomer({ name, phone_number, email, notes });
+
+      res.status(201).json({
+        success: true,
+        message: 'Customer created successfully',
+        data: customer
+      });
+    } catch (error) {
+      console.error('Error creating customer:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating customer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all customers with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllCustomers(req, res) {
+    try {
+      const { search, phone_number, page = 1, limit = 50 } = req.query;
+
+      const customers = await Customer.findAll({
+        search,
+        phone_number: phone_number ? CustomerService.normalizePhone(phone_number) : undefined
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedCustomers = customers.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedCustomers,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(customers.length / limit),
+          total_customers: customers.length,
+          has_next: endIndex < customers.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching customers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a customer with their vehicles, carpet client records, loyalty and active offers
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCustomerById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const profile = await CustomerService.getProfile(id);
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      console.error('Error fetching customer:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching customer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a customer's details, copying them onto their vehicles and carpet clients
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateCustomer(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, phone_number, email, notes } = req.body;
+
+      const customer = await CustomerService.updateCustomer(id, { name, phone_number, email, notes }, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: 'Customer updated successfully',
+        data: customer
+      });
+    } catch (error) {
+      console.error('Error updating customer:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating customer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get customers with enough visits across their vehicles for an offer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getEligibleCustomers(req, res) {
+    try {
+      const { visit_threshold = 5 } = req.query;
+
+      const customers = await CustomerStats.getCustomersEligibleForOffers(parseInt(visit_threshold));
+
+      res.json({
+        success: true,
+        data: customers
+      });
+    } catch (error) {
+      console.error('Error fetching eligible customers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching eligible customers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Make the customer the owner of a vehicle
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async linkVehicle(req, res) {
+    try {
+      const { id } = req.params;
+      const { vehicle_id, license_plate } = req.body;
+
+      if (!vehicle_id && !license_plate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Either vehicle_id or license_plate is required'
+        });
+      }
+
+      const vehicle = await CustomerService.linkVehicle(id, { vehicle_id, license_plate }, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: 'Vehicle linked to customer',
+        data: vehicle
+      });
+    } catch (error) {
+      console.error('Error linking vehicle:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error linking vehicle',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Take a vehicle off the customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlinkVehicle(req, res) {
+    try {
+      const { id, vehicle_id } = req.params;
+
+      await CustomerService.unlinkVehicle(id, vehicle_id);
+
+      res.json({
+        success: true,
+        message: 'Vehicle unlinked from customer'
+      });
+    } catch (error) {
+      console.error('Error unlinking vehicle:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error unlinking vehicle',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Link a carpet client record to the customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async linkCarpetClient(req, res) {
+    try {
+      const { id } = req.params;
+      const { carpet_client_id } = req.body;
+
+      if (!carpet_client_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'carpet_client_id is required'
+        });
+      }
+
+      const clients = await CustomerService.linkCarpetClient(id, carpet_client_id, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: 'Carpet client linked to customer',
+        data: clients
+      });
+    } catch (error) {
+      console.error('Error linking carpet client:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error linking carpet client',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Take a carpet client record off the customer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlinkCarpetClient(req, res) {
+    try {
+      const { id, carpet_client_id } = req.params;
+
+      await CustomerService.unlinkCarpetClient(id, carpet_client_id);
+
+      res.json({
+        success: true,
+        message: 'Carpet client unlinked from customer'
+      });
+    } catch (error) {
+      console.error('Error unlinking carpet client:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error unlinking carpet client',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the customer's offers, both their own and those on their vehicles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCustomerOffers(req, res) {
+    try {
+      const { id } = req.params;
+      const { active_only } = req.query;
+
+      const customer = await CustomerService.getCustomer(id);
+      const offers = active_only === 'true'
+        ? await VehicleOffer.findActiveByCustomerId(customer.id)
+        : await VehicleOffer.findAll({ customer_id: customer.id });
+
+      res.json({
+        success: true,
+        data: offers
+      });
+    } catch (error) {
+      console.error('Error fetching customer offers:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching customer offers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Issue an offer to the customer, usable on any of their vehicles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async issueOffer(req, res) {
+    try {
+      const { id } = req.params;
+      const { offer_id, earned_on_visit_id, notes } = req.body;
+
+      if (!offer_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'offer_id is required'
+        });
+      }
+
+      const offer = await CustomerService.issueOffer(id, { offer_id, earned_on_visit_id, notes });
+
+      res.status(201).json({
+        success: true,
+        message: 'Offer issued to customer',
+        data: offer
+      });
+    } catch (error) {
+      console.error('Error issuing customer offer:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error issuing customer offer',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CustomerController();
@@ -0,0 +1,92 @@
+const RealtimeService = require('../services/realtimeService');
+
+// Roles that may watch any branch; everyone else sees only their own
+const ALL_BRANCH_ROLES = ['admin', 'manager'];
+
+/**
+ * Event controller: the real-time stream devices use instead of polling
+ */
+class EventController {
+  /**
+   * Get the event types that can be subscribed to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getEventTypes(req, res) {
+    res.json({
+      success: true,
+      data: RealtimeService.getEventTypes()
+    });
+  }
+
+  /**
+   * Open a server-sent event stream
+   * Query: branch_id (comma list; admins and managers only, default all branches),
+   * types (comma list, default all), last_event_id (or the Last-Event-ID header)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async stream(req, res) {
+    try {
+      const { branch_id, types } = req.query;
+      const requested = branch_id ? String(branch_id).split(',').map(value => value.trim()).filter(Boolean) : null;
+
+      let branchIds;
+      if (ALL_BRANCH_ROLES.includes(req.user.role)) {
+        branchIds = requested;
+      } else {
+        const own = req.user.branch_id ? String(req.user.branch_id) : null;
+        if (!own || (requested && requested.some(value => value !== own))) {
+          return res.status(403).json({
+            success: false,
+            message: own ? 'You can only follow your own branch' : 'Your account is not assigned to a branch'
+          });
+        }
+        branchIds = [own];
+      }
+
+      let eventTypes = null;
+      if (types) {
+        eventTypes = String(types).split(',').map(value => value.trim()).filter(Boolean);
+        const invalid = eventTypes.filter(type => !RealtimeService.getEventTypes().includes(type));
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown event types: ${invalid.join(', ')}. Use: ${RealtimeService.getEventTypes().join(', ')}`
+          });
+        }
+      }
+
+      const lastEventId = parseInt(req.header('Last-Event-ID') || req.query.last_event_id);
+
+      await RealtimeService.subscribe(req, res, {
+        branch_ids: branchIds,
+        types: eventTypes,
+        last_event_id: isNaN(lastEventId) ? null : lastEventId
+      });
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Error opening event stream',
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the number of open streams per branch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConnections(req, res) {
+    res.json({
+      success: true,
+      data: RealtimeService.getConnections()
+    });
+  }
+}
+
+module.exports = new EventController();
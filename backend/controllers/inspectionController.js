@@ -0,0 +1,347 @@
+const VehicleInspection = require('../models/VehicleInspection');
+const InspectionService = require('../services/inspectionService');
+const PlateService = require('../services/plateService');
+
+/**
+ * Inspection controller: check-in inspections of cars with their checklist,
+ * damage marks, before/after photos and the customer's acknowledgement
+ * Statuses: OPEN, ACKNOWLEDGED
+ */
+class InspectionController {
+  /**
+   * Get the zones, damage types and checklist items an inspection takes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOptions(req, res) {
+    res.json({
+      success: true,
+      data: InspectionService.getOptions()
+    });
+  }
+
+  /**
+   * Start the inspection of a car service
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createInspection(req, res) {
+    try {
+      const { car_registry_id, checklist, damages, notes } = req.body;
+
+      const inspection = await InspectionService.createInspection(
+        { car_registry_id, checklist, damages, notes },
+        req.user ? req.user.id : null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Inspection created successfully',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error creating inspection:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating inspection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all inspections with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllInspections(req, res) {
+    try {
+      const { license_plate, branch_id, status, start_date, end_date, page = 1, limit = 50 } = req.query;
+
+      const inspections = await VehicleInspection.findAll({
+        license_plate: license_plate ? PlateService.normalize(license_plate) : undefined,
+        branch_id,
+        status: status ? status.toUpperCase() : undefined,
+        start_date,
+        end_date
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedInspections = inspections.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedInspections,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(inspections.length / limit),
+          total_inspections: inspections.length,
+          has_next: endIndex < inspections.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching inspections:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching inspections',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an inspection with its damage marks and photos
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInspectionById(req, res) {
+    try {
+      const inspection = await InspectionService.getInspection(req.params.id);
+
+      res.json({
+        success: true,
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error fetching inspection:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching inspection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the inspection of a car service
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInspectionForCar(req, res) {
+    try {
+      const inspection = await InspectionService.getInspectionForCar(req.params.car_registry_id);
+
+      res.json({
+        success: true,
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error fetching inspection:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching inspection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change the checklist or notes of an inspection the customer has not acknowledged
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateInspection(req, res) {
+    try {
+      const { checklist, notes } = req.body;
+
+      const inspection = await InspectionService.updateInspection(req.params.id, { checklist, notes });
+
+      res.json({
+        success: true,
+        message: 'Inspection updated successfully',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error updating inspection:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating inspection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark damage on the vehicle diagram
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addDamage(req, res) {
+    try {
+      const { zone, damage_type, severity, pos_x, pos_y, notes } = req.body;
+
+      const inspection = await InspectionService.addDamage(
+        req.params.id,
+        { zone, damage_type, severity, pos_x, pos_y, notes },
+        req.user ? req.user.id : null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Damage recorded successfully',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error recording damage:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error recording damage',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a damage mark
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeDamage(req, res) {
+    try {
+      const inspection = await InspectionService.removeDamage(req.params.id, req.params.damage_id);
+
+      res.json({
+        success: true,
+        message: 'Damage removed successfully',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error removing damage:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error removing damage',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Upload before or after photos (multipart field "photos" with stage, zone, damage_id, taken_at)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async uploadPhotos(req, res) {
+    try {
+      const inspection = await InspectionService.addPhotos(req.params.id, req, req.user ? req.user.id : null);
+
+      res.status(201).json({
+        success: true,
+        message: 'Photos uploaded successfully',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error uploading inspection photos:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error uploading inspection photos',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Customer acknowledges the inspection by signing (multipart field "signature" with ack_name)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acknowledgeWithSignature(req, res) {
+    try {
+      const inspection = await InspectionService.acknowledgeWithSignature(req.params.id, req);
+
+      res.json({
+        success: true,
+        message: 'Inspection acknowledged by signature',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error acknowledging inspection:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error acknowledging inspection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send the customer a one-time code to acknowledge the inspection with
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async sendOtp(req, res) {
+    try {
+      const result = await InspectionService.sendOtp(req.params.id, req.body.phone_number);
+
+      res.json({
+        success: true,
+        message: result.on_record
+          ? `Code sent to ${result.phone}`
+          : `Code sent to ${result.phone}, a number not on record; the acknowledgement will say it was entered by staff`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error sending inspection code:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error sending inspection code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Customer acknowledges the inspection with the code sent to their phone
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyOtp(req, res) {
+    try {
+      const { code, ack_name } = req.body;
+
+      const inspection = await InspectionService.verifyOtp(req.params.id, code, ack_name);
+
+      res.json({
+        success: true,
+        message: 'Inspection acknowledged by code',
+        data: inspection
+      });
+    } catch (error) {
+      console.error('Error verifying inspection code:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error verifying inspection code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an inspection as a PDF, e.g. for a damage dispute
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInspectionPdf(req, res) {
+    try {
+      const inspection = await InspectionService.getInspection(req.params.id);
+      const pdf = await InspectionService.renderPdf(inspection);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="inspection-${inspection.license_plate}-${inspection.car_registry_id}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      console.error('Error generating inspection PDF:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating inspection PDF',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new InspectionController();
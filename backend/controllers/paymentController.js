@@ -0,0 +1,630 @@
+const Payment = require('../models/Payment');
+const PaymentService = require('../services/paymentService');
+const MpesaService = require('../services/mpesaService');
+const MpesaC2bService = require('../services/mpesaC2bService');
+const CardPaymentService = require('../services/cardPaymentService');
+const { MPESA_STK_QUERY_AFTER_SECONDS } = require('../config/env');
+
+/**
+ * Payment Controller for handling payment operations
+ * Sources: CARWASH (car_registry), CARPETS (carpet_registry) and INVOICE (corporate_invoices)
+ */
+class PaymentController {
+  /**
+   * Record one or more tenders (CASH, MPESA, CARD) against a record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPayment(req, res) {
+    try {
+      const {
+        source,
+        source_id,
+        tenders,
+        payment_mode,
+        amount,
+        ref = null,
+        tip_amount = 0,
+        excess_amount = 0
+      } = req.body;
+
+      // Validate required fields
+      if (!source || !source_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: source, source_id'
+        });
+      }
+
+      // Accept either a tenders array or a single payment_mode/amount pair
+      const tenderList = Array.isArray(tenders)
+        ? tenders.map(tender => PaymentService.fromRequest(tender))
+        : [PaymentService.fromRequest({ payment_mode, amount, ref })];
+
+      const result = await PaymentService.recordTenders({
+        source: String(source).toUpperCase(),
+        source_id,
+        tenders: tenderList,
+        tip_amount: parseFloat(tip_amount),
+        excess_amount: parseFloat(excess_amount),
+        created_by: req.user ? req.user.id : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error recording payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all payments with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllPayments(req, res) {
+    try {
+      const {
+        source,
+        source_id,
+        transaction_type,
+        payment_mode,
+        status,
+        ref,
+        start_date,
+        end_date,
+        page = 1,
+        limit = 50
+      } = req.query;
+
+      const filters = {
+        source,
+        source_id,
+        transaction_type,
+        payment_mode,
+        status,
+        ref,
+        start_date,
+        end_date
+      };
+
+      // Remove undefined filters
+      Object.keys(filters).forEach(key => {
+        if (filters[key] === undefined) {
+          delete filters[key];
+        }
+      });
+
+      const payments = await Payment.findAll(filters);
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedPayments = payments.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedPayments,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(payments.length / limit),
+          total_payments: payments.length,
+          has_next: endIndex < payments.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching payments',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get payment by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPaymentById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const payment = await Payment.findById(id);
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: payment
+      });
+    } catch (error) {
+      console.error('Error fetching payment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get amount owed, paid and pending on a car wash or carpet record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBalance(req, res) {
+    try {
+      const { source, source_id } = req.params;
+
+      const balance = await PaymentService.getBalance(source.toUpperCase(), source_id);
+
+      res.json({
+        success: true,
+        data: balance
+      });
+    } catch (error) {
+      console.error('Error fetching payment balance:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching payment balance',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Initiate an M-Pesa STK push for part or all of the balance
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async initiateMpesaStk(req, res) {
+    try {
+      const { source, source_id, phone, amount } = req.body;
+
+      // Validate required fields
+      if (!source || !source_id || !phone) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: source, source_id, phone'
+        });
+      }
+
+      // Default to the full outstanding balance
+      const balance = await PaymentService.getBalance(source.toUpperCase(), source_id);
+      const pushAmount = amount !== undefined ? parseFloat(amount) : balance.balance;
+
+      if (isNaN(pushAmount) || pushAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to pay: amount must be a positive number'
+        });
+      }
+
+      await PaymentService.assertWithinBalance(source.toUpperCase(), source_id, pushAmount);
+
+      const result = await MpesaService.sendStkPush({
+        amount: pushAmount,
+        phone,
+        source: String(source).toUpperCase(),
+        source_id,
+        created_by: req.user ? req.user.id : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'STK push initiated',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error initiating STK push:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error initiating STK push',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the status of an STK push for the attendant app to poll.
+   * A push pending past MPESA_STK_QUERY_AFTER_SECONDS is checked with Daraja first.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStkStatus(req, res) {
+    try {
+      const { checkout_request_id } = req.params;
+
+      let payment = await Payment.findByCheckoutRequestId(checkout_request_id);
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'STK push not found'
+        });
+      }
+
+      if (payment.status === 'PENDING' && parseInt(payment.age_seconds) >= MPESA_STK_QUERY_AFTER_SECONDS) {
+        await MpesaService.refreshStkPayment(payment);
+        payment = await Payment.findByCheckoutRequestId(checkout_request_id);
+      }
+
+      const balance = await PaymentService.getBalance(payment.source, payment.source_id);
+
+      res.json({
+        success: true,
+        data: {
+          payment_id: payment.id,
+          checkout_request_id: payment.checkout_request_id,
+          status: payment.status,
+          receipt_number: payment.ref,
+          amount: parseFloat(payment.amount),
+          source: payment.source,
+          source_id: payment.source_id,
+          age_seconds: parseInt(payment.age_seconds),
+          balance: balance.balance
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching STK status:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching STK status',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Query Daraja for stale pending STK pushes and time out the unanswered ones
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async expireStaleStkPayments(req, res) {
+    try {
+      const { older_than_seconds } = req.body;
+
+      const summary = await MpesaService.expireStalePayments(
+        older_than_seconds !== undefined ? { olderThanSeconds: parseInt(older_than_seconds) } : {}
+      );
+
+      res.json({
+        success: true,
+        message: `Resolved ${summary.resolved} of ${summary.checked} pending STK payments`,
+        data: summary
+      });
+    } catch (error) {
+      console.error('Error expiring stale STK payments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error expiring stale STK payments',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-send the STK push for a failed, cancelled or timed-out M-Pesa payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async repushStk(req, res) {
+    try {
+      const { id } = req.params;
+      const { phone } = req.body;
+
+      const result = await PaymentService.repushStk(id, phone, req.user ? req.user.id : null);
+
+      res.status(201).json({
+        success: true,
+        message: 'STK push re-sent',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error re-sending STK push:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error re-sending STK push',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace an unconfirmed M-Pesa payment with cash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async switchToCash(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await PaymentService.switchToCash(id, req.user ? req.user.id : null);
+
+      res.status(201).json({
+        success: true,
+        message: 'M-Pesa payment replaced with cash',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error switching payment to cash:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error switching payment to cash',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Take a card payment through a card provider (hosted checkout, PDQ slip or fake)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createCardPayment(req, res) {
+    try {
+      const { source, source_id, amount, provider, capture = true, card_number, terminal_ref, approval_code, card_last4 } = req.body;
+
+      // Validate required fields
+      if (!source || !source_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: source, source_id'
+        });
+      }
+
+      // Default to the full outstanding balance
+      const balance = await PaymentService.getBalance(source.toUpperCase(), source_id);
+      const cardAmount = amount !== undefined ? parseFloat(amount) : balance.balance;
+
+      if (isNaN(cardAmount) || cardAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to pay: amount must be a positive number'
+        });
+      }
+
+      const result = await CardPaymentService.authorize({
+        source: String(source).toUpperCase(),
+        source_id,
+        amount: cardAmount,
+        provider,
+        capture: capture !== false && capture !== 'false',
+        card_number,
+        terminal_ref,
+        approval_code,
+        card_last4,
+        created_by: req.user ? req.user.id : null
+      });
+
+      const messages = {
+        CHECKOUT: 'Card checkout started',
+        AUTHORIZED: 'Card payment authorized',
+        CAPTURED: 'Card payment captured',
+        DECLINED: `Card payment declined${result.card.message ? `: ${result.card.message}` : ''}`
+      };
+
+      res.status(result.card.status === 'DECLINED' ? 402 : 201).json({
+        success: result.card.status !== 'DECLINED',
+        message: messages[result.card.status] || `Card payment ${result.card.status}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error taking card payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error taking card payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Capture an authorized card payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async captureCardPayment(req, res) {
+    try {
+      const { id } = req.params;
+      const { amount } = req.body;
+
+      const payment = await CardPaymentService.capture(id, amount);
+
+      res.json({
+        success: true,
+        message: 'Card payment captured',
+        data: payment
+      });
+    } catch (error) {
+      console.error('Error capturing card payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error capturing card payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Void an authorized card payment or an unfinished checkout
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async voidCardPayment(req, res) {
+    try {
+      const { id } = req.params;
+
+      const payment = await CardPaymentService.void(id);
+
+      res.json({
+        success: true,
+        message: payment.message || 'Card payment voided',
+        data: payment
+      });
+    } catch (error) {
+      console.error('Error voiding card payment:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error voiding card payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Receive a hosted checkout outcome (public - called by the card provider)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cardCallback(req, res) {
+    try {
+      if (!CardPaymentService.isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid callback token'
+        });
+      }
+
+      const result = await CardPaymentService.handleCallback(req.params.provider, req.body);
+
+      console.log(`Card checkout ${result.paymentId}: ${result.status}${result.applied ? '' : ' (already applied)'}`);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error processing card callback:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error processing card callback',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Receive a Daraja STK callback (public - called by Safaricom)
+   * Every delivery is stored; repeats of an applied callback are acknowledged without side effects.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async mpesaCallback(req, res) {
+    try {
+      if (!MpesaService.isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+      }
+
+      const result = await MpesaService.handleStkCallback(req.body);
+
+      console.log(`STK callback ${result.checkoutRequestID}: ${result.status} (ResultCode ${result.resultCode})`);
+
+      // Daraja only needs an acknowledgement
+      res.json({
+        ResultCode: 0,
+        ResultDesc: 'Accepted'
+      });
+    } catch (error) {
+      console.error('Error processing STK callback:', error);
+      // A 5xx makes Daraja redeliver, which is safe because processing is idempotent
+      res.status(error.status || 500).json({
+        ResultCode: 1,
+        ResultDesc: error.message
+      });
+    }
+  }
+
+  /**
+   * Validate a C2B paybill/till payment before M-Pesa completes it (public - called by Safaricom)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async c2bValidation(req, res) {
+    try {
+      if (!MpesaService.isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({ ResultCode: 'C2B00016', ResultDesc: 'Rejected' });
+      }
+
+      const result = await MpesaC2bService.validate(req.body);
+      res.json(result);
+    } catch (error) {
+      console.error('Error validating C2B payment:', error);
+      // C2B00016: other error - M-Pesa cancels the payment
+      res.json({
+        ResultCode: 'C2B00016',
+        ResultDesc: 'Rejected'
+      });
+    }
+  }
+
+  /**
+   * Receive a C2B paybill/till confirmation (public - called by Safaricom)
+   * The payment is stored and attached to the open job named by the account number.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async c2bConfirmation(req, res) {
+    try {
+      if (!MpesaService.isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+      }
+
+      const result = await MpesaC2bService.confirm(req.body);
+
+      console.log(`C2B confirmation ${result.transId} (${result.rawAccount}): ${result.status}`);
+
+      res.json({
+        ResultCode: 0,
+        ResultDesc: 'Success'
+      });
+    } catch (error) {
+      console.error('Error processing C2B confirmation:', error);
+      res.status(error.status || 500).json({
+        ResultCode: 1,
+        ResultDesc: error.message
+      });
+    }
+  }
+
+  /**
+   * Register the C2B validation and confirmation URLs with Daraja
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async registerC2bUrls(req, res) {
+    try {
+      const result = await MpesaC2bService.registerUrls();
+
+      res.json({
+        success: true,
+        message: 'C2B URLs registered',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error registering C2B URLs:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error registering C2B URLs',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,339 @@
+const Printer = require('../models/Printer');
+const PrintJob = require('../models/PrintJob');
+const PrintService = require('../services/printService');
+
+/**
+ * Printer controller for branch receipt printers and the ESC/POS print queue
+ * Job statuses: QUEUED, PRINTING, PRINTED, FAILED, CANCELLED
+ */
+class PrinterController {
+  /**
+   * Add a network printer to a branch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPrinter(req, res) {
+    try {
+      const { branch_id, name, host, port, paper_width, is_default } = req.body;
+
+      // Validate required fields
+      if (!branch_id || !name || !host) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: branch_id, name, host'
+        });
+      }
+
+      const printer = await PrintService.createPrinter({ branch_id, name, host, port, paper_width, is_default });
+
+      res.status(201).json({
+        success: true,
+        message: 'Printer created successfully',
+        data: printer
+      });
+    } catch (error) {
+      console.error('Error creating printer:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating printer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all printers with the number of jobs waiting on each
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllPrinters(req, res) {
+    try {
+      const { branch_id, is_active } = req.query;
+
+      const printers = await Printer.findAll({
+        branch_id,
+        is_active: is_active !== undefined ? is_active === 'true' : undefined
+      });
+
+      res.json({
+        success: true,
+        data: printers
+      });
+    } catch (error) {
+      console.error('Error fetching printers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching printers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a printer's address, width or default/active flags
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updatePrinter(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, host, port, paper_width, is_default, is_active } = req.body;
+
+      const printer = await PrintService.updatePrinter(id, { name, host, port, paper_width, is_default, is_active });
+
+      res.json({
+        success: true,
+        message: 'Printer updated successfully',
+        data: printer
+      });
+    } catch (error) {
+      console.error('Error updating printer:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating printer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Queue a test page on a printer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async printTestPage(req, res) {
+    try {
+      const job = await PrintService.printTestPage(req.params.id, req.user ? req.user.id : null);
+
+      res.status(202).json({
+        success: true,
+        message: 'Test page queued',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error printing test page:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error printing test page',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Queue a job's receipt on its branch printer (or ?printer_id=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async printReceipt(req, res) {
+    try {
+      const { source, source_id } = req.params;
+
+      const job = await PrintService.printReceipt({
+        source: source.toUpperCase(),
+        source_id,
+        printer_id: req.body.printer_id,
+        created_by: req.user ? req.user.id : null
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Receipt queued for printing',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error printing receipt:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error printing receipt',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Queue a job ticket for a car or carpet on its branch printer
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async printJobTicket(req, res) {
+    try {
+      const { source, source_id } = req.params;
+
+      const job = await PrintService.printJobTicket({
+        source: source.toUpperCase(),
+        source_id,
+        printer_id: req.body.printer_id,
+        created_by: req.user ? req.user.id : null
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Job ticket queued for printing',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error printing job ticket:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error printing job ticket',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Queue a branch's end-of-day summary
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async printDailySummary(req, res) {
+    try {
+      const { branch_id, date, printer_id } = req.body;
+
+      if (!branch_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: branch_id'
+        });
+      }
+
+      const job = await PrintService.printDailySummary({
+        branch_id,
+        date,
+        printer_id,
+        created_by: req.user ? req.user.id : null
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Daily summary queued for printing',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error printing daily summary:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error printing daily summary',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get print jobs with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllJobs(req, res) {
+    try {
+      const { printer_id, branch_id, status, kind, page = 1, limit = 50 } = req.query;
+
+      const jobs = await PrintJob.findAll({ printer_id, branch_id, status, kind });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedJobs = jobs.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedJobs,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(jobs.length / limit),
+          total_jobs: jobs.length,
+          has_next: endIndex < jobs.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching print jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching print jobs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a print job's status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJobById(req, res) {
+    try {
+      const job = await PrintJob.findById(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Print job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching print job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching print job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a failed or cancelled print job again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async retryJob(req, res) {
+    try {
+      const job = await PrintService.retryJob(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Print job queued again',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error retrying print job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error retrying print job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a print job that has not printed yet
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelJob(req, res) {
+    try {
+      const job = await PrintService.cancelJob(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Print job cancelled',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error cancelling print job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error cancelling print job',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PrinterController();
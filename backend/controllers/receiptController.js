@@ -0,0 +1,154 @@
+const Receipt = require('../models/Receipt');
+const ReceiptService = require('../services/receiptService');
+
+/**
+ * Receipt controller for car wash and carpet job receipts
+ * Formats: JSON, plain text (32/48 columns) and PDF
+ */
+class ReceiptController {
+  /**
+   * Get the receipt for a job as JSON, issuing its number on first request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReceipt(req, res) {
+    try {
+      const { source, source_id } = req.params;
+
+      const receipt = await ReceiptService.getReceipt(source.toUpperCase(), source_id, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        data: receipt
+      });
+    } catch (error) {
+      console.error('Error generating receipt:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating receipt',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the receipt for a job as thermal printer text (?width=32|48)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReceiptText(req, res) {
+    try {
+      const { source, source_id } = req.params;
+      const width = parseInt(req.query.width || '32');
+
+      const receipt = await ReceiptService.getReceipt(source.toUpperCase(), source_id, req.user ? req.user.id : null);
+      const text = ReceiptService.renderText(receipt, width);
+
+      res.type('text/plain').send(text);
+    } catch (error) {
+      console.error('Error generating receipt text:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating receipt text',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the receipt for a job as a PDF
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReceiptPdf(req, res) {
+    try {
+      const { source, source_id } = req.params;
+
+      const receipt = await ReceiptService.getReceipt(source.toUpperCase(), source_id, req.user ? req.user.id : null);
+      const pdf = await ReceiptService.renderPdf(receipt);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="receipt-${receipt.receipt_number}.pdf"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      console.error('Error generating receipt PDF:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error generating receipt PDF',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get issued receipts with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllReceipts(req, res) {
+    try {
+      const { branch_id, source, receipt_number, start_date, end_date, page = 1, limit = 50 } = req.query;
+
+      const receipts = await Receipt.findAll({
+        branch_id,
+        source: source ? source.toUpperCase() : undefined,
+        receipt_number,
+        start_date,
+        end_date
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedReceipts = receipts.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedReceipts,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(receipts.length / limit),
+          total_receipts: receipts.length,
+          has_next: endIndex < receipts.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching receipts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching receipts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Verify a receipt from its QR code (public)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyReceipt(req, res) {
+    try {
+      const { code } = req.params;
+
+      const result = await ReceiptService.verify(code);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error verifying receipt:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error verifying receipt',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReceiptController();
@@ -0,0 +1,315 @@
+const MpesaPaymentCallback = require('../models/MpesaPaymentCallback');
+const MpesaStatement = require('../models/MpesaStatement');
+const ReconciliationService = require('../services/reconciliationService');
+const MpesaStatementService = require('../services/mpesaStatementService');
+const FileUploadService = require('../services/fileUploadService');
+
+// Today as YYYY-MM-DD in local time, the day car service IDs are stamped with
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Reconciliation controller for M-Pesa receipts that did not line up with a job
+ */
+class ReconciliationController {
+  /**
+   * Get the daily list of unmatched receipts and M-Pesa cars with no receipt
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDailyReport(req, res) {
+    try {
+      const { date = today(), branch_id } = req.query;
+
+      const report = await ReconciliationService.getDailyReport(date, branch_id);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error generating reconciliation report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating reconciliation report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get receipts still waiting for a supervisor (UNMATCHED, LATE, FLAGGED)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUnmatchedReceipts(req, res) {
+    try {
+      const { date, status, phone } = req.query;
+
+      const receipts = await MpesaPaymentCallback.findUnreconciled({ date, status, phone });
+
+      res.json({
+        success: true,
+        data: receipts
+      });
+    } catch (error) {
+      console.error('Error fetching unmatched receipts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching unmatched receipts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get cars marked as paid by M-Pesa with no receipt from Safaricom
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCarsWithoutReceipt(req, res) {
+    try {
+      const { date = today(), branch_id } = req.query;
+
+      const cars = await ReconciliationService.getMpesaCarsWithoutReceipt(date, branch_id);
+
+      res.json({
+        success: true,
+        data: cars
+      });
+    } catch (error) {
+      console.error('Error fetching M-Pesa cars without receipt:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching M-Pesa cars without receipt',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Suggest jobs a receipt may belong to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSuggestions(req, res) {
+    try {
+      const { callback_id } = req.params;
+      const { window_minutes } = req.query;
+
+      const result = await ReconciliationService.suggestMatches(callback_id, { window_minutes });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error suggesting receipt matches:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error suggesting receipt matches',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Accept a match and apply the receipt to the chosen job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acceptMatch(req, res) {
+    try {
+      const { callback_id } = req.params;
+      const { source, source_id, note } = req.body;
+
+      if (!source || !source_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: source, source_id'
+        });
+      }
+
+      const result = await ReconciliationService.accept(callback_id, {
+        source: source.toUpperCase(),
+        source_id,
+        note,
+        user_id: req.user ? req.user.id : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Receipt reconciled',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error accepting receipt match:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error accepting receipt match',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move a receipt to a different job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reassignReceipt(req, res) {
+    try {
+      const { callback_id } = req.params;
+      const { source, source_id, note } = req.body;
+
+      if (!source || !source_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: source, source_id'
+        });
+      }
+
+      const result = await ReconciliationService.reassign(callback_id, {
+        source: source.toUpperCase(),
+        source_id,
+        note,
+        user_id: req.user ? req.user.id : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Receipt reassigned',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error reassigning receipt:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error reassigning receipt',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Flag a receipt for follow-up
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async flagReceipt(req, res) {
+    try {
+      const { callback_id } = req.params;
+      const { note } = req.body;
+
+      const receipt = await ReconciliationService.flag(callback_id, {
+        note,
+        user_id: req.user ? req.user.id : null
+      });
+
+      res.json({
+        success: true,
+        message: 'Receipt flagged',
+        data: receipt
+      });
+    } catch (error) {
+      console.error('Error flagging receipt:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error flagging receipt',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Import an M-Pesa org portal statement CSV (multipart field "statement") and reconcile it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async importStatement(req, res) {
+    try {
+      let upload;
+      try {
+        upload = await FileUploadService.handleCsvUpload(req, 'statement');
+      } catch (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError.message
+        });
+      }
+
+      const report = await MpesaStatementService.importStatement({
+        text: upload.text,
+        filename: upload.originalname,
+        imported_by: req.user ? req.user.id : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${report.summary.statement_lines} statement lines`,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error importing M-Pesa statement:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error importing M-Pesa statement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get imported M-Pesa statements
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStatements(req, res) {
+    try {
+      const { date } = req.query;
+
+      const imports = await MpesaStatement.findAll({ date });
+
+      res.json({
+        success: true,
+        data: imports
+      });
+    } catch (error) {
+      console.error('Error fetching M-Pesa statements:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching M-Pesa statements',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-run the settlement checks for an imported statement
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStatementReport(req, res) {
+    try {
+      const { id } = req.params;
+
+      const report = await MpesaStatementService.reconcileImport(id);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error reconciling M-Pesa statement:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error reconciling M-Pesa statement',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReconciliationController();
@@ -0,0 +1,223 @@
+const Refund = require('../models/Refund');
+const RefundService = require('../services/refundService');
+const MpesaService = require('../services/mpesaService');
+
+/**
+ * Refund controller for requesting, approving and paying out refunds
+ * Methods: REVERSAL (M-Pesa), B2C (M-Pesa to phone), CARD (back to the card), CASH
+ */
+class RefundController {
+  /**
+   * Request a refund against a payment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestRefund(req, res) {
+    try {
+      const { payment_id, amount, method, reason, phone } = req.body;
+
+      // Validate required fields
+      if (!payment_id || !method || !reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: payment_id, method, reason'
+        });
+      }
+
+      const refund = await RefundService.requestRefund({
+        payment_id,
+        amount,
+        method: method.toUpperCase(),
+        reason,
+        phone,
+        requested_by: req.user ? req.user.id : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Refund requested; awaiting supervisor approval',
+        data: refund
+      });
+    } catch (error) {
+      console.error('Error requesting refund:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error requesting refund',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all refunds with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllRefunds(req, res) {
+    try {
+      const { status, method, payment_id, start_date, end_date, page = 1, limit = 50 } = req.query;
+
+      const refunds = await Refund.findAll({ status, method, payment_id, start_date, end_date });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedRefunds = refunds.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedRefunds,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(refunds.length / limit),
+          total_refunds: refunds.length,
+          has_next: endIndex < refunds.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching refunds:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching refunds',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a refund with its original and refund payments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRefundById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const refund = await RefundService.getRefund(id);
+
+      res.json({
+        success: true,
+        data: refund
+      });
+    } catch (error) {
+      console.error('Error fetching refund:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching refund',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve a refund and pay it out
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async approveRefund(req, res) {
+    try {
+      const { id } = req.params;
+
+      const refund = await RefundService.approve(id, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: refund.status === 'COMPLETED' ? 'Refund completed' : 'Refund approved; waiting for M-Pesa',
+        data: refund
+      });
+    } catch (error) {
+      console.error('Error approving refund:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error approving refund',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reject a refund request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rejectRefund(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const refund = await RefundService.reject(id, req.user ? req.user.id : null, reason);
+
+      res.json({
+        success: true,
+        message: 'Refund rejected',
+        data: refund
+      });
+    } catch (error) {
+      console.error('Error rejecting refund:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error rejecting refund',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Receive a Daraja reversal/B2C result (public - called by Safaricom)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async mpesaResult(req, res) {
+    try {
+      if (!MpesaService.isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+      }
+
+      const result = await RefundService.handleMpesaResult(req.body);
+
+      console.log(`M-Pesa result ${result.conversationID}: ${result.status} (ResultCode ${result.resultCode})`);
+
+      res.json({
+        ResultCode: 0,
+        ResultDesc: 'Accepted'
+      });
+    } catch (error) {
+      console.error('Error processing M-Pesa result:', error);
+      res.status(error.status || 500).json({
+        ResultCode: 1,
+        ResultDesc: error.message
+      });
+    }
+  }
+
+  /**
+   * Receive a Daraja queue timeout for a reversal/B2C request (public - called by Safaricom)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async mpesaTimeout(req, res) {
+    try {
+      if (!MpesaService.isValidCallbackToken(req.query.token)) {
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Invalid callback token' });
+      }
+
+      const result = await RefundService.handleMpesaResult(req.body, { timeout: true });
+
+      console.log(`M-Pesa queue timeout ${result.conversationID}: ${result.status}`);
+
+      res.json({
+        ResultCode: 0,
+        ResultDesc: 'Accepted'
+      });
+    } catch (error) {
+      console.error('Error processing M-Pesa timeout:', error);
+      res.status(error.status || 500).json({
+        ResultCode: 1,
+        ResultDesc: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RefundController();
@@ -0,0 +1,264 @@
+const ServiceCatalog = require('../models/ServiceCatalog');
+const Vehicle = require('../models/Vehicle');
+const ServiceCatalogService = require('../services/serviceCatalogService');
+
+/**
+ * Service catalog controller for services, base prices per vehicle class and branch price lists
+ */
+class ServiceCatalogController {
+  /**
+   * Get the price list, as charged at a branch when ?branch_id= is given
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPriceList(req, res) {
+    try {
+      const { branch_id, include_inactive } = req.query;
+
+      const services = await ServiceCatalogService.getPriceList({
+        branch_id,
+        include_inactive: include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: services,
+        vehicle_classes: ServiceCatalogService.getVehicleClasses()
+      });
+    } catch (error) {
+      console.error('Error fetching price list:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching price list',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Price a service for a vehicle class at a branch (?service=&vehicle_class=&branch_id=&amount=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getQuote(req, res) {
+    try {
+      const { service, vehicle_class, branch_id, amount } = req.query;
+
+      if (!service) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required query parameter: service'
+        });
+      }
+
+      const quote = await ServiceCatalogService.quote({ service, vehicle_class, branch_id, amount });
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      console.error('Error pricing service:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error pricing service',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a service to the catalog
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createService(req, res) {
+    try {
+      const { code, name, description, duration_minutes, is_bookable, prices } = req.body;
+
+      // Validate required fields
+      if (!code || !name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: code, name'
+        });
+      }
+
+      const service = await ServiceCatalogService.createService({
+        code, name, description, duration_minutes, is_bookable, prices
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Service created successfully',
+        data: service
+      });
+    } catch (error) {
+      console.error('Error creating service:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating service',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rename, describe or (de)activate a service, or change how long it takes and whether it can be booked
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateService(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, description, is_active, is_bookable } = req.body;
+      const duration_minutes = req.body.duration_minutes !== undefined
+        ? ServiceCatalogService.normalizeDuration(req.body.duration_minutes)
+        : undefined;
+
+      const service = await ServiceCatalog.update(id, { name, description, is_active, duration_minutes, is_bookable });
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Service updated successfully',
+        data: service
+      });
+    } catch (error) {
+      console.error('Error updating service:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating service',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set the base price of a service for a vehicle class, or a branch's own price
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setPrice(req, res) {
+    try {
+      const { id, vehicle_class, branch_id } = req.params;
+      const { price } = req.body;
+
+      if (price === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: price'
+        });
+      }
+
+      const result = await ServiceCatalogService.setPrice({ service_id: id, vehicle_class, branch_id, price });
+
+      res.json({
+        success: true,
+        message: branch_id ? 'Branch price updated successfully' : 'Base price updated successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error setting service price:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error setting service price',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a branch's own price so the base price applies again
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeBranchPrice(req, res) {
+    try {
+      const { id, vehicle_class, branch_id } = req.params;
+
+      await ServiceCatalogService.removeBranchPrice({ service_id: id, vehicle_class, branch_id });
+
+      res.json({
+        success: true,
+        message: 'Branch price removed; the base price applies'
+      });
+    } catch (error) {
+      console.error('Error removing branch price:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error removing branch price',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the make/model lookup that classifies new vehicles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getVehicleModels(req, res) {
+    try {
+      const { vehicle_class } = req.query;
+
+      let lookups = await Vehicle.findModelClasses();
+      if (vehicle_class) {
+        lookups = lookups.filter(lookup => lookup.vehicle_class === vehicle_class.toUpperCase());
+      }
+
+      res.json({
+        success: true,
+        data: lookups
+      });
+    } catch (error) {
+      console.error('Error fetching vehicle models:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching vehicle models',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add or change the class of a make or make and model
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setVehicleModel(req, res) {
+    try {
+      const { make, model, vehicle_class } = req.body;
+
+      if (!make || !vehicle_class) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: make, vehicle_class'
+        });
+      }
+
+      const lookup = await ServiceCatalogService.setModelClass({ make, model, vehicle_class });
+
+      res.json({
+        success: true,
+        message: 'Vehicle model class saved',
+        data: lookup
+      });
+    } catch (error) {
+      console.error('Error saving vehicle model:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error saving vehicle model',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ServiceCatalogController();
@@ -0,0 +1,292 @@
+const Till = require('../models/Till');
+const TillSession = require('../models/TillSession');
+const TillService = require('../services/tillService');
+
+/**
+ * Till controller for tills, cashier sessions, cash-up and supervisor sign-off
+ */
+class TillController {
+  /**
+   * Add a till to a branch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createTill(req, res) {
+    try {
+      const { branch_id, name } = req.body;
+
+      // Validate required fields
+      if (!branch_id || !name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: branch_id, name'
+        });
+      }
+
+      const till = await TillService.createTill({ branch_id, name });
+
+      res.status(201).json({
+        success: true,
+        message: 'Till created successfully',
+        data: till
+      });
+    } catch (error) {
+      console.error('Error creating till:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating till',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all tills with their current session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllTills(req, res) {
+    try {
+      const { branch_id, is_active } = req.query;
+
+      const tills = await Till.findAll({
+        branch_id,
+        is_active: is_active !== undefined ? is_active === 'true' : undefined
+      });
+
+      res.json({
+        success: true,
+        data: tills
+      });
+    } catch (error) {
+      console.error('Error fetching tills:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching tills',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rename or (de)activate a till
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateTill(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, is_active } = req.body;
+
+      const till = await Till.update(id, { name, is_active });
+
+      if (!till) {
+        return res.status(404).json({
+          success: false,
+          message: 'Till not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Till updated successfully',
+        data: till
+      });
+    } catch (error) {
+      console.error('Error updating till:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating till',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Open a session on a till for the logged-in cashier
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async openSession(req, res) {
+    try {
+      const { id } = req.params;
+      const { opening_float } = req.body;
+
+      if (opening_float === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required field: opening_float'
+        });
+      }
+
+      const session = await TillService.openSession({
+        till_id: id,
+        cashier_id: req.user.id,
+        opening_float
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Till session opened',
+        data: session
+      });
+    } catch (error) {
+      console.error('Error opening till session:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error opening till session',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get till sessions with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAllSessions(req, res) {
+    try {
+      const { till_id, branch_id, cashier_id, status, start_date, end_date, page = 1, limit = 50 } = req.query;
+
+      const sessions = await TillSession.findAll({ till_id, branch_id, cashier_id, status, start_date, end_date });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedSessions = sessions.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedSessions,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(sessions.length / limit),
+          total_sessions: sessions.length,
+          has_next: endIndex < sessions.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching till sessions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching till sessions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the logged-in cashier's open session with its running totals
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCurrentSession(req, res) {
+    try {
+      const session = await TillSession.findOpenByCashier(req.user.id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'No open till session'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await TillService.getSession(session.id)
+      });
+    } catch (error) {
+      console.error('Error fetching current till session:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching current till session',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a till session with its cash payments
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessionById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const session = await TillService.getSession(id);
+
+      res.json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      console.error('Error fetching till session:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching till session',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close a session with a denomination count
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async closeSession(req, res) {
+    try {
+      const { id } = req.params;
+      const { denominations, note } = req.body;
+
+      const session = await TillService.closeSession(id, { denominations, note }, req.user.id);
+
+      res.json({
+        success: true,
+        message: parseFloat(session.variance) === 0
+          ? 'Till session closed; cash balances'
+          : `Till session closed with a variance of ${session.variance}`,
+        data: session
+      });
+    } catch (error) {
+      console.error('Error closing till session:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error closing till session',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Supervisor sign-off of a closed session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async approveSession(req, res) {
+    try {
+      const { id } = req.params;
+      const { note } = req.body;
+
+      const session = await TillService.approveSession(id, req.user.id, note);
+
+      res.json({
+        success: true,
+        message: 'Till session signed off',
+        data: session
+      });
+    } catch (error) {
+      console.error('Error signing off till session:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error signing off till session',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TillController();
@@ -1,5 +1,9 @@
-const Vehicle = require('../models/vehicle');
+const Vehicle = require('../models/Vehicle');
 const CarRegistry = require('../models/CarRegistry');
+const ServiceCatalogService = require('../services/serviceCatalogService');
+const PlateService = require('../services/plateService');
+const CustomerService = require('../services/customerService');
+const VehicleTimelineService = require('../services/vehicleTimelineService');
 
 /**
  * Vehicle Controller for handling vehicle operations
@@ -55,9 +59,10 @@ class VehicleController {
    */
   async createOrUpdateVehicle(req, res) {
     try {
-      const { license_plate, make, model, owner_name, phone_number, email } = req.body;
+      const { license_plate, make, model, vehicle_class, owner_name, phone_number, email } = req.body;
 
-      if (!license_plate) {
+      const plate = PlateService.parse(license_plate);
+      if (!plate.plate) {
         return res.status(400).json({
           success: false,
           message: 'License plate is required'
@@ -68,23 +73,27 @@ class VehicleController {
         license_plate,
         make,
         model,
+        vehicle_class: vehicle_class ? ServiceCatalogService.normalizeVehicleClass(vehicle_class) : undefined,
         owner_name,
         phone_number,
-        email
+        email,
+        changed_by: req.user ? req.user.id : null
       };
 
-      const vehicle = await Vehicle.createOrUpdate(vehicleData);
+      let vehicle = await Vehicle.createOrUpdate(vehicleData);
+      vehicle = await CustomerService.attachOwner(vehicle, { owner_name, phone_number, email }, vehicleData.changed_by);
       
       res.json({
         success: true,
         message: vehicle.id ? 'Vehicle updated successfully' : 'Vehicle created successfully',
-        data: vehicle
+        data: vehicle,
+        ...(!plate.valid && { plate_warning: PlateService.getWarning(plate) })
       });
     } catch (error) {
       console.error('Error creating/updating vehicle:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Error processing vehicle',
+        message: error.status ? error.message : 'Error processing vehicle',
         error: error.message
       });
     }
@@ -120,7 +129,11 @@ class VehicleController {
         email
       };
 
-      const vehicle = await Vehicle.updateOwnerInfo(license_plate, ownerData);
+      const changedBy = req.user ? req.user.id : null;
+      let vehicle = await Vehicle.updateOwnerInfo(license_plate, ownerData, changedBy);
+      if (vehicle) {
+        vehicle = await CustomerService.attachOwner(vehicle, ownerData, changedBy);
+      }
       
       res.json({
         success: true,
@@ -129,9 +142,9 @@ class VehicleController {
       });
     } catch (error) {
       console.error('Error updating owner information:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Error updating owner information',
+        message: error.status ? error.message : 'Error updating owner information',
         error: error.message
       });
     }
@@ -150,6 +163,8 @@ class VehicleController {
         phone_number,
         make,
         model,
+        vehicle_class,
+        plate_format,
         has_owner_info,
         page = 1,
         limit = 50
@@ -161,6 +176,8 @@ class VehicleController {
         phone_number,
         make,
         model,
+        vehicle_class: vehicle_class ? vehicle_class.toUpperCase() : undefined,
+        plate_format: plate_format ? plate_format.toUpperCase() : undefined,
         has_owner_info
       };
 
@@ -263,6 +280,55 @@ class VehicleController {
     }
   }
 
+  /**
+   * Get a vehicle's history as one timeline: washes and attendants, payments,
+   * refunds, inspections, receipts, discounts, offers and owner changes, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getVehicleTimeline(req, res) {
+    try {
+      const { license_plate } = req.params;
+      const { types, from, to, order = 'desc', page = 1, limit = 50 } = req.query;
+
+      const timeline = await VehicleTimelineService.getTimeline(license_plate, {
+        types: types ? types.split(',').map(type => type.trim().toUpperCase()).filter(Boolean) : undefined,
+        from,
+        to,
+        order
+      });
+      const events = timeline.events;
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedEvents = events.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: {
+          license_plate: timeline.license_plate,
+          vehicle: timeline.vehicle,
+          events: paginatedEvents
+        },
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(events.length / limit),
+          total_events: events.length,
+          has_next: endIndex < events.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching vehicle timeline:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching vehicle timeline',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Search vehicles
    * @param {Object} req - Express request object
@@ -449,7 +515,7 @@ class VehicleController {
   async updateVehicle(req, res) {
     try {
       const { id } = req.params;
-      const { license_plate, make, model, owner_name, phone_number, email } = req.body;
+      const { license_plate, make, model, vehicle_class, owner_name, phone_number, email } = req.body;
       
       const vehicle = await Vehicle.findById(id);
       
@@ -460,10 +526,22 @@ class VehicleController {
         });
       }
 
+      const plate = license_plate !== undefined ? PlateService.parse(license_plate) : null;
+      if (plate && !plate.plate) {
+        return res.status(400).json({
+          success: false,
+          message: 'License plate must contain letters or digits'
+        });
+      }
+
       const updateData = {};
-      if (license_plate !== undefined) updateData.license_plate = license_plate;
+      if (plate) updateData.license_plate = plate.plate;
       if (make !== undefined) updateData.make = make;
       if (model !== undefined) updateData.model = model;
+      if (vehicle_class !== undefined) {
+        updateData.vehicle_class = ServiceCatalogService.normalizeVehicleClass(vehicle_class);
+        updateData.vehicle_class_source = 'MANUAL';
+      }
       if (owner_name !== undefined) updateData.owner_name = owner_name;
       if (phone_number !== undefined) updateData.phone_number = phone_number;
       if (email !== undefined) updateData.email = email;
@@ -476,18 +554,23 @@ class VehicleController {
         });
       }
 
-      const updatedVehicle = await Vehicle.update(id, updateData);
+      const changedBy = req.user ? req.user.id : null;
+      let updatedVehicle = await Vehicle.update(id, updateData, changedBy);
+      if (owner_name !== undefined || phone_number !== undefined || email !== undefined) {
+        updatedVehicle = await CustomerService.attachOwner(updatedVehicle, { owner_name, phone_number, email }, changedBy);
+      }
       
       res.json({
         success: true,
         message: 'Vehicle updated successfully',
-        data: updatedVehicle
+        data: updatedVehicle,
+        ...(plate && !plate.valid && { plate_warning: PlateService.getWarning(plate) })
       });
     } catch (error) {
       console.error('Error updating vehicle:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: 'Error updating vehicle',
+        message: error.status ? error.message : 'Error updating vehicle',
         error: error.message
       });
     }
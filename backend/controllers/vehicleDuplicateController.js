@@ -0,0 +1,181 @@
+const VehicleMerge = require('../models/VehicleMerge');
+const VehicleMergeService = require('../services/vehicleMergeService');
+const PlateService = require('../services/plateService');
+
+/**
+ * Vehicle duplicate controller: likely duplicate vehicles, merging them and
+ * undoing merges
+ * Confidence: HIGH, MEDIUM, LOW; merge statuses: MERGED, UNDONE
+ */
+class VehicleDuplicateController {
+  /**
+   * Get pairs of vehicles that are likely the same car
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDuplicates(req, res) {
+    try {
+      const { confidence, vehicle_id, page = 1, limit = 50 } = req.query;
+
+      const pairs = await VehicleMergeService.findDuplicates({ confidence, vehicle_id });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedPairs = pairs.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedPairs,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(pairs.length / limit),
+          total_pairs: pairs.length,
+          has_next: endIndex < pairs.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error finding duplicate vehicles:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error finding duplicate vehicles',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Merge a duplicate vehicle into the one that survives
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async mergeVehicles(req, res) {
+    try {
+      const { survivor_id, merged_id, reason } = req.body;
+
+      // Validate required fields
+      if (!survivor_id || !merged_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: survivor_id, merged_id'
+        });
+      }
+
+      const result = await VehicleMergeService.merge(
+        { survivor_id, merged_id, reason },
+        req.user ? req.user.id : null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${result.merge.merged_plate} merged into ${result.merge.survivor_plate}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error merging vehicles:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error merging vehicles',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get merges with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMerges(req, res) {
+    try {
+      const { vehicle_id, license_plate, status, page = 1, limit = 50 } = req.query;
+
+      const merges = await VehicleMerge.findAll({
+        vehicle_id,
+        license_plate: license_plate ? PlateService.normalize(license_plate) : undefined,
+        status: status ? status.toUpperCase() : undefined
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedMerges = merges.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedMerges,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(merges.length / limit),
+          total_merges: merges.length,
+          has_next: endIndex < merges.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching vehicle merges:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching vehicle merges',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a merge with the vehicles and stats as they were before it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMergeById(req, res) {
+    try {
+      const merge = await VehicleMerge.findById(req.params.id);
+
+      if (!merge) {
+        return res.status(404).json({
+          success: false,
+          message: 'Merge not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: merge
+      });
+    } catch (error) {
+      console.error('Error fetching vehicle merge:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching vehicle merge',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Undo a merge, putting the merged vehicle back
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async undoMerge(req, res) {
+    try {
+      const result = await VehicleMergeService.undo(req.params.id, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: `Merge undone; ${result.merge.merged_plate} is a separate vehicle again`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error undoing vehicle merge:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error undoing vehicle merge',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new VehicleDuplicateController();
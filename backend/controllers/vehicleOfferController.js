@@ -1,6 +1,7 @@
 const VehicleOffer = require('../models/VehicleOffer');
-const Vehicle = require('../models/vehicle');
+const Vehicle = require('../models/Vehicle');
 const VehicleStats = require('../models/VehicleStats');
+const CustomerStats = require('../models/CustomerStats');
 
 /**
  * Vehicle Offer Controller for managing vehicle-specific offers
@@ -15,6 +16,7 @@ class VehicleOfferController {
     try {
       const {
         vehicle_id,
+        customer_id,
         offer_id,
         earned_on_visit_id,
         issued_date,
@@ -24,25 +26,28 @@ class VehicleOfferController {
         notes
       } = req.body;
 
-      // Validate required fields
-      if (!vehicle_id || !offer_id) {
+      // Validate required fields; customer_id issues the offer to a customer for any of their vehicles
+      if ((!vehicle_id && !customer_id) || !offer_id) {
         return res.status(400).json({
           success: false,
-          message: 'Vehicle ID and Offer ID are required'
+          message: 'Vehicle ID (or Customer ID) and Offer ID are required'
         });
       }
 
-      // Check if vehicle already has an active offer of the same type
-      const hasActiveOffer = await VehicleOffer.hasActiveOffer(vehicle_id, offer_id);
+      // Check if vehicle (or customer) already has an active offer of the same type
+      const hasActiveOffer = vehicle_id
+        ? await VehicleOffer.hasActiveOffer(vehicle_id, offer_id)
+        : await VehicleOffer.hasActiveCustomerOffer(customer_id, offer_id);
       if (hasActiveOffer && status === 'active') {
         return res.status(400).json({
           success: false,
-          message: 'Vehicle already has an active offer of this type'
+          message: `${vehicle_id ? 'Vehicle' : 'Customer'} already has an active offer of this type`
         });
       }
 
       const offerData = {
-        vehicle_id,
+        vehicle_id: vehicle_id || null,
+        customer_id: vehicle_id ? null : customer_id,
         offer_id,
         earned_on_visit_id,
         issued_date,
@@ -57,7 +62,11 @@ class VehicleOfferController {
       // If this is a newly earned offer, increment offers earned count
       if (status === 'active' && earned_on_visit_id) {
         try {
-          await VehicleStats.incrementOffersEarned(vehicle_id);
+          if (vehicle_id) {
+            await VehicleStats.incrementOffersEarned(vehicle_id);
+          } else {
+            await CustomerStats.incrementOffersEarned(customer_id);
+          }
         } catch (statsError) {
           console.error('Error updating offers earned count:', statsError);
           // Continue even if stats update fails
@@ -88,6 +97,7 @@ class VehicleOfferController {
     try {
       const {
         vehicle_id,
+        customer_id,
         offer_id,
         status,
         license_plate,
@@ -105,6 +115,7 @@ class VehicleOfferController {
 
       const filters = {
         vehicle_id,
+        customer_id,
         offer_id,
         status,
         license_plate,
@@ -275,12 +286,17 @@ class VehicleOfferController {
 
       const vehicleOffer = await VehicleOffer.markAsUsed(parseInt(id), used_on_visit_id, notes);
 
-      // Update offers used count in vehicle stats
+      // Update offers used count in vehicle stats (customer stats for a customer's offer)
       try {
-        await VehicleStats.incrementOffersUsed(vehicleOffer.vehicle_id);
-        
-        // Reset visit count after offer utilization
-        await VehicleStats.resetVisitCount(vehicleOffer.vehicle_id);
+        if (vehicleOffer.vehicle_id) {
+          await VehicleStats.incrementOffersUsed(vehicleOffer.vehicle_id);
+          
+          // Reset visit count after offer utilization
+          await VehicleStats.resetVisitCount(vehicleOffer.vehicle_id);
+        } else {
+          await CustomerStats.incrementOffersUsed(vehicleOffer.customer_id);
+          await CustomerStats.resetVisitCount(vehicleOffer.customer_id);
+        }
       } catch (statsError) {
         console.error('Error updating vehicle stats after offer usage:', statsError);
         // Continue even if stats update fails
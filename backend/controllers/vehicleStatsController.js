@@ -1,5 +1,6 @@
 const VehicleStats = require('../models/VehicleStats');
-const Vehicle = require('../models/vehicle');
+const Vehicle = require('../models/Vehicle');
+const CustomerStats = require('../models/CustomerStats');
 
 /**
  * Vehicle Statistics Controller for handling vehicle visit and offer statistics
@@ -15,10 +16,11 @@ class VehicleStatsController {
       const { vehicle_id, license_plate } = req.body;
 
       let vehicleId = vehicle_id;
+      let vehicle = null;
 
       // If license plate is provided instead of vehicle_id, find the vehicle
       if (!vehicleId && license_plate) {
-        const vehicle = await Vehicle.findByLicensePlate(license_plate);
+        vehicle = await Vehicle.findByLicensePlate(license_plate);
         if (!vehicle) {
           return res.status(404).json({
             success: false,
@@ -36,6 +38,14 @@ class VehicleStatsController {
       }
 
       const stats = await VehicleStats.recordVisit(vehicleId);
+
+      // The visit also counts towards the owner's customer loyalty
+      if (!vehicle) {
+        vehicle = await Vehicle.findById(vehicleId);
+      }
+      if (vehicle && vehicle.customer_id) {
+        await CustomerStats.recordVisit(vehicle.customer_id);
+      }
       
       res.json({
         success: true,
@@ -0,0 +1,545 @@
+const BranchBay = require('../models/BranchBay');
+const WashJob = require('../models/WashJob');
+const WashQueueService = require('../services/washQueueService');
+const WaitEstimateService = require('../services/waitEstimateService');
+const PlateService = require('../services/plateService');
+
+/**
+ * Wash queue controller: branch bays, wash jobs moving through the wash and
+ * the supervisor's per-branch queue board, wait estimates, promised ready
+ * times and attendant shifts
+ * Job statuses: QUEUED, IN_BAY, WASHING, DRYING, QUALITY_CHECK, READY, COLLECTED, CANCELLED
+ */
+class WashQueueController {
+  /**
+   * Get the job statuses and the moves allowed between them
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStateMachine(req, res) {
+    res.json({
+      success: true,
+      data: WashQueueService.getStateMachine()
+    });
+  }
+
+  /**
+   * Get the bays of a branch (or of all branches)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBays(req, res) {
+    try {
+      const { branch_id, is_active } = req.query;
+
+      const bays = await BranchBay.findAll({
+        branch_id,
+        is_active: is_active === undefined ? undefined : is_active === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: bays
+      });
+    } catch (error) {
+      console.error('Error fetching bays:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching bays',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a bay to a branch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createBay(req, res) {
+    try {
+      const { branch_id, name, sort_order, is_bookable } = req.body;
+
+      const bay = await WashQueueService.createBay({ branch_id, name, sort_order, is_bookable });
+
+      res.status(201).json({
+        success: true,
+        message: 'Bay created successfully',
+        data: bay
+      });
+    } catch (error) {
+      console.error('Error creating bay:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error creating bay',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rename, reorder or close a bay, or keep it for walk-ins
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateBay(req, res) {
+    try {
+      const { name, sort_order, is_active, is_bookable } = req.body;
+
+      const bay = await WashQueueService.updateBay(req.params.id, { name, sort_order, is_active, is_bookable });
+
+      res.json({
+        success: true,
+        message: 'Bay updated successfully',
+        data: bay
+      });
+    } catch (error) {
+      console.error('Error updating bay:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating bay',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a branch's queue board: bays, waiting queue, cars in progress and ready
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBranchQueue(req, res) {
+    try {
+      const queue = await WashQueueService.getBranchQueue(req.params.branch_id);
+
+      res.json({
+        success: true,
+        data: queue
+      });
+    } catch (error) {
+      console.error('Error fetching branch queue:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching branch queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get wash jobs with optional filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJobs(req, res) {
+    try {
+      const { branch_id, status, license_plate, date, page = 1, limit = 50 } = req.query;
+
+      const jobs = await WashJob.findAll({
+        branch_id,
+        statuses: status ? status.split(',').map(value => value.trim().toUpperCase()) : undefined,
+        license_plate: license_plate ? PlateService.normalize(license_plate) : undefined,
+        date
+      });
+
+      // Pagination
+      const startIndex = (page - 1) * limit;
+      const endIndex = page * limit;
+      const paginatedJobs = jobs.slice(startIndex, endIndex);
+
+      res.json({
+        success: true,
+        data: paginatedJobs,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(jobs.length / limit),
+          total_jobs: jobs.length,
+          has_next: endIndex < jobs.length,
+          has_prev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching wash jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching wash jobs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Put a car service in the queue (cars registered through POST /api/cars are queued already)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createJob(req, res) {
+    try {
+      const { car_registry_id, priority, notes } = req.body;
+
+      if (!car_registry_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'car_registry_id is required'
+        });
+      }
+
+      const job = await WashQueueService.enqueue(car_registry_id, req.user ? req.user.id : null, { priority, notes });
+
+      res.status(201).json({
+        success: true,
+        message: 'Car added to the queue',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queueing car:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error queueing car',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a wash job with its attendants and state changes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJobById(req, res) {
+    try {
+      const job = await WashQueueService.getJob(req.params.id);
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching wash job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching wash job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the wash job of a car service
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJobForCar(req, res) {
+    try {
+      const job = await WashQueueService.getJobForCar(req.params.car_registry_id);
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching wash job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error fetching wash job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a job's queue priority or notes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateJob(req, res) {
+    try {
+      const { priority, notes } = req.body;
+
+      const job = await WashQueueService.updateJob(req.params.id, { priority, notes });
+
+      res.json({
+        success: true,
+        message: 'Wash job updated successfully',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error updating wash job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error updating wash job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move a job to its next status ({ status, bay_id, notes, reason })
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async transitionJob(req, res) {
+    try {
+      const { status, bay_id, notes, reason } = req.body;
+
+      const job = await WashQueueService.transition(
+        req.params.id,
+        { status, bay_id, notes, reason },
+        req.user ? req.user.id : null
+      );
+
+      res.json({
+        success: true,
+        message: `Job moved to ${job.status}`,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error moving wash job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error moving wash job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Assign an attendant to a job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async assignAttendant(req, res) {
+    try {
+      const job = await WashQueueService.assignAttendant(
+        req.params.id,
+        req.body.attendant_id,
+        req.user ? req.user.id : null
+      );
+
+      res.json({
+        success: true,
+        message: 'Attendant assigned successfully',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error assigning attendant:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error assigning attendant',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Take an attendant off a job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeAttendant(req, res) {
+    try {
+      const job = await WashQueueService.removeAttendant(req.params.id, req.params.attendant_id);
+
+      res.json({
+        success: true,
+        message: 'Attendant removed successfully',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error removing attendant:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error removing attendant',
+        error: error.message
+      });
+    }
+  }
+  /**
+   * Estimate when a car arriving now would start and be ready
+   * (?branch_id=, ?service=, ?vehicle_class=, ?priority=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getEstimate(req, res) {
+    try {
+      const { branch_id, service, vehicle_class, priority } = req.query;
+
+      const estimate = await WaitEstimateService.estimate({ branch_id, service, vehicle_class, priority });
+
+      res.json({
+        success: true,
+        data: estimate
+      });
+    } catch (error) {
+      console.error('Error estimating wait:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error estimating wait',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the current estimate for a queued or in-bay job, with its promise
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getJobEstimate(req, res) {
+    try {
+      const estimate = await WaitEstimateService.estimateJob(req.params.id);
+
+      res.json({
+        success: true,
+        data: estimate
+      });
+    } catch (error) {
+      console.error('Error estimating job:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error estimating job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-promise a job from the current estimate, or to a given ready time
+   * ({ promised_ready_at })
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async promiseJob(req, res) {
+    try {
+      const promise = await WaitEstimateService.promiseJob(
+        req.params.id,
+        req.user ? req.user.id : null,
+        { promised_ready_at: req.body.promised_ready_at }
+      );
+
+      res.json({
+        success: true,
+        message: 'Promised ready time recorded',
+        data: promise
+      });
+    } catch (error) {
+      console.error('Error recording promise:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error recording promise',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Report how often promised ready times were kept (?branch_id=, ?start_date=, ?end_date=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPromiseReport(req, res) {
+    try {
+      const { branch_id, start_date, end_date } = req.query;
+
+      const report = await WaitEstimateService.getPromiseReport({ branch_id, start_date, end_date });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error generating promise report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating promise report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the attendants on shift at a branch (?branch_id=)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getShifts(req, res) {
+    try {
+      const branchId = req.query.branch_id || (req.user ? req.user.branch_id : null);
+      if (!branchId) {
+        return res.status(400).json({
+          success: false,
+          message: 'branch_id is required'
+        });
+      }
+
+      const shifts = await WaitEstimateService.getShifts(branchId);
+
+      res.json({
+        success: true,
+        data: shifts
+      });
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching shifts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Clock an attendant in at a branch ({ branch_id, attendant_id }; defaults to the caller)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async clockIn(req, res) {
+    try {
+      const user = req.user || {};
+      const shift = await WaitEstimateService.clockIn(
+        req.body.branch_id || user.branch_id,
+        req.body.attendant_id || user.id,
+        user.id || null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${shift.attendant_name} clocked in`,
+        data: shift
+      });
+    } catch (error) {
+      console.error('Error clocking in:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error clocking in',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Clock an attendant out
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async clockOut(req, res) {
+    try {
+      const shift = await WaitEstimateService.clockOut(req.params.id, req.user ? req.user.id : null);
+
+      res.json({
+        success: true,
+        message: `${shift.attendant_name} clocked out`,
+        data: shift
+      });
+    } catch (error) {
+      console.error('Error clocking out:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Error clocking out',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WashQueueController();
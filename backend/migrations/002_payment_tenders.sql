@@ -0,0 +1,15 @@
+-- Split tenders: one payments row per CASH/MPESA/CARD tender on a car wash or carpet record.
+-- MPESA rows start PENDING and are confirmed or failed by the Daraja callback.
+
+ALTER TABLE payments
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'CONFIRMED' AFTER description,
+  ADD COLUMN created_by VARCHAR(50) NULL AFTER status,
+  ADD COLUMN created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP AFTER created_by,
+  ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at,
+  ADD INDEX idx_payments_source (source, source_id),
+  ADD INDEX idx_payments_status (status);
+
+-- Extras recorded at payment time for carpet jobs (car_registry already has these)
+ALTER TABLE carpet_registry
+  ADD COLUMN tip_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN excess_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,7 @@
+-- Daraja STK push identifiers stored against the pending MPESA payment,
+-- used to match the callback and the STK query back to the payment.
+
+ALTER TABLE payments
+  ADD COLUMN checkout_request_id VARCHAR(100) NULL AFTER ref,
+  ADD COLUMN merchant_request_id VARCHAR(100) NULL AFTER checkout_request_id,
+  ADD UNIQUE INDEX idx_payments_checkout_request (checkout_request_id);
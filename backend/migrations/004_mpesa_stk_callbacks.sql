@@ -0,0 +1,12 @@
+-- Raw Daraja callbacks: every delivery is stored, then matched to its payment.
+
+ALTER TABLE mpesa_payments_callback
+  ADD COLUMN checkout_request_id VARCHAR(100) NULL,
+  ADD COLUMN merchant_request_id VARCHAR(100) NULL,
+  ADD COLUMN result_code INT NULL,
+  ADD COLUMN result_desc VARCHAR(255) NULL,
+  ADD COLUMN payment_id VARCHAR(36) NULL,
+  ADD COLUMN raw_payload JSON NULL,
+  ADD COLUMN received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD INDEX idx_mpesa_callback_checkout (checkout_request_id),
+  ADD INDEX idx_mpesa_callback_ref (ref);
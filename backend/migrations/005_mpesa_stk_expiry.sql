@@ -0,0 +1,5 @@
+-- Phone the STK push was sent to, so a timed-out or cancelled push can be re-sent.
+
+ALTER TABLE payments
+  ADD COLUMN payer_phone VARCHAR(20) NULL AFTER merchant_request_id,
+  ADD INDEX idx_payments_mode_status_created (payment_mode, status, created_at);
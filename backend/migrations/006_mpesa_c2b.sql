@@ -0,0 +1,10 @@
+-- C2B paybill/till payments: confirmations are stored in mpesa_payments_callback
+-- (source = 'C2B') and matched to open jobs by the account number the customer typed.
+
+ALTER TABLE mpesa_payments_callback
+  ADD INDEX idx_mpesa_callback_account (account_no),
+  ADD INDEX idx_mpesa_callback_source_status (source, status);
+
+-- Receipt lookups when a confirmation is redelivered or also arrives as an STK callback
+ALTER TABLE payments
+  ADD INDEX idx_payments_ref (ref);
@@ -0,0 +1,7 @@
+-- Supervisor reconciliation of M-Pesa receipts that did not line up with a job.
+-- UNMATCHED / LATE / FLAGGED receipts are worked to RECONCILED.
+
+ALTER TABLE mpesa_payments_callback
+  ADD COLUMN reconciled_by VARCHAR(50) NULL,
+  ADD COLUMN reconciled_at TIMESTAMP NULL,
+  ADD COLUMN reconciliation_note VARCHAR(255) NULL;
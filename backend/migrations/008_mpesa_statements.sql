@@ -0,0 +1,31 @@
+-- M-Pesa org portal statements imported at end of day, one row per paid-in receipt.
+-- A payment is "verified" once its receipt number appears on an imported statement.
+
+CREATE TABLE IF NOT EXISTS mpesa_statement_imports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  filename VARCHAR(255) NULL,
+  period_start DATETIME NULL,
+  period_end DATETIME NULL,
+  line_count INT NOT NULL DEFAULT 0,
+  skipped_count INT NOT NULL DEFAULT 0,
+  total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  summary JSON NULL,
+  imported_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mpesa_statement_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  import_id INT NOT NULL,
+  line_number INT NOT NULL,
+  receipt_no VARCHAR(30) NOT NULL,
+  completed_at DATETIME NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  details VARCHAR(255) NULL,
+  other_party VARCHAR(255) NULL,
+  account_no VARCHAR(100) NULL,
+  INDEX idx_statement_lines_import (import_id),
+  INDEX idx_statement_lines_receipt (receipt_no),
+  INDEX idx_statement_lines_completed (completed_at),
+  FOREIGN KEY (import_id) REFERENCES mpesa_statement_imports(id) ON DELETE CASCADE
+);
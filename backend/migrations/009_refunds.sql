@@ -0,0 +1,33 @@
+-- Refunds: requested by a cashier, approved by a supervisor, then paid out by
+-- Daraja reversal, B2C or cash. The original payment is never changed; the
+-- refund is a separate 'debit' payment linked to it.
+
+ALTER TABLE payments
+  ADD COLUMN related_payment_id VARCHAR(36) NULL AFTER payer_phone,
+  ADD INDEX idx_payments_related (related_payment_id);
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id VARCHAR(36) PRIMARY KEY,
+  payment_id VARCHAR(36) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  method VARCHAR(20) NOT NULL,                 -- REVERSAL | B2C | CASH
+  status VARCHAR(20) NOT NULL DEFAULT 'REQUESTED', -- REQUESTED | REJECTED | PROCESSING | COMPLETED | FAILED
+  reason VARCHAR(255) NOT NULL,
+  phone VARCHAR(20) NULL,                      -- B2C recipient
+  requested_by VARCHAR(50) NULL,
+  approved_by VARCHAR(50) NULL,
+  approved_at TIMESTAMP NULL,
+  rejection_reason VARCHAR(255) NULL,
+  debit_payment_id VARCHAR(36) NULL,
+  conversation_id VARCHAR(100) NULL,
+  originator_conversation_id VARCHAR(100) NULL,
+  result_code VARCHAR(20) NULL,
+  result_desc VARCHAR(255) NULL,
+  mpesa_ref VARCHAR(30) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_refunds_payment (payment_id),
+  INDEX idx_refunds_status (status),
+  INDEX idx_refunds_conversation (conversation_id),
+  INDEX idx_refunds_originator (originator_conversation_id)
+);
@@ -0,0 +1,14 @@
+-- Card tenders taken through a card provider (hosted checkout, PDQ terminal or the fake
+-- provider used in tests). payments.ref holds the provider's transaction reference.
+-- card_status tracks the provider side: CHECKOUT (waiting for hosted checkout),
+-- AUTHORIZED, CAPTURED, DECLINED, VOIDED.
+
+ALTER TABLE payments
+  ADD COLUMN card_provider VARCHAR(30) NULL AFTER related_payment_id,
+  ADD COLUMN card_status VARCHAR(20) NULL AFTER card_provider,
+  ADD COLUMN approval_code VARCHAR(20) NULL AFTER card_status,
+  ADD COLUMN card_brand VARCHAR(20) NULL AFTER approval_code,
+  ADD COLUMN card_last4 CHAR(4) NULL AFTER card_brand,
+  ADD INDEX idx_payments_card_ref (card_provider, ref);
+
+-- Captured provider card payments can now be refunded to the card (refunds.method = CARD).
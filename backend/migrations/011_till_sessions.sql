@@ -0,0 +1,40 @@
+-- Cashier till sessions. A cashier opens a session on a till with a float; CASH
+-- payments they take while it is open carry its id. At close the counted cash
+-- (by denomination) is compared with the float plus cash taken less cash paid
+-- out, and a supervisor must sign off before the till can be opened again.
+
+CREATE TABLE IF NOT EXISTS tills (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_tills_branch_name (branch_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS till_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  till_id INT NOT NULL,
+  cashier_id VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'OPEN',   -- OPEN | CLOSED | APPROVED
+  opening_float DECIMAL(10,2) NOT NULL DEFAULT 0,
+  opened_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP NULL,
+  cash_in DECIMAL(12,2) NULL,                   -- confirmed CASH credits at close
+  cash_out DECIMAL(12,2) NULL,                  -- confirmed CASH debits (refunds) at close
+  expected_cash DECIMAL(12,2) NULL,
+  counted_cash DECIMAL(12,2) NULL,
+  variance DECIMAL(12,2) NULL,                  -- counted - expected; negative is a shortage
+  denominations JSON NULL,                      -- { "1000": 3, "500": 1, ... }
+  close_note VARCHAR(255) NULL,
+  approved_by VARCHAR(50) NULL,
+  approved_at TIMESTAMP NULL,
+  approval_note VARCHAR(255) NULL,
+  INDEX idx_till_sessions_till_status (till_id, status),
+  INDEX idx_till_sessions_cashier_status (cashier_id, status),
+  FOREIGN KEY (till_id) REFERENCES tills(id)
+);
+
+ALTER TABLE payments
+  ADD COLUMN till_session_id INT NULL AFTER card_last4,
+  ADD INDEX idx_payments_till_session (till_session_id);
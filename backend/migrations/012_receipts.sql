@@ -0,0 +1,28 @@
+-- Customer receipts for car wash and carpet jobs. Each job gets one receipt with a
+-- sequential number per branch; reprints keep the number. The verification code
+-- goes into the receipt's QR code and is looked up by the public verify endpoint.
+
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+  branch_id VARCHAR(10) PRIMARY KEY,
+  last_number INT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS receipts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  sequence_number INT NOT NULL,
+  receipt_number VARCHAR(30) NOT NULL,          -- e.g. BRN001-000123
+  source VARCHAR(20) NOT NULL,                  -- CARWASH | CARPETS
+  source_id VARCHAR(50) NOT NULL,
+  verification_code VARCHAR(20) NOT NULL,
+  total_due DECIMAL(10,2) NOT NULL DEFAULT 0,   -- as last printed
+  amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+  print_count INT NOT NULL DEFAULT 0,
+  issued_by VARCHAR(50) NULL,
+  issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_receipts_number (receipt_number),
+  UNIQUE INDEX idx_receipts_branch_sequence (branch_id, sequence_number),
+  UNIQUE INDEX idx_receipts_source (source, source_id),
+  UNIQUE INDEX idx_receipts_verification (verification_code)
+);
@@ -0,0 +1,37 @@
+-- Network thermal printers per branch and the queue of ESC/POS jobs sent to them.
+-- Jobs are sent over raw TCP (usually port 9100) and retried with a growing delay
+-- until max_attempts; payload holds the exact bytes sent.
+
+CREATE TABLE IF NOT EXISTS printers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  host VARCHAR(255) NOT NULL,
+  port INT NOT NULL DEFAULT 9100,
+  paper_width INT NOT NULL DEFAULT 32,          -- characters per line: 32 (58mm) | 48 (80mm)
+  is_default TINYINT(1) NOT NULL DEFAULT 0,     -- used when a print request names no printer
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_printers_branch_name (branch_id, name),
+  FOREIGN KEY (branch_id) REFERENCES branches(id)
+);
+
+CREATE TABLE IF NOT EXISTS print_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  printer_id INT NOT NULL,
+  kind VARCHAR(20) NOT NULL,                    -- RECEIPT | JOB_TICKET | DAILY_SUMMARY | TEST
+  source VARCHAR(20) NULL,
+  source_id VARCHAR(50) NULL,
+  payload MEDIUMBLOB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'QUEUED', -- QUEUED | PRINTING | PRINTED | FAILED | CANCELLED
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  last_error VARCHAR(255) NULL,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  printed_at TIMESTAMP NULL,
+  INDEX idx_print_jobs_status_next (status, next_attempt_at),
+  INDEX idx_print_jobs_printer (printer_id, created_at),
+  FOREIGN KEY (printer_id) REFERENCES printers(id)
+);
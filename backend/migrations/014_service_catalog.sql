@@ -0,0 +1,96 @@
+-- Service catalog and price lists. Each service has a base price per vehicle
+-- class, and a branch can override any of those prices. Car registrations
+-- record the catalog service and list price; an amount that differs from the
+-- list price is a manual override that a supervisor must approve.
+
+CREATE TABLE IF NOT EXISTS service_catalog (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(30) NOT NULL,                    -- e.g. FULL_WASH
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_service_catalog_code (code)
+);
+
+-- Base price of a service for a vehicle class:
+-- MOTORCYCLE | SALOON | SUV | PICKUP | VAN | BUS | TRUCK
+CREATE TABLE IF NOT EXISTS service_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  service_id INT NOT NULL,
+  vehicle_class VARCHAR(20) NOT NULL,
+  price DECIMAL(10,2) NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_service_prices_class (service_id, vehicle_class),
+  FOREIGN KEY (service_id) REFERENCES service_catalog(id)
+);
+
+-- Branch price that replaces the base price for a service and vehicle class
+CREATE TABLE IF NOT EXISTS branch_service_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  service_id INT NOT NULL,
+  vehicle_class VARCHAR(20) NOT NULL,
+  price DECIMAL(10,2) NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_branch_service_prices (branch_id, service_id, vehicle_class),
+  FOREIGN KEY (branch_id) REFERENCES branches(id),
+  FOREIGN KEY (service_id) REFERENCES service_catalog(id)
+);
+
+ALTER TABLE car_registry
+  ADD COLUMN service_code VARCHAR(30) NULL AFTER service,
+  ADD COLUMN vehicle_class VARCHAR(20) NULL AFTER service_code,
+  ADD COLUMN list_price DECIMAL(10,2) NULL AFTER amount,      -- catalog price when registered
+  ADD COLUMN price_override_status VARCHAR(20) NULL,          -- NULL (list price) | PENDING | APPROVED | REJECTED
+  ADD COLUMN price_override_reason VARCHAR(255) NULL,
+  ADD COLUMN price_override_reviewed_by VARCHAR(50) NULL,
+  ADD COLUMN price_override_reviewed_at TIMESTAMP NULL,
+  ADD INDEX idx_car_registry_price_override (price_override_status);
+
+INSERT IGNORE INTO service_catalog (code, name, description) VALUES
+  ('BODY_WASH', 'Body wash', 'Exterior wash and dry'),
+  ('FULL_WASH', 'Full wash', 'Exterior wash, interior vacuum and dashboard wipe'),
+  ('ENGINE', 'Engine wash', 'Engine bay degrease and rinse'),
+  ('INTERIOR', 'Interior cleaning', 'Vacuum, seats and mats shampoo'),
+  ('BUFFING', 'Buffing', 'Machine polish and wax');
+
+INSERT IGNORE INTO service_prices (service_id, vehicle_class, price)
+SELECT s.id, p.vehicle_class, p.price
+FROM service_catalog s
+INNER JOIN (
+  SELECT 'BODY_WASH' as code, 'MOTORCYCLE' as vehicle_class, 100 as price
+  UNION ALL SELECT 'BODY_WASH', 'SALOON', 300
+  UNION ALL SELECT 'BODY_WASH', 'SUV', 400
+  UNION ALL SELECT 'BODY_WASH', 'PICKUP', 400
+  UNION ALL SELECT 'BODY_WASH', 'VAN', 500
+  UNION ALL SELECT 'BODY_WASH', 'BUS', 800
+  UNION ALL SELECT 'BODY_WASH', 'TRUCK', 1000
+  UNION ALL SELECT 'FULL_WASH', 'MOTORCYCLE', 150
+  UNION ALL SELECT 'FULL_WASH', 'SALOON', 500
+  UNION ALL SELECT 'FULL_WASH', 'SUV', 700
+  UNION ALL SELECT 'FULL_WASH', 'PICKUP', 600
+  UNION ALL SELECT 'FULL_WASH', 'VAN', 800
+  UNION ALL SELECT 'FULL_WASH', 'BUS', 1500
+  UNION ALL SELECT 'FULL_WASH', 'TRUCK', 1500
+  UNION ALL SELECT 'ENGINE', 'MOTORCYCLE', 100
+  UNION ALL SELECT 'ENGINE', 'SALOON', 500
+  UNION ALL SELECT 'ENGINE', 'SUV', 600
+  UNION ALL SELECT 'ENGINE', 'PICKUP', 600
+  UNION ALL SELECT 'ENGINE', 'VAN', 600
+  UNION ALL SELECT 'ENGINE', 'BUS', 1000
+  UNION ALL SELECT 'ENGINE', 'TRUCK', 1000
+  UNION ALL SELECT 'INTERIOR', 'SALOON', 800
+  UNION ALL SELECT 'INTERIOR', 'SUV', 1000
+  UNION ALL SELECT 'INTERIOR', 'PICKUP', 800
+  UNION ALL SELECT 'INTERIOR', 'VAN', 1200
+  UNION ALL SELECT 'INTERIOR', 'BUS', 2500
+  UNION ALL SELECT 'INTERIOR', 'TRUCK', 1000
+  UNION ALL SELECT 'BUFFING', 'MOTORCYCLE', 500
+  UNION ALL SELECT 'BUFFING', 'SALOON', 1500
+  UNION ALL SELECT 'BUFFING', 'SUV', 2000
+  UNION ALL SELECT 'BUFFING', 'PICKUP', 2000
+  UNION ALL SELECT 'BUFFING', 'VAN', 2500
+  UNION ALL SELECT 'BUFFING', 'BUS', 4000
+  UNION ALL SELECT 'BUFFING', 'TRUCK', 4000
+) p ON p.code = s.code;
@@ -0,0 +1,115 @@
+-- Vehicle size classes: SALOON | SUV | VAN (vans and matatus) | PICKUP | LORRY | MOTORBIKE.
+-- A vehicle's class is inferred from vehicle_models when it is first seen (source
+-- LOOKUP) or set by hand (source MANUAL), and picks the catalog price.
+
+ALTER TABLE vehicles
+  ADD COLUMN vehicle_class VARCHAR(20) NULL AFTER model,
+  ADD COLUMN vehicle_class_source VARCHAR(10) NULL AFTER vehicle_class,   -- LOOKUP | MANUAL
+  ADD INDEX idx_vehicles_class (vehicle_class);
+
+-- Make/model lookup. A row with an empty model is the class for the whole make
+-- (empty, not NULL, so the unique index holds one such row per make).
+CREATE TABLE IF NOT EXISTS vehicle_models (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  make VARCHAR(50) NOT NULL,
+  model VARCHAR(50) NOT NULL DEFAULT '',
+  vehicle_class VARCHAR(20) NOT NULL,
+  UNIQUE INDEX idx_vehicle_models_make_model (make, model)
+);
+
+-- The catalog's classes follow the vehicle classes: motorcycles are MOTORBIKE,
+-- trucks are LORRY, and buses are priced as VAN like matatus
+UPDATE service_prices SET vehicle_class = 'MOTORBIKE' WHERE vehicle_class = 'MOTORCYCLE';
+UPDATE service_prices SET vehicle_class = 'LORRY' WHERE vehicle_class = 'TRUCK';
+DELETE FROM service_prices WHERE vehicle_class = 'BUS';
+UPDATE branch_service_prices SET vehicle_class = 'MOTORBIKE' WHERE vehicle_class = 'MOTORCYCLE';
+UPDATE branch_service_prices SET vehicle_class = 'LORRY' WHERE vehicle_class = 'TRUCK';
+DELETE FROM branch_service_prices WHERE vehicle_class = 'BUS';
+UPDATE car_registry SET vehicle_class = 'MOTORBIKE' WHERE vehicle_class = 'MOTORCYCLE';
+UPDATE car_registry SET vehicle_class = 'LORRY' WHERE vehicle_class = 'TRUCK';
+UPDATE car_registry SET vehicle_class = 'VAN' WHERE vehicle_class = 'BUS';
+
+INSERT IGNORE INTO vehicle_models (make, model, vehicle_class) VALUES
+  ('TOYOTA', 'AXIO', 'SALOON'),
+  ('TOYOTA', 'FIELDER', 'SALOON'),
+  ('TOYOTA', 'PREMIO', 'SALOON'),
+  ('TOYOTA', 'ALLION', 'SALOON'),
+  ('TOYOTA', 'COROLLA', 'SALOON'),
+  ('TOYOTA', 'VITZ', 'SALOON'),
+  ('TOYOTA', 'BELTA', 'SALOON'),
+  ('TOYOTA', 'MARK X', 'SALOON'),
+  ('TOYOTA', 'CAMRY', 'SALOON'),
+  ('TOYOTA', 'PROBOX', 'SALOON'),
+  ('TOYOTA', 'SIENTA', 'SALOON'),
+  ('TOYOTA', 'PRADO', 'SUV'),
+  ('TOYOTA', 'LAND CRUISER', 'SUV'),
+  ('TOYOTA', 'HARRIER', 'SUV'),
+  ('TOYOTA', 'RAV4', 'SUV'),
+  ('TOYOTA', 'VANGUARD', 'SUV'),
+  ('TOYOTA', 'KLUGER', 'SUV'),
+  ('TOYOTA', 'FORTUNER', 'SUV'),
+  ('TOYOTA', 'RUSH', 'SUV'),
+  ('TOYOTA', 'HIACE', 'VAN'),
+  ('TOYOTA', 'NOAH', 'VAN'),
+  ('TOYOTA', 'VOXY', 'VAN'),
+  ('TOYOTA', 'COASTER', 'VAN'),
+  ('TOYOTA', 'HILUX', 'PICKUP'),
+  ('TOYOTA', 'DYNA', 'LORRY'),
+  ('NISSAN', 'NOTE', 'SALOON'),
+  ('NISSAN', 'TIIDA', 'SALOON'),
+  ('NISSAN', 'SYLPHY', 'SALOON'),
+  ('NISSAN', 'WINGROAD', 'SALOON'),
+  ('NISSAN', 'X-TRAIL', 'SUV'),
+  ('NISSAN', 'DUALIS', 'SUV'),
+  ('NISSAN', 'PATROL', 'SUV'),
+  ('NISSAN', 'CARAVAN', 'VAN'),
+  ('NISSAN', 'NV350', 'VAN'),
+  ('NISSAN', 'SERENA', 'VAN'),
+  ('NISSAN', 'NAVARA', 'PICKUP'),
+  ('NISSAN', 'HARDBODY', 'PICKUP'),
+  ('NISSAN', 'UD', 'LORRY'),
+  ('SUBARU', 'IMPREZA', 'SALOON'),
+  ('SUBARU', 'LEGACY', 'SALOON'),
+  ('SUBARU', 'FORESTER', 'SUV'),
+  ('SUBARU', 'OUTBACK', 'SUV'),
+  ('SUBARU', 'XV', 'SUV'),
+  ('MAZDA', 'DEMIO', 'SALOON'),
+  ('MAZDA', 'AXELA', 'SALOON'),
+  ('MAZDA', 'ATENZA', 'SALOON'),
+  ('MAZDA', 'CX-5', 'SUV'),
+  ('MAZDA', 'BT-50', 'PICKUP'),
+  ('HONDA', 'FIT', 'SALOON'),
+  ('HONDA', 'CIVIC', 'SALOON'),
+  ('HONDA', 'CR-V', 'SUV'),
+  ('HONDA', 'VEZEL', 'SUV'),
+  ('MITSUBISHI', 'OUTLANDER', 'SUV'),
+  ('MITSUBISHI', 'PAJERO', 'SUV'),
+  ('MITSUBISHI', 'L200', 'PICKUP'),
+  ('MITSUBISHI', 'CANTER', 'LORRY'),
+  ('MITSUBISHI', 'FUSO', 'LORRY'),
+  ('ISUZU', 'D-MAX', 'PICKUP'),
+  ('ISUZU', 'MU-X', 'SUV'),
+  ('ISUZU', 'NQR', 'LORRY'),
+  ('ISUZU', 'NPR', 'LORRY'),
+  ('ISUZU', 'FRR', 'LORRY'),
+  ('ISUZU', 'FVZ', 'LORRY'),
+  ('VOLKSWAGEN', 'GOLF', 'SALOON'),
+  ('VOLKSWAGEN', 'POLO', 'SALOON'),
+  ('VOLKSWAGEN', 'TOUAREG', 'SUV'),
+  ('MERCEDES', 'SPRINTER', 'VAN'),
+  ('MERCEDES', 'ACTROS', 'LORRY'),
+  ('LAND ROVER', '', 'SUV'),
+  ('RANGE ROVER', '', 'SUV'),
+  ('JEEP', '', 'SUV'),
+  ('HINO', '', 'LORRY'),
+  ('SCANIA', '', 'LORRY'),
+  ('TATA', '', 'LORRY'),
+  ('BAJAJ', '', 'MOTORBIKE'),
+  ('BOXER', '', 'MOTORBIKE'),
+  ('TVS', '', 'MOTORBIKE'),
+  ('YAMAHA', '', 'MOTORBIKE'),
+  ('SUZUKI', 'SWIFT', 'SALOON'),
+  ('SUZUKI', 'ALTO', 'SALOON'),
+  ('SUZUKI', 'ESCUDO', 'SUV'),
+  ('SUZUKI', 'VITARA', 'SUV'),
+  ('SUZUKI', 'EVERY', 'VAN');
@@ -0,0 +1,43 @@
+-- Number plates are stored in one canonical form: upper case letters and digits
+-- only ("kdg 123a", "KDG-123 A" -> KDG123A). plate_format records which format a
+-- plate matched (PRIVATE | MOTORCYCLE | GOVERNMENT | DIPLOMATIC | TRAILER | FOREIGN)
+-- or UNRECOGNISED for plates to check. Patterns match services/plateService.js.
+
+ALTER TABLE car_registry
+  ADD COLUMN plate_format VARCHAR(20) NULL AFTER regno,
+  ADD INDEX idx_car_registry_plate_format (plate_format);
+
+ALTER TABLE vehicles
+  ADD COLUMN plate_format VARCHAR(20) NULL AFTER license_plate,
+  ADD INDEX idx_vehicles_plate_format (plate_format);
+
+UPDATE car_registry
+SET regno = UPPER(REGEXP_REPLACE(regno, '[^A-Za-z0-9]', ''));
+
+-- A vehicle whose canonical plate already belongs to another vehicle is left as
+-- typed; it is the same car registered twice and has to be merged
+UPDATE IGNORE vehicles
+SET license_plate = UPPER(REGEXP_REPLACE(license_plate, '[^A-Za-z0-9]', ''));
+
+UPDATE car_registry
+SET plate_format = CASE
+  WHEN regno REGEXP '^K[A-D][A-Z][0-9]{3}[A-Z]$' THEN 'PRIVATE'
+  WHEN regno REGEXP '^KM[A-Z]{2}[0-9]{3}[A-Z]$' THEN 'MOTORCYCLE'
+  WHEN regno REGEXP '^GK[A-Z]?[0-9]{3}[A-Z]$' THEN 'GOVERNMENT'
+  WHEN regno REGEXP '^[0-9]{1,3}CD[0-9]{1,4}[A-Z]?$' THEN 'DIPLOMATIC'
+  WHEN regno REGEXP '^Z[A-Z][0-9]{4}$' THEN 'TRAILER'
+  WHEN regno REGEXP '^(U[A-Z]{2}[0-9]{3}[A-Z]|T[0-9]{3}[A-Z]{3}|R[A-Z]{2}[0-9]{3}[A-Z])$' THEN 'FOREIGN'
+  ELSE 'UNRECOGNISED'
+END;
+
+UPDATE vehicles
+SET plate_format = CASE
+  WHEN license_plate REGEXP '[^A-Z0-9]' THEN NULL
+  WHEN license_plate REGEXP '^K[A-D][A-Z][0-9]{3}[A-Z]$' THEN 'PRIVATE'
+  WHEN license_plate REGEXP '^KM[A-Z]{2}[0-9]{3}[A-Z]$' THEN 'MOTORCYCLE'
+  WHEN license_plate REGEXP '^GK[A-Z]?[0-9]{3}[A-Z]$' THEN 'GOVERNMENT'
+  WHEN license_plate REGEXP '^[0-9]{1,3}CD[0-9]{1,4}[A-Z]?$' THEN 'DIPLOMATIC'
+  WHEN license_plate REGEXP '^Z[A-Z][0-9]{4}$' THEN 'TRAILER'
+  WHEN license_plate REGEXP '^(U[A-Z]{2}[0-9]{3}[A-Z]|T[0-9]{3}[A-Z]{3}|R[A-Z]{2}[0-9]{3}[A-Z])$' THEN 'FOREIGN'
+  ELSE 'UNRECOGNISED'
+END;
@@ -0,0 +1,29 @@
+-- Merges of duplicate vehicles (the same car registered under a mistyped plate).
+-- The merged vehicle's visits, offers and car registrations move to the surviving
+-- vehicle and the merged vehicle is removed. Everything needed to undo the merge
+-- is kept here: both vehicles and their stats as they were, and the IDs of the
+-- car registrations and offers that were moved.
+
+CREATE TABLE IF NOT EXISTS vehicle_merges (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  survivor_id INT NOT NULL,
+  merged_id INT NOT NULL,
+  survivor_plate VARCHAR(20) NOT NULL,
+  merged_plate VARCHAR(20) NOT NULL,
+  survivor_snapshot JSON NOT NULL,             -- survivor's vehicles row before the merge
+  merged_snapshot JSON NOT NULL,               -- merged vehicles row
+  survivor_stats JSON NULL,                    -- vehicle_stats rows before the merge
+  merged_stats JSON NULL,
+  car_registry_ids JSON NOT NULL,              -- car_registry rows moved to the survivor's plate
+  vehicle_offer_ids JSON NOT NULL,             -- vehicle_offers rows moved to the survivor
+  match_reasons VARCHAR(100) NULL,             -- e.g. OCR_CONFUSABLE,SHARED_PHONE
+  reason VARCHAR(255) NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'MERGED', -- MERGED | UNDONE
+  merged_by VARCHAR(50) NULL,
+  merged_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  undone_by VARCHAR(50) NULL,
+  undone_at DATETIME NULL,
+  INDEX idx_vehicle_merges_survivor (survivor_id),
+  INDEX idx_vehicle_merges_merged (merged_id),
+  INDEX idx_vehicle_merges_status (status)
+);
@@ -0,0 +1,106 @@
+-- Customers: one contact record per person, owning any number of vehicles and
+-- shared with carpet clients. Loyalty is counted per customer (customer_stats)
+-- as well as per vehicle, and an offer can be issued to a customer instead of a
+-- single vehicle. vehicles.owner_name / phone_number / email stay as a copy of
+-- the customer's details for existing reports.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NULL,
+  phone_number VARCHAR(20) NULL,               -- 2547XXXXXXXX where it is a Kenyan mobile
+  email VARCHAR(100) NULL,
+  notes VARCHAR(255) NULL,
+  migration_key VARCHAR(50) NULL,              -- dropped at the end of this migration
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_customers_phone (phone_number),
+  INDEX idx_customers_name (name),
+  INDEX idx_customers_migration_key (migration_key)
+);
+
+CREATE TABLE IF NOT EXISTS customer_stats (
+  customer_id INT PRIMARY KEY,
+  total_visits INT NOT NULL DEFAULT 0,
+  current_visit_count INT NOT NULL DEFAULT 0,  -- visits towards the next offer
+  total_offers_earned INT NOT NULL DEFAULT 0,
+  total_offers_used INT NOT NULL DEFAULT 0,
+  last_visit_date TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+);
+
+ALTER TABLE vehicles
+  ADD COLUMN customer_id INT NULL AFTER id,
+  ADD INDEX idx_vehicles_customer (customer_id);
+
+ALTER TABLE carpet_clients
+  ADD COLUMN customer_id INT NULL,
+  ADD INDEX idx_carpet_clients_customer (customer_id);
+
+-- An offer belongs to a vehicle, or to a customer and any of their vehicles
+ALTER TABLE vehicle_offers
+  MODIFY COLUMN vehicle_id INT NULL,
+  ADD COLUMN customer_id INT NULL AFTER vehicle_id,
+  ADD INDEX idx_vehicle_offers_customer (customer_id);
+
+-- Existing owner details, with phones in one form so the same person matches
+CREATE TEMPORARY TABLE customer_contacts AS
+SELECT 'VEHICLE' as source, id as source_id, owner_name as name, email, phone_number as phone
+FROM vehicles
+WHERE owner_name IS NOT NULL OR phone_number IS NOT NULL OR email IS NOT NULL
+UNION ALL
+SELECT 'CARPET', id, client_name, NULL, phone
+FROM carpet_clients;
+
+UPDATE customer_contacts SET phone = REGEXP_REPLACE(COALESCE(phone, ''), '[^0-9]', '');
+UPDATE customer_contacts SET phone = CONCAT('254', SUBSTRING(phone, 2)) WHERE phone REGEXP '^0[17][0-9]{8}$';
+UPDATE customer_contacts SET phone = CONCAT('254', phone) WHERE phone REGEXP '^[17][0-9]{8}$';
+
+-- One customer per phone number; a contact without a phone is a customer of its own
+INSERT INTO customers (name, phone_number, email, migration_key)
+SELECT MAX(name), phone, MAX(email), CONCAT('PHONE:', phone)
+FROM customer_contacts
+WHERE phone <> ''
+GROUP BY phone;
+
+INSERT INTO customers (name, email, migration_key)
+SELECT name, email, CONCAT(source, ':', source_id)
+FROM customer_contacts
+WHERE phone = '';
+
+UPDATE vehicles v
+JOIN customer_contacts cc ON cc.source = 'VEHICLE' AND cc.source_id = v.id
+JOIN customers c ON c.migration_key = IF(cc.phone <> '', CONCAT('PHONE:', cc.phone), CONCAT('VEHICLE:', v.id))
+SET v.customer_id = c.id;
+
+UPDATE carpet_clients cl
+JOIN customers c ON c.migration_key = CONCAT('CARPET:', cl.id)
+SET cl.customer_id = c.id;
+
+UPDATE carpet_clients cl
+JOIN customers c ON c.phone_number = CASE
+    WHEN REGEXP_REPLACE(COALESCE(cl.phone, ''), '[^0-9]', '') REGEXP '^0[17][0-9]{8}$'
+      THEN CONCAT('254', SUBSTRING(REGEXP_REPLACE(cl.phone, '[^0-9]', ''), 2))
+    WHEN REGEXP_REPLACE(COALESCE(cl.phone, ''), '[^0-9]', '') REGEXP '^[17][0-9]{8}$'
+      THEN CONCAT('254', REGEXP_REPLACE(cl.phone, '[^0-9]', ''))
+    ELSE REGEXP_REPLACE(COALESCE(cl.phone, ''), '[^0-9]', '')
+  END
+SET cl.customer_id = c.id
+WHERE cl.customer_id IS NULL;
+
+DROP TEMPORARY TABLE customer_contacts;
+
+ALTER TABLE customers
+  DROP INDEX idx_customers_migration_key,
+  DROP COLUMN migration_key;
+
+-- Customer loyalty starts from the visits of their vehicles
+INSERT INTO customer_stats (customer_id, total_visits, current_visit_count, total_offers_earned,
+                            total_offers_used, last_visit_date)
+SELECT v.customer_id, SUM(vs.total_visits), SUM(vs.current_visit_count), SUM(vs.total_offers_earned),
+       SUM(vs.total_offers_used), MAX(vs.last_visit_date)
+FROM vehicle_stats vs
+JOIN vehicles v ON v.id = vs.vehicle_id
+WHERE v.customer_id IS NOT NULL
+GROUP BY v.customer_id;
@@ -0,0 +1,107 @@
+-- Corporate and fleet accounts (taxi companies, car hire firms, dealerships) that
+-- wash on credit and pay monthly. A wash is charged to an account when its plate
+-- or its driver is authorised on the account; the charge is an ACCOUNT tender in
+-- payments, priced at the account's contract price where it has one. Charges are
+-- billed on invoices, which are paid like any job (payments.source = 'INVOICE').
+
+CREATE TABLE IF NOT EXISTS corporate_accounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_code VARCHAR(20) NOT NULL,            -- printed on receipts and invoices, e.g. UBER01
+  name VARCHAR(150) NOT NULL,
+  account_type VARCHAR(20) NOT NULL DEFAULT 'CORPORATE', -- FLEET | CAR_HIRE | DEALERSHIP | CORPORATE
+  contact_name VARCHAR(100) NULL,
+  phone_number VARCHAR(20) NULL,
+  email VARCHAR(100) NULL,
+  billing_address VARCHAR(255) NULL,
+  tax_pin VARCHAR(20) NULL,                     -- KRA PIN for the invoice
+  credit_limit DECIMAL(12,2) NOT NULL DEFAULT 0, -- unbilled plus unpaid invoiced charges may not exceed this
+  payment_terms_days INT NOT NULL DEFAULT 30,   -- invoice due date after issue
+  status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE', -- ACTIVE | SUSPENDED | CLOSED
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_corporate_accounts_code (account_code),
+  INDEX idx_corporate_accounts_status (status)
+);
+
+-- Plates that may be washed on the account
+CREATE TABLE IF NOT EXISTS corporate_account_vehicles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_id INT NOT NULL,
+  license_plate VARCHAR(20) NOT NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  added_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_corporate_account_vehicles (account_id, license_plate),
+  INDEX idx_corporate_account_vehicles_plate (license_plate),
+  FOREIGN KEY (account_id) REFERENCES corporate_accounts(id)
+);
+
+-- Drivers who may bring any car to be washed on the account
+CREATE TABLE IF NOT EXISTS corporate_account_drivers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  phone_number VARCHAR(20) NULL,
+  id_number VARCHAR(20) NULL,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_corporate_account_drivers_phone (account_id, phone_number),
+  FOREIGN KEY (account_id) REFERENCES corporate_accounts(id)
+);
+
+-- Contract price of a service for a vehicle class, replacing the branch and base price
+CREATE TABLE IF NOT EXISTS corporate_account_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  account_id INT NOT NULL,
+  service_id INT NOT NULL,
+  vehicle_class VARCHAR(20) NOT NULL,
+  price DECIMAL(10,2) NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_corporate_account_prices (account_id, service_id, vehicle_class),
+  FOREIGN KEY (account_id) REFERENCES corporate_accounts(id),
+  FOREIGN KEY (service_id) REFERENCES service_catalog(id)
+);
+
+-- amount, tip_amount and excess_amount let payments settle an invoice the way
+-- they settle a job; excess_amount is anything paid over the invoice total
+CREATE TABLE IF NOT EXISTS corporate_invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_number VARCHAR(30) NOT NULL,          -- <account_code>-<sequence>, e.g. UBER01-0003
+  account_id INT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  issue_date DATE NOT NULL,
+  due_date DATE NOT NULL,
+  wash_count INT NOT NULL DEFAULT 0,
+  amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+  tip_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  excess_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'ISSUED', -- ISSUED | VOID (paid is worked out from payments)
+  created_by VARCHAR(50) NULL,
+  voided_by VARCHAR(50) NULL,
+  voided_at TIMESTAMP NULL,
+  void_reason VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_corporate_invoices_number (invoice_number),
+  INDEX idx_corporate_invoices_account (account_id, status),
+  FOREIGN KEY (account_id) REFERENCES corporate_accounts(id)
+);
+
+-- Account charges billed on an invoice; a charge is on at most one live invoice
+CREATE TABLE IF NOT EXISTS corporate_invoice_lines (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id INT NOT NULL,
+  car_registry_id VARCHAR(20) NOT NULL,
+  payment_id VARCHAR(36) NOT NULL,              -- the ACCOUNT tender billed
+  amount DECIMAL(10,2) NOT NULL,
+  UNIQUE INDEX idx_corporate_invoice_lines_payment (payment_id),
+  INDEX idx_corporate_invoice_lines_invoice (invoice_id),
+  FOREIGN KEY (invoice_id) REFERENCES corporate_invoices(id)
+);
+
+ALTER TABLE car_registry
+  ADD COLUMN account_id INT NULL,
+  ADD COLUMN account_driver_id INT NULL,
+  ADD COLUMN account_order_ref VARCHAR(50) NULL, -- the account's own order or voucher number
+  ADD INDEX idx_car_registry_account (account_id);
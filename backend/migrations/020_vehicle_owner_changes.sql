@@ -0,0 +1,19 @@
+-- History of a vehicle's owner details (name, phone, email) for the vehicle
+-- timeline. A row is written whenever the details change, whether edited on
+-- the vehicle or copied over from its customer.
+
+CREATE TABLE IF NOT EXISTS vehicle_owner_changes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  vehicle_id INT NOT NULL,
+  customer_id INT NULL,
+  old_owner_name VARCHAR(100) NULL,
+  new_owner_name VARCHAR(100) NULL,
+  old_phone_number VARCHAR(20) NULL,
+  new_phone_number VARCHAR(20) NULL,
+  old_email VARCHAR(100) NULL,
+  new_email VARCHAR(100) NULL,
+  source VARCHAR(20) NOT NULL,                  -- VEHICLE (edited on the vehicle) | CUSTOMER (copied from the customer)
+  changed_by VARCHAR(50) NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_vehicle_owner_changes_vehicle (vehicle_id, changed_at)
+);
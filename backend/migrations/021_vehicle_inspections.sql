@@ -0,0 +1,63 @@
+-- Check-in inspections: the state a car arrived in, recorded before it is washed
+-- so damage claims can be settled. One inspection per car_registry entry, with a
+-- checklist of loose items, damage marked on zones of the vehicle diagram and
+-- timestamped photos from before and after the wash. The customer acknowledges
+-- it by signing on screen or with a one-time code sent to their phone; after
+-- that only AFTER photos can be added.
+
+CREATE TABLE IF NOT EXISTS vehicle_inspections (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  car_registry_id VARCHAR(20) NOT NULL,
+  license_plate VARCHAR(20) NOT NULL,
+  branch_id VARCHAR(10) NULL,
+  checklist JSON NULL,                          -- { SPARE_WHEEL: 'PRESENT' | 'MISSING', ... }
+  notes TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'OPEN',   -- OPEN | ACKNOWLEDGED
+  ack_method VARCHAR(20) NULL,                  -- SIGNATURE | OTP
+  ack_name VARCHAR(100) NULL,                   -- who acknowledged, as given
+  ack_phone VARCHAR(20) NULL,                   -- phone the code was sent to
+  signature_url VARCHAR(255) NULL,
+  otp_hash VARCHAR(64) NULL,                    -- sha256 of the pending code
+  otp_expires_at DATETIME NULL,
+  otp_attempts INT NOT NULL DEFAULT 0,
+  acknowledged_at DATETIME NULL,
+  inspected_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_vehicle_inspections_car (car_registry_id),
+  INDEX idx_vehicle_inspections_plate (license_plate, created_at),
+  INDEX idx_vehicle_inspections_status (status)
+);
+
+-- Existing damage marked on the vehicle diagram
+CREATE TABLE IF NOT EXISTS vehicle_inspection_damages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  inspection_id INT NOT NULL,
+  zone VARCHAR(30) NOT NULL,                    -- FRONT_BUMPER, BONNET, LEFT_FRONT_DOOR, ...
+  damage_type VARCHAR(20) NOT NULL,             -- DENT | SCRATCH | CRACK | CHIP | RUST | OTHER
+  severity VARCHAR(10) NOT NULL DEFAULT 'MINOR', -- MINOR | MAJOR
+  pos_x DECIMAL(5,2) NULL,                      -- mark on the diagram, % of its width
+  pos_y DECIMAL(5,2) NULL,                      -- and height
+  notes VARCHAR(255) NULL,
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_vehicle_inspection_damages (inspection_id),
+  FOREIGN KEY (inspection_id) REFERENCES vehicle_inspections(id)
+);
+
+CREATE TABLE IF NOT EXISTS vehicle_inspection_photos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  inspection_id INT NOT NULL,
+  stage VARCHAR(10) NOT NULL,                   -- BEFORE | AFTER (the wash)
+  zone VARCHAR(30) NULL,
+  damage_id INT NULL,
+  filename VARCHAR(255) NOT NULL,
+  url VARCHAR(255) NOT NULL,
+  mimetype VARCHAR(50) NULL,
+  size INT NULL,
+  taken_at DATETIME NOT NULL,                   -- from the device when given, else upload time
+  uploaded_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_vehicle_inspection_photos (inspection_id, stage),
+  FOREIGN KEY (inspection_id) REFERENCES vehicle_inspections(id)
+);
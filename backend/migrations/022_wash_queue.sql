@@ -0,0 +1,67 @@
+-- Live wash queue. Every car_registry entry becomes a wash job that moves
+-- through QUEUED -> IN_BAY -> WASHING -> DRYING -> QUALITY_CHECK -> READY ->
+-- COLLECTED (or CANCELLED), in a bay of its branch, worked by assigned
+-- attendants. Each state change is kept with who made it and when.
+
+CREATE TABLE IF NOT EXISTS branch_bays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  name VARCHAR(50) NOT NULL,                    -- e.g. Bay 1, Lane A
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_branch_bays_name (branch_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS wash_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  car_registry_id VARCHAR(20) NOT NULL,
+  branch_id VARCHAR(10) NOT NULL,
+  license_plate VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'QUEUED', -- QUEUED | IN_BAY | WASHING | DRYING | QUALITY_CHECK | READY | COLLECTED | CANCELLED
+  bay_id INT NULL,                              -- held from IN_BAY until READY
+  priority INT NOT NULL DEFAULT 0,              -- higher goes first in the queue
+  notes VARCHAR(255) NULL,
+  queued_at DATETIME NOT NULL,
+  in_bay_at DATETIME NULL,                      -- latest time the job entered each state
+  washing_at DATETIME NULL,
+  drying_at DATETIME NULL,
+  quality_check_at DATETIME NULL,
+  ready_at DATETIME NULL,
+  collected_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  cancel_reason VARCHAR(255) NULL,
+  created_by VARCHAR(50) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_wash_jobs_car (car_registry_id),
+  INDEX idx_wash_jobs_branch_status (branch_id, status),
+  INDEX idx_wash_jobs_bay (bay_id, status)
+);
+
+-- Every state change of a job
+CREATE TABLE IF NOT EXISTS wash_job_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  job_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,                 -- NULL when the job is created
+  to_status VARCHAR(20) NOT NULL,
+  bay_id INT NULL,
+  notes VARCHAR(255) NULL,
+  changed_by VARCHAR(50) NULL,
+  changed_at DATETIME NOT NULL,
+  INDEX idx_wash_job_events_job (job_id, changed_at),
+  FOREIGN KEY (job_id) REFERENCES wash_jobs(id)
+);
+
+-- Attendants working a job
+CREATE TABLE IF NOT EXISTS wash_job_attendants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  job_id INT NOT NULL,
+  attendant_id VARCHAR(50) NOT NULL,
+  assigned_by VARCHAR(50) NULL,
+  assigned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_wash_job_attendants (job_id, attendant_id),
+  INDEX idx_wash_job_attendants_attendant (attendant_id),
+  FOREIGN KEY (job_id) REFERENCES wash_jobs(id)
+);
@@ -0,0 +1,15 @@
+-- Real-time events pushed to devices over /api/events/stream (server-sent events).
+-- Every event is kept for a while so a client that reconnects with the last
+-- event ID it saw gets what it missed. branch_id NULL marks events that are not
+-- tied to a branch (e.g. corporate invoice payments); only clients watching all
+-- branches receive them.
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NULL,
+  type VARCHAR(50) NOT NULL,                    -- queue.changed | car.registered | payment.confirmed | stock.low
+  payload JSON NOT NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_realtime_events_branch (branch_id, id),
+  INDEX idx_realtime_events_created (created_at)
+);
@@ -0,0 +1,62 @@
+-- Appointments. Long jobs (detailing, buffing) are booked into a bay of a
+-- branch for the length of the service, inside the branch's opening hours, so
+-- walk-ins are not sent into a bay that is promised to someone. Bays can be
+-- kept for walk-ins only. A booked appointment is checked in (turned into a
+-- car_registry entry and queued), cancelled, or marked as a no-show.
+
+ALTER TABLE service_catalog
+  ADD COLUMN duration_minutes INT NOT NULL DEFAULT 30 AFTER description,  -- how long a bay is held
+  ADD COLUMN is_bookable TINYINT(1) NOT NULL DEFAULT 0 AFTER duration_minutes;
+
+UPDATE service_catalog SET duration_minutes = 20 WHERE code = 'BODY_WASH';
+UPDATE service_catalog SET duration_minutes = 40 WHERE code = 'FULL_WASH';
+UPDATE service_catalog SET duration_minutes = 30 WHERE code = 'ENGINE';
+UPDATE service_catalog SET duration_minutes = 90, is_bookable = 1 WHERE code = 'INTERIOR';
+UPDATE service_catalog SET duration_minutes = 180, is_bookable = 1 WHERE code = 'BUFFING';
+
+ALTER TABLE branch_bays
+  ADD COLUMN is_bookable TINYINT(1) NOT NULL DEFAULT 1 AFTER is_active;  -- 0 keeps the bay for walk-ins
+
+-- Weekly opening hours; a day without a row (or marked closed) takes no bookings
+CREATE TABLE IF NOT EXISTS branch_opening_hours (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  day_of_week TINYINT NOT NULL,                 -- 0 Sunday .. 6 Saturday
+  opens_at TIME NULL,
+  closes_at TIME NULL,
+  is_closed TINYINT(1) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_branch_opening_hours_day (branch_id, day_of_week)
+);
+
+CREATE TABLE IF NOT EXISTS appointments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  bay_id INT NOT NULL,                          -- bay held from starts_at to ends_at
+  service_id INT NOT NULL,
+  service_code VARCHAR(30) NOT NULL,
+  vehicle_class VARCHAR(20) NULL,
+  license_plate VARCHAR(20) NOT NULL,
+  model VARCHAR(100) NULL,
+  customer_name VARCHAR(100) NULL,
+  phone_number VARCHAR(20) NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'BOOKED', -- BOOKED | CHECKED_IN | CANCELLED | NO_SHOW
+  notes VARCHAR(255) NULL,
+  reschedule_count INT NOT NULL DEFAULT 0,
+  cancel_reason VARCHAR(255) NULL,
+  car_registry_id VARCHAR(20) NULL,             -- set on check-in
+  created_by VARCHAR(50) NULL,
+  checked_in_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  no_show_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_appointments_branch (branch_id, starts_at),
+  INDEX idx_appointments_bay (bay_id, starts_at, ends_at),
+  INDEX idx_appointments_plate (license_plate),
+  INDEX idx_appointments_status (status),
+  FOREIGN KEY (service_id) REFERENCES service_catalog(id),
+  FOREIGN KEY (bay_id) REFERENCES branch_bays(id)
+);
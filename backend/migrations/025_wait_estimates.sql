@@ -0,0 +1,25 @@
+-- Wait and ready-time estimates. Attendants clock in and out of a branch so
+-- the queue knows how many cars can be worked at once. Each wash job keeps the
+-- start and ready times promised to the customer when it was queued (or when
+-- the promise was changed), with what the estimate was based on, so promises
+-- can be compared with when cars were actually ready.
+
+CREATE TABLE IF NOT EXISTS attendant_shifts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  branch_id VARCHAR(10) NOT NULL,
+  attendant_id VARCHAR(50) NOT NULL,
+  started_at DATETIME NOT NULL,
+  ended_at DATETIME NULL,                       -- NULL while on shift
+  started_by VARCHAR(50) NULL,
+  ended_by VARCHAR(50) NULL,
+  INDEX idx_attendant_shifts_open (branch_id, ended_at),
+  INDEX idx_attendant_shifts_attendant (attendant_id, ended_at)
+);
+
+ALTER TABLE wash_jobs
+  ADD COLUMN promised_start_at DATETIME NULL AFTER priority,
+  ADD COLUMN promised_ready_at DATETIME NULL AFTER promised_start_at,
+  ADD COLUMN promise_basis JSON NULL AFTER promised_ready_at,          -- queue, lanes and duration source used
+  ADD COLUMN promised_by VARCHAR(50) NULL AFTER promise_basis,
+  ADD COLUMN promised_at DATETIME NULL AFTER promised_by,
+  ADD INDEX idx_wash_jobs_promised (branch_id, promised_at);
@@ -0,0 +1,8 @@
+-- Replaced M-Pesa pushes. Re-pushing an unconfirmed STK payment or taking cash
+-- in its place marks the old row REPLACED and links it to its replacement, so a
+-- late Daraja callback for it is recorded as LATE (to refund or reconcile)
+-- instead of confirming it a second time.
+
+ALTER TABLE payments
+  ADD COLUMN replaced_by VARCHAR(36) NULL AFTER related_payment_id,
+  ADD INDEX idx_payments_replaced_by (replaced_by);
@@ -0,0 +1,5 @@
+-- Who entered a manual price override (at registration or on a later edit), so
+-- the same person cannot approve it.
+
+ALTER TABLE car_registry
+  ADD COLUMN price_override_by VARCHAR(50) NULL AFTER price_override_reason;
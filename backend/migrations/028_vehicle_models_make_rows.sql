@@ -0,0 +1,13 @@
+-- A whole-make row in vehicle_models had a NULL model, and a unique index does
+-- not compare NULLs, so setting a make's class added a row each time instead of
+-- changing it. Whole-make rows now have an empty model; keep the latest of any
+-- duplicates.
+
+DELETE older FROM vehicle_models older
+  JOIN vehicle_models newer
+    ON newer.make = older.make AND newer.model IS NULL AND older.model IS NULL AND newer.id > older.id;
+
+UPDATE vehicle_models SET model = '' WHERE model IS NULL;
+
+ALTER TABLE vehicle_models
+  MODIFY COLUMN model VARCHAR(50) NOT NULL DEFAULT '';
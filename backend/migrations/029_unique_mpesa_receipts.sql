@@ -0,0 +1,9 @@
+-- An M-Pesa receipt number is paid in once. Two deliveries of the same C2B
+-- confirmation arriving together could both find no payment for it and both
+-- record one; the unique index lets only the first through.
+
+ALTER TABLE payments
+  ADD COLUMN mpesa_receipt VARCHAR(100) GENERATED ALWAYS AS (
+    IF(payment_mode = 'MPESA' AND transaction_type = 'credit' AND status = 'CONFIRMED', ref, NULL)
+  ) STORED,
+  ADD UNIQUE INDEX idx_payments_mpesa_receipt (mpesa_receipt);
@@ -0,0 +1,9 @@
+-- A merge also moves the merged vehicle's corporate account authorisations,
+-- owner change history, inspections and appointments to the survivor; the rows
+-- moved are recorded so undo can put them back. Older merges moved none.
+
+ALTER TABLE vehicle_merges
+  ADD COLUMN account_vehicle_ids JSON NULL AFTER vehicle_offer_ids,  -- corporate_account_vehicles rows moved to the survivor's plate
+  ADD COLUMN owner_change_ids JSON NULL AFTER account_vehicle_ids,   -- vehicle_owner_changes rows moved to the survivor
+  ADD COLUMN inspection_ids JSON NULL AFTER owner_change_ids,        -- vehicle_inspections rows moved to the survivor's plate
+  ADD COLUMN appointment_ids JSON NULL AFTER inspection_ids;         -- appointments moved to the survivor's plate
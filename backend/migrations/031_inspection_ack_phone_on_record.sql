@@ -0,0 +1,6 @@
+-- Whether the phone an inspection code went to is the vehicle owner's or the
+-- customer's number on record, or one typed in by staff at the counter. The
+-- acknowledgement and its PDF say so.
+
+ALTER TABLE vehicle_inspections
+  ADD COLUMN ack_phone_on_record TINYINT(1) NULL AFTER ack_phone;  -- 0: entered by staff
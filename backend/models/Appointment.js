@@ -0,0 +1,225 @@
+const { db } = require('../config/db');
+
+// Appointments with their service and bay
+const APPOINTMENT_SELECT = `
+  SELECT a.*, sc.name as service_name, sc.duration_minutes, bb.name as bay_name, b.name as branch_name
+  FROM appointments a
+  LEFT JOIN service_catalog sc ON sc.id = a.service_id
+  LEFT JOIN branch_bays bb ON bb.id = a.bay_id
+  LEFT JOIN branches b ON b.id = a.branch_id
+`;
+
+/**
+ * Appointment model: bookings of a service in a bay of a branch (MySQL Version)
+ * Statuses: BOOKED, CHECKED_IN, CANCELLED, NO_SHOW
+ */
+class Appointment {
+  /**
+   * Create an appointment
+   * @param {Object} appointmentData - { branch_id, bay_id, service_id, service_code, vehicle_class,
+   *   license_plate, model, customer_name, phone_number, starts_at, ends_at, notes, created_by }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Appointment ID
+   */
+  static async create(appointmentData, connection = db) {
+    const {
+      branch_id, bay_id, service_id, service_code, vehicle_class = null, license_plate, model = null,
+      customer_name = null, phone_number = null, starts_at, ends_at, notes = null, created_by = null
+    } = appointmentData;
+
+    const query = `
+      INSERT INTO appointments (branch_id, bay_id, service_id, service_code, vehicle_class, license_plate,
+                                model, customer_name, phone_number, starts_at, ends_at, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [
+        branch_id, bay_id, service_id, service_code, vehicle_class, license_plate,
+        model, customer_name, phone_number, starts_at, ends_at, notes, created_by
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find appointment by ID
+   * @param {number} id - Appointment ID
+   * @param {Object} connection - Optional connection; the row is locked when given
+   * @returns {Promise<Object>} Appointment data
+   */
+  static async findById(id, connection = null) {
+    try {
+      if (connection) {
+        await connection.execute('SELECT id FROM appointments WHERE id = ? FOR UPDATE', [id]);
+      }
+      const [appointments] = await (connection || db).execute(`${APPOINTMENT_SELECT} WHERE a.id = ?`, [id]);
+      return appointments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all appointments with optional filtering
+   * @param {Object} filters - Filter criteria (branch_id, date: YYYY-MM-DD, statuses, license_plate, phone_number)
+   * @returns {Promise<Array>} Appointments, earliest first
+   */
+  static async findAll(filters = {}) {
+    let query = `${APPOINTMENT_SELECT} WHERE 1=1`;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND a.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.date) {
+      query += ` AND DATE(a.starts_at) = ?`;
+      values.push(filters.date);
+    }
+
+    if (filters.statuses && filters.statuses.length > 0) {
+      query += ` AND a.status IN (${filters.statuses.map(() => '?').join(', ')})`;
+      values.push(...filters.statuses);
+    }
+
+    if (filters.license_plate) {
+      query += ` AND a.license_plate = ?`;
+      values.push(filters.license_plate);
+    }
+
+    if (filters.phone_number) {
+      query += ` AND a.phone_number = ?`;
+      values.push(filters.phone_number);
+    }
+
+    query += ' ORDER BY a.starts_at, a.id';
+
+    try {
+      const [appointments] = await db.execute(query, values);
+      return appointments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Appointments holding bays of a branch at any time in a period
+   * @param {string} branchId - Branch ID
+   * @param {Date} from - Period start
+   * @param {Date} to - Period end
+   * @param {Array<string>} statuses - Statuses that hold a bay
+   * @param {number} excludeId - Appointment to leave out (the one being rescheduled)
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Array>} { id, bay_id, starts_at, ends_at }
+   */
+  static async findOverlapping(branchId, from, to, statuses, excludeId = null, connection = db) {
+    const query = `
+      SELECT id, bay_id, starts_at, ends_at, license_plate, car_registry_id
+      FROM appointments
+      WHERE branch_id = ? AND starts_at < ? AND ends_at > ?
+        AND status IN (${statuses.map(() => '?').join(', ')})
+        AND id <> ?
+    `;
+
+    try {
+      const [appointments] = await connection.execute(query, [branchId, to, from, ...statuses, excludeId || 0]);
+      return appointments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move an appointment to another time, bay or service
+   * @param {number} id - Appointment ID
+   * @param {Object} slot - { bay_id, service_id, service_code, starts_at, ends_at }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} Success status
+   */
+  static async reschedule(id, slot, connection = db) {
+    const { bay_id, service_id, service_code, starts_at, ends_at } = slot;
+
+    const query = `
+      UPDATE appointments
+      SET bay_id = ?, service_id = ?, service_code = ?, starts_at = ?, ends_at = ?,
+          reschedule_count = reschedule_count + 1
+      WHERE id = ? AND status = 'BOOKED'
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [bay_id, service_id, service_code, starts_at, ends_at, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a BOOKED appointment to a final status. Only the first caller wins.
+   * @param {number} id - Appointment ID
+   * @param {string} status - CHECKED_IN, CANCELLED or NO_SHOW
+   * @param {Object} fields - Any of { car_registry_id, cancel_reason, checked_in_at, cancelled_at, no_show_at }
+   * @returns {Promise<boolean>} True if this call moved it
+   */
+  static async close(id, status, fields = {}) {
+    const columns = ['status = ?'];
+    const values = [status];
+
+    ['car_registry_id', 'cancel_reason', 'checked_in_at', 'cancelled_at', 'no_show_at'].forEach(field => {
+      if (fields[field] !== undefined) {
+        columns.push(`${field} = ?`);
+        values.push(fields[field]);
+      }
+    });
+    values.push(id);
+
+    try {
+      const [result] = await db.execute(
+        `UPDATE appointments SET ${columns.join(', ')} WHERE id = ? AND status = 'BOOKED'`,
+        values
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Put a checked-in appointment back to BOOKED (check-in failed half way)
+   * @param {number} id - Appointment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async reopen(id) {
+    try {
+      const [result] = await db.execute(
+        `UPDATE appointments SET status = 'BOOKED', checked_in_at = NULL, car_registry_id = NULL
+         WHERE id = ? AND status = 'CHECKED_IN'`,
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record the car_registry entry an appointment was checked in as
+   * @param {number} id - Appointment ID
+   * @param {string} carRegistryId - Car registry ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setCarRegistryId(id, carRegistryId) {
+    try {
+      const [result] = await db.execute('UPDATE appointments SET car_registry_id = ? WHERE id = ?', [carRegistryId, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Appointment;
@@ -0,0 +1,108 @@
+const { db } = require('../config/db');
+
+/**
+ * Attendant shift model: attendants clocked in at a branch (MySQL Version)
+ */
+class AttendantShift {
+  /**
+   * Clock an attendant in
+   * @param {Object} shiftData - { branch_id, attendant_id, started_at, started_by }
+   * @returns {Promise<number>} Shift ID
+   */
+  static async create(shiftData) {
+    const { branch_id, attendant_id, started_at, started_by = null } = shiftData;
+
+    const query = `
+      INSERT INTO attendant_shifts (branch_id, attendant_id, started_at, started_by)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [branch_id, attendant_id, started_at, started_by]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find shift by ID
+   * @param {number} id - Shift ID
+   * @returns {Promise<Object>} Shift data
+   */
+  static async findById(id) {
+    const query = `
+      SELECT s.*, u.name as attendant_name
+      FROM attendant_shifts s
+      LEFT JOIN users u ON u.id = s.attendant_id
+      WHERE s.id = ?
+    `;
+
+    try {
+      const [shifts] = await db.execute(query, [id]);
+      return shifts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * An attendant's open shift, at any branch
+   * @param {string} attendantId - Attendant (user) ID
+   * @returns {Promise<Object>} Shift data
+   */
+  static async findOpenByAttendant(attendantId) {
+    try {
+      const [shifts] = await db.execute(
+        'SELECT * FROM attendant_shifts WHERE attendant_id = ? AND ended_at IS NULL ORDER BY started_at DESC LIMIT 1',
+        [attendantId]
+      );
+      return shifts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attendants on shift at a branch
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Array>} Open shifts with attendant names, earliest first
+   */
+  static async findOpenByBranch(branchId) {
+    const query = `
+      SELECT s.*, u.name as attendant_name
+      FROM attendant_shifts s
+      LEFT JOIN users u ON u.id = s.attendant_id
+      WHERE s.branch_id = ? AND s.ended_at IS NULL
+      ORDER BY s.started_at
+    `;
+
+    try {
+      const [shifts] = await db.execute(query, [branchId]);
+      return shifts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Clock an attendant out
+   * @param {number} id - Shift ID
+   * @param {Date} endedAt - End of the shift
+   * @param {string} endedBy - User clocking out
+   * @returns {Promise<boolean>} False if the shift had already ended
+   */
+  static async end(id, endedAt, endedBy = null) {
+    try {
+      const [result] = await db.execute(
+        'UPDATE attendant_shifts SET ended_at = ?, ended_by = ? WHERE id = ? AND ended_at IS NULL',
+        [endedAt, endedBy, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = AttendantShift;
@@ -0,0 +1,134 @@
+const { db } = require('../config/db');
+
+/**
+ * Branch bay model: the wash bays/lanes of each branch (MySQL Version)
+ */
+class BranchBay {
+  /**
+   * Create a bay
+   * @param {Object} bayData - { branch_id, name, sort_order, is_bookable }
+   * @returns {Promise<Object>} Created bay
+   */
+  static async create(bayData) {
+    const { branch_id, name, sort_order = 0, is_bookable = true } = bayData;
+
+    const query = 'INSERT INTO branch_bays (branch_id, name, sort_order, is_bookable) VALUES (?, ?, ?, ?)';
+
+    try {
+      const [result] = await db.execute(query, [branch_id, name, sort_order, is_bookable ? 1 : 0]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all bays with optional filtering
+   * @param {Object} filters - Filter criteria (branch_id, is_active)
+   * @returns {Promise<Array>} Bays in display order
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT bb.*, b.name as branch_name
+      FROM branch_bays bb
+      LEFT JOIN branches b ON bb.branch_id = b.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND bb.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.is_active !== undefined) {
+      query += ` AND bb.is_active = ?`;
+      values.push(filters.is_active ? 1 : 0);
+    }
+
+    query += ' ORDER BY bb.branch_id, bb.sort_order, bb.name';
+
+    try {
+      const [bays] = await db.execute(query, values);
+      return bays;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find bay by ID
+   * @param {number} id - Bay ID
+   * @param {Object} connection - Optional connection; the row is locked when given
+   * @returns {Promise<Object>} Bay data
+   */
+  static async findById(id, connection = null) {
+    const query = `SELECT * FROM branch_bays WHERE id = ?${connection ? ' FOR UPDATE' : ''}`;
+
+    try {
+      const [bays] = await (connection || db).execute(query, [id]);
+      return bays[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Active bays of a branch that take appointments
+   * @param {string} branchId - Branch ID
+   * @param {Object} connection - Optional connection; the rows are locked when given
+   * @returns {Promise<Array>} Bays in display order
+   */
+  static async findBookable(branchId, connection = null) {
+    const query = `
+      SELECT * FROM branch_bays
+      WHERE branch_id = ? AND is_active = 1 AND is_bookable = 1
+      ORDER BY sort_order, name
+      ${connection ? 'FOR UPDATE' : ''}
+    `;
+
+    try {
+      const [bays] = await (connection || db).execute(query, [branchId]);
+      return bays;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a bay
+   * @param {number} id - Bay ID
+   * @param {Object} updateData - Any of { name, sort_order, is_active, is_bookable }
+   * @returns {Promise<Object>} Updated bay
+   */
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+
+    ['name', 'sort_order', 'is_active', 'is_bookable'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        values.push(['is_active', 'is_bookable'].includes(field) ? (updateData[field] ? 1 : 0) : updateData[field]);
+      }
+    });
+
+    if (fields.length === 0) {
+      return await this.findById(id);
+    }
+
+    values.push(id);
+    const query = `UPDATE branch_bays SET ${fields.join(', ')} WHERE id = ?`;
+
+    try {
+      const [result] = await db.execute(query, values);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = BranchBay;
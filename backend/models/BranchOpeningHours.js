@@ -0,0 +1,75 @@
+const { db } = require('../config/db');
+
+/**
+ * Branch opening hours model: when each branch takes bookings, per day of the
+ * week (MySQL Version)
+ * day_of_week: 0 Sunday .. 6 Saturday
+ */
+class BranchOpeningHours {
+  /**
+   * Opening hours of a branch
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Array>} { day_of_week, opens_at, closes_at, is_closed }, Sunday first
+   */
+  static async findByBranch(branchId) {
+    const query = `
+      SELECT day_of_week, opens_at, closes_at, is_closed
+      FROM branch_opening_hours
+      WHERE branch_id = ?
+      ORDER BY day_of_week
+    `;
+
+    try {
+      const [hours] = await db.execute(query, [branchId]);
+      return hours;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Opening hours of a branch on one day of the week
+   * @param {string} branchId - Branch ID
+   * @param {number} dayOfWeek - 0 Sunday .. 6 Saturday
+   * @returns {Promise<Object>} Hours, or null when none are set
+   */
+  static async findDay(branchId, dayOfWeek) {
+    const query = `
+      SELECT day_of_week, opens_at, closes_at, is_closed
+      FROM branch_opening_hours
+      WHERE branch_id = ? AND day_of_week = ?
+    `;
+
+    try {
+      const [hours] = await db.execute(query, [branchId, dayOfWeek]);
+      return hours[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set a branch's hours for one day of the week
+   * @param {string} branchId - Branch ID
+   * @param {Object} hours - { day_of_week, opens_at, closes_at, is_closed }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setDay(branchId, hours) {
+    const { day_of_week, opens_at = null, closes_at = null, is_closed = false } = hours;
+
+    const query = `
+      INSERT INTO branch_opening_hours (branch_id, day_of_week, opens_at, closes_at, is_closed)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE opens_at = VALUES(opens_at), closes_at = VALUES(closes_at), is_closed = VALUES(is_closed)
+    `;
+
+    try {
+      await db.execute(query, [branchId, day_of_week, opens_at, closes_at, is_closed ? 1 : 0]);
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = BranchOpeningHours;
@@ -1,4 +1,23 @@
 const { db } = require('../config/db');
+const PlateService = require('../services/plateService');
+
+/**
+ * ID prefix of car services registered on a day: generateId() starts IDs with
+ * the local yyyyMMdd
+ * @param {string} date - YYYY-MM-DD (or anything Date accepts, read in local time)
+ * @returns {string} e.g. 20261019
+ */
+const idDatePrefix = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date));
+  if (match) {
+    return `${match[1]}${match[2]}${match[3]}`;
+  }
+
+  const dateObj = new Date(date);
+  const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
+  const day = dateObj.getDate().toString().padStart(2, '0');
+  return `${dateObj.getFullYear()}${month}${day}`;
+};
 
 /**
  * Car Registry model for managing car wash services (MySQL Version)
@@ -60,19 +79,26 @@ class CarRegistry {
   static async create(carData) {
     const {
       regno, model, service, amount, registered_by, tip_amount,
-      excess_amount, branch_id
+      excess_amount, branch_id, service_code = null, vehicle_class = null,
+      list_price = null, price_override_status = null, price_override_reason = null, price_override_by = null,
+      account_id = null, account_driver_id = null, account_order_ref = null
     } = carData;
 
     const id = this.generateId();
+    const plate = PlateService.parse(regno);
     const query = `
-      INSERT INTO car_registry (id, regno, model, service, amount, registered_by, 
-                               tip_amount, excess_amount, branch_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO car_registry (id, regno, plate_format, model, service, amount, registered_by, 
+                               tip_amount, excess_amount, branch_id, service_code,
+                               vehicle_class, list_price, price_override_status, price_override_reason,
+                               price_override_by, account_id, account_driver_id, account_order_ref)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const values = [
-      id, regno, model, service, amount, registered_by,
-      tip_amount, excess_amount, branch_id
+      id, plate.plate, plate.format, model, service, amount, registered_by,
+      tip_amount, excess_amount, branch_id, service_code,
+      vehicle_class, list_price, price_override_status, price_override_reason,
+      price_override_by, account_id, account_driver_id, account_order_ref
     ];
 
     try {
@@ -98,7 +124,7 @@ class CarRegistry {
        WHERE regno = ? AND id LIKE CONCAT(?, '%') 
        ORDER BY id DESC 
        LIMIT 1`,
-      [regno, datePrefix]
+      [PlateService.normalize(regno), datePrefix]
     );
 
     return rows.length > 0 ? rows[0] : null;
@@ -134,7 +160,13 @@ class CarRegistry {
     if (filters.regno) {
       paramCount++;
       query += ` AND cr.regno LIKE ?`;
-      values.push(`%${filters.regno}%`);
+      values.push(`%${PlateService.normalize(filters.regno)}%`);
+    }
+
+    if (filters.plate_format) {
+      paramCount++;
+      query += ` AND cr.plate_format = ?`;
+      values.push(filters.plate_format);
     }
 
     if (filters.model) {
@@ -158,6 +190,18 @@ class CarRegistry {
       values.push(filters.payment_mode);
     }
 
+    if (filters.account_id) {
+      paramCount++;
+      query += ` AND cr.account_id = ?`;
+      values.push(filters.account_id);
+    }
+
+    if (filters.price_override_status) {
+      paramCount++;
+      query += ` AND cr.price_override_status = ?`;
+      values.push(filters.price_override_status);
+    }
+
     if (filters.start_date && filters.end_date) {
       paramCount += 2;
       query += ` AND cr.updated_at BETWEEN ? AND ?`;
@@ -231,73 +275,58 @@ class CarRegistry {
   /**
    * Find car services with cash payments
    * @param {string} date - Optional date filter
+   * @param {string} branchId - Optional branch filter
    * @returns {Promise<Array>} Cash payment car services
    */
-  static async findByCashPayment(date = null) {
-    let query = `
-      SELECT cr.*, u.name as registered_by_name, b.name as branch_name, p.amount as payment_amount
-      FROM car_registry cr
-      LEFT JOIN users u ON cr.registered_by = u.id
-      LEFT JOIN branches b ON cr.branch_id = b.id
-      LEFT JOIN payments p ON cr.id = p.source_id AND p.source = 'CARWASH'
-      WHERE p.payment_mode = 'CASH'
-    `;
-    
-    const values = [];
-    
-    if (date) {
-      // Use ID pattern matching for date
-      const dateObj = new Date(date);
-      const year = dateObj.getFullYear().toString().slice(-2);
-      const day = dateObj.getDate().toString().padStart(2, '0');
-      const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-      const datePattern = `${year}${day}${month}%`;
-      
-      query += ` AND cr.id LIKE ?`;
-      values.push(datePattern);
-    }
-    
-    query += ' ORDER BY cr.updated_at DESC';
-    
-    try {
-      const [cars] = await db.execute(query, values);
-      return cars;
-    } catch (error) {
-      throw error;
-    }
+  static async findByCashPayment(date = null, branchId = null) {
+    return await this.findByPaymentMode('CASH', date, branchId);
   }
 
   /**
    * Find car services with specific payment mode
+   * BOTH matches services settled with more than one tender mode (split payment)
    * @param {string} paymentMode - Payment mode (CASH, MPESA, CARD, BOTH)
-   * @param {string} date - Optional date filter
+   * @param {string} date - Optional date filter (YYYY-MM-DD, local day of registration)
+   * @param {string} branchId - Optional branch filter
    * @returns {Promise<Array>} Car services with specified payment mode
    */
-  static async findByPaymentMode(paymentMode, date = null) {
+  static async findByPaymentMode(paymentMode, date = null, branchId = null) {
+    const isSplit = paymentMode === 'BOTH';
+
     let query = `
-      SELECT cr.*, u.name as registered_by_name, b.name as branch_name, p.amount as payment_amount
+      SELECT cr.*, u.name as registered_by_name, b.name as branch_name,
+             ${isSplit ? 'p.total_paid' : 'p.mode_amount'} as payment_amount,
+             p.total_paid, p.payment_modes
       FROM car_registry cr
       LEFT JOIN users u ON cr.registered_by = u.id
       LEFT JOIN branches b ON cr.branch_id = b.id
-      LEFT JOIN payments p ON cr.id = p.source_id AND p.source = 'CARWASH'
-      WHERE p.payment_mode = ?
+      INNER JOIN (
+        SELECT source_id,
+               COALESCE(SUM(CASE WHEN payment_mode = ? THEN amount ELSE 0 END), 0) as mode_amount,
+               COALESCE(SUM(amount), 0) as total_paid,
+               COUNT(DISTINCT payment_mode) as mode_count,
+               GROUP_CONCAT(DISTINCT payment_mode ORDER BY payment_mode) as payment_modes
+        FROM payments
+        WHERE source = 'CARWASH' AND transaction_type = 'credit' AND status = 'CONFIRMED'
+        GROUP BY source_id
+      ) p ON p.source_id = cr.id
+      WHERE ${isSplit ? 'p.mode_count > 1' : 'p.mode_amount > 0'}
     `;
-    
+
     const values = [paymentMode];
-    
+
     if (date) {
-      const dateObj = new Date(date);
-      const year = dateObj.getFullYear().toString().slice(-2);
-      const day = dateObj.getDate().toString().padStart(2, '0');
-      const month = (dateObj.getMonth() + 1).toString().padStart(2, '0');
-      const datePattern = `${year}${day}${month}%`;
-      
       query += ` AND cr.id LIKE ?`;
-      values.push(datePattern);
+      values.push(`${idDatePrefix(date)}%`);
     }
-    
+
+    if (branchId) {
+      query += ` AND cr.branch_id = ?`;
+      values.push(branchId);
+    }
+
     query += ' ORDER BY cr.updated_at DESC';
-    
+
     try {
       const [cars] = await db.execute(query, values);
       return cars;
@@ -314,19 +343,29 @@ class CarRegistry {
    */
   static async update(id, updateData) {
     const {
-      regno, model, service, amount, tip_amount, excess_amount, branch_id
+      regno, model, service, amount, tip_amount, excess_amount, branch_id,
+      service_code = null, vehicle_class = null, list_price = null,
+      price_override_status = null, price_override_reason = null, price_override_by = null
     } = updateData;
 
+    const plate = PlateService.parse(regno);
     const query = `
       UPDATE car_registry 
-      SET regno = ?, model = ?, service = ?, amount = ?, 
+      SET regno = ?, plate_format = ?, model = ?, service = ?, amount = ?, 
           tip_amount = ?, excess_amount = ?, branch_id = ?,
+          service_code = ?, vehicle_class = ?, list_price = ?,
+          price_override_reviewed_by = IF(price_override_status <=> ?, price_override_reviewed_by, NULL),
+          price_override_reviewed_at = IF(price_override_status <=> ?, price_override_reviewed_at, NULL),
+          price_override_status = ?, price_override_reason = ?, price_override_by = ?,
           updated_at = UNIX_TIMESTAMP()
       WHERE id = ?
     `;
     
     const values = [
-      regno, model, service, amount, tip_amount, excess_amount, branch_id, id
+      plate.plate, plate.format, model, service, amount, tip_amount, excess_amount, branch_id,
+      service_code, vehicle_class, list_price,
+      price_override_status, price_override_status,
+      price_override_status, price_override_reason, price_override_by, id
     ];
 
     try {
@@ -340,6 +379,32 @@ class CarRegistry {
     }
   }
 
+  /**
+   * Approve or reject a pending manual price override. A rejected override
+   * puts the car back on its list price.
+   * @param {string} id - Car service ID
+   * @param {string} status - APPROVED or REJECTED
+   * @param {string} reviewedBy - Supervisor reviewing the override
+   * @returns {Promise<boolean>} True if the override was still pending
+   */
+  static async reviewPriceOverride(id, status, reviewedBy) {
+    const query = `
+      UPDATE car_registry
+      SET price_override_status = ?,
+          amount = IF(? = 'REJECTED', list_price, amount),
+          price_override_reviewed_by = ?,
+          price_override_reviewed_at = NOW()
+      WHERE id = ? AND price_override_status = 'PENDING'
+    `;
+
+    try {
+      const [result] = await db.execute(query, [status, status, reviewedBy, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Delete a car service record
    * @param {string} id - Car service ID
@@ -395,13 +460,39 @@ class CarRegistry {
     try {
       const [stats] = await db.execute(query, values);
       
+      // Volume and revenue per vehicle class: the class priced at registration,
+      // else the vehicle's current class
+      const classQuery = `
+        SELECT 
+          COALESCE(cr.vehicle_class, v.vehicle_class, 'UNCLASSIFIED') as vehicle_class,
+          COUNT(*) as total_services,
+          COALESCE(SUM(cr.amount), 0) as total_revenue,
+          COALESCE(AVG(cr.amount), 0) as average_amount,
+          COUNT(DISTINCT cr.regno) as unique_cars
+        FROM car_registry cr
+        LEFT JOIN vehicles v ON v.license_plate = cr.regno
+        WHERE 1=1
+        ${filters.branch_id ? 'AND cr.branch_id = ?' : ''}
+        ${filters.start_date && filters.end_date ? 'AND cr.updated_at BETWEEN ? AND ?' : ''}
+        GROUP BY COALESCE(cr.vehicle_class, v.vehicle_class, 'UNCLASSIFIED')
+        ORDER BY total_revenue DESC
+      `;
+      const [classStats] = await db.execute(classQuery, values);
+
       const result = {
         total_services: 0,
         total_revenue: 0,
         total_tips: 0,
         total_excess: 0,
         unique_cars: 0,
-        model_breakdown: stats
+        model_breakdown: stats,
+        class_breakdown: classStats.map(row => ({
+          vehicle_class: row.vehicle_class,
+          total_services: parseInt(row.total_services),
+          total_revenue: parseFloat(row.total_revenue),
+          average_amount: Math.round(parseFloat(row.average_amount) * 100) / 100,
+          unique_cars: parseInt(row.unique_cars)
+        }))
       };
 
       if (stats.length > 0) {
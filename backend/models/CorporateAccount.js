@@ -0,0 +1,484 @@
+const { db } = require('../config/db');
+
+// Confirmed ACCOUNT tenders on washes, i.e. what has been charged to accounts
+const CHARGES_SQL = `
+  SELECT cr.account_id, p.id as payment_id, p.source_id as car_registry_id, p.amount, p.created_at
+  FROM payments p
+  JOIN car_registry cr ON p.source = 'CARWASH' AND p.source_id = cr.id
+  WHERE p.payment_mode = 'ACCOUNT' AND p.transaction_type = 'credit' AND p.status = 'CONFIRMED'
+`;
+
+/**
+ * Corporate account model: fleet and corporate customers washing on credit,
+ * with their authorised plates and drivers and contract prices (MySQL Version)
+ */
+class CorporateAccount {
+  /**
+   * Create a corporate account
+   * @param {Object} accountData - Account data
+   * @returns {Promise<Object>} Created account
+   */
+  static async create(accountData) {
+    const {
+      account_code, name, account_type = 'CORPORATE', contact_name = null, phone_number = null,
+      email = null, billing_address = null, tax_pin = null, credit_limit = 0,
+      payment_terms_days = 30, created_by = null
+    } = accountData;
+
+    const query = `
+      INSERT INTO corporate_accounts (account_code, name, account_type, contact_name, phone_number, email,
+                                      billing_address, tax_pin, credit_limit, payment_terms_days, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [
+        account_code, name, account_type, contact_name, phone_number, email,
+        billing_address, tax_pin, credit_limit, payment_terms_days, created_by
+      ]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all corporate accounts with optional filtering
+   * @param {Object} filters - Filter criteria (status, account_type, search)
+   * @returns {Promise<Array>} Accounts with their authorised plate and driver counts
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT ca.*,
+             (SELECT COUNT(*) FROM corporate_account_vehicles cav
+              WHERE cav.account_id = ca.id AND cav.is_active = 1) as vehicle_count,
+             (SELECT COUNT(*) FROM corporate_account_drivers cad
+              WHERE cad.account_id = ca.id AND cad.is_active = 1) as driver_count
+      FROM corporate_accounts ca
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.status) {
+      query += ` AND ca.status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.account_type) {
+      query += ` AND ca.account_type = ?`;
+      values.push(filters.account_type);
+    }
+
+    if (filters.search) {
+      query += ` AND (ca.name LIKE ? OR ca.account_code LIKE ? OR ca.contact_name LIKE ?)`;
+      values.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    query += ' ORDER BY ca.name';
+
+    try {
+      const [accounts] = await db.execute(query, values);
+      return accounts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find account by ID
+   * @param {number} id - Account ID
+   * @param {Object} connection - Optional connection; the row is locked when given
+   * @returns {Promise<Object>} Account data
+   */
+  static async findById(id, connection = null) {
+    const query = `SELECT * FROM corporate_accounts WHERE id = ?${connection ? ' FOR UPDATE' : ''}`;
+
+    try {
+      const [accounts] = await (connection || db).execute(query, [id]);
+      return accounts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find account by code
+   * @param {string} accountCode - Account code
+   * @returns {Promise<Object>} Account data
+   */
+  static async findByCode(accountCode) {
+    const query = 'SELECT * FROM corporate_accounts WHERE account_code = ?';
+
+    try {
+      const [accounts] = await db.execute(query, [accountCode]);
+      return accounts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update an account
+   * @param {number} id - Account ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated account
+   */
+  static async update(id, updateData) {
+    const allowedFields = [
+      'name', 'account_type', 'contact_name', 'phone_number', 'email', 'billing_address',
+      'tax_pin', 'credit_limit', 'payment_terms_days', 'status'
+    ];
+    const fields = Object.keys(updateData).filter(field => allowedFields.includes(field));
+
+    if (fields.length === 0) {
+      return await this.findById(id);
+    }
+
+    const query = `UPDATE corporate_accounts SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+
+    try {
+      await db.execute(query, [...fields.map(field => updateData[field]), id]);
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Authorise a plate on an account, or re-activate it
+   * @param {number} accountId - Account ID
+   * @param {string} licensePlate - Plate in canonical form
+   * @param {string} addedBy - User adding the plate
+   * @returns {Promise<boolean>} Success status
+   */
+  static async addVehicle(accountId, licensePlate, addedBy = null) {
+    const query = `
+      INSERT INTO corporate_account_vehicles (account_id, license_plate, added_by)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE is_active = 1, added_by = VALUES(added_by)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [accountId, licensePlate, addedBy]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a plate's authorisation
+   * @param {number} accountId - Account ID
+   * @param {string} licensePlate - Plate in canonical form
+   * @returns {Promise<boolean>} True if the plate was authorised
+   */
+  static async removeVehicle(accountId, licensePlate) {
+    const query = `
+      UPDATE corporate_account_vehicles SET is_active = 0
+      WHERE account_id = ? AND license_plate = ? AND is_active = 1
+    `;
+
+    try {
+      const [result] = await db.execute(query, [accountId, licensePlate]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * An account's authorised plates
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Array>} Plates with the vehicle's make and model where known
+   */
+  static async findVehicles(accountId) {
+    const query = `
+      SELECT cav.*, v.id as vehicle_id, v.make, v.model, v.vehicle_class
+      FROM corporate_account_vehicles cav
+      LEFT JOIN vehicles v ON v.license_plate = cav.license_plate
+      WHERE cav.account_id = ? AND cav.is_active = 1
+      ORDER BY cav.license_plate
+    `;
+
+    try {
+      const [vehicles] = await db.execute(query, [accountId]);
+      return vehicles;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Active accounts a plate is authorised on
+   * @param {string} licensePlate - Plate in canonical form
+   * @returns {Promise<Array>} Accounts
+   */
+  static async findByPlate(licensePlate) {
+    const query = `
+      SELECT ca.*
+      FROM corporate_account_vehicles cav
+      JOIN corporate_accounts ca ON ca.id = cav.account_id
+      WHERE cav.license_plate = ? AND cav.is_active = 1 AND ca.status = 'ACTIVE'
+      ORDER BY ca.name
+    `;
+
+    try {
+      const [accounts] = await db.execute(query, [licensePlate]);
+      return accounts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a plate is authorised on an account
+   * @param {number} accountId - Account ID
+   * @param {string} licensePlate - Plate in canonical form
+   * @returns {Promise<boolean>} True if authorised
+   */
+  static async isVehicleAuthorised(accountId, licensePlate) {
+    const query = `
+      SELECT 1 FROM corporate_account_vehicles
+      WHERE account_id = ? AND license_plate = ? AND is_active = 1
+    `;
+
+    try {
+      const [rows] = await db.execute(query, [accountId, licensePlate]);
+      return rows.length > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Authorise a driver on an account
+   * @param {number} accountId - Account ID
+   * @param {Object} driverData - { name, phone_number, id_number }
+   * @returns {Promise<Object>} Created driver
+   */
+  static async addDriver(accountId, driverData) {
+    const { name, phone_number = null, id_number = null } = driverData;
+
+    const query = `
+      INSERT INTO corporate_account_drivers (account_id, name, phone_number, id_number)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [accountId, name, phone_number, id_number]);
+      return await this.findDriverById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a driver, including withdrawing their authorisation (is_active = 0)
+   * @param {number} driverId - Driver ID
+   * @param {Object} updateData - Any of { name, phone_number, id_number, is_active }
+   * @returns {Promise<Object>} Updated driver
+   */
+  static async updateDriver(driverId, updateData) {
+    const allowedFields = ['name', 'phone_number', 'id_number', 'is_active'];
+    const fields = Object.keys(updateData).filter(field => allowedFields.includes(field));
+
+    if (fields.length === 0) {
+      return await this.findDriverById(driverId);
+    }
+
+    const query = `UPDATE corporate_account_drivers SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+
+    try {
+      await db.execute(query, [...fields.map(field => updateData[field]), driverId]);
+      return await this.findDriverById(driverId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find driver by ID
+   * @param {number} driverId - Driver ID
+   * @returns {Promise<Object>} Driver data
+   */
+  static async findDriverById(driverId) {
+    const query = 'SELECT * FROM corporate_account_drivers WHERE id = ?';
+
+    try {
+      const [drivers] = await db.execute(query, [driverId]);
+      return drivers[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find an account's driver by phone number
+   * @param {number} accountId - Account ID
+   * @param {string} phoneNumber - Phone number in stored form
+   * @returns {Promise<Object>} Driver data
+   */
+  static async findDriverByPhone(accountId, phoneNumber) {
+    const query = 'SELECT * FROM corporate_account_drivers WHERE account_id = ? AND phone_number = ?';
+
+    try {
+      const [drivers] = await db.execute(query, [accountId, phoneNumber]);
+      return drivers[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * An account's drivers
+   * @param {number} accountId - Account ID
+   * @param {boolean} activeOnly - Only authorised drivers
+   * @returns {Promise<Array>} Drivers
+   */
+  static async findDrivers(accountId, activeOnly = true) {
+    const query = `
+      SELECT * FROM corporate_account_drivers
+      WHERE account_id = ?${activeOnly ? ' AND is_active = 1' : ''}
+      ORDER BY name
+    `;
+
+    try {
+      const [drivers] = await db.execute(query, [accountId]);
+      return drivers;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set the contract price of a service for a vehicle class
+   * @param {number} accountId - Account ID
+   * @param {number} serviceId - Catalog service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @param {number} price - Price
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setPrice(accountId, serviceId, vehicleClass, price) {
+    const query = `
+      INSERT INTO corporate_account_prices (account_id, service_id, vehicle_class, price)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE price = VALUES(price)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [accountId, serviceId, vehicleClass, price]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a contract price so the catalog price applies again
+   * @param {number} accountId - Account ID
+   * @param {number} serviceId - Catalog service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @returns {Promise<boolean>} True if there was a contract price
+   */
+  static async removePrice(accountId, serviceId, vehicleClass) {
+    const query = 'DELETE FROM corporate_account_prices WHERE account_id = ? AND service_id = ? AND vehicle_class = ?';
+
+    try {
+      const [result] = await db.execute(query, [accountId, serviceId, vehicleClass]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * An account's contract prices
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Array>} Prices with the service code and name
+   */
+  static async findPrices(accountId) {
+    const query = `
+      SELECT cap.*, s.code as service_code, s.name as service_name
+      FROM corporate_account_prices cap
+      JOIN service_catalog s ON s.id = cap.service_id
+      WHERE cap.account_id = ?
+      ORDER BY s.name, cap.vehicle_class
+    `;
+
+    try {
+      const [prices] = await db.execute(query, [accountId]);
+      return prices;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * The contract price of a service for a vehicle class, in the shape of
+   * ServiceCatalog.getEffectivePrice
+   * @param {number} accountId - Account ID
+   * @param {number} serviceId - Catalog service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @returns {Promise<Object|null>} { price, price_source: 'CONTRACT' } or null
+   */
+  static async findContractPrice(accountId, serviceId, vehicleClass) {
+    const query = `
+      SELECT price, 'CONTRACT' as price_source
+      FROM corporate_account_prices
+      WHERE account_id = ? AND service_id = ? AND vehicle_class = ?
+    `;
+
+    try {
+      const [prices] = await db.execute(query, [accountId, serviceId, vehicleClass]);
+      return prices[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * What an account owes: charges not yet invoiced and unpaid invoice balances
+   * @param {number} accountId - Account ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} { unbilled_count, unbilled_amount, invoiced_balance }
+   */
+  static async getExposure(accountId, connection = db) {
+    const unbilledQuery = `
+      SELECT COUNT(*) as unbilled_count, COALESCE(SUM(charges.amount), 0) as unbilled_amount
+      FROM (${CHARGES_SQL}) charges
+      WHERE charges.account_id = ?
+        AND charges.payment_id NOT IN (
+          SELECT il.payment_id FROM corporate_invoice_lines il
+          JOIN corporate_invoices ci ON ci.id = il.invoice_id
+          WHERE ci.status = 'ISSUED'
+        )
+    `;
+
+    const invoicedQuery = `
+      SELECT COALESCE(SUM(GREATEST(ci.amount + ci.tip_amount + ci.excess_amount - COALESCE(paid.total, 0), 0)), 0)
+             as invoiced_balance
+      FROM corporate_invoices ci
+      LEFT JOIN (
+        SELECT source_id, SUM(IF(transaction_type = 'credit', amount, -amount)) as total
+        FROM payments
+        WHERE source = 'INVOICE' AND status = 'CONFIRMED'
+        GROUP BY source_id
+      ) paid ON paid.source_id = ci.id
+      WHERE ci.account_id = ? AND ci.status = 'ISSUED'
+    `;
+
+    try {
+      const [unbilled] = await connection.execute(unbilledQuery, [accountId]);
+      const [invoiced] = await connection.execute(invoicedQuery, [accountId]);
+      return {
+        unbilled_count: parseInt(unbilled[0].unbilled_count),
+        unbilled_amount: parseFloat(unbilled[0].unbilled_amount),
+        invoiced_balance: parseFloat(invoiced[0].invoiced_balance)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CorporateAccount;
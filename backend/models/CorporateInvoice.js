@@ -0,0 +1,313 @@
+const { db } = require('../config/db');
+
+// Invoices with what has been paid on them (confirmed credits less refunds)
+const INVOICE_SELECT = `
+  SELECT ci.*, ca.account_code, ca.name as account_name,
+         COALESCE(paid.total, 0) as amount_paid,
+         GREATEST(ci.amount + ci.tip_amount + ci.excess_amount - COALESCE(paid.total, 0), 0) as balance,
+         DATEDIFF(CURDATE(), ci.due_date) as days_overdue
+  FROM corporate_invoices ci
+  JOIN corporate_accounts ca ON ca.id = ci.account_id
+  LEFT JOIN (
+    SELECT source_id, SUM(IF(transaction_type = 'credit', amount, -amount)) as total
+    FROM payments
+    WHERE source = 'INVOICE' AND status = 'CONFIRMED'
+    GROUP BY source_id
+  ) paid ON paid.source_id = ci.id
+`;
+
+// Wash charges to accounts (ACCOUNT tenders) with the wash details
+const CHARGE_SELECT = `
+  SELECT p.id as payment_id, p.amount, p.created_at as charged_at,
+         cr.id as car_registry_id, cr.account_id, cr.regno, cr.model, cr.service, cr.vehicle_class,
+         cr.account_order_ref, cr.branch_id, b.name as branch_name,
+         cad.name as driver_name
+  FROM payments p
+  JOIN car_registry cr ON p.source = 'CARWASH' AND p.source_id = cr.id
+  LEFT JOIN branches b ON b.id = cr.branch_id
+  LEFT JOIN corporate_account_drivers cad ON cad.id = cr.account_driver_id
+  WHERE p.payment_mode = 'ACCOUNT' AND p.transaction_type = 'credit' AND p.status = 'CONFIRMED'
+`;
+
+/**
+ * Corporate invoice model: invoices billing an account's wash charges, their
+ * lines, and the account ledger behind statements (MySQL Version)
+ * Statuses: ISSUED, VOID; an issued invoice with no balance left is paid
+ */
+class CorporateInvoice {
+  /**
+   * Charges to an account not yet on an issued invoice
+   * @param {number} accountId - Account ID
+   * @param {string} periodEnd - Last day to include (YYYY-MM-DD)
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Array>} Charges, oldest first
+   */
+  static async findUnbilledCharges(accountId, periodEnd, connection = db) {
+    const query = `
+      ${CHARGE_SELECT}
+        AND cr.account_id = ?
+        AND DATE(p.created_at) <= ?
+        AND p.id NOT IN (
+          SELECT il.payment_id FROM corporate_invoice_lines il
+          JOIN corporate_invoices ci ON ci.id = il.invoice_id
+          WHERE ci.status = 'ISSUED'
+        )
+      ORDER BY p.created_at
+    `;
+
+    try {
+      const [charges] = await connection.execute(query, [accountId, periodEnd]);
+      return charges;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Number of invoices ever raised for an account, for the next invoice number
+   * @param {number} accountId - Account ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Invoice count
+   */
+  static async countByAccount(accountId, connection = db) {
+    const query = 'SELECT COUNT(*) as count FROM corporate_invoices WHERE account_id = ?';
+
+    try {
+      const [rows] = await connection.execute(query, [accountId]);
+      return parseInt(rows[0].count);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create an invoice
+   * @param {Object} invoiceData - Invoice data
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Invoice ID
+   */
+  static async create(invoiceData, connection = db) {
+    const {
+      invoice_number, account_id, period_start, period_end, issue_date, due_date,
+      wash_count, amount, created_by = null
+    } = invoiceData;
+
+    const query = `
+      INSERT INTO corporate_invoices (invoice_number, account_id, period_start, period_end, issue_date,
+                                      due_date, wash_count, amount, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [
+        invoice_number, account_id, period_start, period_end, issue_date,
+        due_date, wash_count, amount, created_by
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Bill a charge on an invoice
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} charge - { car_registry_id, payment_id, amount }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} Success status
+   */
+  static async addLine(invoiceId, charge, connection = db) {
+    const query = `
+      INSERT INTO corporate_invoice_lines (invoice_id, car_registry_id, payment_id, amount)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [
+        invoiceId, charge.car_registry_id, charge.payment_id, charge.amount
+      ]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all invoices with optional filtering
+   * @param {Object} filters - Filter criteria (account_id, status: ISSUED | VOID | PAID | UNPAID | OVERDUE)
+   * @returns {Promise<Array>} Invoices with amount paid, balance and days overdue
+   */
+  static async findAll(filters = {}) {
+    let query = `SELECT * FROM (${INVOICE_SELECT}) invoices WHERE 1=1`;
+    const values = [];
+
+    if (filters.account_id) {
+      query += ` AND account_id = ?`;
+      values.push(filters.account_id);
+    }
+
+    if (filters.status === 'PAID') {
+      query += ` AND status = 'ISSUED' AND balance = 0`;
+    } else if (filters.status === 'UNPAID') {
+      query += ` AND status = 'ISSUED' AND balance > 0`;
+    } else if (filters.status === 'OVERDUE') {
+      query += ` AND status = 'ISSUED' AND balance > 0 AND days_overdue > 0`;
+    } else if (filters.status) {
+      query += ` AND status = ?`;
+      values.push(filters.status);
+    }
+
+    query += ' ORDER BY issue_date DESC, id DESC';
+
+    try {
+      const [invoices] = await db.execute(query, values);
+      return invoices;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find invoice by ID
+   * @param {number} id - Invoice ID
+   * @param {Object} connection - Optional connection; the invoice row is locked when given
+   * @returns {Promise<Object>} Invoice with amount paid and balance
+   */
+  static async findById(id, connection = null) {
+    try {
+      if (connection) {
+        await connection.execute('SELECT id FROM corporate_invoices WHERE id = ? FOR UPDATE', [id]);
+      }
+      const [invoices] = await (connection || db).execute(`${INVOICE_SELECT} WHERE ci.id = ?`, [id]);
+      return invoices[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * The charges billed on an invoice
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Array>} Charges, oldest first
+   */
+  static async findLines(invoiceId) {
+    const query = `
+      ${CHARGE_SELECT}
+        AND p.id IN (SELECT payment_id FROM corporate_invoice_lines WHERE invoice_id = ?)
+      ORDER BY p.created_at
+    `;
+
+    try {
+      const [lines] = await db.execute(query, [invoiceId]);
+      return lines;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Void an issued invoice, returning its charges to unbilled
+   * @param {number} id - Invoice ID
+   * @param {string} voidedBy - User voiding the invoice
+   * @param {string} reason - Reason
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} True if the invoice was issued
+   */
+  static async voidInvoice(id, voidedBy, reason, connection = db) {
+    const query = `
+      UPDATE corporate_invoices
+      SET status = 'VOID', voided_by = ?, voided_at = CURRENT_TIMESTAMP, void_reason = ?
+      WHERE id = ? AND status = 'ISSUED'
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [voidedBy, reason, id]);
+      if (result.affectedRows === 0) {
+        return false;
+      }
+      await connection.execute('DELETE FROM corporate_invoice_lines WHERE invoice_id = ?', [id]);
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Charges to an account within a period, with the invoice they are billed on
+   * @param {number} accountId - Account ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} Charges, oldest first
+   */
+  static async findCharges(accountId, from, to) {
+    const query = `
+      SELECT charges.*, ci.invoice_number
+      FROM (${CHARGE_SELECT} AND cr.account_id = ? AND DATE(p.created_at) BETWEEN ? AND ?) charges
+      LEFT JOIN corporate_invoice_lines il ON il.payment_id = charges.payment_id
+      LEFT JOIN corporate_invoices ci ON ci.id = il.invoice_id
+      ORDER BY charges.charged_at
+    `;
+
+    try {
+      const [charges] = await db.execute(query, [accountId, from, to]);
+      return charges;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Confirmed payments and refunds on an account's invoices within a period
+   * @param {number} accountId - Account ID
+   * @param {string} from - First day (YYYY-MM-DD)
+   * @param {string} to - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} Payments, oldest first
+   */
+  static async findSettlements(accountId, from, to) {
+    const query = `
+      SELECT p.id as payment_id, p.transaction_type, p.payment_mode, p.amount, p.ref, p.created_at,
+             ci.id as invoice_id, ci.invoice_number
+      FROM payments p
+      JOIN corporate_invoices ci ON p.source = 'INVOICE' AND p.source_id = ci.id
+      WHERE ci.account_id = ? AND p.status = 'CONFIRMED' AND DATE(p.created_at) BETWEEN ? AND ?
+      ORDER BY p.created_at
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [accountId, from, to]);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * What an account owed at the start of a day: all charges before it less all
+   * payments on its invoices before it
+   * @param {number} accountId - Account ID
+   * @param {string} before - Day (YYYY-MM-DD)
+   * @returns {Promise<number>} Balance
+   */
+  static async getBalanceBefore(accountId, before) {
+    const chargesQuery = `
+      SELECT COALESCE(SUM(charges.amount), 0) as total
+      FROM (${CHARGE_SELECT} AND cr.account_id = ? AND DATE(p.created_at) < ?) charges
+    `;
+    const paymentsQuery = `
+      SELECT COALESCE(SUM(IF(p.transaction_type = 'credit', p.amount, -p.amount)), 0) as total
+      FROM payments p
+      JOIN corporate_invoices ci ON p.source = 'INVOICE' AND p.source_id = ci.id
+      WHERE ci.account_id = ? AND p.status = 'CONFIRMED' AND DATE(p.created_at) < ?
+    `;
+
+    try {
+      const [charges] = await db.execute(chargesQuery, [accountId, before]);
+      const [payments] = await db.execute(paymentsQuery, [accountId, before]);
+      return parseFloat(charges[0].total) - parseFloat(payments[0].total);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CorporateInvoice;
@@ -0,0 +1,234 @@
+const { db } = require('../config/db');
+const VehicleOwnerChange = require('./VehicleOwnerChange');
+
+/**
+ * Customer model: one contact record per person, owning vehicles and shared
+ * with carpet clients (MySQL Version)
+ */
+class Customer {
+  /**
+   * Create a customer
+   * @param {Object} customerData - { name, phone_number, email, notes }
+   * @returns {Promise<Object>} Created customer
+   */
+  static async create(customerData) {
+    const { name = null, phone_number = null, email = null, notes = null } = customerData;
+
+    const query = `
+      INSERT INTO customers (name, phone_number, email, notes)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [name, phone_number, email, notes]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all customers with optional filtering
+   * @param {Object} filters - Filter criteria (search, phone_number)
+   * @returns {Promise<Array>} Customers with vehicle counts and visits
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT c.*,
+             (SELECT COUNT(*) FROM vehicles v WHERE v.customer_id = c.id) as vehicle_count,
+             (SELECT COUNT(*) FROM carpet_clients cl WHERE cl.customer_id = c.id) as carpet_client_count,
+             COALESCE(cs.total_visits, 0) as total_visits,
+             COALESCE(cs.current_visit_count, 0) as current_visit_count,
+             cs.last_visit_date
+      FROM customers c
+      LEFT JOIN customer_stats cs ON cs.customer_id = c.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.search) {
+      query += ` AND (c.name LIKE ? OR c.phone_number LIKE ? OR c.email LIKE ?
+                      OR c.id IN (SELECT customer_id FROM vehicles WHERE license_plate LIKE ?))`;
+      values.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    if (filters.phone_number) {
+      query += ` AND c.phone_number = ?`;
+      values.push(filters.phone_number);
+    }
+
+    query += ' ORDER BY c.name, c.id';
+
+    try {
+      const [customers] = await db.execute(query, values);
+      return customers;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find customer by ID
+   * @param {number} id - Customer ID
+   * @returns {Promise<Object>} Customer data
+   */
+  static async findById(id) {
+    const query = 'SELECT * FROM customers WHERE id = ?';
+
+    try {
+      const [customers] = await db.execute(query, [id]);
+      return customers[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find customer by phone number
+   * @param {string} phoneNumber - Phone number in stored form (2547XXXXXXXX)
+   * @returns {Promise<Object>} Customer data
+   */
+  static async findByPhone(phoneNumber) {
+    const query = 'SELECT * FROM customers WHERE phone_number = ?';
+
+    try {
+      const [customers] = await db.execute(query, [phoneNumber]);
+      return customers[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a customer
+   * @param {number} id - Customer ID
+   * @param {Object} updateData - Any of { name, phone_number, email, notes }
+   * @returns {Promise<Object>} Updated customer
+   */
+  static async update(id, updateData) {
+    const customer = await this.findById(id);
+    if (!customer) {
+      return null;
+    }
+
+    const {
+      name = customer.name,
+      phone_number = customer.phone_number,
+      email = customer.email,
+      notes = customer.notes
+    } = updateData;
+
+    const query = 'UPDATE customers SET name = ?, phone_number = ?, email = ?, notes = ? WHERE id = ?';
+
+    try {
+      await db.execute(query, [name, phone_number, email, notes, id]);
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a customer's details onto their vehicles and carpet clients, which
+   * keep their own copy for existing reports
+   * @param {number} id - Customer ID
+   * @param {string} changedBy - User making the change, for the vehicles' owner change history
+   * @returns {Promise<void>}
+   */
+  static async syncContact(id, changedBy = null) {
+    try {
+      await VehicleOwnerChange.recordCustomerSync(id, changedBy);
+      await db.execute(
+        `UPDATE vehicles v
+         JOIN customers c ON c.id = v.customer_id
+         SET v.owner_name = c.name, v.phone_number = c.phone_number, v.email = c.email
+         WHERE v.customer_id = ?`,
+        [id]
+      );
+      await db.execute(
+        `UPDATE carpet_clients cl
+         JOIN customers c ON c.id = cl.customer_id
+         SET cl.client_name = COALESCE(c.name, cl.client_name), cl.phone = COALESCE(c.phone_number, cl.phone)
+         WHERE cl.customer_id = ?`,
+        [id]
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * A customer's vehicles with their visit counts
+   * @param {number} id - Customer ID
+   * @returns {Promise<Array>} Vehicles
+   */
+  static async findVehicles(id) {
+    const query = `
+      SELECT v.*, COALESCE(vs.total_visits, 0) as total_visits,
+             COALESCE(vs.current_visit_count, 0) as current_visit_count, vs.last_visit_date
+      FROM vehicles v
+      LEFT JOIN vehicle_stats vs ON vs.vehicle_id = v.id
+      WHERE v.customer_id = ?
+      ORDER BY vs.last_visit_date DESC, v.id
+    `;
+
+    try {
+      const [vehicles] = await db.execute(query, [id]);
+      return vehicles;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * A customer's carpet client records
+   * @param {number} id - Customer ID
+   * @returns {Promise<Array>} Carpet clients
+   */
+  static async findCarpetClients(id) {
+    const query = 'SELECT * FROM carpet_clients WHERE customer_id = ? ORDER BY id';
+
+    try {
+      const [clients] = await db.execute(query, [id]);
+      return clients;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear a vehicle's owner
+   * @param {number} vehicleId - Vehicle ID
+   * @param {number|null} customerId - Customer ID, or null to unlink
+   * @returns {Promise<boolean>} True if the vehicle exists
+   */
+  static async setVehicleCustomer(vehicleId, customerId) {
+    const query = 'UPDATE vehicles SET customer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+    try {
+      const [result] = await db.execute(query, [customerId, vehicleId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the customer a carpet client record belongs to
+   * @param {number} carpetClientId - Carpet client ID
+   * @param {number|null} customerId - Customer ID, or null to unlink
+   * @returns {Promise<boolean>} True if the carpet client exists
+   */
+  static async setCarpetClientCustomer(carpetClientId, customerId) {
+    const query = 'UPDATE carpet_clients SET customer_id = ? WHERE id = ?';
+
+    try {
+      const [result] = await db.execute(query, [customerId, carpetClientId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Customer;
@@ -0,0 +1,137 @@
+const { db } = require('../config/db');
+
+/**
+ * Customer statistics model: visits and offers counted per customer across
+ * all their vehicles, alongside the per-vehicle vehicle_stats (MySQL Version)
+ */
+class CustomerStats {
+  /**
+   * Record a visit by one of a customer's vehicles
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Updated statistics
+   */
+  static async recordVisit(customerId) {
+    const query = `
+      INSERT INTO customer_stats (customer_id, total_visits, current_visit_count, last_visit_date)
+      VALUES (?, 1, 1, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE
+        total_visits = total_visits + 1,
+        current_visit_count = current_visit_count + 1,
+        last_visit_date = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    try {
+      await db.execute(query, [customerId]);
+      return await this.findByCustomerId(customerId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a customer's statistics
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Customer statistics
+   */
+  static async findByCustomerId(customerId) {
+    const query = `
+      SELECT cs.*, c.name, c.phone_number
+      FROM customer_stats cs
+      JOIN customers c ON c.id = cs.customer_id
+      WHERE cs.customer_id = ?
+    `;
+
+    try {
+      const [stats] = await db.execute(query, [customerId]);
+      return stats[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reset the visits counting towards the next offer after one is used
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Updated statistics
+   */
+  static async resetVisitCount(customerId) {
+    const query = `
+      UPDATE customer_stats
+      SET current_visit_count = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE customer_id = ?
+    `;
+
+    try {
+      await db.execute(query, [customerId]);
+      return await this.findByCustomerId(customerId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count an offer issued to the customer
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Updated statistics
+   */
+  static async incrementOffersEarned(customerId) {
+    const query = `
+      INSERT INTO customer_stats (customer_id, total_offers_earned)
+      VALUES (?, 1)
+      ON DUPLICATE KEY UPDATE total_offers_earned = total_offers_earned + 1, updated_at = CURRENT_TIMESTAMP
+    `;
+
+    try {
+      await db.execute(query, [customerId]);
+      return await this.findByCustomerId(customerId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count an offer the customer used
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Updated statistics
+   */
+  static async incrementOffersUsed(customerId) {
+    const query = `
+      INSERT INTO customer_stats (customer_id, total_offers_used)
+      VALUES (?, 1)
+      ON DUPLICATE KEY UPDATE total_offers_used = total_offers_used + 1, updated_at = CURRENT_TIMESTAMP
+    `;
+
+    try {
+      await db.execute(query, [customerId]);
+      return await this.findByCustomerId(customerId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Customers with enough visits for an offer
+   * @param {number} visitThreshold - Visits needed
+   * @returns {Promise<Array>} Customer statistics, most visits first
+   */
+  static async getCustomersEligibleForOffers(visitThreshold = 5) {
+    const query = `
+      SELECT cs.*, c.name, c.phone_number, c.email,
+             (SELECT COUNT(*) FROM vehicles v WHERE v.customer_id = c.id) as vehicle_count
+      FROM customer_stats cs
+      JOIN customers c ON c.id = cs.customer_id
+      WHERE cs.current_visit_count >= ?
+      ORDER BY cs.current_visit_count DESC
+    `;
+
+    try {
+      const [stats] = await db.execute(query, [visitThreshold]);
+      return stats;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomerStats;
@@ -0,0 +1,31 @@
+const { db } = require('../config/db');
+
+/**
+ * Inventory item model (MySQL Version)
+ * Stock levels are kept by the inventory system; this API only reads them.
+ */
+class Item {
+  /**
+   * Items at or below their reorder level, once per branch that has used
+   * them (branch_id null for items no branch has used yet)
+   * @returns {Promise<Array>} { id, name, stock, reorder_level, unit_of_measurement, critical, branch_id }
+   */
+  static async findLowStock() {
+    const query = `
+      SELECT i.id, i.name, i.stock, i.reorder_level, i.unit_of_measurement, i.critical, du.branch_id
+      FROM items i
+      LEFT JOIN (SELECT DISTINCT item_id, branch_id FROM daily_usage) du ON du.item_id = i.id
+      WHERE i.stock <= i.reorder_level
+      ORDER BY i.name
+    `;
+
+    try {
+      const [items] = await db.execute(query);
+      return items;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Item;
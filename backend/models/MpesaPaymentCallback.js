@@ -1,7 +1,8 @@
-const { pool } = require('../config/db');
+const { db } = require('../config/db');
 
 /**
- * Mpesa Payment Callback model for handling M-Pesa transaction callbacks
+ * Mpesa Payment Callback model for handling M-Pesa transaction callbacks (MySQL Version)
+ * Every delivery from Daraja is stored as received; duplicates are kept and flagged.
  */
 class MpesaPaymentCallback {
   /**
@@ -10,17 +11,31 @@ class MpesaPaymentCallback {
    * @returns {Promise<Object>} Created callback record
    */
   static async create(callbackData) {
-    const { datetime, source, name, phone, account_no, amount, ref, status } = callbackData;
-    
+    const {
+      datetime = null, source, name = null, phone = null, account_no = null, amount = null,
+      ref = null, status, checkout_request_id = null, merchant_request_id = null,
+      result_code = null, result_desc = null, payment_id = null, raw_payload = null
+    } = callbackData;
+
     const query = `
-      INSERT INTO mpesa_payments_callback (datetime, source, name, phone, account_no, amount, ref, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
+      INSERT INTO mpesa_payments_callback (datetime, source, name, phone, account_no, amount, ref, status,
+                                           checkout_request_id, merchant_request_id, result_code,
+                                           result_desc, payment_id, raw_payload)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
-    
-    const values = [datetime, source, name, phone, account_no, amount, ref, status];
-    const result = await pool.query(query, values);
-    return result.rows[0];
+
+    const values = [
+      datetime, source, name, phone, account_no, amount, ref, status,
+      checkout_request_id, merchant_request_id, result_code,
+      result_desc, payment_id, raw_payload ? JSON.stringify(raw_payload) : null
+    ];
+
+    try {
+      const [result] = await db.execute(query, values);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -31,36 +46,40 @@ class MpesaPaymentCallback {
   static async findAll(filters = {}) {
     let query = 'SELECT * FROM mpesa_payments_callback WHERE 1=1';
     const values = [];
-    let paramCount = 0;
 
     if (filters.phone) {
-      paramCount++;
-      query += ` AND phone = $${paramCount}`;
+      query += ` AND phone = ?`;
       values.push(filters.phone);
     }
 
     if (filters.ref) {
-      paramCount++;
-      query += ` AND ref ILIKE $${paramCount}`;
+      query += ` AND ref LIKE ?`;
       values.push(`%${filters.ref}%`);
     }
 
     if (filters.status) {
-      paramCount++;
-      query += ` AND status = $${paramCount}`;
+      query += ` AND status = ?`;
       values.push(filters.status);
     }
 
+    if (filters.source) {
+      query += ` AND source = ?`;
+      values.push(filters.source);
+    }
+
     if (filters.start_date && filters.end_date) {
-      paramCount++;
-      query += ` AND datetime BETWEEN $${paramCount} AND $${paramCount + 1}`;
+      query += ` AND datetime BETWEEN ? AND ?`;
       values.push(filters.start_date, filters.end_date);
     }
 
     query += ' ORDER BY id DESC';
 
-    const result = await pool.query(query, values);
-    return result.rows;
+    try {
+      const [callbacks] = await db.execute(query, values);
+      return callbacks;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -69,27 +88,175 @@ class MpesaPaymentCallback {
    * @returns {Promise<Object>} Callback data
    */
   static async findById(id) {
-    const query = 'SELECT * FROM mpesa_payments_callback WHERE id = $1';
-    const result = await pool.query(query, [id]);
-    return result.rows[0];
+    const query = 'SELECT * FROM mpesa_payments_callback WHERE id = ?';
+
+    try {
+      const [callbacks] = await db.execute(query, [id]);
+      return callbacks[0] || null;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
    * Update callback status
    * @param {number} id - Callback ID
    * @param {string} status - New status
+   * @param {string} paymentId - Optional payment the callback was applied to
+   * @returns {Promise<Object>} Updated callback
+   */
+  static async updateStatus(id, status, paymentId = null) {
+    const query = `
+      UPDATE mpesa_payments_callback
+      SET status = ?, payment_id = COALESCE(?, payment_id)
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [status, paymentId, id]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find receipts still waiting for a supervisor (UNMATCHED, LATE or FLAGGED)
+   * @param {Object} filters - Filter criteria (date, phone, status)
+   * @returns {Promise<Array>} Receipts, oldest first
+   */
+  static async findUnreconciled(filters = {}) {
+    let query = `
+      SELECT * FROM mpesa_payments_callback
+      WHERE status IN ('UNMATCHED', 'LATE', 'FLAGGED') AND ref IS NOT NULL
+    `;
+    const values = [];
+
+    if (filters.status) {
+      query += ` AND status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.phone) {
+      query += ` AND phone = ?`;
+      values.push(filters.phone);
+    }
+
+    if (filters.date) {
+      query += ` AND DATE(COALESCE(datetime, received_at)) = ?`;
+      values.push(filters.date);
+    }
+
+    query += ' ORDER BY COALESCE(datetime, received_at) ASC';
+
+    try {
+      const [callbacks] = await db.execute(query, values);
+      return callbacks;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find receipts paid within a time window around a given receipt
+   * @param {string} at - Receipt time (DATETIME)
+   * @param {number} windowMinutes - Minutes either side
+   * @param {number} excludeId - Receipt to leave out
+   * @param {string} until - Widen the window to end this long after a later time (DATETIME)
+   * @returns {Promise<Array>} Receipts in the window
+   */
+  static async findInWindow(at, windowMinutes, excludeId = null, until = at) {
+    const query = `
+      SELECT * FROM mpesa_payments_callback
+      WHERE ref IS NOT NULL AND id <> ?
+        AND COALESCE(datetime, received_at) BETWEEN ? - INTERVAL ? MINUTE AND ? + INTERVAL ? MINUTE
+      ORDER BY COALESCE(datetime, received_at) ASC
+    `;
+
+    try {
+      const [callbacks] = await db.execute(query, [excludeId || 0, at, windowMinutes, until, windowMinutes]);
+      return callbacks;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Return which of the given receipt numbers have arrived from M-Pesa
+   * @param {Array<string>} refs - Receipt numbers
+   * @returns {Promise<Set<string>>} Receipt numbers seen in callbacks
+   */
+  static async findReceivedRefs(refs) {
+    if (!refs || refs.length === 0) {
+      return new Set();
+    }
+
+    const query = `
+      SELECT DISTINCT ref FROM mpesa_payments_callback
+      WHERE ref IN (${refs.map(() => '?').join(', ')})
+    `;
+
+    try {
+      const [rows] = await db.execute(query, refs);
+      return new Set(rows.map(row => row.ref));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find callbacks for any of the given receipt numbers
+   * @param {Array<string>} refs - Receipt numbers
+   * @returns {Promise<Array>} Callbacks, oldest first
+   */
+  static async findByRefs(refs) {
+    if (!refs || refs.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT * FROM mpesa_payments_callback
+      WHERE ref IN (${refs.map(() => '?').join(', ')})
+      ORDER BY id ASC
+    `;
+
+    try {
+      const [callbacks] = await db.execute(query, refs);
+      return callbacks;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a supervisor's reconciliation decision on a receipt
+   * @param {number} id - Callback ID
+   * @param {string} status - RECONCILED or FLAGGED
+   * @param {Object} decision - { payment_id, reconciled_by, note }
    * @returns {Promise<Object>} Updated callback
    */
-  static async updateStatus(id, status) {
+  static async reconcile(id, status, decision = {}) {
+    const { payment_id = null, reconciled_by = null, note = null } = decision;
+
     const query = `
-      UPDATE mpesa_payments_callback 
-      SET status = $1 
-      WHERE id = $2
-      RETURNING *
+      UPDATE mpesa_payments_callback
+      SET status = ?, payment_id = COALESCE(?, payment_id), reconciled_by = ?,
+          reconciled_at = NOW(), reconciliation_note = ?
+      WHERE id = ?
     `;
-    
-    const result = await pool.query(query, [status, id]);
-    return result.rows[0];
+
+    try {
+      const [result] = await db.execute(query, [status, payment_id, reconciled_by, note, id]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -99,55 +266,34 @@ class MpesaPaymentCallback {
    */
   static async getStatistics(filters = {}) {
     let query = `
-      SELECT 
-        COUNT(*) as total_transactions,
-        COALESCE(SUM(amount), 0) as total_amount,
+      SELECT
         status,
         COUNT(*) as status_count,
         COALESCE(SUM(amount), 0) as status_amount
       FROM mpesa_payments_callback
       WHERE 1=1
     `;
-    
+
     const values = [];
-    let paramCount = 0;
 
     if (filters.start_date && filters.end_date) {
-      paramCount++;
-      query += ` AND datetime BETWEEN $${paramCount} AND $${paramCount + 1}`;
+      query += ` AND datetime BETWEEN ? AND ?`;
       values.push(filters.start_date, filters.end_date);
     }
 
     query += ' GROUP BY status ORDER BY status_amount DESC';
 
-    const result = await pool.query(query, values);
-    
-    const stats = {
-      total_transactions: 0,
-      total_amount: 0,
-      status_breakdown: result.rows
-    };
-
-    if (result.rows.length > 0) {
-      // Calculate totals
-      const totalQuery = `
-        SELECT 
-          COUNT(*) as total_transactions,
-          COALESCE(SUM(amount), 0) as total_amount
-        FROM mpesa_payments_callback
-        WHERE 1=1
-        ${filters.start_date && filters.end_date ? 'AND datetime BETWEEN $1 AND $2' : ''}
-      `;
-      
-      const totalResult = await pool.query(totalQuery, values);
-      
-      if (totalResult.rows.length > 0) {
-        stats.total_transactions = parseInt(totalResult.rows[0].total_transactions);
-        stats.total_amount = parseFloat(totalResult.rows[0].total_amount);
-      }
-    }
+    try {
+      const [breakdown] = await db.execute(query, values);
 
-    return stats;
+      return {
+        total_transactions: breakdown.reduce((sum, row) => sum + parseInt(row.status_count), 0),
+        total_amount: breakdown.reduce((sum, row) => sum + parseFloat(row.status_amount), 0),
+        status_breakdown: breakdown
+      };
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -156,9 +302,30 @@ class MpesaPaymentCallback {
    * @returns {Promise<Object>} Callback data
    */
   static async findByReference(ref) {
-    const query = 'SELECT * FROM mpesa_payments_callback WHERE ref = $1 ORDER BY id DESC LIMIT 1';
-    const result = await pool.query(query, [ref]);
-    return result.rows[0];
+    const query = 'SELECT * FROM mpesa_payments_callback WHERE ref = ? ORDER BY id DESC LIMIT 1';
+
+    try {
+      const [callbacks] = await db.execute(query, [ref]);
+      return callbacks[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find callbacks received for an STK push
+   * @param {string} checkoutRequestId - Daraja CheckoutRequestID
+   * @returns {Promise<Array>} Callbacks, oldest first
+   */
+  static async findByCheckoutRequestId(checkoutRequestId) {
+    const query = 'SELECT * FROM mpesa_payments_callback WHERE checkout_request_id = ? ORDER BY id ASC';
+
+    try {
+      const [callbacks] = await db.execute(query, [checkoutRequestId]);
+      return callbacks;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -169,15 +336,19 @@ class MpesaPaymentCallback {
    */
   static async getRecentByPhone(phone, limit = 10) {
     const query = `
-      SELECT * FROM mpesa_payments_callback 
-      WHERE phone = $1 
-      ORDER BY id DESC 
-      LIMIT $2
+      SELECT * FROM mpesa_payments_callback
+      WHERE phone = ?
+      ORDER BY id DESC
+      LIMIT ?
     `;
-    
-    const result = await pool.query(query, [phone, limit]);
-    return result.rows;
+
+    try {
+      const [callbacks] = await db.query(query, [phone, parseInt(limit)]);
+      return callbacks;
+    } catch (error) {
+      throw error;
+    }
   }
 }
 
-module.exports = MpesaPaymentCallback;
\ No newline at end of file
+module.exports = MpesaPaymentCallback;
@@ -0,0 +1,136 @@
+const { db } = require('../config/db');
+
+/**
+ * M-Pesa statement model for imported org portal statements (MySQL Version)
+ * An import holds the paid-in lines of one statement CSV.
+ */
+class MpesaStatement {
+  /**
+   * Store an imported statement and its lines
+   * @param {Object} importData - { filename, period_start, period_end, skipped_count, imported_by }
+   * @param {Array} lines - [{ line_number, receipt_no, completed_at, amount, details, other_party, account_no }]
+   * @returns {Promise<Object>} Created import
+   */
+  static async create(importData, lines) {
+    const { filename = null, period_start = null, period_end = null, skipped_count = 0, imported_by = null } = importData;
+    const totalAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `INSERT INTO mpesa_statement_imports (filename, period_start, period_end, line_count,
+                                              skipped_count, total_amount, imported_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [filename, period_start, period_end, lines.length, skipped_count, totalAmount, imported_by]
+      );
+      const importId = result.insertId;
+
+      for (const line of lines) {
+        await connection.execute(
+          `INSERT INTO mpesa_statement_lines (import_id, line_number, receipt_no, completed_at,
+                                              amount, details, other_party, account_no)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            importId, line.line_number, line.receipt_no, line.completed_at,
+            line.amount, line.details, line.other_party, line.account_no
+          ]
+        );
+      }
+
+      await connection.commit();
+      return await this.findById(importId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find all statement imports
+   * @param {Object} filters - Filter criteria (date: statements covering that day)
+   * @returns {Promise<Array>} Imports, newest first
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT id, filename, period_start, period_end, line_count, skipped_count,
+             total_amount, imported_by, created_at
+      FROM mpesa_statement_imports
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.date) {
+      query += ` AND DATE(period_start) <= ? AND DATE(period_end) >= ?`;
+      values.push(filters.date, filters.date);
+    }
+
+    query += ' ORDER BY id DESC';
+
+    try {
+      const [imports] = await db.execute(query, values);
+      return imports;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find statement import by ID
+   * @param {number} id - Import ID
+   * @returns {Promise<Object>} Import data
+   */
+  static async findById(id) {
+    const query = `
+      SELECT *, DATE_FORMAT(period_start, '%Y-%m-%d') as period_start_date,
+             DATE_FORMAT(period_end, '%Y-%m-%d') as period_end_date
+      FROM mpesa_statement_imports
+      WHERE id = ?
+    `;
+
+    try {
+      const [imports] = await db.execute(query, [id]);
+      return imports[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the lines of an imported statement
+   * @param {number} importId - Import ID
+   * @returns {Promise<Array>} Lines in statement order
+   */
+  static async findLines(importId) {
+    const query = 'SELECT * FROM mpesa_statement_lines WHERE import_id = ? ORDER BY line_number ASC';
+
+    try {
+      const [lines] = await db.execute(query, [importId]);
+      return lines;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Save the reconciliation summary of an import
+   * @param {number} id - Import ID
+   * @param {Object} summary - Summary counts
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveSummary(id, summary) {
+    const query = 'UPDATE mpesa_statement_imports SET summary = ? WHERE id = ?';
+
+    try {
+      const [result] = await db.execute(query, [JSON.stringify(summary), id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = MpesaStatement;
@@ -1,28 +1,48 @@
-const { pool } = require('../config/db');
+const { db } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
 
 /**
- * Payment model for managing payments
+ * Payment model for managing payments (MySQL Version)
+ * One row per tender; a car wash or carpet job may carry several rows.
  */
 class Payment {
   /**
    * Create a new payment record
    * @param {Object} paymentData - Payment data
+   * @param {Object} connection - Optional connection when called inside a transaction
    * @returns {Promise<Object>} Created payment
    */
-  static async create(paymentData) {
-    const { source, source_id, transaction_type, payment_mode, amount, ref, description } = paymentData;
+  static async create(paymentData, connection = db) {
+    const {
+      source, source_id, transaction_type = 'credit', payment_mode, amount,
+      ref = null, description = null, status = 'CONFIRMED', created_by = null, payer_phone = null,
+      related_payment_id = null, card_provider = null, card_status = null, approval_code = null,
+      card_brand = null, card_last4 = null, till_session_id = null
+    } = paymentData;
     const id = uuidv4();
-    
+
     const query = `
-      INSERT INTO payments (id, source, source_id, transaction_type, payment_mode, amount, ref, description)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
+      INSERT INTO payments (id, source, source_id, transaction_type, payment_mode, amount,
+                            ref, description, status, created_by, payer_phone, related_payment_id,
+                            card_provider, card_status, approval_code, card_brand, card_last4,
+                            till_session_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
-    
-    const values = [id, source, source_id, transaction_type, payment_mode, amount, ref, description];
-    const result = await pool.query(query, values);
-    return result.rows[0];
+
+    const values = [
+      id, source, source_id, transaction_type, payment_mode, amount,
+      ref, description, status, created_by, payer_phone, related_payment_id,
+      card_provider, card_status, approval_code, card_brand, card_last4,
+      till_session_id
+    ];
+
+    try {
+      await connection.execute(query, values);
+      const [payments] = await connection.execute('SELECT * FROM payments WHERE id = ?', [id]);
+      return payments[0];
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -33,7 +53,7 @@ class Payment {
   static async findAll(filters = {}) {
     let query = `
       SELECT p.*,
-             CASE 
+             CASE
                WHEN p.source = 'CARWASH' THEN cr.regno
                WHEN p.source = 'CARPETS' THEN cc.client_name
              END as source_name
@@ -44,47 +64,55 @@ class Payment {
       WHERE 1=1
     `;
     const values = [];
-    let paramCount = 0;
 
     if (filters.source) {
-      paramCount++;
-      query += ` AND p.source = $${paramCount}`;
+      query += ` AND p.source = ?`;
       values.push(filters.source);
     }
 
+    if (filters.source_id) {
+      query += ` AND p.source_id = ?`;
+      values.push(filters.source_id);
+    }
+
     if (filters.transaction_type) {
-      paramCount++;
-      query += ` AND p.transaction_type = $${paramCount}`;
+      query += ` AND p.transaction_type = ?`;
       values.push(filters.transaction_type);
     }
 
     if (filters.payment_mode) {
-      paramCount++;
-      query += ` AND p.payment_mode = $${paramCount}`;
+      query += ` AND p.payment_mode = ?`;
       values.push(filters.payment_mode);
     }
 
+    if (filters.status) {
+      query += ` AND p.status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.till_session_id) {
+      query += ` AND p.till_session_id = ?`;
+      values.push(filters.till_session_id);
+    }
+
     if (filters.ref) {
-      paramCount++;
-      query += ` AND p.ref ILIKE $${paramCount}`;
+      query += ` AND p.ref LIKE ?`;
       values.push(`%${filters.ref}%`);
     }
 
-    if (filters.start_date) {
-      // Assuming we can link to source tables for dates
-      paramCount++;
-      query += ` AND p.source_id IN (
-        SELECT id FROM car_registry WHERE updated_at >= $${paramCount}
-        UNION 
-        SELECT id FROM carpet_registry WHERE updated_at >= $${paramCount}
-      )`;
-      values.push(filters.start_date);
+    if (filters.start_date && filters.end_date) {
+      query += ` AND DATE(p.created_at) BETWEEN ? AND ?`;
+      values.push(filters.start_date, filters.end_date);
     }
 
-    query += ' ORDER BY p.id DESC';
+    query += ' ORDER BY p.created_at DESC';
 
-    const result = await pool.query(query, values);
-    return result.rows;
+    try {
+      const [payments] = await db.execute(query, values);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -95,22 +123,64 @@ class Payment {
   static async findById(id) {
     const query = `
       SELECT p.*,
-             CASE 
+             CASE
                WHEN p.source = 'CARWASH' THEN cr.regno
                WHEN p.source = 'CARPETS' THEN cc.client_name
              END as source_name,
-             CASE 
+             CASE
                WHEN p.source = 'CARWASH' THEN cr.service
                WHEN p.source = 'CARPETS' THEN carr.type
-             END as service_type
+             END as service_type,
+             COALESCE(cr.branch_id, carr.branch_id) as branch_id
       FROM payments p
       LEFT JOIN car_registry cr ON p.source = 'CARWASH' AND p.source_id = cr.id
       LEFT JOIN carpet_registry carr ON p.source = 'CARPETS' AND p.source_id = carr.id
       LEFT JOIN carpet_clients cc ON carr.client_tag = cc.id
-      WHERE p.id = $1
+      WHERE p.id = ?
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [id]);
+      return payments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a payment row for the rest of a transaction
+   * @param {string} id - Payment ID
+   * @param {Object} connection - Connection holding the transaction
+   * @returns {Promise<Object>} Payment row
+   */
+  static async lockById(id, connection) {
+    try {
+      const [payments] = await connection.execute('SELECT * FROM payments WHERE id = ? FOR UPDATE', [id]);
+      return payments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all tenders recorded against a car wash or carpet record
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @returns {Promise<Array>} Payments for the record, oldest first
+   */
+  static async findBySource(source, sourceId) {
+    const query = `
+      SELECT * FROM payments
+      WHERE source = ? AND source_id = ?
+      ORDER BY created_at ASC
     `;
-    const result = await pool.query(query, [id]);
-    return result.rows[0];
+
+    try {
+      const [payments] = await db.execute(query, [source, sourceId]);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -121,18 +191,365 @@ class Payment {
    */
   static async update(id, updateData) {
     const { source, source_id, transaction_type, payment_mode, amount, ref, description } = updateData;
-    
+
     const query = `
-      UPDATE payments 
-      SET source = $1, source_id = $2, transaction_type = $3, payment_mode = $4, 
-          amount = $5, ref = $6, description = $7
-      WHERE id = $8
-      RETURNING *
+      UPDATE payments
+      SET source = ?, source_id = ?, transaction_type = ?, payment_mode = ?,
+          amount = ?, ref = ?, description = ?
+      WHERE id = ?
     `;
-    
+
     const values = [source, source_id, transaction_type, payment_mode, amount, ref, description, id];
-    const result = await pool.query(query, values);
-    return result.rows[0];
+
+    try {
+      const [result] = await db.execute(query, values);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update payment status and, optionally, its reference
+   * @param {string} id - Payment ID
+   * @param {string} status - New status
+   * @param {string} ref - Optional reference (e.g. M-Pesa receipt number)
+   * @returns {Promise<Object>} Updated payment
+   */
+  static async updateStatus(id, status, ref = null) {
+    const query = `
+      UPDATE payments
+      SET status = ?, ref = COALESCE(?, ref)
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [status, ref, id]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a PENDING payment to a final status. Only the first caller wins, so
+   * repeated callbacks for the same checkout leave the payment untouched.
+   * A payment we timed out locally can still be confirmed by a late callback,
+   * unless it has been replaced by a new push or cash.
+   * @param {string} id - Payment ID
+   * @param {string} status - Final status (CONFIRMED, FAILED, CANCELLED, TIMEOUT)
+   * @param {string} ref - Optional reference (e.g. M-Pesa receipt number)
+   * @returns {Promise<boolean>} True if this call resolved the payment
+   */
+  static async resolvePending(id, status, ref = null) {
+    const query = `
+      UPDATE payments
+      SET status = ?, ref = COALESCE(?, ref)
+      WHERE id = ? AND (status = 'PENDING' OR (status = 'TIMEOUT' AND replaced_by IS NULL AND ? = 'CONFIRMED'))
+    `;
+
+    try {
+      const [result] = await db.execute(query, [status, ref, id, status]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an unconfirmed M-Pesa payment REPLACED by a new push or a cash tender
+   * @param {string} id - Replaced payment ID
+   * @param {string} replacedBy - Replacement payment ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} False if the payment was confirmed or replaced meanwhile
+   */
+  static async markReplaced(id, replacedBy, connection = db) {
+    const query = `
+      UPDATE payments
+      SET status = 'REPLACED', replaced_by = ?
+      WHERE id = ? AND status IN ('PENDING', 'FAILED', 'CANCELLED', 'TIMEOUT') AND replaced_by IS NULL
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [replacedBy, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a receipt number to a confirmed payment that has none yet
+   * (e.g. confirmed by STK query before the callback arrived)
+   * @param {string} id - Payment ID
+   * @param {string} ref - M-Pesa receipt number
+   * @returns {Promise<boolean>} True if the receipt was attached
+   */
+  static async attachReceipt(id, ref) {
+    const query = `
+      UPDATE payments
+      SET ref = ?
+      WHERE id = ? AND status = 'CONFIRMED' AND ref IS NULL
+    `;
+
+    try {
+      const [result] = await db.execute(query, [ref, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find M-Pesa STK payments still PENDING after the given age
+   * @param {number} olderThanSeconds - Minimum age in seconds
+   * @returns {Promise<Array>} Stale pending payments, oldest first
+   */
+  static async findStalePending(olderThanSeconds) {
+    const query = `
+      SELECT *, TIMESTAMPDIFF(SECOND, created_at, NOW()) as age_seconds
+      FROM payments
+      WHERE payment_mode = 'MPESA' AND status = 'PENDING'
+        AND checkout_request_id IS NOT NULL
+        AND created_at < NOW() - INTERVAL ? SECOND
+      ORDER BY created_at ASC
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [parseInt(olderThanSeconds)]);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Store the Daraja STK identifiers against a pending M-Pesa payment
+   * @param {string} id - Payment ID
+   * @param {string} checkoutRequestId - Daraja CheckoutRequestID
+   * @param {string} merchantRequestId - Daraja MerchantRequestID
+   * @returns {Promise<Object>} Updated payment
+   */
+  static async setMpesaRequestIds(id, checkoutRequestId, merchantRequestId) {
+    const query = `
+      UPDATE payments
+      SET checkout_request_id = ?, merchant_request_id = ?
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [checkoutRequestId, merchantRequestId, id]);
+      if (result.affectedRows === 0) {
+        return null;
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find payment by Daraja CheckoutRequestID
+   * @param {string} checkoutRequestId - Daraja CheckoutRequestID
+   * @returns {Promise<Object>} Payment data
+   */
+  static async findByCheckoutRequestId(checkoutRequestId) {
+    const query = `
+      SELECT *, TIMESTAMPDIFF(SECOND, created_at, NOW()) as age_seconds
+      FROM payments
+      WHERE checkout_request_id = ?
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [checkoutRequestId]);
+      return payments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a payment by its reference (e.g. M-Pesa receipt number)
+   * @param {string} ref - Reference
+   * @returns {Promise<Object>} Payment data
+   */
+  static async findByRef(ref) {
+    const query = 'SELECT * FROM payments WHERE ref = ? ORDER BY created_at ASC LIMIT 1';
+
+    try {
+      const [payments] = await db.execute(query, [ref]);
+      return payments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+  /**
+   * Find all tenders recorded against several records of one source
+   * @param {string} source - CARWASH or CARPETS
+   * @param {Array<string>} sourceIds - Source record IDs
+   * @returns {Promise<Array>} Payments for the records, oldest first
+   */
+  static async findBySources(source, sourceIds) {
+    if (!sourceIds || sourceIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT * FROM payments
+      WHERE source = ? AND source_id IN (${sourceIds.map(() => '?').join(', ')})
+      ORDER BY created_at ASC
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [source, ...sourceIds]);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find payments for any of the given references
+   * @param {Array<string>} refs - References (e.g. M-Pesa receipt numbers)
+   * @returns {Promise<Array>} Payments, oldest first
+   */
+  static async findByRefs(refs) {
+    if (!refs || refs.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT * FROM payments
+      WHERE ref IN (${refs.map(() => '?').join(', ')})
+      ORDER BY created_at ASC
+    `;
+
+    try {
+      const [payments] = await db.execute(query, refs);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find confirmed M-Pesa credits recorded in a time range
+   * @param {string} start - Range start (DATETIME)
+   * @param {string} end - Range end (DATETIME)
+   * @returns {Promise<Array>} Payments, oldest first
+   */
+  static async findConfirmedMpesaBetween(start, end) {
+    const query = `
+      SELECT * FROM payments
+      WHERE payment_mode = 'MPESA' AND status = 'CONFIRMED' AND transaction_type = 'credit'
+        AND created_at BETWEEN ? AND ?
+      ORDER BY created_at ASC
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [start, end]);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a PENDING STK payment for the given amount on a record
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @param {number} amount - Amount pushed
+   * @returns {Promise<Object>} Oldest matching pending payment
+   */
+  static async findPendingMpesa(source, sourceId, amount) {
+    const query = `
+      SELECT * FROM payments
+      WHERE source = ? AND source_id = ? AND payment_mode = 'MPESA' AND transaction_type = 'credit'
+        AND status = 'PENDING' AND amount = ?
+      ORDER BY created_at ASC
+      LIMIT 1
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [source, sourceId, amount]);
+      return payments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a card payment by the provider's transaction reference
+   * @param {string} provider - Card provider name
+   * @param {string} ref - Provider reference
+   * @returns {Promise<Object>} Payment data
+   */
+  static async findByCardRef(provider, ref) {
+    const query = `
+      SELECT * FROM payments
+      WHERE payment_mode = 'CARD' AND card_provider = ? AND ref = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const [payments] = await db.execute(query, [provider, ref]);
+      return payments[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a card provider result to a payment. Only succeeds while the card is
+   * still in one of the expected states, so a repeated checkout callback or a
+   * capture racing a void cannot apply twice.
+   * @param {string} id - Payment ID
+   * @param {Array<string>} fromCardStatuses - Expected current card_status values
+   * @param {Object} fields - { status, card_status, ref, approval_code, card_brand, card_last4, amount }
+   * @returns {Promise<boolean>} True if this call applied the result
+   */
+  static async applyCardResult(id, fromCardStatuses, fields) {
+    const allowed = ['status', 'card_status', 'ref', 'approval_code', 'card_brand', 'card_last4', 'amount'];
+    const columns = Object.keys(fields).filter(key => allowed.includes(key) && fields[key] !== undefined);
+
+    const query = `
+      UPDATE payments
+      SET ${columns.map(column => `${column} = ?`).join(', ')}
+      WHERE id = ? AND card_status IN (${fromCardStatuses.map(() => '?').join(', ')})
+    `;
+
+    try {
+      const [result] = await db.execute(query, [...columns.map(column => fields[column]), id, ...fromCardStatuses]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a payment to another car wash or carpet record
+   * @param {string} id - Payment ID
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Target record ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} Success status
+   */
+  static async reassignSource(id, source, sourceId, connection = db) {
+    const query = 'UPDATE payments SET source = ?, source_id = ? WHERE id = ?';
+
+    try {
+      const [result] = await connection.execute(query, [source, sourceId, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -141,9 +558,14 @@ class Payment {
    * @returns {Promise<boolean>} Success status
    */
   static async delete(id) {
-    const query = 'DELETE FROM payments WHERE id = $1';
-    const result = await pool.query(query, [id]);
-    return result.rowCount > 0;
+    const query = 'DELETE FROM payments WHERE id = ?';
+
+    try {
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
@@ -153,89 +575,62 @@ class Payment {
    */
   static async getStatistics(filters = {}) {
     let query = `
-      SELECT 
-        COUNT(*) as total_payments,
-        COALESCE(SUM(amount), 0) as total_amount,
+      SELECT
         payment_mode,
-        COUNT(*) as mode_count,
-        COALESCE(SUM(amount), 0) as mode_amount,
         transaction_type,
-        COUNT(*) as type_count,
-        COALESCE(SUM(amount), 0) as type_amount
+        COUNT(*) as mode_count,
+        COALESCE(SUM(amount), 0) as mode_amount
       FROM payments
-      WHERE 1=1
+      WHERE status = 'CONFIRMED'
     `;
-    
+
     const values = [];
-    let paramCount = 0;
 
     if (filters.start_date) {
-      paramCount++;
-      query += ` AND source_id IN (
-        SELECT id FROM car_registry WHERE updated_at >= $${paramCount}
-        UNION 
-        SELECT id FROM carpet_registry WHERE updated_at >= $${paramCount}
-      )`;
+      query += ` AND created_at >= ?`;
       values.push(filters.start_date);
     }
 
     query += ' GROUP BY payment_mode, transaction_type ORDER BY mode_amount DESC';
 
-    const result = await pool.query(query, values);
-    
-    const stats = {
-      total_payments: 0,
-      total_amount: 0,
-      payment_breakdown: result.rows
-    };
-
-    if (result.rows.length > 0) {
-      // Calculate totals
-      const totalQuery = `
-        SELECT 
-          COUNT(*) as total_payments,
-          COALESCE(SUM(amount), 0) as total_amount
-        FROM payments
-        WHERE 1=1
-        ${filters.start_date ? 'AND source_id IN (SELECT id FROM car_registry WHERE updated_at >= $1 UNION SELECT id FROM carpet_registry WHERE updated_at >= $1)' : ''}
-      `;
-      
-      const totalResult = await pool.query(totalQuery, values);
-      
-      if (totalResult.rows.length > 0) {
-        stats.total_payments = parseInt(totalResult.rows[0].total_payments);
-        stats.total_amount = parseFloat(totalResult.rows[0].total_amount);
-      }
-    }
+    try {
+      const [breakdown] = await db.execute(query, values);
 
-    return stats;
+      return {
+        total_payments: breakdown.reduce((sum, row) => sum + parseInt(row.mode_count), 0),
+        total_amount: breakdown.reduce((sum, row) => sum + parseFloat(row.mode_amount), 0),
+        payment_breakdown: breakdown
+      };
+    } catch (error) {
+      throw error;
+    }
   }
 
   /**
    * Get daily payment summary
-   * @param {string} date - Date in epoch format
-   * @returns {Promise<Object>} Daily payment summary
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @returns {Promise<Array>} Daily payment summary
    */
   static async getDailySummary(date) {
     const query = `
-      SELECT 
+      SELECT
         p.payment_mode,
         p.transaction_type,
         COUNT(*) as transaction_count,
         COALESCE(SUM(p.amount), 0) as total_amount
       FROM payments p
-      WHERE p.source_id IN (
-        SELECT id FROM car_registry WHERE DATE(to_timestamp(updated_at)) = DATE(to_timestamp($1))
-        UNION 
-        SELECT id FROM carpet_registry WHERE DATE(to_timestamp(updated_at)) = DATE(to_timestamp($1))
-      )
+      WHERE DATE(p.created_at) = ? AND p.status = 'CONFIRMED'
       GROUP BY p.payment_mode, p.transaction_type
       ORDER BY total_amount DESC
     `;
-    
-    const result = await pool.query(query, [date]);
-    return result.rows;
+
+    try {
+      const [summary] = await db.execute(query, [date]);
+      return summary;
+    } catch (error) {
+      throw error;
+    }
   }
 }
 
-module.exports = Payment;
\ No newline at end of file
+module.exports = Payment;
@@ -0,0 +1,249 @@
+const { db } = require('../config/db');
+
+// Columns returned in listings; the payload bytes are only loaded for sending
+const JOB_COLUMNS = `
+  j.id, j.printer_id, j.kind, j.source, j.source_id, j.status, j.attempts, j.max_attempts,
+  j.last_error, j.next_attempt_at, j.created_by, j.created_at, j.printed_at,
+  LENGTH(j.payload) as payload_bytes
+`;
+
+/**
+ * Print job model for the ESC/POS print queue (MySQL Version)
+ * Statuses: QUEUED -> PRINTING -> PRINTED, or back to QUEUED for a retry, or FAILED
+ */
+class PrintJob {
+  /**
+   * Queue a print job
+   * @param {Object} jobData - { printer_id, kind, source, source_id, payload, max_attempts, created_by }
+   * @returns {Promise<Object>} Queued job
+   */
+  static async create(jobData) {
+    const {
+      printer_id, kind, source = null, source_id = null, payload,
+      max_attempts = 5, created_by = null
+    } = jobData;
+
+    const query = `
+      INSERT INTO print_jobs (printer_id, kind, source, source_id, payload, max_attempts, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [printer_id, kind, source, source_id, payload, max_attempts, created_by]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all print jobs with optional filtering
+   * @param {Object} filters - Filter criteria
+   * @returns {Promise<Array>} List of jobs, newest first
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT ${JOB_COLUMNS}, p.name as printer_name, p.branch_id
+      FROM print_jobs j
+      INNER JOIN printers p ON j.printer_id = p.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.printer_id) {
+      query += ` AND j.printer_id = ?`;
+      values.push(filters.printer_id);
+    }
+
+    if (filters.branch_id) {
+      query += ` AND p.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.status) {
+      query += ` AND j.status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.kind) {
+      query += ` AND j.kind = ?`;
+      values.push(filters.kind);
+    }
+
+    query += ' ORDER BY j.created_at DESC, j.id DESC LIMIT ?';
+    values.push(parseInt(filters.limit) || 200);
+
+    try {
+      const [jobs] = await db.query(query, values);
+      return jobs;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find print job by ID (without the payload)
+   * @param {number} id - Job ID
+   * @returns {Promise<Object>} Job data
+   */
+  static async findById(id) {
+    const query = `
+      SELECT ${JOB_COLUMNS}, p.name as printer_name, p.branch_id
+      FROM print_jobs j
+      INNER JOIN printers p ON j.printer_id = p.id
+      WHERE j.id = ?
+    `;
+
+    try {
+      const [jobs] = await db.execute(query, [id]);
+      return jobs[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find queued jobs that are due, oldest first, with their payload and printer address
+   * @param {number} limit - Maximum number of jobs
+   * @returns {Promise<Array>} Due jobs
+   */
+  static async findDue(limit = 20) {
+    const query = `
+      SELECT j.*, p.host, p.port, p.is_active as printer_active
+      FROM print_jobs j
+      INNER JOIN printers p ON j.printer_id = p.id
+      WHERE j.status = 'QUEUED' AND j.next_attempt_at <= NOW()
+      ORDER BY j.id ASC
+      LIMIT ?
+    `;
+
+    try {
+      const [jobs] = await db.query(query, [limit]);
+      return jobs;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a queued job for sending. Only one worker can claim it.
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} True if this call claimed the job
+   */
+  static async claim(id) {
+    const query = `
+      UPDATE print_jobs
+      SET status = 'PRINTING', attempts = attempts + 1, next_attempt_at = NOW()
+      WHERE id = ? AND status = 'QUEUED'
+    `;
+
+    try {
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a job printed
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markPrinted(id) {
+    const query = `
+      UPDATE print_jobs
+      SET status = 'PRINTED', printed_at = NOW(), last_error = NULL
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt; the job is re-queued after retryInSeconds, or FAILED when out of attempts
+   * @param {number} id - Job ID
+   * @param {string} errorMessage - Why sending failed
+   * @param {number} retryInSeconds - Delay before the next attempt
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markAttemptFailed(id, errorMessage, retryInSeconds) {
+    const query = `
+      UPDATE print_jobs
+      SET status = IF(attempts >= max_attempts, 'FAILED', 'QUEUED'),
+          last_error = ?,
+          next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [String(errorMessage).slice(0, 255), retryInSeconds, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Put a FAILED or CANCELLED job back in the queue with fresh attempts
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} True if the job was re-queued
+   */
+  static async requeue(id) {
+    const query = `
+      UPDATE print_jobs
+      SET status = 'QUEUED', attempts = 0, next_attempt_at = NOW()
+      WHERE id = ? AND status IN ('FAILED', 'CANCELLED')
+    `;
+
+    try {
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a job that has not been sent yet
+   * @param {number} id - Job ID
+   * @returns {Promise<boolean>} True if the job was cancelled
+   */
+  static async cancel(id) {
+    const query = `UPDATE print_jobs SET status = 'CANCELLED' WHERE id = ? AND status = 'QUEUED'`;
+
+    try {
+      const [result] = await db.execute(query, [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Put jobs left PRINTING by a crashed worker back in the queue
+   * @param {number} olderThanSeconds - How long a job may stay PRINTING
+   * @returns {Promise<number>} Number of jobs re-queued
+   */
+  static async releaseStuck(olderThanSeconds) {
+    const query = `
+      UPDATE print_jobs
+      SET status = IF(attempts >= max_attempts, 'FAILED', 'QUEUED'), last_error = 'Interrupted while printing'
+      WHERE status = 'PRINTING' AND next_attempt_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [olderThanSeconds]);
+      return result.affectedRows;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = PrintJob;
@@ -0,0 +1,159 @@
+const { db } = require('../config/db');
+
+/**
+ * Printer model for network thermal printers at a branch (MySQL Version)
+ */
+class Printer {
+  /**
+   * Add a printer
+   * @param {Object} printerData - { branch_id, name, host, port, paper_width, is_default }
+   * @returns {Promise<Object>} Created printer
+   */
+  static async create(printerData) {
+    const { branch_id, name, host, port = 9100, paper_width = 32, is_default = false } = printerData;
+
+    const query = `
+      INSERT INTO printers (branch_id, name, host, port, paper_width, is_default)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [branch_id, name, host, port, paper_width, is_default ? 1 : 0]);
+      if (is_default) {
+        await this.clearDefault(branch_id, result.insertId);
+      }
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all printers with optional filtering
+   * @param {Object} filters - Filter criteria (branch_id, is_active)
+   * @returns {Promise<Array>} List of printers
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT p.*, b.name as branch_name,
+             (SELECT COUNT(*) FROM print_jobs j WHERE j.printer_id = p.id AND j.status IN ('QUEUED', 'PRINTING')) as queued_jobs
+      FROM printers p
+      LEFT JOIN branches b ON p.branch_id = b.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND p.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.is_active !== undefined) {
+      query += ` AND p.is_active = ?`;
+      values.push(filters.is_active ? 1 : 0);
+    }
+
+    query += ' ORDER BY p.branch_id, p.is_default DESC, p.name';
+
+    try {
+      const [printers] = await db.execute(query, values);
+      return printers;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find printer by ID
+   * @param {number} id - Printer ID
+   * @returns {Promise<Object>} Printer data
+   */
+  static async findById(id) {
+    const query = 'SELECT * FROM printers WHERE id = ?';
+
+    try {
+      const [printers] = await db.execute(query, [id]);
+      return printers[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the printer a branch prints to by default
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} Default active printer, else the first active one
+   */
+  static async findDefaultForBranch(branchId) {
+    const query = `
+      SELECT * FROM printers
+      WHERE branch_id = ? AND is_active = 1
+      ORDER BY is_default DESC, id ASC
+      LIMIT 1
+    `;
+
+    try {
+      const [printers] = await db.execute(query, [branchId]);
+      return printers[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update printer settings
+   * @param {number} id - Printer ID
+   * @param {Object} updateData - Any of { name, host, port, paper_width, is_default, is_active }
+   * @returns {Promise<Object>} Updated printer
+   */
+  static async update(id, updateData) {
+    const printer = await this.findById(id);
+    if (!printer) {
+      return null;
+    }
+
+    const merged = { ...printer };
+    ['name', 'host', 'port', 'paper_width'].forEach(key => {
+      if (updateData[key] !== undefined) merged[key] = updateData[key];
+    });
+    ['is_default', 'is_active'].forEach(key => {
+      if (updateData[key] !== undefined) merged[key] = updateData[key] ? 1 : 0;
+    });
+
+    const query = `
+      UPDATE printers
+      SET name = ?, host = ?, port = ?, paper_width = ?, is_default = ?, is_active = ?
+      WHERE id = ?
+    `;
+
+    try {
+      await db.execute(query, [
+        merged.name, merged.host, merged.port, merged.paper_width, merged.is_default, merged.is_active, id
+      ]);
+      if (merged.is_default && !printer.is_default) {
+        await this.clearDefault(printer.branch_id, id);
+      }
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Make a printer the only default at its branch
+   * @param {string} branchId - Branch ID
+   * @param {number} keepId - Printer that stays default
+   * @returns {Promise<void>}
+   */
+  static async clearDefault(branchId, keepId) {
+    const query = 'UPDATE printers SET is_default = 0 WHERE branch_id = ? AND id <> ?';
+
+    try {
+      await db.execute(query, [branchId, keepId]);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Printer;
@@ -0,0 +1,87 @@
+const { db } = require('../config/db');
+
+/**
+ * Real-time event model: the log of events pushed to devices, kept so
+ * reconnecting clients can catch up (MySQL Version)
+ */
+class RealtimeEvent {
+  /**
+   * Record an event
+   * @param {Object} eventData - { branch_id, type, payload }
+   * @returns {Promise<Object>} { id, branch_id, type, data, created_at }
+   */
+  static async create(eventData) {
+    const { branch_id = null, type, payload } = eventData;
+    const createdAt = new Date();
+
+    const query = 'INSERT INTO realtime_events (branch_id, type, payload, created_at) VALUES (?, ?, ?, ?)';
+
+    try {
+      const [result] = await db.execute(query, [branch_id, type, JSON.stringify(payload), createdAt]);
+      return { id: result.insertId, branch_id, type, data: payload, created_at: createdAt };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Events after a given ID
+   * @param {number} afterId - Last event ID the client saw
+   * @param {Array<string>|null} branchIds - Branches to include; null for every branch and branchless events
+   * @param {number} limit - Most events to return
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  static async findSince(afterId, branchIds, limit) {
+    let query = 'SELECT * FROM realtime_events WHERE id > ?';
+    const values = [afterId];
+
+    if (branchIds) {
+      query += ` AND branch_id IN (${branchIds.map(() => '?').join(', ')})`;
+      values.push(...branchIds);
+    }
+
+    query += ` ORDER BY id LIMIT ${parseInt(limit)}`;
+
+    try {
+      const [events] = await db.execute(query, values);
+      return events.map(event => ({
+        id: event.id,
+        branch_id: event.branch_id,
+        type: event.type,
+        data: typeof event.payload === 'string' ? JSON.parse(event.payload) : event.payload,
+        created_at: event.created_at
+      }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of the oldest and newest events still kept
+   * @returns {Promise<Object>} { oldest_id, latest_id } (null when no events are kept)
+   */
+  static async findIdRange() {
+    try {
+      const [rows] = await db.execute('SELECT MIN(id) as oldest_id, MAX(id) as latest_id FROM realtime_events');
+      return rows[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete events older than a date
+   * @param {Date} before - Cut-off
+   * @returns {Promise<number>} Events deleted
+   */
+  static async deleteOlderThan(before) {
+    try {
+      const [result] = await db.execute('DELETE FROM realtime_events WHERE created_at < ?', [before]);
+      return result.affectedRows;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = RealtimeEvent;
@@ -0,0 +1,170 @@
+const { db } = require('../config/db');
+
+/**
+ * Receipt model for customer receipts on car wash and carpet jobs (MySQL Version)
+ * Receipt numbers run per branch: BRN001-000001, BRN001-000002, ...
+ */
+class Receipt {
+  /**
+   * Issue a receipt with the branch's next receipt number
+   * @param {Object} receiptData - { branch_id, source, source_id, verification_code, total_due, amount_paid, issued_by }
+   * @returns {Promise<Object>} Issued receipt
+   */
+  static async issue(receiptData) {
+    const {
+      branch_id, source, source_id, verification_code,
+      total_due = 0, amount_paid = 0, issued_by = null
+    } = receiptData;
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // LAST_INSERT_ID(expr) hands the incremented value back to this connection only
+      await connection.execute(
+        `INSERT INTO receipt_sequences (branch_id, last_number) VALUES (?, LAST_INSERT_ID(1))
+         ON DUPLICATE KEY UPDATE last_number = LAST_INSERT_ID(last_number + 1)`,
+        [branch_id]
+      );
+      const [[{ sequence }]] = await connection.query('SELECT LAST_INSERT_ID() as sequence');
+
+      const receiptNumber = `${branch_id}-${String(sequence).padStart(6, '0')}`;
+      const [result] = await connection.execute(
+        `INSERT INTO receipts (branch_id, sequence_number, receipt_number, source, source_id,
+                               verification_code, total_due, amount_paid, issued_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [branch_id, sequence, receiptNumber, source, source_id, verification_code, total_due, amount_paid, issued_by]
+      );
+
+      await connection.commit();
+      return await this.findById(result.insertId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Find all receipts with optional filtering
+   * @param {Object} filters - Filter criteria
+   * @returns {Promise<Array>} List of receipts, newest first
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT r.*, b.name as branch_name
+      FROM receipts r
+      LEFT JOIN branches b ON r.branch_id = b.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND r.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.source) {
+      query += ` AND r.source = ?`;
+      values.push(filters.source);
+    }
+
+    if (filters.receipt_number) {
+      query += ` AND r.receipt_number = ?`;
+      values.push(filters.receipt_number);
+    }
+
+    if (filters.start_date && filters.end_date) {
+      query += ` AND DATE(r.issued_at) BETWEEN ? AND ?`;
+      values.push(filters.start_date, filters.end_date);
+    }
+
+    query += ' ORDER BY r.issued_at DESC, r.id DESC';
+
+    try {
+      const [receipts] = await db.execute(query, values);
+      return receipts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find receipt by ID
+   * @param {number} id - Receipt ID
+   * @returns {Promise<Object>} Receipt data
+   */
+  static async findById(id) {
+    const query = 'SELECT * FROM receipts WHERE id = ?';
+
+    try {
+      const [receipts] = await db.execute(query, [id]);
+      return receipts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the receipt issued for a job
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @returns {Promise<Object>} Receipt data
+   */
+  static async findBySource(source, sourceId) {
+    const query = 'SELECT * FROM receipts WHERE source = ? AND source_id = ?';
+
+    try {
+      const [receipts] = await db.execute(query, [source, sourceId]);
+      return receipts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a receipt by the code in its QR code
+   * @param {string} code - Verification code
+   * @returns {Promise<Object>} Receipt with branch name
+   */
+  static async findByVerificationCode(code) {
+    const query = `
+      SELECT r.*, b.name as branch_name, b.location as branch_location
+      FROM receipts r
+      LEFT JOIN branches b ON r.branch_id = b.id
+      WHERE r.verification_code = ?
+    `;
+
+    try {
+      const [receipts] = await db.execute(query, [code]);
+      return receipts[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a (re)print with the totals it showed
+   * @param {number} id - Receipt ID
+   * @param {number} totalDue - Total due printed
+   * @param {number} amountPaid - Amount paid printed
+   * @returns {Promise<boolean>} Success status
+   */
+  static async recordPrint(id, totalDue, amountPaid) {
+    const query = `
+      UPDATE receipts
+      SET total_due = ?, amount_paid = ?, print_count = print_count + 1
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [totalDue, amountPaid, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Receipt;
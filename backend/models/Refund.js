@@ -0,0 +1,189 @@
+const { db } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Refund model for refunds against payments (MySQL Version)
+ * The refund itself is paid out as a separate 'debit' payment (debit_payment_id).
+ */
+class Refund {
+  /**
+   * Create a refund request
+   * @param {Object} refundData - { payment_id, amount, method, reason, phone, requested_by }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} Created refund
+   */
+  static async create(refundData, connection = db) {
+    const { payment_id, amount, method, reason, phone = null, requested_by = null } = refundData;
+    const id = uuidv4();
+
+    const query = `
+      INSERT INTO refunds (id, payment_id, amount, method, reason, phone, requested_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      await connection.execute(query, [id, payment_id, amount, method, reason, phone, requested_by]);
+      const [refunds] = await connection.execute('SELECT * FROM refunds WHERE id = ?', [id]);
+      return refunds[0];
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all refunds with optional filtering
+   * @param {Object} filters - Filter criteria
+   * @returns {Promise<Array>} List of refunds
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT r.*, p.source, p.source_id, p.payment_mode, p.amount as payment_amount, p.ref as payment_ref,
+             ru.name as requested_by_name, au.name as approved_by_name
+      FROM refunds r
+      INNER JOIN payments p ON r.payment_id = p.id
+      LEFT JOIN users ru ON r.requested_by = ru.id
+      LEFT JOIN users au ON r.approved_by = au.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.status) {
+      query += ` AND r.status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.method) {
+      query += ` AND r.method = ?`;
+      values.push(filters.method);
+    }
+
+    if (filters.payment_id) {
+      query += ` AND r.payment_id = ?`;
+      values.push(filters.payment_id);
+    }
+
+    if (filters.start_date && filters.end_date) {
+      query += ` AND DATE(r.created_at) BETWEEN ? AND ?`;
+      values.push(filters.start_date, filters.end_date);
+    }
+
+    query += ' ORDER BY r.created_at DESC';
+
+    try {
+      const [refunds] = await db.execute(query, values);
+      return refunds;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find refund by ID
+   * @param {string} id - Refund ID
+   * @returns {Promise<Object>} Refund data
+   */
+  static async findById(id) {
+    const query = 'SELECT * FROM refunds WHERE id = ?';
+
+    try {
+      const [refunds] = await db.execute(query, [id]);
+      return refunds[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the refund a Daraja result belongs to
+   * @param {string} conversationId - Daraja ConversationID
+   * @param {string} originatorConversationId - Daraja OriginatorConversationID
+   * @returns {Promise<Object>} Refund data
+   */
+  static async findByConversationId(conversationId, originatorConversationId = null) {
+    const query = `
+      SELECT * FROM refunds
+      WHERE conversation_id = ? OR originator_conversation_id = ?
+      LIMIT 1
+    `;
+
+    try {
+      const [refunds] = await db.execute(query, [conversationId || null, originatorConversationId || null]);
+      return refunds[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Total already refunded or being refunded against a payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Amount
+   */
+  static async getCommittedAmount(paymentId, connection = db) {
+    const query = `
+      SELECT COALESCE(SUM(amount), 0) as total
+      FROM refunds
+      WHERE payment_id = ? AND status IN ('REQUESTED', 'PROCESSING', 'COMPLETED')
+    `;
+
+    try {
+      const [rows] = await connection.execute(query, [paymentId]);
+      return parseFloat(rows[0].total);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a refund from one status to another. Only succeeds if the refund
+   * is still in the expected status, so concurrent approvals or repeated
+   * Daraja results cannot apply twice.
+   * @param {string} id - Refund ID
+   * @param {string} fromStatus - Expected current status
+   * @param {string} toStatus - New status
+   * @param {Object} fields - Other columns to set (approved_by, debit_payment_id, result_code, ...)
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} True if this call made the transition
+   */
+  static async transition(id, fromStatus, toStatus, fields = {}, connection = db) {
+    const allowed = [
+      'approved_by', 'rejection_reason', 'debit_payment_id', 'conversation_id',
+      'originator_conversation_id', 'result_code', 'result_desc', 'mpesa_ref'
+    ];
+    const columns = Object.keys(fields).filter(key => allowed.includes(key));
+
+    const query = `
+      UPDATE refunds
+      SET status = ?${columns.map(column => `, ${column} = ?`).join('')}
+          ${fields.approved_by !== undefined ? ', approved_at = NOW()' : ''}
+      WHERE id = ? AND status = ?
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [toStatus, ...columns.map(column => fields[column]), id, fromStatus]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a Daraja result description without changing the status (e.g. queue timeout)
+   * @param {string} id - Refund ID
+   * @param {string} resultDesc - Result description
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setResultDesc(id, resultDesc) {
+    const query = 'UPDATE refunds SET result_desc = ? WHERE id = ?';
+
+    try {
+      const [result] = await db.execute(query, [resultDesc, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Refund;
@@ -0,0 +1,264 @@
+const { db } = require('../config/db');
+
+/**
+ * Service catalog model: services, their base price per vehicle class and
+ * branch price overrides (MySQL Version)
+ */
+class ServiceCatalog {
+  /**
+   * Add a service to the catalog
+   * @param {Object} serviceData - { code, name, description, duration_minutes, is_bookable }
+   * @returns {Promise<Object>} Created service
+   */
+  static async create(serviceData) {
+    const { code, name, description = null, duration_minutes = 30, is_bookable = false } = serviceData;
+
+    const query = `
+      INSERT INTO service_catalog (code, name, description, duration_minutes, is_bookable)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [code, name, description, duration_minutes, is_bookable ? 1 : 0]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all catalog services
+   * @param {Object} filters - Filter criteria (is_active, is_bookable)
+   * @returns {Promise<Array>} List of services
+   */
+  static async findAll(filters = {}) {
+    let query = 'SELECT * FROM service_catalog WHERE 1=1';
+    const values = [];
+
+    if (filters.is_active !== undefined) {
+      query += ' AND is_active = ?';
+      values.push(filters.is_active ? 1 : 0);
+    }
+
+    if (filters.is_bookable !== undefined) {
+      query += ' AND is_bookable = ?';
+      values.push(filters.is_bookable ? 1 : 0);
+    }
+
+    query += ' ORDER BY name';
+
+    try {
+      const [services] = await db.execute(query, values);
+      return services;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find service by ID
+   * @param {number} id - Service ID
+   * @returns {Promise<Object>} Service data
+   */
+  static async findById(id) {
+    const query = 'SELECT * FROM service_catalog WHERE id = ?';
+
+    try {
+      const [services] = await db.execute(query, [id]);
+      return services[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a service by its code, or by its name ignoring case
+   * @param {string} codeOrName - e.g. FULL_WASH or "Full wash"
+   * @returns {Promise<Object>} Service data
+   */
+  static async findByCodeOrName(codeOrName) {
+    const query = `
+      SELECT * FROM service_catalog
+      WHERE code = ? OR LOWER(name) = LOWER(?)
+      ORDER BY code = ? DESC
+      LIMIT 1
+    `;
+    const value = String(codeOrName).trim();
+
+    try {
+      const [services] = await db.execute(query, [value.toUpperCase(), value, value.toUpperCase()]);
+      return services[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a catalog service
+   * @param {number} id - Service ID
+   * @param {Object} updateData - Any of { name, description, is_active, duration_minutes, is_bookable }
+   * @returns {Promise<Object>} Updated service
+   */
+  static async update(id, updateData) {
+    const service = await this.findById(id);
+    if (!service) {
+      return null;
+    }
+
+    const {
+      name = service.name, description = service.description, duration_minutes = service.duration_minutes
+    } = updateData;
+    const isActive = updateData.is_active !== undefined ? (updateData.is_active ? 1 : 0) : service.is_active;
+    const isBookable = updateData.is_bookable !== undefined ? (updateData.is_bookable ? 1 : 0) : service.is_bookable;
+
+    const query = `
+      UPDATE service_catalog
+      SET name = ?, description = ?, is_active = ?, duration_minutes = ?, is_bookable = ?
+      WHERE id = ?
+    `;
+
+    try {
+      await db.execute(query, [name, description, isActive, duration_minutes, isBookable, id]);
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Base prices of services per vehicle class
+   * @param {number} serviceId - Service ID (optional; all services when omitted)
+   * @returns {Promise<Array>} { service_id, vehicle_class, price }
+   */
+  static async findBasePrices(serviceId = null) {
+    const query = `
+      SELECT service_id, vehicle_class, price
+      FROM service_prices
+      ${serviceId ? 'WHERE service_id = ?' : ''}
+      ORDER BY service_id, vehicle_class
+    `;
+
+    try {
+      const [prices] = await db.execute(query, serviceId ? [serviceId] : []);
+      return prices;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * A branch's price overrides
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Array>} { service_id, vehicle_class, price }
+   */
+  static async findBranchPrices(branchId) {
+    const query = `
+      SELECT service_id, vehicle_class, price
+      FROM branch_service_prices
+      WHERE branch_id = ?
+      ORDER BY service_id, vehicle_class
+    `;
+
+    try {
+      const [prices] = await db.execute(query, [branchId]);
+      return prices;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Price of a service for a vehicle class at a branch: the branch's own price
+   * if it has one, else the base price
+   * @param {number} serviceId - Service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} { price, price_source: BRANCH | BASE } or null if not priced
+   */
+  static async getEffectivePrice(serviceId, vehicleClass, branchId) {
+    const query = `
+      SELECT COALESCE(bsp.price, sp.price) as price,
+             IF(bsp.price IS NOT NULL, 'BRANCH', 'BASE') as price_source
+      FROM service_catalog s
+      LEFT JOIN service_prices sp ON sp.service_id = s.id AND sp.vehicle_class = ?
+      LEFT JOIN branch_service_prices bsp
+        ON bsp.service_id = s.id AND bsp.vehicle_class = ? AND bsp.branch_id = ?
+      WHERE s.id = ? AND (sp.price IS NOT NULL OR bsp.price IS NOT NULL)
+    `;
+
+    try {
+      const [prices] = await db.execute(query, [vehicleClass, vehicleClass, branchId || null, serviceId]);
+      return prices[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set the base price of a service for a vehicle class
+   * @param {number} serviceId - Service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @param {number} price - Price
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setBasePrice(serviceId, vehicleClass, price) {
+    const query = `
+      INSERT INTO service_prices (service_id, vehicle_class, price)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE price = VALUES(price)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [serviceId, vehicleClass, price]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set a branch's own price for a service and vehicle class
+   * @param {string} branchId - Branch ID
+   * @param {number} serviceId - Service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @param {number} price - Price
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setBranchPrice(branchId, serviceId, vehicleClass, price) {
+    const query = `
+      INSERT INTO branch_service_prices (branch_id, service_id, vehicle_class, price)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE price = VALUES(price)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [branchId, serviceId, vehicleClass, price]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a branch price so the base price applies again
+   * @param {string} branchId - Branch ID
+   * @param {number} serviceId - Service ID
+   * @param {string} vehicleClass - Vehicle class
+   * @returns {Promise<boolean>} True if a branch price was removed
+   */
+  static async removeBranchPrice(branchId, serviceId, vehicleClass) {
+    const query = `
+      DELETE FROM branch_service_prices
+      WHERE branch_id = ? AND service_id = ? AND vehicle_class = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [branchId, serviceId, vehicleClass]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = ServiceCatalog;
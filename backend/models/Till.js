@@ -0,0 +1,106 @@
+const { db } = require('../config/db');
+
+/**
+ * Till model for cash drawers at a branch (MySQL Version)
+ */
+class Till {
+  /**
+   * Create a new till
+   * @param {Object} tillData - { branch_id, name }
+   * @returns {Promise<Object>} Created till
+   */
+  static async create(tillData) {
+    const { branch_id, name } = tillData;
+
+    const query = 'INSERT INTO tills (branch_id, name) VALUES (?, ?)';
+
+    try {
+      const [result] = await db.execute(query, [branch_id, name]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all tills with their current (unsigned-off) session, if any
+   * @param {Object} filters - Filter criteria (branch_id, is_active)
+   * @returns {Promise<Array>} List of tills
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT t.*, b.name as branch_name,
+             s.id as current_session_id, s.status as current_session_status,
+             s.cashier_id as current_cashier_id, u.name as current_cashier_name
+      FROM tills t
+      LEFT JOIN branches b ON t.branch_id = b.id
+      LEFT JOIN till_sessions s ON s.till_id = t.id AND s.status IN ('OPEN', 'CLOSED')
+      LEFT JOIN users u ON s.cashier_id = u.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND t.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.is_active !== undefined) {
+      query += ` AND t.is_active = ?`;
+      values.push(filters.is_active ? 1 : 0);
+    }
+
+    query += ' ORDER BY t.branch_id, t.name';
+
+    try {
+      const [tills] = await db.execute(query, values);
+      return tills;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find till by ID
+   * @param {number} id - Till ID
+   * @param {Object} connection - Optional connection; locks the till row when given
+   * @returns {Promise<Object>} Till data
+   */
+  static async findById(id, connection = null) {
+    const query = `SELECT * FROM tills WHERE id = ?${connection ? ' FOR UPDATE' : ''}`;
+
+    try {
+      const [tills] = await (connection || db).execute(query, [id]);
+      return tills[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or (de)activate a till
+   * @param {number} id - Till ID
+   * @param {Object} updateData - { name, is_active }
+   * @returns {Promise<Object>} Updated till
+   */
+  static async update(id, updateData) {
+    const till = await this.findById(id);
+    if (!till) {
+      return null;
+    }
+
+    const name = updateData.name !== undefined ? updateData.name : till.name;
+    const isActive = updateData.is_active !== undefined ? (updateData.is_active ? 1 : 0) : till.is_active;
+
+    const query = 'UPDATE tills SET name = ?, is_active = ? WHERE id = ?';
+
+    try {
+      await db.execute(query, [name, isActive, id]);
+      return await this.findById(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = Till;
@@ -0,0 +1,248 @@
+const { db } = require('../config/db');
+
+/**
+ * Till session model for cashier shifts on a till (MySQL Version)
+ * Statuses: OPEN -> CLOSED (counted) -> APPROVED (supervisor signed off)
+ */
+class TillSession {
+  /**
+   * Open a session
+   * @param {Object} sessionData - { till_id, cashier_id, opening_float }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Session ID
+   */
+  static async create(sessionData, connection = db) {
+    const { till_id, cashier_id, opening_float = 0 } = sessionData;
+
+    const query = `
+      INSERT INTO till_sessions (till_id, cashier_id, opening_float)
+      VALUES (?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [till_id, cashier_id, opening_float]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all sessions with optional filtering
+   * @param {Object} filters - Filter criteria
+   * @returns {Promise<Array>} List of sessions, newest first
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT s.*, t.name as till_name, t.branch_id,
+             cu.name as cashier_name, au.name as approved_by_name
+      FROM till_sessions s
+      INNER JOIN tills t ON s.till_id = t.id
+      LEFT JOIN users cu ON s.cashier_id = cu.id
+      LEFT JOIN users au ON s.approved_by = au.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.till_id) {
+      query += ` AND s.till_id = ?`;
+      values.push(filters.till_id);
+    }
+
+    if (filters.branch_id) {
+      query += ` AND t.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.cashier_id) {
+      query += ` AND s.cashier_id = ?`;
+      values.push(filters.cashier_id);
+    }
+
+    if (filters.status) {
+      query += ` AND s.status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.start_date && filters.end_date) {
+      query += ` AND DATE(s.opened_at) BETWEEN ? AND ?`;
+      values.push(filters.start_date, filters.end_date);
+    }
+
+    query += ' ORDER BY s.opened_at DESC';
+
+    try {
+      const [sessions] = await db.execute(query, values);
+      return sessions;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {number} id - Session ID
+   * @returns {Promise<Object>} Session data
+   */
+  static async findById(id) {
+    const query = `
+      SELECT s.*, t.name as till_name, t.branch_id,
+             cu.name as cashier_name, au.name as approved_by_name
+      FROM till_sessions s
+      INNER JOIN tills t ON s.till_id = t.id
+      LEFT JOIN users cu ON s.cashier_id = cu.id
+      LEFT JOIN users au ON s.approved_by = au.id
+      WHERE s.id = ?
+    `;
+
+    try {
+      const [sessions] = await db.execute(query, [id]);
+      return sessions[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the session a cashier currently has open
+   * @param {string} cashierId - User ID
+   * @param {Object} connection - Optional connection; locks the session row when given
+   * @returns {Promise<Object>} Open session or null
+   */
+  static async findOpenByCashier(cashierId, connection = null) {
+    const query = `
+      SELECT * FROM till_sessions
+      WHERE cashier_id = ? AND status = 'OPEN'
+      ORDER BY opened_at DESC
+      LIMIT 1${connection ? ' FOR UPDATE' : ''}
+    `;
+
+    try {
+      const [sessions] = await (connection || db).execute(query, [cashierId]);
+      return sessions[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a session on a till that has not been signed off yet (OPEN or CLOSED)
+   * @param {number} tillId - Till ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} Session or null
+   */
+  static async findUnapprovedByTill(tillId, connection = db) {
+    const query = `
+      SELECT * FROM till_sessions
+      WHERE till_id = ? AND status IN ('OPEN', 'CLOSED')
+      ORDER BY opened_at DESC
+      LIMIT 1
+    `;
+
+    try {
+      const [sessions] = await connection.execute(query, [tillId]);
+      return sessions[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a session row for the rest of a transaction
+   * @param {number} id - Session ID
+   * @param {Object} connection - Transaction connection
+   * @returns {Promise<Object>} Session or null
+   */
+  static async lock(id, connection) {
+    const query = 'SELECT * FROM till_sessions WHERE id = ? FOR UPDATE';
+
+    try {
+      const [sessions] = await connection.execute(query, [id]);
+      return sessions[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Sum the confirmed CASH taken in and paid out during a session
+   * @param {number} id - Session ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} { cash_in, cash_out, payment_count }
+   */
+  static async getCashTotals(id, connection = db) {
+    const query = `
+      SELECT
+        COALESCE(SUM(CASE WHEN transaction_type = 'credit' THEN amount ELSE 0 END), 0) as cash_in,
+        COALESCE(SUM(CASE WHEN transaction_type = 'debit' THEN amount ELSE 0 END), 0) as cash_out,
+        COUNT(*) as payment_count
+      FROM payments
+      WHERE till_session_id = ? AND payment_mode = 'CASH' AND status = 'CONFIRMED'
+    `;
+
+    try {
+      const [rows] = await connection.execute(query, [id]);
+      return {
+        cash_in: parseFloat(rows[0].cash_in),
+        cash_out: parseFloat(rows[0].cash_out),
+        payment_count: parseInt(rows[0].payment_count)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record the cash-up of an OPEN session
+   * @param {number} id - Session ID
+   * @param {Object} closeData - { cash_in, cash_out, expected_cash, counted_cash, variance, denominations, close_note }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} True if the session was still open
+   */
+  static async close(id, closeData, connection = db) {
+    const { cash_in, cash_out, expected_cash, counted_cash, variance, denominations, close_note = null } = closeData;
+
+    const query = `
+      UPDATE till_sessions
+      SET status = 'CLOSED', closed_at = NOW(), cash_in = ?, cash_out = ?, expected_cash = ?,
+          counted_cash = ?, variance = ?, denominations = ?, close_note = ?
+      WHERE id = ? AND status = 'OPEN'
+    `;
+
+    const values = [
+      cash_in, cash_out, expected_cash, counted_cash, variance,
+      JSON.stringify(denominations), close_note, id
+    ];
+
+    try {
+      const [result] = await connection.execute(query, values);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Supervisor sign-off of a CLOSED session
+   * @param {number} id - Session ID
+   * @param {string} approvedBy - Supervisor signing off
+   * @param {string} note - Approval note (e.g. explanation of a variance)
+   * @returns {Promise<boolean>} True if the session was waiting for sign-off
+   */
+  static async approve(id, approvedBy, note = null) {
+    const query = `
+      UPDATE till_sessions
+      SET status = 'APPROVED', approved_by = ?, approved_at = NOW(), approval_note = ?
+      WHERE id = ? AND status = 'CLOSED'
+    `;
+
+    try {
+      const [result] = await db.execute(query, [approvedBy, note, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = TillSession;
@@ -1,4 +1,6 @@
 const { db } = require('../config/db');
+const PlateService = require('../services/plateService');
+const VehicleOwnerChange = require('./VehicleOwnerChange');
 
 /**
  * Vehicle model for managing vehicle information
@@ -6,11 +8,13 @@ const { db } = require('../config/db');
 class Vehicle {
   /**
    * Create a new vehicle record or update existing one
-   * @param {Object} vehicleData - Vehicle data
+   * @param {Object} vehicleData - Vehicle data (changed_by: user, for the owner change history)
    * @returns {Promise<Object>} Created or updated vehicle
    */
   static async createOrUpdate(vehicleData) {
-    const { license_plate, make, model, owner_name, phone_number, email } = vehicleData;
+    const { make, model, owner_name, phone_number, email, vehicle_class, changed_by = null } = vehicleData;
+    const plate = PlateService.parse(vehicleData.license_plate);
+    const license_plate = plate.plate;
 
     // Validate required fields
     if (!license_plate) {
@@ -31,21 +35,39 @@ class Vehicle {
       if (phone_number) updateData.phone_number = phone_number;
       if (email) updateData.email = email;
 
+      // A class given by hand wins; otherwise classify a vehicle that has no class yet
+      if (vehicle_class) {
+        updateData.vehicle_class = vehicle_class;
+        updateData.vehicle_class_source = 'MANUAL';
+      } else if (!existingVehicle.vehicle_class) {
+        const inferredClass = await this.inferClass(make || existingVehicle.make, model || existingVehicle.model);
+        if (inferredClass) {
+          updateData.vehicle_class = inferredClass;
+          updateData.vehicle_class_source = 'LOOKUP';
+        }
+      }
+
       if (Object.keys(updateData).length > 0) {
-        return await this.update(existingVehicle.id, updateData);
+        return await this.update(existingVehicle.id, updateData, changed_by);
       }
       return existingVehicle;
     } else {
-      // Create new vehicle
+      // Create new vehicle, classified from the make/model lookup unless a class is given
+      const inferredClass = vehicle_class ? null : await this.inferClass(make, model);
+
       const query = `
-        INSERT INTO vehicles (license_plate, make, model, owner_name, phone_number, email)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO vehicles (license_plate, plate_format, make, model, vehicle_class, vehicle_class_source,
+                              owner_name, phone_number, email)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const values = [
-        license_plate.toUpperCase(), // Normalize to uppercase
+        license_plate, // Canonical plate, e.g. KDG123A
+        plate.format,
         make || null,
         model || null,
+        vehicle_class || inferredClass || null,
+        vehicle_class ? 'MANUAL' : (inferredClass ? 'LOOKUP' : null),
         owner_name || null,
         phone_number || null,
         email || null
@@ -54,6 +76,7 @@ class Vehicle {
       try {
         const [result] = await db.execute(query, values);
         const [vehicles] = await db.execute('SELECT * FROM vehicles WHERE id = ?', [result.insertId]);
+        await VehicleOwnerChange.record(null, vehicles[0], changed_by);
         return vehicles[0];
       } catch (error) {
         // Handle unique constraint violation
@@ -66,6 +89,83 @@ class Vehicle {
     }
   }
 
+  /**
+   * Infer a vehicle's class from the make/model lookup. Models are matched as
+   * whole words anywhere in the make and model text (e.g. "Toyota Axio 2014"),
+   * preferring the longest model name and a matching make, then a make's own class.
+   * @param {string} make - Make (optional)
+   * @param {string} model - Model as typed at registration
+   * @returns {Promise<string|null>} Vehicle class, or null if not recognised
+   */
+  static async inferClass(make, model) {
+    const words = `${make || ''} ${model || ''}`.toUpperCase().replace(/[^A-Z0-9-]+/g, ' ').trim();
+    if (!words) {
+      return null;
+    }
+    const text = ` ${words} `;
+
+    try {
+      const [lookups] = await db.execute('SELECT make, model, vehicle_class FROM vehicle_models');
+
+      const has = (value) => text.includes(` ${value} `);
+      const makeMatches = (lookup) => (make && String(make).toUpperCase().trim() === lookup.make) || has(lookup.make);
+
+      const byModel = lookups
+        .filter(lookup => lookup.model && has(lookup.model))
+        .sort((a, b) => (makeMatches(b) - makeMatches(a)) || (b.model.length - a.model.length));
+      if (byModel.length > 0) {
+        return byModel[0].vehicle_class;
+      }
+
+      // A whole-make row has an empty model
+      const byMake = lookups.find(lookup => lookup.model === '' && makeMatches(lookup));
+      return byMake ? byMake.vehicle_class : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the make/model lookup used to infer vehicle classes
+   * @returns {Promise<Array>} Lookup rows
+   */
+  static async findModelClasses() {
+    const query = 'SELECT * FROM vehicle_models ORDER BY make, model';
+
+    try {
+      const [lookups] = await db.execute(query);
+      return lookups;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add or change the class of a make (model omitted) or make and model
+   * @param {string} make - Make
+   * @param {string} model - Model (empty or null for the whole make)
+   * @param {string} vehicleClass - Vehicle class
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setModelClass(make, model, vehicleClass) {
+    const query = `
+      INSERT INTO vehicle_models (make, model, vehicle_class)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE vehicle_class = VALUES(vehicle_class)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [
+        make.toUpperCase().trim(),
+        model ? model.toUpperCase().trim() : '',
+        vehicleClass
+      ]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Register vehicle from car registry entry
    * @param {Object} carRegistryData - Car registry data
@@ -91,9 +191,10 @@ class Vehicle {
    * Update vehicle owner information during payment
    * @param {string} licensePlate - License plate
    * @param {Object} ownerData - Owner information
+   * @param {string} changedBy - User making the change
    * @returns {Promise<Object>} Updated vehicle
    */
-  static async updateOwnerInfo(licensePlate, ownerData) {
+  static async updateOwnerInfo(licensePlate, ownerData, changedBy = null) {
     const { owner_name, phone_number, email } = ownerData;
 
     if (!licensePlate) {
@@ -115,7 +216,7 @@ class Vehicle {
       throw new Error('Vehicle not found');
     }
 
-    return await this.update(vehicle.id, updateData);
+    return await this.update(vehicle.id, updateData, changedBy);
   }
 
   /**
@@ -131,7 +232,13 @@ class Vehicle {
     if (filters.license_plate) {
       paramCount++;
       query += ` AND license_plate LIKE ?`;
-      values.push(`%${filters.license_plate}%`);
+      values.push(`%${PlateService.normalize(filters.license_plate)}%`);
+    }
+
+    if (filters.plate_format) {
+      paramCount++;
+      query += ` AND plate_format = ?`;
+      values.push(filters.plate_format);
     }
 
     if (filters.owner_name) {
@@ -158,6 +265,12 @@ class Vehicle {
       values.push(`%${filters.model}%`);
     }
 
+    if (filters.vehicle_class) {
+      paramCount++;
+      query += ` AND vehicle_class = ?`;
+      values.push(filters.vehicle_class);
+    }
+
     if (filters.has_owner_info === 'true') {
       query += ` AND owner_name IS NOT NULL AND phone_number IS NOT NULL`;
     }
@@ -192,6 +305,27 @@ class Vehicle {
     }
   }
 
+  /**
+   * All vehicles with their visit counts, for comparing plates and owners
+   * @returns {Promise<Array>} { id, license_plate, plate_format, make, model, owner_name, phone_number, total_visits, created_at }
+   */
+  static async findAllForMatching() {
+    const query = `
+      SELECT v.id, v.license_plate, v.plate_format, v.make, v.model, v.owner_name, v.phone_number,
+             COALESCE(vs.total_visits, 0) as total_visits, v.created_at
+      FROM vehicles v
+      LEFT JOIN vehicle_stats vs ON vs.vehicle_id = v.id
+      ORDER BY v.id
+    `;
+
+    try {
+      const [vehicles] = await db.execute(query);
+      return vehicles;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Find vehicle by license plate
    * @param {string} licensePlate - License plate
@@ -201,7 +335,7 @@ class Vehicle {
     const query = 'SELECT * FROM vehicles WHERE license_plate = ?';
     
     try {
-      const [vehicles] = await db.execute(query, [licensePlate.toUpperCase()]);
+      const [vehicles] = await db.execute(query, [PlateService.normalize(licensePlate)]);
       return vehicles[0] || null;
     } catch (error) {
       throw error;
@@ -209,20 +343,25 @@ class Vehicle {
   }
 
   /**
-   * Update vehicle information
+   * Update vehicle information. Owner detail changes are kept in the owner change history.
    * @param {number} id - Vehicle ID
    * @param {Object} updateData - Data to update
+   * @param {string} changedBy - User making the change
    * @returns {Promise<Object>} Updated vehicle
    */
-  static async update(id, updateData) {
-    const { license_plate, make, model, owner_name, phone_number, email } = updateData;
+  static async update(id, updateData, changedBy = null) {
+    const {
+      license_plate, make, model, vehicle_class, vehicle_class_source, owner_name, phone_number, email
+    } = updateData;
     
     const query = `
       UPDATE vehicles 
       SET 
-        ${license_plate !== undefined ? 'license_plate = ?,' : ''}
+        ${license_plate !== undefined ? 'license_plate = ?, plate_format = ?,' : ''}
         ${make !== undefined ? 'make = ?,' : ''}
         ${model !== undefined ? 'model = ?,' : ''}
+        ${vehicle_class !== undefined ? 'vehicle_class = ?,' : ''}
+        ${vehicle_class_source !== undefined ? 'vehicle_class_source = ?,' : ''}
         ${owner_name !== undefined ? 'owner_name = ?,' : ''}
         ${phone_number !== undefined ? 'phone_number = ?,' : ''}
         ${email !== undefined ? 'email = ?,' : ''}
@@ -234,20 +373,33 @@ class Vehicle {
     const cleanQuery = query.replace(/,\s+WHERE/, ' WHERE');
     
     const values = [];
-    if (license_plate !== undefined) values.push(license_plate.toUpperCase());
+    if (license_plate !== undefined) {
+      const plate = PlateService.parse(license_plate);
+      values.push(plate.plate, plate.format);
+    }
     if (make !== undefined) values.push(make);
     if (model !== undefined) values.push(model);
+    if (vehicle_class !== undefined) values.push(vehicle_class);
+    if (vehicle_class_source !== undefined) values.push(vehicle_class_source);
     if (owner_name !== undefined) values.push(owner_name);
     if (phone_number !== undefined) values.push(phone_number);
     if (email !== undefined) values.push(email);
     values.push(id);
 
     try {
+      const ownerChange = owner_name !== undefined || phone_number !== undefined || email !== undefined;
+      const before = ownerChange ? await this.findById(id) : null;
+
       const [result] = await db.execute(cleanQuery, values);
       if (result.affectedRows === 0) {
         return null;
       }
-      return await this.findById(id);
+
+      const vehicle = await this.findById(id);
+      if (before) {
+        await VehicleOwnerChange.record(before, vehicle, changedBy);
+      }
+      return vehicle;
     } catch (error) {
       // Handle unique constraint violation
       if (error.code === 'ER_DUP_ENTRY') {
@@ -298,16 +450,18 @@ class Vehicle {
     `;
     
     const searchPattern = `%${searchTerm}%`;
+    // Plates are stored without spaces or dashes, so "KDG 123" finds KDG123A
+    const plateTerm = PlateService.normalize(searchTerm) || searchTerm;
     
     try {
       const [vehicles] = await db.execute(query, [
+        `%${plateTerm}%`,
         searchPattern,
         searchPattern,
         searchPattern,
         searchPattern,
         searchPattern,
-        searchPattern,
-        `${searchTerm}%`, // Exact start match for license plate
+        `${plateTerm}%`, // Exact start match for license plate
         `${searchTerm}%`  // Exact start match for owner name
       ]);
       return vehicles;
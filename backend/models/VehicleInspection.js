@@ -0,0 +1,332 @@
+const { db } = require('../config/db');
+
+// Inspections with the branch and inspector names
+const INSPECTION_SELECT = `
+  SELECT vi.*, b.name as branch_name, u.name as inspected_by_name
+  FROM vehicle_inspections vi
+  LEFT JOIN branches b ON vi.branch_id = b.id
+  LEFT JOIN users u ON vi.inspected_by = u.id
+`;
+
+/**
+ * Vehicle inspection model: check-in inspections of car_registry entries with
+ * their damage marks and before/after photos (MySQL Version)
+ * Statuses: OPEN, ACKNOWLEDGED (by the customer's signature or a one-time code)
+ */
+class VehicleInspection {
+  /**
+   * Create an inspection
+   * @param {Object} inspectionData - { car_registry_id, license_plate, branch_id, checklist, notes, inspected_by }
+   * @returns {Promise<Object>} Created inspection
+   */
+  static async create(inspectionData) {
+    const {
+      car_registry_id, license_plate, branch_id = null, checklist = null, notes = null, inspected_by = null
+    } = inspectionData;
+
+    const query = `
+      INSERT INTO vehicle_inspections (car_registry_id, license_plate, branch_id, checklist, notes, inspected_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [
+        car_registry_id, license_plate, branch_id,
+        checklist ? JSON.stringify(checklist) : null, notes, inspected_by
+      ]);
+      return await this.findById(result.insertId);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find inspection by ID
+   * @param {number} id - Inspection ID
+   * @param {Object} connection - Optional connection; the row is locked when given
+   * @returns {Promise<Object>} Inspection data
+   */
+  static async findById(id, connection = null) {
+    const query = `${INSPECTION_SELECT} WHERE vi.id = ?${connection ? ' FOR UPDATE' : ''}`;
+
+    try {
+      const [inspections] = await (connection || db).execute(query, [id]);
+      return inspections[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the inspection of a car_registry entry
+   * @param {string} carRegistryId - Car registry ID
+   * @returns {Promise<Object>} Inspection data
+   */
+  static async findByCarId(carRegistryId) {
+    try {
+      const [inspections] = await db.execute(`${INSPECTION_SELECT} WHERE vi.car_registry_id = ?`, [carRegistryId]);
+      return inspections[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all inspections with optional filtering
+   * @param {Object} filters - Filter criteria (license_plate, branch_id, status, start_date, end_date)
+   * @returns {Promise<Array>} Inspections, newest first, with damage and photo counts
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT inspections.*,
+             (SELECT COUNT(*) FROM vehicle_inspection_damages d WHERE d.inspection_id = inspections.id) as damage_count,
+             (SELECT COUNT(*) FROM vehicle_inspection_photos p WHERE p.inspection_id = inspections.id) as photo_count
+      FROM (${INSPECTION_SELECT}) inspections
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.license_plate) {
+      query += ` AND license_plate = ?`;
+      values.push(filters.license_plate);
+    }
+
+    if (filters.branch_id) {
+      query += ` AND branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.status) {
+      query += ` AND status = ?`;
+      values.push(filters.status);
+    }
+
+    if (filters.start_date && filters.end_date) {
+      query += ` AND DATE(created_at) BETWEEN ? AND ?`;
+      values.push(filters.start_date, filters.end_date);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC';
+
+    try {
+      const [inspections] = await db.execute(query, values);
+      return inspections;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update an open inspection's checklist and notes
+   * @param {number} id - Inspection ID
+   * @param {Object} updateData - Any of { checklist, notes }
+   * @returns {Promise<boolean>} True if the inspection was open
+   */
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+
+    if (updateData.checklist !== undefined) {
+      fields.push('checklist = ?');
+      values.push(updateData.checklist ? JSON.stringify(updateData.checklist) : null);
+    }
+    if (updateData.notes !== undefined) {
+      fields.push('notes = ?');
+      values.push(updateData.notes);
+    }
+    if (fields.length === 0) {
+      return true;
+    }
+
+    values.push(id);
+    const query = `UPDATE vehicle_inspections SET ${fields.join(', ')} WHERE id = ? AND status = 'OPEN'`;
+
+    try {
+      const [result] = await db.execute(query, values);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark damage on an inspection
+   * @param {number} inspectionId - Inspection ID
+   * @param {Object} damage - { zone, damage_type, severity, pos_x, pos_y, notes, created_by }
+   * @returns {Promise<number>} Damage ID
+   */
+  static async addDamage(inspectionId, damage) {
+    const {
+      zone, damage_type, severity = 'MINOR', pos_x = null, pos_y = null, notes = null, created_by = null
+    } = damage;
+
+    const query = `
+      INSERT INTO vehicle_inspection_damages (inspection_id, zone, damage_type, severity, pos_x, pos_y, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [
+        inspectionId, zone, damage_type, severity, pos_x, pos_y, notes, created_by
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a damage mark, unlinking any photos of it
+   * @param {number} inspectionId - Inspection ID
+   * @param {number} damageId - Damage ID
+   * @returns {Promise<boolean>} True if the mark was on the inspection
+   */
+  static async removeDamage(inspectionId, damageId) {
+    try {
+      const [result] = await db.execute(
+        'DELETE FROM vehicle_inspection_damages WHERE id = ? AND inspection_id = ?',
+        [damageId, inspectionId]
+      );
+      if (result.affectedRows === 0) {
+        return false;
+      }
+      await db.execute(
+        'UPDATE vehicle_inspection_photos SET damage_id = NULL WHERE damage_id = ? AND inspection_id = ?',
+        [damageId, inspectionId]
+      );
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Damage marked on an inspection
+   * @param {number} inspectionId - Inspection ID
+   * @returns {Promise<Array>} Damage marks in the order they were made
+   */
+  static async findDamages(inspectionId) {
+    try {
+      const [damages] = await db.execute(
+        'SELECT * FROM vehicle_inspection_damages WHERE inspection_id = ? ORDER BY id',
+        [inspectionId]
+      );
+      return damages;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record an uploaded photo
+   * @param {number} inspectionId - Inspection ID
+   * @param {Object} photo - { stage, zone, damage_id, filename, url, mimetype, size, taken_at, uploaded_by }
+   * @returns {Promise<number>} Photo ID
+   */
+  static async addPhoto(inspectionId, photo) {
+    const {
+      stage, zone = null, damage_id = null, filename, url, mimetype = null, size = null,
+      taken_at, uploaded_by = null
+    } = photo;
+
+    const query = `
+      INSERT INTO vehicle_inspection_photos (inspection_id, stage, zone, damage_id, filename, url,
+                                             mimetype, size, taken_at, uploaded_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [
+        inspectionId, stage, zone, damage_id, filename, url, mimetype, size, taken_at, uploaded_by
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Photos of an inspection
+   * @param {number} inspectionId - Inspection ID
+   * @returns {Promise<Array>} Photos, BEFORE then AFTER, in the order taken
+   */
+  static async findPhotos(inspectionId) {
+    const query = `
+      SELECT * FROM vehicle_inspection_photos
+      WHERE inspection_id = ?
+      ORDER BY stage = 'AFTER', taken_at, id
+    `;
+
+    try {
+      const [photos] = await db.execute(query, [inspectionId]);
+      return photos;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Store a pending one-time code, replacing any earlier one
+   * @param {number} id - Inspection ID
+   * @param {string} otpHash - sha256 of the code
+   * @param {Date} expiresAt - When the code stops working
+   * @param {string} phone - Phone the code was sent to
+   * @param {boolean} onRecord - Whether the phone is the owner's or customer's on record (false: entered by staff)
+   * @returns {Promise<boolean>} True if the inspection was open
+   */
+  static async setOtp(id, otpHash, expiresAt, phone, onRecord) {
+    const query = `
+      UPDATE vehicle_inspections
+      SET otp_hash = ?, otp_expires_at = ?, otp_attempts = 0, ack_phone = ?, ack_phone_on_record = ?
+      WHERE id = ? AND status = 'OPEN'
+    `;
+
+    try {
+      const [result] = await db.execute(query, [otpHash, expiresAt, phone, onRecord ? 1 : 0, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Count a wrong code against the pending one
+   * @param {number} id - Inspection ID
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<void>}
+   */
+  static async recordOtpAttempt(id, connection = db) {
+    try {
+      await connection.execute('UPDATE vehicle_inspections SET otp_attempts = otp_attempts + 1 WHERE id = ?', [id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record the customer's acknowledgement, which locks the checklist and damage marks
+   * @param {number} id - Inspection ID
+   * @param {Object} ackData - { ack_method, ack_name, signature_url }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} True if the inspection was open
+   */
+  static async acknowledge(id, ackData, connection = db) {
+    const { ack_method, ack_name = null, signature_url = null } = ackData;
+
+    const query = `
+      UPDATE vehicle_inspections
+      SET status = 'ACKNOWLEDGED', ack_method = ?, ack_name = ?, signature_url = ?,
+          otp_hash = NULL, otp_expires_at = NULL, acknowledged_at = NOW()
+      WHERE id = ? AND status = 'OPEN'
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [ack_method, ack_name, signature_url, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = VehicleInspection;
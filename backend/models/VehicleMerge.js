@@ -0,0 +1,414 @@
+const { db } = require('../config/db');
+
+// vehicles columns kept in a merge snapshot and put back on undo
+const VEHICLE_COLUMNS = [
+  'id', 'customer_id', 'license_plate', 'plate_format', 'make', 'model', 'vehicle_class', 'vehicle_class_source',
+  'owner_name', 'phone_number', 'email', 'created_at'
+];
+
+// vehicle_stats columns put back on undo
+const STATS_COLUMNS = [
+  'total_visits', 'current_visit_count', 'total_offers_earned', 'total_offers_used', 'last_visit_date'
+];
+
+// Survivor fields a merge fills from the merged vehicle when the survivor has none
+const FILL_COLUMNS = ['customer_id', 'make', 'model', 'owner_name', 'phone_number', 'email'];
+
+// Tables whose rows follow a vehicle by plate: vehicle_merges column recording the moved rows -> table
+const PLATE_TABLES = {
+  inspection_ids: 'vehicle_inspections',
+  appointment_ids: 'appointments'
+};
+
+/**
+ * Vehicle merge model: merging a duplicate vehicle into the vehicle that
+ * survives, and undoing it from the recorded snapshots (MySQL Version)
+ * Statuses: MERGED -> UNDONE
+ */
+class VehicleMerge {
+  /**
+   * Lock a vehicle row for the rest of the transaction
+   * @param {number} vehicleId - Vehicle ID
+   * @param {Object} connection - Connection inside a transaction
+   * @returns {Promise<Object>} Vehicle row, or null
+   */
+  static async lockVehicle(vehicleId, connection) {
+    try {
+      const [vehicles] = await connection.execute('SELECT * FROM vehicles WHERE id = ? FOR UPDATE', [vehicleId]);
+      return vehicles[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * A vehicle's visit statistics row, locked for the rest of the transaction
+   * @param {number} vehicleId - Vehicle ID
+   * @param {Object} connection - Connection inside a transaction
+   * @returns {Promise<Object>} Statistics row, or null
+   */
+  static async lockStats(vehicleId, connection) {
+    try {
+      const [stats] = await connection.execute('SELECT * FROM vehicle_stats WHERE vehicle_id = ? FOR UPDATE', [vehicleId]);
+      return stats[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move one vehicle's car registrations, offers, account authorisations,
+   * owner history, inspections, appointments and visit counts to another and
+   * remove it. Visit and offer counts are added together. An account the
+   * survivor is already on keeps the merged plate's row, which comes back into
+   * use on undo.
+   * @param {Object} survivor - Surviving vehicle row
+   * @param {Object} merged - Vehicle row being merged away
+   * @param {Object} mergedStats - Merged vehicle's statistics row (null if it has none)
+   * @param {Object} connection - Connection inside a transaction
+   * @returns {Promise<Object>} { car_registry_ids, vehicle_offer_ids, account_vehicle_ids, owner_change_ids,
+   *   inspection_ids, appointment_ids }
+   */
+  static async moveVehicle(survivor, merged, mergedStats, connection) {
+    try {
+      const [cars] = await connection.execute('SELECT id FROM car_registry WHERE regno = ? FOR UPDATE', [merged.license_plate]);
+      const carIds = cars.map(car => car.id);
+      if (carIds.length > 0) {
+        await connection.execute(
+          'UPDATE car_registry SET regno = ?, plate_format = ? WHERE regno = ?',
+          [survivor.license_plate, survivor.plate_format, merged.license_plate]
+        );
+      }
+
+      const [offers] = await connection.execute('SELECT id FROM vehicle_offers WHERE vehicle_id = ? FOR UPDATE', [merged.id]);
+      const offerIds = offers.map(offer => offer.id);
+      if (offerIds.length > 0) {
+        await connection.execute('UPDATE vehicle_offers SET vehicle_id = ? WHERE vehicle_id = ?', [survivor.id, merged.id]);
+      }
+
+      const [accountVehicles] = await connection.execute(
+        `SELECT id FROM corporate_account_vehicles
+         WHERE license_plate = ?
+           AND account_id NOT IN (SELECT account_id FROM corporate_account_vehicles WHERE license_plate = ?)
+         FOR UPDATE`,
+        [merged.license_plate, survivor.license_plate]
+      );
+      const accountVehicleIds = accountVehicles.map(row => row.id);
+      if (accountVehicleIds.length > 0) {
+        await connection.query(
+          'UPDATE corporate_account_vehicles SET license_plate = ? WHERE id IN (?)',
+          [survivor.license_plate, accountVehicleIds]
+        );
+      }
+
+      const [ownerChanges] = await connection.execute(
+        'SELECT id FROM vehicle_owner_changes WHERE vehicle_id = ? FOR UPDATE', [merged.id]
+      );
+      const ownerChangeIds = ownerChanges.map(row => row.id);
+      if (ownerChangeIds.length > 0) {
+        await connection.execute('UPDATE vehicle_owner_changes SET vehicle_id = ? WHERE vehicle_id = ?', [survivor.id, merged.id]);
+      }
+
+      const plateRowIds = {};
+      for (const [column, table] of Object.entries(PLATE_TABLES)) {
+        const [rows] = await connection.execute(`SELECT id FROM ${table} WHERE license_plate = ? FOR UPDATE`, [merged.license_plate]);
+        plateRowIds[column] = rows.map(row => row.id);
+        if (rows.length > 0) {
+          await connection.execute(
+            `UPDATE ${table} SET license_plate = ? WHERE license_plate = ?`,
+            [survivor.license_plate, merged.license_plate]
+          );
+        }
+      }
+
+      if (mergedStats) {
+        await connection.execute(
+          `INSERT INTO vehicle_stats (vehicle_id, total_visits, current_visit_count, total_offers_earned,
+                                      total_offers_used, last_visit_date)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             total_visits = total_visits + VALUES(total_visits),
+             current_visit_count = current_visit_count + VALUES(current_visit_count),
+             total_offers_earned = total_offers_earned + VALUES(total_offers_earned),
+             total_offers_used = total_offers_used + VALUES(total_offers_used),
+             last_visit_date = GREATEST(COALESCE(last_visit_date, VALUES(last_visit_date)),
+                                        COALESCE(VALUES(last_visit_date), last_visit_date)),
+             updated_at = CURRENT_TIMESTAMP`,
+          [
+            survivor.id, mergedStats.total_visits || 0, mergedStats.current_visit_count || 0,
+            mergedStats.total_offers_earned || 0, mergedStats.total_offers_used || 0, mergedStats.last_visit_date || null
+          ]
+        );
+      }
+      await connection.execute('DELETE FROM vehicle_stats WHERE vehicle_id = ?', [merged.id]);
+
+      const fills = FILL_COLUMNS.filter(column => !survivor[column] && merged[column]);
+      if (fills.length > 0) {
+        await connection.execute(
+          `UPDATE vehicles SET ${fills.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [...fills.map(column => merged[column]), survivor.id]
+        );
+      }
+
+      await connection.execute('DELETE FROM vehicles WHERE id = ?', [merged.id]);
+
+      return {
+        car_registry_ids: carIds,
+        vehicle_offer_ids: offerIds,
+        account_vehicle_ids: accountVehicleIds,
+        owner_change_ids: ownerChangeIds,
+        ...plateRowIds
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a merge
+   * @param {Object} mergeData - Merge details and snapshots
+   * @param {Object} connection - Connection inside a transaction
+   * @returns {Promise<number>} Merge ID
+   */
+  static async create(mergeData, connection = db) {
+    const {
+      survivor, merged, survivor_stats = null, merged_stats = null,
+      car_registry_ids = [], vehicle_offer_ids = [], account_vehicle_ids = [], owner_change_ids = [],
+      inspection_ids = [], appointment_ids = [], match_reasons = [], reason = null, merged_by = null
+    } = mergeData;
+
+    const query = `
+      INSERT INTO vehicle_merges (survivor_id, merged_id, survivor_plate, merged_plate,
+                                  survivor_snapshot, merged_snapshot, survivor_stats, merged_stats,
+                                  car_registry_ids, vehicle_offer_ids, account_vehicle_ids, owner_change_ids,
+                                  inspection_ids, appointment_ids, match_reasons, reason, merged_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [
+        survivor.id, merged.id, survivor.license_plate, merged.license_plate,
+        JSON.stringify(survivor), JSON.stringify(merged),
+        survivor_stats ? JSON.stringify(survivor_stats) : null,
+        merged_stats ? JSON.stringify(merged_stats) : null,
+        JSON.stringify(car_registry_ids), JSON.stringify(vehicle_offer_ids),
+        JSON.stringify(account_vehicle_ids), JSON.stringify(owner_change_ids),
+        JSON.stringify(inspection_ids), JSON.stringify(appointment_ids),
+        match_reasons.length > 0 ? match_reasons.join(',') : null, reason, merged_by
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all merges with optional filtering
+   * @param {Object} filters - Filter criteria (vehicle_id, license_plate, status)
+   * @returns {Promise<Array>} List of merges, newest first
+   */
+  static async findAll(filters = {}) {
+    let query = `
+      SELECT m.id, m.survivor_id, m.merged_id, m.survivor_plate, m.merged_plate, m.match_reasons,
+             m.reason, m.status, m.merged_by, m.merged_at, m.undone_by, m.undone_at,
+             JSON_LENGTH(m.car_registry_ids) as car_registrations_moved,
+             JSON_LENGTH(m.vehicle_offer_ids) as offers_moved,
+             mu.name as merged_by_name, uu.name as undone_by_name
+      FROM vehicle_merges m
+      LEFT JOIN users mu ON m.merged_by = mu.id
+      LEFT JOIN users uu ON m.undone_by = uu.id
+      WHERE 1=1
+    `;
+    const values = [];
+
+    if (filters.vehicle_id) {
+      query += ` AND (m.survivor_id = ? OR m.merged_id = ?)`;
+      values.push(filters.vehicle_id, filters.vehicle_id);
+    }
+
+    if (filters.license_plate) {
+      query += ` AND (m.survivor_plate = ? OR m.merged_plate = ?)`;
+      values.push(filters.license_plate, filters.license_plate);
+    }
+
+    if (filters.status) {
+      query += ` AND m.status = ?`;
+      values.push(filters.status);
+    }
+
+    query += ' ORDER BY m.id DESC';
+
+    try {
+      const [merges] = await db.execute(query, values);
+      return merges;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find a merge by ID, with its snapshots
+   * @param {number} id - Merge ID
+   * @param {Object} connection - Optional connection; locks the row inside a transaction
+   * @returns {Promise<Object>} Merge data
+   */
+  static async findById(id, connection = db) {
+    const query = `SELECT * FROM vehicle_merges WHERE id = ?${connection === db ? '' : ' FOR UPDATE'}`;
+
+    try {
+      const [merges] = await connection.execute(query, [id]);
+      return merges[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * A merge done after this one that involves either of its vehicles and has
+   * not been undone. It has to be undone first.
+   * @param {Object} merge - Merge row
+   * @param {Object} connection - Optional connection
+   * @returns {Promise<Object>} Later merge, or null
+   */
+  static async findLaterMerge(merge, connection = db) {
+    const query = `
+      SELECT id, survivor_plate, merged_plate FROM vehicle_merges
+      WHERE id > ? AND status = 'MERGED'
+        AND (survivor_id IN (?, ?) OR merged_id IN (?, ?))
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+
+    try {
+      const [merges] = await connection.execute(query, [
+        merge.id, merge.survivor_id, merge.merged_id, merge.survivor_id, merge.merged_id
+      ]);
+      return merges[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Put a merged vehicle back and return its registrations, offers, account
+   * authorisations, owner history, inspections, appointments and visit counts.
+   * Visits the survivor had after the merge stay with the survivor.
+   * @param {Object} merge - Merge row with parsed snapshots
+   * @param {Object} connection - Connection inside a transaction
+   * @returns {Promise<void>}
+   */
+  static async restoreVehicle(merge, connection) {
+    const { survivor_snapshot: survivor, merged_snapshot: merged, merged_stats: mergedStats } = merge;
+
+    try {
+      const columns = VEHICLE_COLUMNS.filter(column => merged[column] !== undefined);
+      await connection.execute(
+        `INSERT INTO vehicles (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => (column === 'created_at' && merged[column] ? new Date(merged[column]) : merged[column]))
+      );
+
+      // Only undo fills the survivor still has; a later edit is kept
+      const fills = FILL_COLUMNS.filter(column => !survivor[column] && merged[column]);
+      if (fills.length > 0) {
+        await connection.execute(
+          `UPDATE vehicles SET ${fills.map(column => `${column} = IF(${column} <=> ?, NULL, ${column})`).join(', ')}
+           WHERE id = ?`,
+          [...fills.map(column => merged[column]), survivor.id]
+        );
+      }
+
+      if (merge.car_registry_ids.length > 0) {
+        await connection.query(
+          'UPDATE car_registry SET regno = ?, plate_format = ? WHERE id IN (?) AND regno = ?',
+          [merged.license_plate, merged.plate_format, merge.car_registry_ids, survivor.license_plate]
+        );
+      }
+
+      if (merge.vehicle_offer_ids.length > 0) {
+        await connection.query(
+          'UPDATE vehicle_offers SET vehicle_id = ? WHERE id IN (?) AND vehicle_id = ?',
+          [merged.id, merge.vehicle_offer_ids, survivor.id]
+        );
+      }
+
+      // Merges from before these rows were moved have none recorded
+      if ((merge.account_vehicle_ids || []).length > 0) {
+        await connection.query(
+          'UPDATE corporate_account_vehicles SET license_plate = ? WHERE id IN (?) AND license_plate = ?',
+          [merged.license_plate, merge.account_vehicle_ids, survivor.license_plate]
+        );
+      }
+
+      if ((merge.owner_change_ids || []).length > 0) {
+        await connection.query(
+          'UPDATE vehicle_owner_changes SET vehicle_id = ? WHERE id IN (?) AND vehicle_id = ?',
+          [merged.id, merge.owner_change_ids, survivor.id]
+        );
+      }
+
+      for (const [column, table] of Object.entries(PLATE_TABLES)) {
+        if ((merge[column] || []).length > 0) {
+          await connection.query(
+            `UPDATE ${table} SET license_plate = ? WHERE id IN (?) AND license_plate = ?`,
+            [merged.license_plate, merge[column], survivor.license_plate]
+          );
+        }
+      }
+
+      if (mergedStats) {
+        await connection.execute(
+          `UPDATE vehicle_stats
+           SET total_visits = GREATEST(total_visits - ?, 0),
+               current_visit_count = GREATEST(current_visit_count - ?, 0),
+               total_offers_earned = GREATEST(total_offers_earned - ?, 0),
+               total_offers_used = GREATEST(total_offers_used - ?, 0),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE vehicle_id = ?`,
+          [
+            mergedStats.total_visits || 0, mergedStats.current_visit_count || 0,
+            mergedStats.total_offers_earned || 0, mergedStats.total_offers_used || 0, survivor.id
+          ]
+        );
+
+        const statsColumns = STATS_COLUMNS.filter(column => mergedStats[column] !== undefined);
+        await connection.execute(
+          `INSERT INTO vehicle_stats (vehicle_id, ${statsColumns.join(', ')})
+           VALUES (?, ${statsColumns.map(() => '?').join(', ')})`,
+          [
+            merged.id,
+            ...statsColumns.map(column => (
+              column === 'last_visit_date' && mergedStats[column] ? new Date(mergedStats[column]) : mergedStats[column]
+            ))
+          ]
+        );
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a merge as undone
+   * @param {number} id - Merge ID
+   * @param {string} undoneBy - User undoing the merge
+   * @param {Object} connection - Optional connection
+   * @returns {Promise<boolean>} True if the merge was still in place
+   */
+  static async markUndone(id, undoneBy, connection = db) {
+    const query = `
+      UPDATE vehicle_merges
+      SET status = 'UNDONE', undone_by = ?, undone_at = NOW()
+      WHERE id = ? AND status = 'MERGED'
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [undoneBy, id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = VehicleMerge;
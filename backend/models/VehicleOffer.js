@@ -1,4 +1,5 @@
 const { db } = require('../config/db');
+const PlateService = require('../services/plateService');
 
 /**
  * Vehicle Offer model for tracking offers given to specific vehicles
@@ -12,6 +13,7 @@ class VehicleOffer {
   static async create(offerData) {
     const {
       vehicle_id,
+      customer_id,
       offer_id,
       earned_on_visit_id,
       issued_date,
@@ -21,19 +23,20 @@ class VehicleOffer {
       notes
     } = offerData;
 
-    // Validate required fields
-    if (!vehicle_id || !offer_id) {
-      throw new Error('Vehicle ID and Offer ID are required');
+    // Validate required fields; an offer belongs to a vehicle or to a customer
+    if ((!vehicle_id && !customer_id) || !offer_id) {
+      throw new Error('Vehicle ID (or Customer ID) and Offer ID are required');
     }
 
     const query = `
-      INSERT INTO vehicle_offers (vehicle_id, offer_id, earned_on_visit_id, issued_date, 
+      INSERT INTO vehicle_offers (vehicle_id, customer_id, offer_id, earned_on_visit_id, issued_date, 
                                  used_date, used_on_visit_id, status, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const values = [
-      vehicle_id,
+      vehicle_id || null,
+      customer_id || null,
       offer_id,
       earned_on_visit_id || null,
       issued_date || new Date(),
@@ -64,6 +67,7 @@ class VehicleOffer {
         v.license_plate,
         v.owner_name,
         v.phone_number,
+        c.name as customer_name,
         o.name as offer_name,
         o.description as offer_description,
         o.discount_type,
@@ -73,6 +77,7 @@ class VehicleOffer {
         used_cr.regno as used_on_vehicle_regno
       FROM vehicle_offers vo
       LEFT JOIN vehicles v ON vo.vehicle_id = v.id
+      LEFT JOIN customers c ON vo.customer_id = c.id
       LEFT JOIN offers o ON vo.offer_id = o.id
       LEFT JOIN car_registry earned_cr ON vo.earned_on_visit_id = earned_cr.id
       LEFT JOIN car_registry used_cr ON vo.used_on_visit_id = used_cr.id
@@ -87,6 +92,12 @@ class VehicleOffer {
       values.push(filters.vehicle_id);
     }
 
+    if (filters.customer_id) {
+      paramCount++;
+      query += ` AND (vo.customer_id = ? OR v.customer_id = ?)`;
+      values.push(filters.customer_id, filters.customer_id);
+    }
+
     if (filters.offer_id) {
       paramCount++;
       query += ` AND vo.offer_id = ?`;
@@ -102,7 +113,7 @@ class VehicleOffer {
     if (filters.license_plate) {
       paramCount++;
       query += ` AND v.license_plate LIKE ?`;
-      values.push(`%${filters.license_plate}%`);
+      values.push(`%${PlateService.normalize(filters.license_plate)}%`);
     }
 
     if (filters.owner_name) {
@@ -172,6 +183,8 @@ class VehicleOffer {
         v.email,
         v.make,
         v.model,
+        c.name as customer_name,
+        c.phone_number as customer_phone,
         o.name as offer_name,
         o.description as offer_description,
         o.discount_type,
@@ -187,6 +200,7 @@ class VehicleOffer {
         used_cr.amount as used_on_amount
       FROM vehicle_offers vo
       LEFT JOIN vehicles v ON vo.vehicle_id = v.id
+      LEFT JOIN customers c ON vo.customer_id = c.id
       LEFT JOIN offers o ON vo.offer_id = o.id
       LEFT JOIN car_registry earned_cr ON vo.earned_on_visit_id = earned_cr.id
       LEFT JOIN car_registry used_cr ON vo.used_on_visit_id = used_cr.id
@@ -202,7 +216,7 @@ class VehicleOffer {
   }
 
   /**
-   * Find active offers for a vehicle
+   * Find active offers for a vehicle, including offers issued to its owner
    * @param {number} vehicleId - Vehicle ID
    * @returns {Promise<Array>} Active vehicle offers
    */
@@ -217,12 +231,43 @@ class VehicleOffer {
         o.visit_threshold
       FROM vehicle_offers vo
       LEFT JOIN offers o ON vo.offer_id = o.id
-      WHERE vo.vehicle_id = ? AND vo.status = 'active'
+      WHERE (vo.vehicle_id = ? OR vo.customer_id = (SELECT customer_id FROM vehicles WHERE id = ?))
+        AND vo.status = 'active'
       ORDER BY vo.issued_date DESC
     `;
     
     try {
-      const [offers] = await db.execute(query, [vehicleId]);
+      const [offers] = await db.execute(query, [vehicleId, vehicleId]);
+      return offers;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find active offers a customer can use: their own and their vehicles'
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Array>} Active offers
+   */
+  static async findActiveByCustomerId(customerId) {
+    const query = `
+      SELECT 
+        vo.*,
+        v.license_plate,
+        o.name as offer_name,
+        o.description as offer_description,
+        o.discount_type,
+        o.discount_value,
+        o.visit_threshold
+      FROM vehicle_offers vo
+      LEFT JOIN vehicles v ON vo.vehicle_id = v.id
+      LEFT JOIN offers o ON vo.offer_id = o.id
+      WHERE (vo.customer_id = ? OR v.customer_id = ?) AND vo.status = 'active'
+      ORDER BY vo.issued_date DESC
+    `;
+
+    try {
+      const [offers] = await db.execute(query, [customerId, customerId]);
       return offers;
     } catch (error) {
       throw error;
@@ -253,7 +298,7 @@ class VehicleOffer {
       WHERE v.license_plate = ?
     `;
     
-    const values = [licensePlate.toUpperCase()];
+    const values = [PlateService.normalize(licensePlate)];
 
     if (status) {
       query += ` AND vo.status = ?`;
@@ -414,6 +459,27 @@ class VehicleOffer {
     }
   }
 
+  /**
+   * Check if a customer already has an active customer offer of the same type
+   * @param {number} customerId - Customer ID
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<boolean>} Exists status
+   */
+  static async hasActiveCustomerOffer(customerId, offerId) {
+    const query = `
+      SELECT COUNT(*) as count 
+      FROM vehicle_offers 
+      WHERE customer_id = ? AND offer_id = ? AND status = 'active'
+    `;
+
+    try {
+      const [result] = await db.execute(query, [customerId, offerId]);
+      return parseInt(result[0].count) > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get vehicle offer statistics
    * @param {Object} filters - Filter criteria
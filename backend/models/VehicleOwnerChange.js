@@ -0,0 +1,103 @@
+const { db } = require('../config/db');
+
+// Owner details whose changes are kept
+const OWNER_FIELDS = ['owner_name', 'phone_number', 'email'];
+
+/**
+ * Vehicle owner change model: history of a vehicle's owner name, phone and
+ * email (MySQL Version)
+ * Sources: VEHICLE (edited on the vehicle), CUSTOMER (copied from its customer)
+ */
+class VehicleOwnerChange {
+  /**
+   * Record a vehicle's owner details changing, if they did
+   * @param {Object|null} before - Vehicle before the change (null for a new vehicle)
+   * @param {Object} after - Vehicle after the change
+   * @param {string} changedBy - User making the change
+   * @param {string} source - VEHICLE or CUSTOMER
+   * @returns {Promise<boolean>} True if a change was recorded
+   */
+  static async record(before, after, changedBy = null, source = 'VEHICLE') {
+    if (!after) {
+      return false;
+    }
+
+    const old = before || {};
+    const changed = OWNER_FIELDS.some(field => (old[field] || null) !== (after[field] || null));
+    if (!changed) {
+      return false;
+    }
+
+    const query = `
+      INSERT INTO vehicle_owner_changes (vehicle_id, customer_id, old_owner_name, new_owner_name,
+                                         old_phone_number, new_phone_number, old_email, new_email,
+                                         source, changed_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      await db.execute(query, [
+        after.id, after.customer_id || null,
+        old.owner_name || null, after.owner_name || null,
+        old.phone_number || null, after.phone_number || null,
+        old.email || null, after.email || null,
+        source, changedBy
+      ]);
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record the changes copying a customer's details onto their vehicles is
+   * about to make. Call before Customer.syncContact updates the vehicles.
+   * @param {number} customerId - Customer ID
+   * @param {string} changedBy - User making the change
+   * @returns {Promise<number>} Number of vehicles whose details will change
+   */
+  static async recordCustomerSync(customerId, changedBy = null) {
+    const query = `
+      INSERT INTO vehicle_owner_changes (vehicle_id, customer_id, old_owner_name, new_owner_name,
+                                         old_phone_number, new_phone_number, old_email, new_email,
+                                         source, changed_by)
+      SELECT v.id, c.id, v.owner_name, c.name, v.phone_number, c.phone_number, v.email, c.email,
+             'CUSTOMER', ?
+      FROM vehicles v
+      JOIN customers c ON c.id = v.customer_id
+      WHERE v.customer_id = ?
+        AND NOT (v.owner_name <=> c.name AND v.phone_number <=> c.phone_number AND v.email <=> c.email)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [changedBy, customerId]);
+      return result.affectedRows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * A vehicle's owner detail changes
+   * @param {number} vehicleId - Vehicle ID
+   * @returns {Promise<Array>} Changes, oldest first, with who made them
+   */
+  static async findByVehicleId(vehicleId) {
+    const query = `
+      SELECT voc.*, u.name as changed_by_name
+      FROM vehicle_owner_changes voc
+      LEFT JOIN users u ON u.id = voc.changed_by
+      WHERE voc.vehicle_id = ?
+      ORDER BY voc.changed_at, voc.id
+    `;
+
+    try {
+      const [changes] = await db.execute(query, [vehicleId]);
+      return changes;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = VehicleOwnerChange;
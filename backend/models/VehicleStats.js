@@ -1,4 +1,5 @@
 const { db } = require('../config/db');
+const PlateService = require('../services/plateService');
 
 /**
  * Vehicle Statistics model for tracking vehicle visit patterns and offers
@@ -85,7 +86,7 @@ class VehicleStats {
     `;
     
     try {
-      const [stats] = await db.execute(query, [licensePlate.toUpperCase()]);
+      const [stats] = await db.execute(query, [PlateService.normalize(licensePlate)]);
       return stats[0] || null;
     } catch (error) {
       throw error;
@@ -203,7 +204,7 @@ class VehicleStats {
     if (filters.license_plate) {
       paramCount++;
       query += ` AND v.license_plate LIKE ?`;
-      values.push(`%${filters.license_plate}%`);
+      values.push(`%${PlateService.normalize(filters.license_plate)}%`);
     }
 
     if (filters.owner_name) {
@@ -0,0 +1,214 @@
+const { db } = require('../config/db');
+
+// "?, ?, ?" for an IN list
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Vehicle timeline model: everything that happened to one vehicle, read from
+ * the tables that record it - washes, attendants, inspections, payments,
+ * receipts, discounts and offers (MySQL Version)
+ */
+class VehicleTimeline {
+  /**
+   * Washes registered under a plate
+   * @param {string} licensePlate - Canonical plate
+   * @returns {Promise<Array>} Washes with branch, registering user and account
+   */
+  static async findWashes(licensePlate) {
+    const query = `
+      SELECT cr.*, u.name as registered_by_name, b.name as branch_name,
+             ca.account_code, ca.name as account_name
+      FROM car_registry cr
+      LEFT JOIN users u ON cr.registered_by = u.id
+      LEFT JOIN branches b ON cr.branch_id = b.id
+      LEFT JOIN corporate_accounts ca ON ca.id = cr.account_id
+      WHERE cr.regno = ?
+      ORDER BY cr.id
+    `;
+
+    try {
+      const [washes] = await db.execute(query, [licensePlate]);
+      return washes;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attendant work on any of the given washes
+   * @param {Array<string>} carIds - Car registry IDs
+   * @returns {Promise<Array>} Attendant services with attendant names
+   */
+  static async findAttendantServices(carIds) {
+    if (carIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT asr.*, u.name as attendant_name
+      FROM attendant_service asr
+      LEFT JOIN users u ON asr.attendant_id = u.id
+      WHERE asr.car_id IN (${placeholders(carIds)})
+      ORDER BY asr.id
+    `;
+
+    try {
+      const [services] = await db.execute(query, carIds);
+      return services;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Payments and refund payouts on any of the given washes
+   * @param {Array<string>} carIds - Car registry IDs
+   * @returns {Promise<Array>} Payments with who took them and, for payouts, the refund
+   */
+  static async findPayments(carIds) {
+    if (carIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT p.id, p.source_id as car_id, p.transaction_type, p.payment_mode, p.amount, p.ref,
+             p.status, p.created_at, u.name as created_by_name,
+             r.id as refund_id, r.reason as refund_reason
+      FROM payments p
+      LEFT JOIN users u ON p.created_by = u.id
+      LEFT JOIN refunds r ON r.debit_payment_id = p.id
+      WHERE p.source = 'CARWASH' AND p.source_id IN (${placeholders(carIds)})
+      ORDER BY p.created_at
+    `;
+
+    try {
+      const [payments] = await db.execute(query, carIds);
+      return payments;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Receipts issued for any of the given washes
+   * @param {Array<string>} carIds - Car registry IDs
+   * @returns {Promise<Array>} Receipts
+   */
+  static async findReceipts(carIds) {
+    if (carIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT r.id, r.source_id as car_id, r.receipt_number, r.total_due, r.amount_paid,
+             r.print_count, r.issued_at, u.name as issued_by_name
+      FROM receipts r
+      LEFT JOIN users u ON r.issued_by = u.id
+      WHERE r.source = 'CARWASH' AND r.source_id IN (${placeholders(carIds)})
+      ORDER BY r.issued_at
+    `;
+
+    try {
+      const [receipts] = await db.execute(query, carIds);
+      return receipts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Discounts given on any of the given washes
+   * @param {Array<string>} carIds - Car registry IDs
+   * @returns {Promise<Array>} Discounts with who gave and authorised them
+   */
+  static async findDiscounts(carIds) {
+    if (carIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT d.id, d.source_id as car_id, d.amount, d.auth_date,
+             u1.name as created_by_name, u2.name as authorised_by_name
+      FROM discount d
+      LEFT JOIN users u1 ON d.created_by = u1.id
+      LEFT JOIN users u2 ON d.authorised_by = u2.id
+      WHERE d.source = 'CARWASH' AND d.source_id IN (${placeholders(carIds)})
+    `;
+
+    try {
+      const [discounts] = await db.execute(query, carIds);
+      return discounts;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check-in inspections of any of the given washes
+   * @param {Array<string>} carIds - Car registry IDs
+   * @returns {Promise<Array>} Inspections with inspector name and damage and photo counts
+   */
+  static async findInspections(carIds) {
+    if (carIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT vi.id, vi.car_registry_id as car_id, vi.checklist, vi.status, vi.ack_method, vi.ack_name,
+             vi.acknowledged_at, vi.created_at, u.name as inspected_by_name,
+             (SELECT COUNT(*) FROM vehicle_inspection_damages d WHERE d.inspection_id = vi.id) as damage_count,
+             (SELECT COUNT(*) FROM vehicle_inspection_photos p WHERE p.inspection_id = vi.id) as photo_count
+      FROM vehicle_inspections vi
+      LEFT JOIN users u ON vi.inspected_by = u.id
+      WHERE vi.car_registry_id IN (${placeholders(carIds)})
+    `;
+
+    try {
+      const [inspections] = await db.execute(query, carIds);
+      return inspections;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Offers issued to a vehicle, or earned or redeemed on any of its washes
+   * (customer offers shared between the owner's vehicles)
+   * @param {number|null} vehicleId - Vehicle ID
+   * @param {Array<string>} carIds - Car registry IDs
+   * @returns {Promise<Array>} Vehicle offers with offer details
+   */
+  static async findOffers(vehicleId, carIds) {
+    const conditions = [];
+    const values = [];
+
+    if (vehicleId) {
+      conditions.push('vo.vehicle_id = ?');
+      values.push(vehicleId);
+    }
+    if (carIds.length > 0) {
+      conditions.push(`vo.earned_on_visit_id IN (${placeholders(carIds)})`);
+      conditions.push(`vo.used_on_visit_id IN (${placeholders(carIds)})`);
+      values.push(...carIds, ...carIds);
+    }
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT vo.*, o.name as offer_name, o.discount_type, o.discount_value
+      FROM vehicle_offers vo
+      LEFT JOIN offers o ON vo.offer_id = o.id
+      WHERE ${conditions.join(' OR ')}
+    `;
+
+    try {
+      const [offers] = await db.execute(query, values);
+      return offers;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = VehicleTimeline;
@@ -0,0 +1,395 @@
+const { db } = require('../config/db');
+
+// Jobs with their car service and bay
+const JOB_SELECT = `
+  SELECT wj.*, cr.model, cr.service, cr.service_code, cr.vehicle_class, bb.name as bay_name
+  FROM wash_jobs wj
+  LEFT JOIN car_registry cr ON cr.id = wj.car_registry_id
+  LEFT JOIN branch_bays bb ON bb.id = wj.bay_id
+`;
+
+/**
+ * Wash job model: a car's progress through the wash, its state changes and
+ * the attendants working it (MySQL Version)
+ * Statuses: QUEUED, IN_BAY, WASHING, DRYING, QUALITY_CHECK, READY, COLLECTED, CANCELLED
+ */
+class WashJob {
+  /**
+   * Create a job
+   * @param {Object} jobData - { car_registry_id, branch_id, license_plate, priority, notes, queued_at, created_by }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Job ID
+   */
+  static async create(jobData, connection = db) {
+    const {
+      car_registry_id, branch_id, license_plate, priority = 0, notes = null, queued_at, created_by = null
+    } = jobData;
+
+    const query = `
+      INSERT INTO wash_jobs (car_registry_id, branch_id, license_plate, priority, notes, queued_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [
+        car_registry_id, branch_id, license_plate, priority, notes, queued_at, created_by
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find job by ID
+   * @param {number} id - Job ID
+   * @param {Object} connection - Optional connection; the row is locked when given
+   * @returns {Promise<Object>} Job data
+   */
+  static async findById(id, connection = null) {
+    try {
+      if (connection) {
+        await connection.execute('SELECT id FROM wash_jobs WHERE id = ? FOR UPDATE', [id]);
+      }
+      const [jobs] = await (connection || db).execute(`${JOB_SELECT} WHERE wj.id = ?`, [id]);
+      return jobs[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find the job of a car_registry entry
+   * @param {string} carRegistryId - Car registry ID
+   * @returns {Promise<Object>} Job data
+   */
+  static async findByCarId(carRegistryId) {
+    try {
+      const [jobs] = await db.execute(`${JOB_SELECT} WHERE wj.car_registry_id = ?`, [carRegistryId]);
+      return jobs[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Find all jobs with optional filtering
+   * @param {Object} filters - Filter criteria (branch_id, statuses, license_plate, date: queued on YYYY-MM-DD)
+   * @returns {Promise<Array>} Jobs, highest priority then longest waiting first
+   */
+  static async findAll(filters = {}) {
+    let query = `${JOB_SELECT} WHERE 1=1`;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND wj.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.statuses && filters.statuses.length > 0) {
+      query += ` AND wj.status IN (${filters.statuses.map(() => '?').join(', ')})`;
+      values.push(...filters.statuses);
+    }
+
+    if (filters.license_plate) {
+      query += ` AND wj.license_plate = ?`;
+      values.push(filters.license_plate);
+    }
+
+    if (filters.date) {
+      query += ` AND DATE(wj.queued_at) = ?`;
+      values.push(filters.date);
+    }
+
+    query += ' ORDER BY wj.priority DESC, wj.queued_at, wj.id';
+
+    try {
+      const [jobs] = await db.execute(query, values);
+      return jobs;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * The job holding a bay, if any
+   * @param {number} bayId - Bay ID
+   * @param {Array<string>} bayStatuses - Statuses in which a job holds its bay
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} Job data
+   */
+  static async findInBay(bayId, bayStatuses, connection = db) {
+    const query = `
+      SELECT * FROM wash_jobs
+      WHERE bay_id = ? AND status IN (${bayStatuses.map(() => '?').join(', ')})
+      LIMIT 1
+    `;
+
+    try {
+      const [jobs] = await connection.execute(query, [bayId, ...bayStatuses]);
+      return jobs[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a job to a new status
+   * @param {number} id - Job ID
+   * @param {Object} change - { status, bay_id, timestamp_column (optional), changed_at, cancel_reason }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateStatus(id, change, connection = db) {
+    const { status, bay_id = null, timestamp_column, changed_at, cancel_reason } = change;
+
+    const fields = ['status = ?', 'bay_id = ?'];
+    const values = [status, bay_id];
+    if (timestamp_column) {
+      fields.push(`${timestamp_column} = ?`);
+      values.push(changed_at);
+    }
+    if (cancel_reason !== undefined) {
+      fields.push('cancel_reason = ?');
+      values.push(cancel_reason);
+    }
+    values.push(id);
+
+    try {
+      const [result] = await connection.execute(`UPDATE wash_jobs SET ${fields.join(', ')} WHERE id = ?`, values);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Change a job's queue priority or notes
+   * @param {number} id - Job ID
+   * @param {Object} updateData - Any of { priority, notes }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+
+    ['priority', 'notes'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        values.push(updateData[field]);
+      }
+    });
+    if (fields.length === 0) {
+      return true;
+    }
+
+    values.push(id);
+
+    try {
+      const [result] = await db.execute(`UPDATE wash_jobs SET ${fields.join(', ')} WHERE id = ?`, values);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record the start and ready times promised for a job
+   * @param {number} id - Job ID
+   * @param {Object} promise - { promised_start_at, promised_ready_at, promise_basis, promised_by, promised_at }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setPromise(id, promise) {
+    const { promised_start_at, promised_ready_at, promise_basis = null, promised_by = null, promised_at } = promise;
+
+    const query = `
+      UPDATE wash_jobs
+      SET promised_start_at = ?, promised_ready_at = ?, promise_basis = ?, promised_by = ?, promised_at = ?
+      WHERE id = ?
+    `;
+
+    try {
+      const [result] = await db.execute(query, [
+        promised_start_at, promised_ready_at, promise_basis ? JSON.stringify(promise_basis) : null,
+        promised_by, promised_at, id
+      ]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Bay time (in bay to ready) of jobs finished since a date
+   * @param {Date} since - Earliest ready time
+   * @returns {Promise<Array>} { branch_id, service_code, vehicle_class, seconds }
+   */
+  static async findServiceDurations(since) {
+    const query = `
+      SELECT wj.branch_id, cr.service_code, cr.vehicle_class,
+             TIMESTAMPDIFF(SECOND, wj.in_bay_at, wj.ready_at) as seconds
+      FROM wash_jobs wj
+      JOIN car_registry cr ON cr.id = wj.car_registry_id
+      WHERE wj.ready_at >= ? AND wj.in_bay_at IS NOT NULL AND wj.ready_at > wj.in_bay_at
+    `;
+
+    try {
+      const [rows] = await db.execute(query, [since]);
+      return rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Jobs given a promised ready time, for checking how often promises are kept
+   * @param {Object} filters - Filter criteria (branch_id, start_date, end_date: promised on YYYY-MM-DD)
+   * @returns {Promise<Array>} Jobs, excluding cancelled ones
+   */
+  static async findPromised(filters = {}) {
+    let query = `${JOB_SELECT} WHERE wj.promised_ready_at IS NOT NULL AND wj.status <> 'CANCELLED'`;
+    const values = [];
+
+    if (filters.branch_id) {
+      query += ` AND wj.branch_id = ?`;
+      values.push(filters.branch_id);
+    }
+
+    if (filters.start_date) {
+      query += ` AND wj.promised_at >= ?`;
+      values.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      query += ` AND wj.promised_at < DATE_ADD(?, INTERVAL 1 DAY)`;
+      values.push(filters.end_date);
+    }
+
+    query += ' ORDER BY wj.promised_at, wj.id';
+
+    try {
+      const [jobs] = await db.execute(query, values);
+      return jobs;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a state change
+   * @param {number} jobId - Job ID
+   * @param {Object} event - { from_status, to_status, bay_id, notes, changed_by, changed_at }
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<number>} Event ID
+   */
+  static async addEvent(jobId, event, connection = db) {
+    const {
+      from_status = null, to_status, bay_id = null, notes = null, changed_by = null, changed_at
+    } = event;
+
+    const query = `
+      INSERT INTO wash_job_events (job_id, from_status, to_status, bay_id, notes, changed_by, changed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    try {
+      const [result] = await connection.execute(query, [
+        jobId, from_status, to_status, bay_id, notes, changed_by, changed_at
+      ]);
+      return result.insertId;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * State changes of a job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Array>} Events, oldest first, with bay and user names
+   */
+  static async findEvents(jobId) {
+    const query = `
+      SELECT e.*, bb.name as bay_name, u.name as changed_by_name
+      FROM wash_job_events e
+      LEFT JOIN branch_bays bb ON bb.id = e.bay_id
+      LEFT JOIN users u ON u.id = e.changed_by
+      WHERE e.job_id = ?
+      ORDER BY e.changed_at, e.id
+    `;
+
+    try {
+      const [events] = await db.execute(query, [jobId]);
+      return events;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Assign an attendant to a job
+   * @param {number} jobId - Job ID
+   * @param {string} attendantId - Attendant (user) ID
+   * @param {string} assignedBy - User assigning
+   * @returns {Promise<boolean>} False if the attendant was already on the job
+   */
+  static async addAttendant(jobId, attendantId, assignedBy = null) {
+    const query = `
+      INSERT IGNORE INTO wash_job_attendants (job_id, attendant_id, assigned_by)
+      VALUES (?, ?, ?)
+    `;
+
+    try {
+      const [result] = await db.execute(query, [jobId, attendantId, assignedBy]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Take an attendant off a job
+   * @param {number} jobId - Job ID
+   * @param {string} attendantId - Attendant (user) ID
+   * @returns {Promise<boolean>} True if the attendant was on the job
+   */
+  static async removeAttendant(jobId, attendantId) {
+    try {
+      const [result] = await db.execute(
+        'DELETE FROM wash_job_attendants WHERE job_id = ? AND attendant_id = ?',
+        [jobId, attendantId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Attendants on any of the given jobs
+   * @param {Array<number>} jobIds - Job IDs
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Array>} { job_id, attendant_id, attendant_name, assigned_at }
+   */
+  static async findAttendants(jobIds, connection = db) {
+    if (!jobIds || jobIds.length === 0) {
+      return [];
+    }
+
+    const query = `
+      SELECT wja.job_id, wja.attendant_id, u.name as attendant_name, wja.assigned_at
+      FROM wash_job_attendants wja
+      LEFT JOIN users u ON u.id = wja.attendant_id
+      WHERE wja.job_id IN (${jobIds.map(() => '?').join(', ')})
+      ORDER BY wja.assigned_at, wja.id
+    `;
+
+    try {
+      const [attendants] = await connection.execute(query, jobIds);
+      return attendants;
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = WashJob;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const appointmentController = require('../controllers/appointmentController');
+const authService = require('../services/authService');
+
+/**
+ * Appointment routes: bookable services, branch opening hours, availability
+ * search, and booking, rescheduling, cancelling, no-shows and check-in
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/appointments/services - Get the services that can be booked, with durations
+router.get('/services', appointmentController.getBookableServices);
+
+// GET /api/appointments/branches/:branch_id/hours - Get a branch's opening hours
+router.get('/branches/:branch_id/hours', appointmentController.getOpeningHours);
+
+// PUT /api/appointments/branches/:branch_id/hours - Set a branch's opening hours
+router.put('/branches/:branch_id/hours',
+  authService.requirePermission(['admin', 'manager']),
+  appointmentController.setOpeningHours
+);
+
+// GET /api/appointments/availability - Search free slots (?branch_id=, ?service=, ?date=YYYY-MM-DD)
+router.get('/availability', appointmentController.getAvailability);
+
+// GET /api/appointments - Get appointments (?branch_id=, ?date=, ?status=BOOKED,NO_SHOW, ?license_plate=, ?phone_number=)
+router.get('/', appointmentController.getAppointments);
+
+// POST /api/appointments - Book a service
+router.post('/', appointmentController.createAppointment);
+
+// GET /api/appointments/:id - Get an appointment
+router.get('/:id', appointmentController.getAppointmentById);
+
+// POST /api/appointments/:id/reschedule - Move an appointment to another time
+router.post('/:id/reschedule', appointmentController.rescheduleAppointment);
+
+// POST /api/appointments/:id/cancel - Cancel an appointment
+router.post('/:id/cancel', appointmentController.cancelAppointment);
+
+// POST /api/appointments/:id/no-show - Mark an appointment as a no-show
+router.post('/:id/no-show', appointmentController.markNoShow);
+
+// POST /api/appointments/:id/check-in - Check the customer in as a car service
+router.post('/:id/check-in', appointmentController.checkIn);
+
+module.exports = router;
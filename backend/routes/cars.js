@@ -29,6 +29,12 @@ router.get('/payment/:mode', carController.getServicesByPaymentMode);
 // GET /api/cars/daily-report/:date - Get daily car service report
 router.get('/daily-report/:date', carController.getDailyCarReport);
 
+// GET /api/cars/price-overrides - Get car services charged off the price list (?status=PENDING)
+router.get('/price-overrides', carController.getPriceOverrides);
+
+// GET /api/cars/plate-check - Canonical form and format of a plate, and its vehicle if known (?regno=)
+router.get('/plate-check', carController.checkPlate);
+
 // GET /api/cars/:id - Get car service by ID (yyyddmmhhMMsss format)
 router.get('/:id', carController.getCarServiceById);
 
@@ -41,6 +47,18 @@ router.post('/', carController.createCarService);
 // PUT /api/cars/:id - Update car service record
 router.put('/:id', carController.updateCarService);
 
+// POST /api/cars/:id/price-override/approve - Approve a manual price (Supervisor)
+router.post('/:id/price-override/approve',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  carController.approvePriceOverride
+);
+
+// POST /api/cars/:id/price-override/reject - Reject a manual price and charge the list price (Supervisor)
+router.post('/:id/price-override/reject',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  carController.rejectPriceOverride
+);
+
 // DELETE /api/cars/:id - Delete car service record
 router.delete('/:id', carController.deleteCarService);
 
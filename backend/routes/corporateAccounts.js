@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const corporateAccountController = require('../controllers/corporateAccountController');
+const authService = require('../services/authService');
+
+/**
+ * Corporate account routes: fleet and corporate accounts washing on credit,
+ * monthly invoices, statements and ageing. Washes are charged to an account
+ * through POST /api/cars with account_id or payment_mode ACCOUNT.
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/corporate-accounts/plate-accounts - Get the accounts a plate may be washed on (?regno=)
+router.get('/plate-accounts', corporateAccountController.getAccountsForPlate);
+
+// GET /api/corporate-accounts/ageing - Get unpaid balances by days past due (?account_id=)
+router.get('/ageing',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.getAgeing
+);
+
+// GET /api/corporate-accounts/invoices - Get invoices (?account_id=, ?status=ISSUED|VOID|PAID|UNPAID|OVERDUE)
+router.get('/invoices',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.getInvoices
+);
+
+// POST /api/corporate-accounts/invoices/monthly - Invoice every account with unbilled charges ({ month: YYYY-MM })
+router.post('/invoices/monthly',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.generateMonthlyInvoices
+);
+
+// GET /api/corporate-accounts/invoices/:invoice_id - Get an invoice with its lines and payments
+router.get('/invoices/:invoice_id',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.getInvoiceById
+);
+
+// GET /api/corporate-accounts/invoices/:invoice_id/pdf - Get an invoice as a PDF
+router.get('/invoices/:invoice_id/pdf',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.getInvoicePdf
+);
+
+// POST /api/corporate-accounts/invoices/:invoice_id/settle - Settle an invoice with one payment
+router.post('/invoices/:invoice_id/settle',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  corporateAccountController.settleInvoice
+);
+
+// POST /api/corporate-accounts/invoices/:invoice_id/void - Void an unpaid invoice
+router.post('/invoices/:invoice_id/void',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.voidInvoice
+);
+
+// GET /api/corporate-accounts - Get all accounts (?status=, ?account_type=, ?search=)
+router.get('/',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  corporateAccountController.getAllAccounts
+);
+
+// POST /api/corporate-accounts - Open an account
+router.post('/',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.createAccount
+);
+
+// GET /api/corporate-accounts/:id - Get an account with plates, drivers, contract prices and credit
+router.get('/:id',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  corporateAccountController.getAccountById
+);
+
+// PUT /api/corporate-accounts/:id - Update an account, its credit limit, terms or status
+router.put('/:id',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.updateAccount
+);
+
+// POST /api/corporate-accounts/:id/vehicles - Authorise a plate on the account
+router.post('/:id/vehicles',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.addVehicle
+);
+
+// DELETE /api/corporate-accounts/:id/vehicles/:license_plate - Withdraw a plate's authorisation
+router.delete('/:id/vehicles/:license_plate',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.removeVehicle
+);
+
+// POST /api/corporate-accounts/:id/drivers - Authorise a driver on the account
+router.post('/:id/drivers',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.addDriver
+);
+
+// PUT /api/corporate-accounts/:id/drivers/:driver_id - Update a driver or withdraw their authorisation
+router.put('/:id/drivers/:driver_id',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.updateDriver
+);
+
+// PUT /api/corporate-accounts/:id/prices - Set a contract price ({ service, vehicle_class, price })
+router.put('/:id/prices',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.setPrice
+);
+
+// DELETE /api/corporate-accounts/:id/prices - Remove a contract price ({ service, vehicle_class })
+router.delete('/:id/prices',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.removePrice
+);
+
+// GET /api/corporate-accounts/:id/statement - Get the monthly statement (?month=YYYY-MM, default last month)
+router.get('/:id/statement',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.getStatement
+);
+
+// POST /api/corporate-accounts/:id/invoices - Invoice unbilled charges up to the end of a month ({ month: YYYY-MM })
+router.post('/:id/invoices',
+  authService.requirePermission(['admin', 'manager']),
+  corporateAccountController.generateInvoice
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const authService = require('../services/authService');
+
+/**
+ * Customer routes: customers owning several vehicles and sharing their contact
+ * with carpet clients, with loyalty and offers per customer
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/customers - Get all customers (?search=, ?phone_number=)
+router.get('/', customerController.getAllCustomers);
+
+// POST /api/customers - Create a customer
+router.post('/', customerController.createCustomer);
+
+// GET /api/customers/eligible - Get customers with enough visits for an offer (?visit_threshold=)
+router.get('/eligible', customerController.getEligibleCustomers);
+
+// GET /api/customers/:id - Get a customer with vehicles, carpet clients, loyalty and active offers
+router.get('/:id', customerController.getCustomerById);
+
+// PUT /api/customers/:id - Update a customer's details
+router.put('/:id', customerController.updateCustomer);
+
+// POST /api/customers/:id/vehicles - Link a vehicle to the customer
+router.post('/:id/vehicles', customerController.linkVehicle);
+
+// DELETE /api/customers/:id/vehicles/:vehicle_id - Unlink a vehicle from the customer
+router.delete('/:id/vehicles/:vehicle_id', customerController.unlinkVehicle);
+
+// POST /api/customers/:id/carpet-clients - Link a carpet client record to the customer
+router.post('/:id/carpet-clients', customerController.linkCarpetClient);
+
+// DELETE /api/customers/:id/carpet-clients/:carpet_client_id - Unlink a carpet client record
+router.delete('/:id/carpet-clients/:carpet_client_id', customerController.unlinkCarpetClient);
+
+// GET /api/customers/:id/offers - Get the customer's offers (?active_only=true)
+router.get('/:id/offers', customerController.getCustomerOffers);
+
+// POST /api/customers/:id/offers - Issue an offer to the customer
+router.post('/:id/offers', customerController.issueOffer);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const authService = require('../services/authService');
+
+/**
+ * Real-time event routes. Devices keep GET /stream open and receive
+ * queue.changed, car.registered, payment.confirmed and stock.low events for
+ * their branch as server-sent events.
+ */
+
+// GET /api/events/stream - Open the event stream (token in the Authorization header or ?access_token=)
+router.get('/stream',
+  authService.tokenFromQuery(),
+  authService.verifyTokenMiddleware(),
+  eventController.stream
+);
+
+// GET /api/events/types - Get the event types that can be subscribed to
+router.get('/types', authService.verifyTokenMiddleware(), eventController.getEventTypes);
+
+// GET /api/events/connections - Get the number of open streams per branch
+router.get('/connections',
+  authService.verifyTokenMiddleware(),
+  authService.requirePermission(['admin', 'manager']),
+  eventController.getConnections
+);
+
+module.exports = router;
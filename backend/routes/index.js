@@ -8,10 +8,22 @@ const userRoutes = require('./users');
 const carRoutes = require('./cars');
 //const carpetRoutes = require('./carpets');
 //const inventoryRoutes = require('./inventory');
-//const paymentRoutes = require('./payments');
+const paymentRoutes = require('./paymentRoutes');
+const reconciliationRoutes = require('./reconciliation');
+const refundRoutes = require('./refunds');
+const tillRoutes = require('./tills');
+const receiptRoutes = require('./receipts');
+const printerRoutes = require('./printers');
+const serviceRoutes = require('./services');
+const vehicleDuplicateRoutes = require('./vehicleDuplicates');
+const customerRoutes = require('./customers');
+const corporateAccountRoutes = require('./corporateAccounts');
+const inspectionRoutes = require('./inspections');
+const washQueueRoutes = require('./washQueue');
+const eventRoutes = require('./events');
+const appointmentRoutes = require('./appointments');
 //const discountRoutes = require('./discounts');
-//const vehicleRoutes = require('./vehicles');
-const vehicleRoutes = require('./cars');
+const vehicleRoutes = require('./vehicles');
 const reportRoutes = require('./reports');
 const attendantServiceRoutes = require('./attendantServices');
 const vehicleStatsRoutes = require('./vehicleStats');
@@ -27,9 +39,22 @@ router.use('/users', userRoutes);
 router.use('/cars', carRoutes);
 //router.use('/carpets', carpetRoutes);
 //router.use('/inventory', inventoryRoutes);
-//router.use('/payments', paymentRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/reconciliation', reconciliationRoutes);
+router.use('/refunds', refundRoutes);
+router.use('/tills', tillRoutes);
+router.use('/receipts', receiptRoutes);
+router.use('/printers', printerRoutes);
+router.use('/services', serviceRoutes);
+router.use('/vehicle-duplicates', vehicleDuplicateRoutes);
+router.use('/customers', customerRoutes);
+router.use('/corporate-accounts', corporateAccountRoutes);
+router.use('/inspections', inspectionRoutes);
+router.use('/wash-queue', washQueueRoutes);
+router.use('/events', eventRoutes);
+router.use('/appointments', appointmentRoutes);
 //router.use('/discounts', discountRoutes);
-//router.use('/vehicles', vehicleRoutes);
+router.use('/vehicles', vehicleRoutes);
 router.use('/reports', reportRoutes);
 router.use('/attendant-services', attendantServiceRoutes);
 router.use('/vehicle-stats', vehicleStatsRoutes);
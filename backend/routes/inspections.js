@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const inspectionController = require('../controllers/inspectionController');
+const authService = require('../services/authService');
+
+/**
+ * Inspection routes: check-in inspections of cars before they are washed,
+ * with damage marks, before/after photos and the customer's acknowledgement
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/inspections/options - Get the zones, damage types and checklist items
+router.get('/options', inspectionController.getOptions);
+
+// GET /api/inspections/car/:car_registry_id - Get the inspection of a car service
+router.get('/car/:car_registry_id', inspectionController.getInspectionForCar);
+
+// GET /api/inspections - Get all inspections (?license_plate=, ?branch_id=, ?status=, ?start_date=&end_date=)
+router.get('/', inspectionController.getAllInspections);
+
+// POST /api/inspections - Start the inspection of a car service
+router.post('/', inspectionController.createInspection);
+
+// GET /api/inspections/:id - Get an inspection with its damage and photos
+router.get('/:id', inspectionController.getInspectionById);
+
+// GET /api/inspections/:id/pdf - Get an inspection as a PDF
+router.get('/:id/pdf', inspectionController.getInspectionPdf);
+
+// PUT /api/inspections/:id - Change the checklist or notes before the customer acknowledges
+router.put('/:id', inspectionController.updateInspection);
+
+// POST /api/inspections/:id/damages - Mark damage on the vehicle diagram
+router.post('/:id/damages', inspectionController.addDamage);
+
+// DELETE /api/inspections/:id/damages/:damage_id - Remove a damage mark
+router.delete('/:id/damages/:damage_id', inspectionController.removeDamage);
+
+// POST /api/inspections/:id/photos - Upload BEFORE or AFTER photos (multipart "photos")
+router.post('/:id/photos', inspectionController.uploadPhotos);
+
+// POST /api/inspections/:id/signature - Customer acknowledges by signing (multipart "signature")
+router.post('/:id/signature', inspectionController.acknowledgeWithSignature);
+
+// POST /api/inspections/:id/otp - Send the customer a code to acknowledge with
+router.post('/:id/otp', inspectionController.sendOtp);
+
+// POST /api/inspections/:id/otp/verify - Customer acknowledges with the code
+router.post('/:id/otp/verify', inspectionController.verifyOtp);
+
+module.exports = router;
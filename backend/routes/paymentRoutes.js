@@ -1,10 +1,71 @@
-// backend/routes/paymentRoutes.js
-const express = require("express");
+const express = require('express');
 const router = express.Router();
-const paymentController = require("../controllers/paymentController");
+const paymentController = require('../controllers/paymentController');
+const authService = require('../services/authService');
 
-router.post("/payments", paymentController.createPayment);
-router.post("/payments/stk", paymentController.initiateMpesaStk);
-router.post("/payments/mpesa/callback", paymentController.mpesaCallback);
+/**
+ * Payment routes for recording tenders against car wash and carpet records
+ * Sources: CARWASH, CARPETS | Modes: CASH, MPESA, CARD
+ */
+
+// POST /api/payments/mpesa/callback - Daraja STK callback (public route)
+router.post('/mpesa/callback', paymentController.mpesaCallback);
+
+// POST /api/payments/mpesa/c2b/validation - Daraja C2B validation (public route)
+router.post('/mpesa/c2b/validation', paymentController.c2bValidation);
+
+// POST /api/payments/mpesa/c2b/confirmation - Daraja C2B confirmation (public route)
+router.post('/mpesa/c2b/confirmation', paymentController.c2bConfirmation);
+
+// POST /api/payments/card/callback/:provider - Hosted card checkout outcome (public route)
+router.post('/card/callback/:provider', paymentController.cardCallback);
+
+// Apply authentication middleware to all other routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/payments - Get all payments with optional filtering
+router.get('/', paymentController.getAllPayments);
+
+// GET /api/payments/balance/:source/:source_id - Get amount owed, paid and pending on a record
+router.get('/balance/:source/:source_id', paymentController.getBalance);
+
+// POST /api/payments/stk - Initiate M-Pesa STK push against a record
+router.post('/stk', paymentController.initiateMpesaStk);
+
+// POST /api/payments/card - Take a card payment through a card provider
+router.post('/card', paymentController.createCardPayment);
+
+// GET /api/payments/mpesa/status/:checkout_request_id - Poll the status of an STK push
+router.get('/mpesa/status/:checkout_request_id', paymentController.getStkStatus);
+
+// POST /api/payments/mpesa/expire-stale - Query Daraja for stale pending pushes and time them out
+router.post('/mpesa/expire-stale',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  paymentController.expireStaleStkPayments
+);
+
+// POST /api/payments/mpesa/c2b/register-urls - Register the C2B URLs for the paybill/till with Daraja
+router.post('/mpesa/c2b/register-urls',
+  authService.requirePermission(['admin', 'manager']),
+  paymentController.registerC2bUrls
+);
+
+// POST /api/payments/:id/repush - Re-send a failed, cancelled or timed-out STK push
+router.post('/:id/repush', paymentController.repushStk);
+
+// POST /api/payments/:id/switch-to-cash - Replace an unconfirmed M-Pesa payment with cash
+router.post('/:id/switch-to-cash', paymentController.switchToCash);
+
+// POST /api/payments/:id/card/capture - Capture an authorized card payment
+router.post('/:id/card/capture', paymentController.captureCardPayment);
+
+// POST /api/payments/:id/card/void - Void an authorized card payment or unfinished checkout
+router.post('/:id/card/void', paymentController.voidCardPayment);
+
+// GET /api/payments/:id - Get payment by ID
+router.get('/:id', paymentController.getPaymentById);
+
+// POST /api/payments - Record one or more tenders against a record
+router.post('/', paymentController.createPayment);
 
 module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const printerController = require('../controllers/printerController');
+const authService = require('../services/authService');
+
+/**
+ * Printer routes for branch receipt printers and the ESC/POS print queue
+ * Documents: receipts, job tickets, end-of-day summaries and test pages
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/printers - Get all printers with their queued job counts
+router.get('/', printerController.getAllPrinters);
+
+// GET /api/printers/jobs - Get print jobs with optional filtering
+router.get('/jobs', printerController.getAllJobs);
+
+// GET /api/printers/jobs/:id - Get a print job's status
+router.get('/jobs/:id', printerController.getJobById);
+
+// POST /api/printers/jobs/:id/retry - Send a failed or cancelled job again
+router.post('/jobs/:id/retry', printerController.retryJob);
+
+// POST /api/printers/jobs/:id/cancel - Cancel a job that has not printed yet
+router.post('/jobs/:id/cancel', printerController.cancelJob);
+
+// POST /api/printers/receipts/:source/:source_id - Print a job's receipt (source: carwash | carpets)
+router.post('/receipts/:source/:source_id', printerController.printReceipt);
+
+// POST /api/printers/tickets/:source/:source_id - Print a job ticket for a car or carpet
+router.post('/tickets/:source/:source_id', printerController.printJobTicket);
+
+// POST /api/printers/daily-summary - Print a branch's end-of-day summary (Supervisor)
+router.post('/daily-summary',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  printerController.printDailySummary
+);
+
+// POST /api/printers - Add a printer to a branch (Admin/Manager only)
+router.post('/',
+  authService.requirePermission(['admin', 'manager']),
+  printerController.createPrinter
+);
+
+// PUT /api/printers/:id - Change a printer's settings (Admin/Manager only)
+router.put('/:id',
+  authService.requirePermission(['admin', 'manager']),
+  printerController.updatePrinter
+);
+
+// POST /api/printers/:id/test - Print a test page
+router.post('/:id/test', printerController.printTestPage);
+
+module.exports = router;
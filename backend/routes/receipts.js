@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const receiptController = require('../controllers/receiptController');
+const authService = require('../services/authService');
+
+/**
+ * Receipt routes for car wash and carpet jobs
+ * Sources: CARWASH, CARPETS | Numbers: BRN001-000001 (sequential per branch)
+ */
+
+// GET /api/receipts/verify/:code - Verify a receipt from its QR code (public route)
+router.get('/verify/:code', receiptController.verifyReceipt);
+
+// Apply authentication middleware to all other routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/receipts - Get issued receipts with optional filtering
+router.get('/', receiptController.getAllReceipts);
+
+// GET /api/receipts/:source/:source_id - Get the receipt for a job as JSON
+router.get('/:source/:source_id', receiptController.getReceipt);
+
+// GET /api/receipts/:source/:source_id/text - Get the receipt as 32 or 48 column text (?width=)
+router.get('/:source/:source_id/text', receiptController.getReceiptText);
+
+// GET /api/receipts/:source/:source_id/pdf - Get the receipt as a PDF
+router.get('/:source/:source_id/pdf', receiptController.getReceiptPdf);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+const authService = require('../services/authService');
+
+/**
+ * Reconciliation routes for M-Pesa receipts that did not line up with a job
+ * Receipts are mpesa_payments_callback rows, addressed by their ID
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+router.use(authService.requirePermission(['admin', 'manager', 'Supervisor']));
+
+// GET /api/reconciliation/mpesa/daily - Unmatched receipts and M-Pesa cars with no receipt for a day
+router.get('/mpesa/daily', reconciliationController.getDailyReport);
+
+// GET /api/reconciliation/mpesa/unmatched - Receipts waiting for a supervisor
+router.get('/mpesa/unmatched', reconciliationController.getUnmatchedReceipts);
+
+// GET /api/reconciliation/mpesa/cars-without-receipt - Cars marked M-Pesa with no receipt
+router.get('/mpesa/cars-without-receipt', reconciliationController.getCarsWithoutReceipt);
+
+// POST /api/reconciliation/mpesa/statements - Import the M-Pesa statement CSV (field "statement")
+router.post('/mpesa/statements', reconciliationController.importStatement);
+
+// GET /api/reconciliation/mpesa/statements - List imported statements
+router.get('/mpesa/statements', reconciliationController.getStatements);
+
+// GET /api/reconciliation/mpesa/statements/:id - Missing callbacks, mismatches and duplicates for a statement
+router.get('/mpesa/statements/:id', reconciliationController.getStatementReport);
+
+// GET /api/reconciliation/mpesa/:callback_id/suggestions - Suggested jobs for a receipt
+router.get('/mpesa/:callback_id/suggestions', reconciliationController.getSuggestions);
+
+// POST /api/reconciliation/mpesa/:callback_id/accept - Apply a receipt to the chosen job
+router.post('/mpesa/:callback_id/accept', reconciliationController.acceptMatch);
+
+// POST /api/reconciliation/mpesa/:callback_id/reassign - Move a receipt to a different job
+router.post('/mpesa/:callback_id/reassign', reconciliationController.reassignReceipt);
+
+// POST /api/reconciliation/mpesa/:callback_id/flag - Flag a receipt for follow-up
+router.post('/mpesa/:callback_id/flag', reconciliationController.flagReceipt);
+
+module.exports = router;
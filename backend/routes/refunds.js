@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const refundController = require('../controllers/refundController');
+const authService = require('../services/authService');
+
+/**
+ * Refund routes: a cashier requests, a supervisor approves or rejects
+ * Methods: REVERSAL, B2C, CARD, CASH | Statuses: REQUESTED, REJECTED, PROCESSING, COMPLETED, FAILED
+ */
+
+// POST /api/refunds/mpesa/result - Daraja reversal/B2C result (public route)
+router.post('/mpesa/result', refundController.mpesaResult);
+
+// POST /api/refunds/mpesa/timeout - Daraja reversal/B2C queue timeout (public route)
+router.post('/mpesa/timeout', refundController.mpesaTimeout);
+
+// Apply authentication middleware to all other routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/refunds - Get all refunds with optional filtering
+router.get('/', refundController.getAllRefunds);
+
+// GET /api/refunds/:id - Get refund with its original and refund payments
+router.get('/:id', refundController.getRefundById);
+
+// POST /api/refunds - Request a refund against a payment
+router.post('/', refundController.requestRefund);
+
+// POST /api/refunds/:id/approve - Approve and pay out a refund
+router.post('/:id/approve',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  refundController.approveRefund
+);
+
+// POST /api/refunds/:id/reject - Reject a refund request
+router.post('/:id/reject',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  refundController.rejectRefund
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const serviceCatalogController = require('../controllers/serviceCatalogController');
+const authService = require('../services/authService');
+
+/**
+ * Service catalog routes: services, base prices per vehicle class and branch price lists
+ * Vehicle classes: SALOON, SUV, VAN (incl. matatus), PICKUP, LORRY, MOTORBIKE
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/services - Get the price list (?branch_id= for a branch's prices)
+router.get('/', serviceCatalogController.getPriceList);
+
+// GET /api/services/quote - Price a service (?service=&vehicle_class=&branch_id=&amount=)
+router.get('/quote', serviceCatalogController.getQuote);
+
+// GET /api/services/vehicle-models - Get the make/model lookup that classifies vehicles
+router.get('/vehicle-models', serviceCatalogController.getVehicleModels);
+
+// PUT /api/services/vehicle-models - Classify a make or make and model (Admin/Manager only)
+router.put('/vehicle-models',
+  authService.requirePermission(['admin', 'manager']),
+  serviceCatalogController.setVehicleModel
+);
+
+// POST /api/services - Add a service with base prices (Admin/Manager only)
+router.post('/',
+  authService.requirePermission(['admin', 'manager']),
+  serviceCatalogController.createService
+);
+
+// PUT /api/services/:id - Rename or (de)activate a service (Admin/Manager only)
+router.put('/:id',
+  authService.requirePermission(['admin', 'manager']),
+  serviceCatalogController.updateService
+);
+
+// PUT /api/services/:id/prices/:vehicle_class - Set a base price (Admin/Manager only)
+router.put('/:id/prices/:vehicle_class',
+  authService.requirePermission(['admin', 'manager']),
+  serviceCatalogController.setPrice
+);
+
+// PUT /api/services/:id/branches/:branch_id/prices/:vehicle_class - Set a branch's price (Admin/Manager only)
+router.put('/:id/branches/:branch_id/prices/:vehicle_class',
+  authService.requirePermission(['admin', 'manager']),
+  serviceCatalogController.setPrice
+);
+
+// DELETE /api/services/:id/branches/:branch_id/prices/:vehicle_class - Go back to the base price (Admin/Manager only)
+router.delete('/:id/branches/:branch_id/prices/:vehicle_class',
+  authService.requirePermission(['admin', 'manager']),
+  serviceCatalogController.removeBranchPrice
+);
+
+module.exports = router;
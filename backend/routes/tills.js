@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const tillController = require('../controllers/tillController');
+const authService = require('../services/authService');
+
+/**
+ * Till routes for cashier sessions: open with a float, close with a count, supervisor sign-off
+ * Session statuses: OPEN, CLOSED, APPROVED
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/tills - Get all tills with their current session
+router.get('/', tillController.getAllTills);
+
+// GET /api/tills/sessions - Get till sessions with optional filtering
+router.get('/sessions', tillController.getAllSessions);
+
+// GET /api/tills/sessions/current - Get the logged-in cashier's open session
+router.get('/sessions/current', tillController.getCurrentSession);
+
+// GET /api/tills/sessions/:id - Get a till session with its cash payments
+router.get('/sessions/:id', tillController.getSessionById);
+
+// POST /api/tills/sessions/:id/close - Close a session with a denomination count
+router.post('/sessions/:id/close', tillController.closeSession);
+
+// POST /api/tills/sessions/:id/approve - Sign off a closed session (Supervisor)
+router.post('/sessions/:id/approve',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  tillController.approveSession
+);
+
+// POST /api/tills - Add a till to a branch (Admin/Manager only)
+router.post('/',
+  authService.requirePermission(['admin', 'manager']),
+  tillController.createTill
+);
+
+// PUT /api/tills/:id - Rename or (de)activate a till (Admin/Manager only)
+router.put('/:id',
+  authService.requirePermission(['admin', 'manager']),
+  tillController.updateTill
+);
+
+// POST /api/tills/:id/sessions - Open a session on a till with an opening float
+router.post('/:id/sessions', tillController.openSession);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const vehicleDuplicateController = require('../controllers/vehicleDuplicateController');
+const authService = require('../services/authService');
+
+/**
+ * Vehicle duplicate routes: finding vehicles registered twice under mistyped
+ * plates, merging them and undoing merges (Admin/Manager only)
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+router.use(authService.requirePermission(['admin', 'manager']));
+
+// GET /api/vehicle-duplicates - Get likely duplicate vehicle pairs (?confidence=LOW|MEDIUM|HIGH, ?vehicle_id=)
+router.get('/', vehicleDuplicateController.getDuplicates);
+
+// POST /api/vehicle-duplicates/merge - Merge merged_id into survivor_id
+router.post('/merge', vehicleDuplicateController.mergeVehicles);
+
+// GET /api/vehicle-duplicates/merges - Get merge history
+router.get('/merges', vehicleDuplicateController.getMerges);
+
+// GET /api/vehicle-duplicates/merges/:id - Get a merge with its before snapshots
+router.get('/merges/:id', vehicleDuplicateController.getMergeById);
+
+// POST /api/vehicle-duplicates/merges/:id/undo - Undo a merge
+router.post('/merges/:id/undo', vehicleDuplicateController.undoMerge);
+
+module.exports = router;
@@ -37,6 +37,9 @@ router.get('/frequent', vehicleController.getFrequentVehicles);
 // GET /api/vehicles/statistics - Get vehicle statistics
 router.get('/statistics', vehicleController.getVehicleStatistics);
 
+// GET /api/vehicles/:license_plate/timeline - Get the vehicle's history (washes, inspections, payments, receipts, discounts, offers, owner changes)
+router.get('/:license_plate/timeline', vehicleController.getVehicleTimeline);
+
 // GET /api/vehicles/:id - Get vehicle by ID
 router.get('/:id', vehicleController.getVehicleById);
 
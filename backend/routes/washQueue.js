@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const washQueueController = require('../controllers/washQueueController');
+const authService = require('../services/authService');
+
+/**
+ * Wash queue routes: bays per branch, wash jobs moving through
+ * QUEUED -> IN_BAY -> WASHING -> DRYING -> QUALITY_CHECK -> READY -> COLLECTED,
+ * the per-branch queue board, wait estimates and promised ready times, and
+ * attendant shifts
+ */
+
+// Apply authentication middleware to all routes
+router.use(authService.verifyTokenMiddleware());
+
+// GET /api/wash-queue/states - Get the job statuses and allowed moves
+router.get('/states', washQueueController.getStateMachine);
+
+// GET /api/wash-queue/bays - Get bays (?branch_id=, ?is_active=)
+router.get('/bays', washQueueController.getBays);
+
+// POST /api/wash-queue/bays - Add a bay to a branch
+router.post('/bays',
+  authService.requirePermission(['admin', 'manager']),
+  washQueueController.createBay
+);
+
+// PUT /api/wash-queue/bays/:id - Rename, reorder or close a bay
+router.put('/bays/:id',
+  authService.requirePermission(['admin', 'manager']),
+  washQueueController.updateBay
+);
+
+// GET /api/wash-queue/branches/:branch_id - Get the branch's queue board
+router.get('/branches/:branch_id', washQueueController.getBranchQueue);
+
+// GET /api/wash-queue/estimate - Estimate start and ready times for a car arriving now (?branch_id=, ?service=, ?vehicle_class=, ?priority=)
+router.get('/estimate', washQueueController.getEstimate);
+
+// GET /api/wash-queue/promises/report - How often promised ready times were kept (?branch_id=, ?start_date=, ?end_date=)
+router.get('/promises/report',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  washQueueController.getPromiseReport
+);
+
+// GET /api/wash-queue/shifts - Get the attendants on shift (?branch_id=)
+router.get('/shifts', washQueueController.getShifts);
+
+// POST /api/wash-queue/shifts - Clock an attendant in
+router.post('/shifts', washQueueController.clockIn);
+
+// POST /api/wash-queue/shifts/:id/end - Clock an attendant out
+router.post('/shifts/:id/end', washQueueController.clockOut);
+
+// GET /api/wash-queue/jobs - Get wash jobs (?branch_id=, ?status=QUEUED,READY, ?license_plate=, ?date=)
+router.get('/jobs', washQueueController.getJobs);
+
+// POST /api/wash-queue/jobs - Put a car service in the queue
+router.post('/jobs', washQueueController.createJob);
+
+// GET /api/wash-queue/jobs/car/:car_registry_id - Get the wash job of a car service
+router.get('/jobs/car/:car_registry_id', washQueueController.getJobForCar);
+
+// GET /api/wash-queue/jobs/:id - Get a wash job with its attendants and state changes
+router.get('/jobs/:id', washQueueController.getJobById);
+
+// PUT /api/wash-queue/jobs/:id - Change a job's priority or notes
+router.put('/jobs/:id',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  washQueueController.updateJob
+);
+
+// GET /api/wash-queue/jobs/:id/estimate - Get a job's current estimate and its promise
+router.get('/jobs/:id/estimate', washQueueController.getJobEstimate);
+
+// POST /api/wash-queue/jobs/:id/promise - Re-promise a job from the current estimate or to a given ready time
+router.post('/jobs/:id/promise', washQueueController.promiseJob);
+
+// POST /api/wash-queue/jobs/:id/transition - Move a job to its next status
+router.post('/jobs/:id/transition', washQueueController.transitionJob);
+
+// POST /api/wash-queue/jobs/:id/attendants - Assign an attendant to a job
+router.post('/jobs/:id/attendants',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  washQueueController.assignAttendant
+);
+
+// DELETE /api/wash-queue/jobs/:id/attendants/:attendant_id - Take an attendant off a job
+router.delete('/jobs/:id/attendants/:attendant_id',
+  authService.requirePermission(['admin', 'manager', 'Supervisor']),
+  washQueueController.removeAttendant
+);
+
+module.exports = router;
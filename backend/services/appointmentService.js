@@ -0,0 +1,551 @@
+const { db } = require('../config/db');
+const Appointment = require('../models/Appointment');
+const Branch = require('../models/Branch');
+const BranchBay = require('../models/BranchBay');
+const BranchOpeningHours = require('../models/BranchOpeningHours');
+const ServiceCatalog = require('../models/ServiceCatalog');
+const PlateService = require('./plateService');
+const ServiceCatalogService = require('./serviceCatalogService');
+const CarRegistrationService = require('./carRegistrationService');
+const { createError } = require('../utils/errors');
+const {
+  APPOINTMENT_SLOT_MINUTES,
+  APPOINTMENT_MAX_DAYS_AHEAD,
+  APPOINTMENT_NO_SHOW_GRACE_MINUTES,
+  APPOINTMENT_QUEUE_PRIORITY
+} = require('../config/env');
+
+const STATUSES = ['BOOKED', 'CHECKED_IN', 'CANCELLED', 'NO_SHOW'];
+
+// An appointment keeps its bay in these statuses
+const HOLDING_STATUSES = ['BOOKED', 'CHECKED_IN'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = value => String(value).padStart(2, '0');
+
+// Local YYYY-MM-DD
+const formatDate = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Local HH:mm
+const formatTime = date => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// "YYYY-MM-DD" as local midnight
+const parseDate = value => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  const date = match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+  if (!date || date.getDate() !== +match[3]) {
+    throw createError('date must be YYYY-MM-DD');
+  }
+  return date;
+};
+
+// "YYYY-MM-DDTHH:mm" or "YYYY-MM-DD HH:mm" in branch (server) time
+const parseDateTime = value => {
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::00)?$/.exec(String(value || '').trim());
+  if (!match || +match[2] > 23 || +match[3] > 59) {
+    throw createError('starts_at must be YYYY-MM-DDTHH:mm in branch time');
+  }
+  const date = parseDate(match[1]);
+  date.setHours(+match[2], +match[3]);
+  return date;
+};
+
+// "8:00" or "08:00:00" as "08:00:00"
+const normalizeTime = (value, field) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+  if (!match || +match[1] > 23 || +match[2] > 59) {
+    throw createError(`${field} must be HH:mm`);
+  }
+  return `${pad(match[1])}:${match[2]}:00`;
+};
+
+// A TIME value on a given day
+const timeOn = (day, time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+/**
+ * Appointment service: bookable services hold a bay of a branch for their
+ * duration, inside the branch's opening hours. A booking is given the first
+ * bookable bay free for the whole slot, so bays never hold two appointments at
+ * once; bays marked not bookable are left for walk-ins. On arrival an
+ * appointment is checked in as a car_registry entry and queued ahead of
+ * walk-ins; otherwise it is cancelled or marked as a no-show.
+ */
+class AppointmentService {
+  /**
+   * Services that can be booked, with how long they hold a bay
+   * @returns {Promise<Array>} Services
+   */
+  async getBookableServices() {
+    return await ServiceCatalog.findAll({ is_active: true, is_bookable: true });
+  }
+
+  /**
+   * Load an active, bookable catalog service
+   * @param {string} codeOrName - e.g. BUFFING or "Buffing"
+   * @returns {Promise<Object>} Service
+   */
+  async resolveBookableService(codeOrName) {
+    if (!codeOrName) {
+      throw createError('service is required');
+    }
+    const service = await ServiceCatalogService.resolveService(codeOrName);
+    if (!service.is_bookable) {
+      throw createError(`${service.name} cannot be booked; it is walk-in only`, 422);
+    }
+    return service;
+  }
+
+  /**
+   * A branch's opening hours for the week
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Array>} Seven days, Sunday first; days without hours are closed
+   */
+  async getOpeningHours(branchId) {
+    const hours = await BranchOpeningHours.findByBranch(branchId);
+    return DAY_NAMES.map((day, dayOfWeek) => {
+      const set = hours.find(row => row.day_of_week === dayOfWeek);
+      const open = set && !set.is_closed && set.opens_at && set.closes_at;
+      return {
+        day_of_week: dayOfWeek,
+        day,
+        opens_at: open ? set.opens_at : null,
+        closes_at: open ? set.closes_at : null,
+        is_closed: !open
+      };
+    });
+  }
+
+  /**
+   * Set a branch's opening hours
+   * @param {string} branchId - Branch ID
+   * @param {Array} days - [{ day_of_week, opens_at, closes_at, is_closed }]
+   * @returns {Promise<Array>} The week's opening hours
+   */
+  async setOpeningHours(branchId, days) {
+    if (!await Branch.findById(branchId)) {
+      throw createError('Branch not found', 404);
+    }
+    if (!Array.isArray(days) || days.length === 0) {
+      throw createError('days must be a list of { day_of_week, opens_at, closes_at, is_closed }');
+    }
+
+    const normalized = days.map(day => {
+      const dayOfWeek = parseInt(day.day_of_week);
+      if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        throw createError('day_of_week must be 0 (Sunday) to 6 (Saturday)');
+      }
+      if (day.is_closed === true || day.is_closed === 'true') {
+        return { day_of_week: dayOfWeek, is_closed: true };
+      }
+
+      const opensAt = normalizeTime(day.opens_at, 'opens_at');
+      const closesAt = normalizeTime(day.closes_at, 'closes_at');
+      if (closesAt <= opensAt) {
+        throw createError(`${DAY_NAMES[dayOfWeek]}: closes_at must be after opens_at`);
+      }
+      return { day_of_week: dayOfWeek, opens_at: opensAt, closes_at: closesAt, is_closed: false };
+    });
+
+    for (const day of normalized) {
+      await BranchOpeningHours.setDay(branchId, day);
+    }
+
+    return await this.getOpeningHours(branchId);
+  }
+
+  /**
+   * When a branch opens and closes on a day
+   * @param {string} branchId - Branch ID
+   * @param {Date} day - Any time on the day
+   * @returns {Promise<Object|null>} { opens, closes } or null when closed
+   */
+  async getOpeningWindow(branchId, day) {
+    const hours = await BranchOpeningHours.findDay(branchId, day.getDay());
+    if (!hours || hours.is_closed || !hours.opens_at || !hours.closes_at) {
+      return null;
+    }
+    return { opens: timeOn(day, hours.opens_at), closes: timeOn(day, hours.closes_at) };
+  }
+
+  /**
+   * Check that a service can be booked to start at a time
+   * @param {string} branchId - Branch ID
+   * @param {Date} startsAt - Start
+   * @param {Object} service - Catalog service
+   * @returns {Promise<Date>} End of the slot
+   */
+  async assertBookableTime(branchId, startsAt, service) {
+    const now = new Date();
+    if (startsAt < now) {
+      throw createError('starts_at is in the past');
+    }
+    if (startsAt > addMinutes(now, APPOINTMENT_MAX_DAYS_AHEAD * 24 * 60)) {
+      throw createError(`Bookings are taken up to ${APPOINTMENT_MAX_DAYS_AHEAD} days ahead`);
+    }
+
+    const endsAt = addMinutes(startsAt, service.duration_minutes);
+    const window = await this.getOpeningWindow(branchId, startsAt);
+    if (!window) {
+      throw createError(`The branch is closed on ${DAY_NAMES[startsAt.getDay()]}s`, 422);
+    }
+    if (startsAt < window.opens || endsAt > window.closes) {
+      throw createError(
+        `${service.name} takes ${service.duration_minutes} minutes and must fit between `
+        + `${formatTime(window.opens)} and ${formatTime(window.closes)}`,
+        422
+      );
+    }
+    return endsAt;
+  }
+
+  /**
+   * Pick a bookable bay free for a whole slot
+   * @param {string} branchId - Branch ID
+   * @param {Date} startsAt - Slot start
+   * @param {Date} endsAt - Slot end
+   * @param {Object} options - { bay_id (preferred bay), exclude_id (appointment being moved) }
+   * @param {Object} connection - Connection inside a transaction; the branch's bays are locked
+   * @returns {Promise<Object>} Bay
+   */
+  async pickBay(branchId, startsAt, endsAt, options, connection) {
+    const bays = await BranchBay.findBookable(branchId, connection);
+    if (bays.length === 0) {
+      throw createError(`Branch ${branchId} has no bays taking appointments`, 422);
+    }
+
+    const taken = await Appointment.findOverlapping(
+      branchId, startsAt, endsAt, HOLDING_STATUSES, options.exclude_id, connection
+    );
+    const free = bays.filter(bay => !taken.some(appointment => appointment.bay_id === bay.id));
+
+    if (options.bay_id) {
+      const preferred = free.find(bay => bay.id === parseInt(options.bay_id));
+      if (!preferred) {
+        const bay = bays.find(item => item.id === parseInt(options.bay_id));
+        throw createError(
+          bay ? `${bay.name} is booked at that time` : `Bay ${options.bay_id} does not take appointments at this branch`,
+          409
+        );
+      }
+      return preferred;
+    }
+
+    if (free.length === 0) {
+      throw createError('No bay is free for that slot; search availability for another time', 409);
+    }
+    return free[0];
+  }
+
+  /**
+   * Start times on a day when a service can be booked, with how many bays are free
+   * @param {Object} query - { branch_id, service, date: YYYY-MM-DD }
+   * @returns {Promise<Object>} { branch_id, date, service, opens_at, closes_at, slots: [{ starts_at, ends_at, time, free_bays }] }
+   */
+  async findAvailability(query) {
+    const { branch_id } = query;
+    if (!branch_id) {
+      throw createError('branch_id is required');
+    }
+    const service = await this.resolveBookableService(query.service);
+    const day = parseDate(query.date);
+
+    const result = {
+      branch_id,
+      date: formatDate(day),
+      service: { id: service.id, code: service.code, name: service.name, duration_minutes: service.duration_minutes },
+      opens_at: null,
+      closes_at: null,
+      slots: []
+    };
+
+    const window = await this.getOpeningWindow(branch_id, day);
+    if (!window) {
+      return result;
+    }
+    result.opens_at = formatTime(window.opens);
+    result.closes_at = formatTime(window.closes);
+
+    const [bays, booked] = await Promise.all([
+      BranchBay.findBookable(branch_id),
+      Appointment.findOverlapping(branch_id, window.opens, window.closes, HOLDING_STATUSES)
+    ]);
+
+    const now = new Date();
+    const latest = addMinutes(now, APPOINTMENT_MAX_DAYS_AHEAD * 24 * 60);
+    for (let start = window.opens; addMinutes(start, service.duration_minutes) <= window.closes;
+      start = addMinutes(start, APPOINTMENT_SLOT_MINUTES)) {
+      if (start < now || start > latest) continue;
+
+      const end = addMinutes(start, service.duration_minutes);
+      const freeBays = bays.filter(bay => !booked.some(appointment =>
+        appointment.bay_id === bay.id && new Date(appointment.starts_at) < end && new Date(appointment.ends_at) > start
+      ));
+
+      if (freeBays.length > 0) {
+        result.slots.push({ starts_at: start, ends_at: end, time: formatTime(start), free_bays: freeBays.length });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Book a service
+   * @param {Object} bookingData - { branch_id, service, starts_at, license_plate, model, vehicle_class,
+   *   customer_name, phone_number, notes, bay_id }
+   * @param {string} createdBy - User booking
+   * @returns {Promise<Object>} Appointment
+   */
+  async book(bookingData, createdBy = null) {
+    const { branch_id, model = null, customer_name = null, phone_number = null, notes = null } = bookingData;
+    if (!branch_id || !bookingData.license_plate || !bookingData.starts_at) {
+      throw createError('branch_id, service, starts_at and license_plate are required');
+    }
+    if (!await Branch.findById(branch_id)) {
+      throw createError('Branch not found', 404);
+    }
+
+    const plate = PlateService.parse(bookingData.license_plate);
+    if (!plate.plate) {
+      throw createError('license_plate must contain letters or digits');
+    }
+    const vehicleClass = bookingData.vehicle_class
+      ? ServiceCatalogService.normalizeVehicleClass(bookingData.vehicle_class)
+      : null;
+
+    const service = await this.resolveBookableService(bookingData.service);
+    const startsAt = parseDateTime(bookingData.starts_at);
+    const endsAt = await this.assertBookableTime(branch_id, startsAt, service);
+
+    let appointmentId;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const bay = await this.pickBay(branch_id, startsAt, endsAt, { bay_id: bookingData.bay_id }, connection);
+      appointmentId = await Appointment.create({
+        branch_id,
+        bay_id: bay.id,
+        service_id: service.id,
+        service_code: service.code,
+        vehicle_class: vehicleClass,
+        license_plate: plate.plate,
+        model,
+        customer_name,
+        phone_number,
+        starts_at: startsAt,
+        ends_at: endsAt,
+        notes,
+        created_by: createdBy
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await this.getAppointment(appointmentId);
+  }
+
+  /**
+   * Move a booked appointment to another time, and optionally another service or bay
+   * @param {number} appointmentId - Appointment ID
+   * @param {Object} changes - { starts_at, service, bay_id }
+   * @returns {Promise<Object>} Appointment
+   */
+  async reschedule(appointmentId, changes) {
+    const current = await this.getBookedAppointment(appointmentId);
+    const service = changes.service
+      ? await this.resolveBookableService(changes.service)
+      : await ServiceCatalog.findById(current.service_id);
+    const startsAt = changes.starts_at ? parseDateTime(changes.starts_at) : new Date(current.starts_at);
+    const endsAt = await this.assertBookableTime(current.branch_id, startsAt, service);
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const appointment = await Appointment.findById(appointmentId, connection);
+      if (appointment.status !== 'BOOKED') {
+        throw createError(`The appointment is ${appointment.status}`, 409);
+      }
+
+      const bay = await this.pickBay(appointment.branch_id, startsAt, endsAt, {
+        bay_id: changes.bay_id,
+        exclude_id: appointment.id
+      }, connection);
+      await Appointment.reschedule(appointment.id, {
+        bay_id: bay.id,
+        service_id: service.id,
+        service_code: service.code,
+        starts_at: startsAt,
+        ends_at: endsAt
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await this.getAppointment(appointmentId);
+  }
+
+  /**
+   * Cancel a booked appointment, freeing its bay
+   * @param {number} appointmentId - Appointment ID
+   * @param {string} reason - Why it was cancelled
+   * @returns {Promise<Object>} Appointment
+   */
+  async cancel(appointmentId, reason = null) {
+    await this.getBookedAppointment(appointmentId);
+    if (!await Appointment.close(appointmentId, 'CANCELLED', { cancel_reason: reason, cancelled_at: new Date() })) {
+      throw createError('The appointment was changed by someone else; reload it', 409);
+    }
+    return await this.getAppointment(appointmentId);
+  }
+
+  /**
+   * Mark a booked appointment as a no-show once its grace period has passed
+   * @param {number} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Appointment
+   */
+  async markNoShow(appointmentId) {
+    const appointment = await this.getBookedAppointment(appointmentId);
+    const noShowFrom = addMinutes(new Date(appointment.starts_at), APPOINTMENT_NO_SHOW_GRACE_MINUTES);
+    if (new Date() < noShowFrom) {
+      throw createError(`A no-show can be marked from ${formatTime(noShowFrom)}`, 409);
+    }
+
+    if (!await Appointment.close(appointmentId, 'NO_SHOW', { no_show_at: new Date() })) {
+      throw createError('The appointment was changed by someone else; reload it', 409);
+    }
+    return await this.getAppointment(appointmentId);
+  }
+
+  /**
+   * The customer has arrived: register the booked service as a car_registry
+   * entry and put it in the wash queue ahead of walk-ins. A corporate wash is
+   * authorised and charged to its account; anything else is paid afterwards
+   * through /api/payments like any car service.
+   * @param {number} appointmentId - Appointment ID
+   * @param {Object} checkInData - { registered_by, model, vehicle_class, amount, price_override_reason,
+   *   account_id, account_code, driver_id, driver_phone, account_order_ref }
+   * @returns {Promise<Object>} { appointment, car_service, wash_job, payment }
+   */
+  async checkIn(appointmentId, checkInData) {
+    const appointment = await this.getBookedAppointment(appointmentId);
+    const registeredBy = checkInData.registered_by;
+    const model = checkInData.model || appointment.model;
+    const vehicleClass = checkInData.vehicle_class || appointment.vehicle_class;
+    if (!registeredBy || !model) {
+      throw createError('registered_by and model are required (model may be given when booking)');
+    }
+    if (formatDate(new Date(appointment.starts_at)) !== formatDate(new Date())) {
+      throw createError(
+        `The appointment is on ${formatDate(new Date(appointment.starts_at))}; reschedule it to check in today`,
+        409
+      );
+    }
+
+    if (!await Appointment.close(appointmentId, 'CHECKED_IN', { checked_in_at: new Date() })) {
+      throw createError('The appointment was changed by someone else; reload it', 409);
+    }
+
+    // Registered like any car at the counter, ahead of walk-ins in the queue
+    let registration;
+    try {
+      registration = await CarRegistrationService.register({
+        regno: appointment.license_plate,
+        model,
+        service: appointment.service_code,
+        branch_id: appointment.branch_id,
+        amount: checkInData.amount,
+        vehicle_class: vehicleClass,
+        price_override_reason: checkInData.price_override_reason || null,
+        account_id: checkInData.account_id,
+        account_code: checkInData.account_code,
+        driver_id: checkInData.driver_id,
+        driver_phone: checkInData.driver_phone,
+        account_order_ref: checkInData.account_order_ref
+      }, registeredBy, {
+        queue: { priority: APPOINTMENT_QUEUE_PRIORITY, notes: `Appointment ${appointmentId}` }
+      });
+    } catch (error) {
+      await Appointment.reopen(appointmentId);
+      throw error;
+    }
+    await Appointment.setCarRegistryId(appointmentId, registration.car_service.id);
+
+    return {
+      appointment: await this.getAppointment(appointmentId),
+      car_service: registration.car_service,
+      wash_job: registration.wash_job,
+      payment: registration.payment,
+      ...(registration.payment_error && { payment_error: registration.payment_error })
+    };
+  }
+
+  /**
+   * Load an appointment that is still BOOKED
+   * @param {number} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Appointment
+   */
+  async getBookedAppointment(appointmentId) {
+    const appointment = await this.getAppointment(appointmentId);
+    if (appointment.status !== 'BOOKED') {
+      throw createError(`The appointment is ${appointment.status}`, 409);
+    }
+    return appointment;
+  }
+
+  /**
+   * An appointment
+   * @param {number} appointmentId - Appointment ID
+   * @returns {Promise<Object>} Appointment
+   */
+  async getAppointment(appointmentId) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      throw createError('Appointment not found', 404);
+    }
+    return appointment;
+  }
+
+  /**
+   * Appointments with optional filtering
+   * @param {Object} filters - { branch_id, date, status (comma list), license_plate, phone_number }
+   * @returns {Promise<Array>} Appointments, earliest first
+   */
+  async getAppointments(filters = {}) {
+    const statuses = filters.status
+      ? String(filters.status).split(',').map(value => value.trim().toUpperCase())
+      : undefined;
+    if (statuses && statuses.some(status => !STATUSES.includes(status))) {
+      throw createError(`status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    return await Appointment.findAll({
+      branch_id: filters.branch_id,
+      date: filters.date ? formatDate(parseDate(filters.date)) : undefined,
+      statuses,
+      license_plate: filters.license_plate ? PlateService.normalize(filters.license_plate) : undefined,
+      phone_number: filters.phone_number
+    });
+  }
+}
+
+module.exports = new AppointmentService();
@@ -115,6 +115,20 @@ class AuthService {
     };
   }
 
+  /**
+   * Middleware letting clients that cannot set headers (e.g. a browser EventSource)
+   * send their token as ?access_token=. Use before verifyTokenMiddleware.
+   * @returns {Function} Express middleware
+   */
+  tokenFromQuery() {
+    return (req, res, next) => {
+      if (!req.header('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+      }
+      next();
+    };
+  }
+
   /**
    * Middleware to check user permissions
    * @param {Array} allowedRoles - Allowed roles
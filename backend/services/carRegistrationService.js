@@ -0,0 +1,216 @@
+const CarRegistry = require('../models/CarRegistry');
+const Vehicle = require('../models/Vehicle');
+const VehicleStats = require('../models/VehicleStats');
+const CustomerStats = require('../models/CustomerStats');
+const PaymentService = require('./paymentService');
+const ServiceCatalogService = require('./serviceCatalogService');
+const PlateService = require('./plateService');
+const CorporateAccountService = require('./corporateAccountService');
+const WashQueueService = require('./washQueueService');
+const RealtimeService = require('./realtimeService');
+const { createError } = require('../utils/errors');
+
+/**
+ * Car registration service: registers a car for a service, at the counter or
+ * when a booked customer checks in. The vehicle is saved (and classified),
+ * the service priced (at the contract price for a corporate wash), the car
+ * registered, queued and, when paid up front, settled.
+ */
+class CarRegistrationService {
+  /**
+   * Register a car for a service
+   * @param {Object} registration - Registration
+   * @param {string} registration.regno - Number plate as typed
+   * @param {string} registration.model - Vehicle model
+   * @param {string} registration.service - Service code or name
+   * @param {string} registration.branch_id - Branch ID
+   * @param {number} registration.amount - Amount charged (defaults to the catalog price)
+   * @param {string} registration.vehicle_class - Vehicle class to charge; another class than the vehicle's is an override
+   * @param {string} registration.price_override_reason - Why the amount differs from the list price
+   * @param {number} registration.tip_amount - Tip
+   * @param {number} registration.excess_amount - Excess
+   * @param {string} registration.payment_mode - Tender paid up front (CASH, MPESA, CARD or ACCOUNT); omit to pay later
+   * @param {string} registration.payment_ref - Reference of that tender
+   * @param {Array} registration.tenders - Split tenders instead of payment_mode
+   * @param {number} registration.account_id - Corporate account (or account_code)
+   * @param {string} registration.account_code - Corporate account code
+   * @param {number} registration.driver_id - Authorised driver
+   * @param {string} registration.driver_phone - Authorised driver's phone
+   * @param {string} registration.account_order_ref - Account's order reference
+   * @param {string} registeredBy - Signed-in user registering the car (never taken from the request body)
+   * @param {Object} options - { queue: { priority, notes } for the wash queue }
+   * @returns {Promise<Object>} { car_service, quote, plate, payment, payment_error, wash_job }
+   */
+  async register(registration, registeredBy, options = {}) {
+    const {
+      model,
+      service,
+      amount,
+      tip_amount = 0,
+      excess_amount = 0,
+      branch_id,
+      vehicle_class,
+      price_override_reason = null,
+      payment_ref = null,
+      account_id,
+      account_code,
+      driver_id,
+      driver_phone,
+      account_order_ref = null
+    } = registration;
+
+    if (!registration.regno || !model || !service || !registeredBy || !branch_id) {
+      throw createError('Missing required fields: regno, model, service, registered_by, branch_id');
+    }
+
+    // "kdg 123a" and "KDG-123 A" are the same car: KDG123A
+    const plate = PlateService.parse(registration.regno);
+    const regno = plate.plate;
+    if (!regno) {
+      throw createError('regno must contain letters or digits');
+    }
+
+    // One registration per plate per day; IDs start with the local yyyyMMdd
+    const existingCar = await CarRegistry.findByRegnoAndDate(regno, CarRegistry.generateId().slice(0, 8));
+    if (existingCar) {
+      const error = createError(`Vehicle ${regno} has already been registered today. Shift to update instead.`, 409);
+      error.data = existingCar;
+      throw error;
+    }
+
+    // Automatically register vehicle in vehicles table; a new vehicle is classified from its model,
+    // and only takes the class given at the counter when the lookup does not know it
+    let vehicle = null;
+    try {
+      vehicle = await Vehicle.createOrUpdate({ license_plate: regno, model: model || null, changed_by: registeredBy });
+      if (!vehicle.vehicle_class && vehicle_class) {
+        vehicle = await Vehicle.createOrUpdate({
+          license_plate: regno,
+          vehicle_class: ServiceCatalogService.normalizeVehicleClass(vehicle_class),
+          changed_by: registeredBy
+        });
+      }
+    } catch (vehicleError) {
+      if (vehicleError.status) throw vehicleError;
+      console.error('Error auto-registering vehicle:', vehicleError);
+      // Don't fail the registration if vehicle registration fails
+    }
+
+    // A corporate wash must be authorised on the account (by plate or driver) before it is done
+    const paymentMode = String(registration.payment_mode || '').toUpperCase();
+    const onAccount = paymentMode === 'ACCOUNT' || Boolean(account_id || account_code);
+    const authorisation = onAccount
+      ? await CorporateAccountService.authoriseWash({ account_id, account_code, regno, driver_id, driver_phone })
+      : null;
+
+    // Price the service for the vehicle's class (or the account's contract price);
+    // a different amount or class is a manual override for approval
+    const quote = await ServiceCatalogService.quoteForVehicle({
+      service,
+      vehicle_class,
+      recorded_class: vehicle ? vehicle.vehicle_class : null,
+      branch_id,
+      amount,
+      account_id: authorisation ? authorisation.account.id : undefined
+    });
+
+    if (authorisation) {
+      await CorporateAccountService.assertCredit(
+        authorisation.account,
+        quote.amount + parseFloat(tip_amount) + parseFloat(excess_amount)
+      );
+    }
+
+    const carService = await CarRegistry.create({
+      regno,
+      model,
+      service: quote.service,
+      service_code: quote.service_code,
+      vehicle_class: quote.vehicle_class,
+      amount: quote.amount,
+      list_price: quote.list_price,
+      price_override_status: quote.price_override ? 'PENDING' : null,
+      price_override_reason: quote.price_override ? ServiceCatalogService.overrideReason(quote, price_override_reason) : null,
+      price_override_by: quote.price_override ? registeredBy : null,
+      registered_by: registeredBy,
+      tip_amount: parseFloat(tip_amount),
+      excess_amount: parseFloat(excess_amount),
+      branch_id,
+      account_id: authorisation ? authorisation.account.id : null,
+      account_driver_id: authorisation && authorisation.driver ? authorisation.driver.id : null,
+      account_order_ref: authorisation ? account_order_ref : null
+    });
+
+    // Automatically record visit in vehicle_stats
+    if (vehicle && vehicle.id) {
+      try {
+        await VehicleStats.recordVisit(vehicle.id);
+        if (vehicle.customer_id) {
+          await CustomerStats.recordVisit(vehicle.customer_id);
+        }
+      } catch (statsError) {
+        console.error('Error recording vehicle visit:', statsError);
+      }
+    }
+
+    RealtimeService.carRegistered(carService);
+
+    // Put the car in its branch's wash queue
+    let washJob = null;
+    try {
+      washJob = await WashQueueService.enqueue(carService, registeredBy, options.queue || {});
+    } catch (queueError) {
+      console.error('Error queueing car service:', queueError);
+    }
+
+    // Settle what is paid up front - a single tender for the full amount unless split tenders
+    // are sent. An MPESA tender without a reference is left for the STK push to record; a
+    // corporate wash is charged to its account instead.
+    let tenders = [];
+    if (Array.isArray(registration.tenders)) {
+      tenders = registration.tenders.map(tender => PaymentService.fromRequest(tender));
+    } else if (paymentMode && paymentMode !== 'ACCOUNT') {
+      tenders = [{
+        payment_mode: paymentMode,
+        amount: quote.amount + parseFloat(tip_amount) + parseFloat(excess_amount),
+        ref: payment_ref,
+        description: `Car wash service for ${regno} - ${quote.service}`
+      }].filter(tender => tender.payment_mode !== 'MPESA' || tender.ref);
+    }
+
+    let payment = null;
+    let paymentError = null;
+    if (authorisation) {
+      try {
+        payment = await CorporateAccountService.chargeWash(carService.id, authorisation.account.id, registeredBy);
+      } catch (error) {
+        console.error('Error charging car service to account:', error);
+        paymentError = error.message;
+      }
+    } else if (tenders.length > 0) {
+      try {
+        payment = await PaymentService.recordTenders({
+          source: 'CARWASH',
+          source_id: carService.id,
+          tenders,
+          created_by: registeredBy
+        });
+      } catch (error) {
+        console.error('Error recording car service payment:', error);
+        // Don't fail the registration; the balance can be settled via /api/payments
+        paymentError = error.message;
+      }
+    }
+
+    return {
+      car_service: carService,
+      quote,
+      plate,
+      payment,
+      payment_error: paymentError,
+      wash_job: washJob
+    };
+  }
+}
+
+module.exports = new CarRegistrationService();
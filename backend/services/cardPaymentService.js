@@ -0,0 +1,229 @@
+const { db } = require('../config/db');
+const Payment = require('../models/Payment');
+const PaymentService = require('./paymentService');
+const CardProviders = require('./cardProviders');
+const RealtimeService = require('./realtimeService');
+const { CARD_CALLBACK_TOKEN } = require('../config/env');
+const { createError } = require('../utils/errors');
+
+// Provider result status -> payments.status
+const PAYMENT_STATUS = {
+  CHECKOUT: 'PENDING',
+  AUTHORIZED: 'PENDING',
+  CAPTURED: 'CONFIRMED',
+  DECLINED: 'FAILED',
+  VOIDED: 'CANCELLED'
+};
+
+/**
+ * Card payment service: takes card tenders through a card provider and keeps
+ * the payments row in step with the provider. The payment is recorded PENDING
+ * first so it reserves its share of the balance while the provider is asked.
+ */
+class CardPaymentService {
+  /**
+   * Check the ?token= on a checkout callback
+   * @param {string} token - Token from the query string
+   * @returns {boolean} True if valid; always false when no token is configured
+   */
+  isValidCallbackToken(token) {
+    return Boolean(CARD_CALLBACK_TOKEN) && token === CARD_CALLBACK_TOKEN;
+  }
+
+  /**
+   * Fields to store on the payment for a provider result
+   * @param {Object} result - Card result
+   * @returns {Object} Payment fields
+   */
+  toPaymentFields(result) {
+    return {
+      status: PAYMENT_STATUS[result.status],
+      card_status: result.status,
+      ref: result.provider_ref || undefined,
+      approval_code: result.approval_code || undefined,
+      card_brand: result.card_brand || undefined,
+      card_last4: result.card_last4 || undefined
+    };
+  }
+
+  /**
+   * Take a card payment against a car wash or carpet record
+   * @param {Object} cardData - Card data
+   * @param {string} cardData.source - CARWASH or CARPETS
+   * @param {string} cardData.source_id - Source record ID
+   * @param {number} cardData.amount - Amount to charge
+   * @param {string} cardData.provider - Provider name, one of CARD_ALLOWED_PROVIDERS (defaults to CARD_PROVIDER)
+   * @param {boolean} cardData.capture - Capture straight away (default) or only authorize
+   * @param {string} cardData.card_number - Card number (fake provider; omit for hosted checkout)
+   * @param {string} cardData.terminal_ref - PDQ slip reference
+   * @param {string} cardData.approval_code - PDQ slip approval code
+   * @param {string} cardData.card_last4 - Last four digits from the slip
+   * @param {string} cardData.created_by - User taking the payment
+   * @returns {Promise<Object>} Payment, provider result and the resulting balance
+   */
+  async authorize(cardData) {
+    const { source, source_id, capture = true, created_by = null } = cardData;
+    const provider = CardProviders.getAllowedProvider(cardData.provider);
+    const amount = PaymentService.round(cardData.amount);
+
+    // Checkout outcomes arrive on a public URL, so they are only taken with a token
+    if (provider.usesCheckout(cardData) && !CARD_CALLBACK_TOKEN) {
+      throw createError('Hosted checkout needs CARD_CALLBACK_TOKEN to be configured', 500);
+    }
+
+    const { payments } = await PaymentService.recordTenders({
+      source,
+      source_id,
+      tenders: [{
+        payment_mode: 'CARD',
+        amount,
+        status: 'PENDING',
+        card_provider: provider.name,
+        card_status: 'CHECKOUT',
+        description: `Card payment via ${provider.name}`
+      }],
+      created_by
+    });
+    const payment = payments[0];
+
+    let result;
+    try {
+      result = await provider.authorize({
+        reference: payment.id,
+        amount,
+        capture,
+        card_number: cardData.card_number,
+        terminal_ref: cardData.terminal_ref,
+        approval_code: cardData.approval_code,
+        card_last4: cardData.card_last4
+      });
+    } catch (error) {
+      await Payment.applyCardResult(payment.id, ['CHECKOUT'], { status: 'FAILED', card_status: 'DECLINED' });
+      throw error;
+    }
+
+    await Payment.applyCardResult(payment.id, ['CHECKOUT'], this.toPaymentFields(result));
+    RealtimeService.paymentConfirmed(payment.id);
+
+    return {
+      payment: await Payment.findById(payment.id),
+      card: result,
+      ...await PaymentService.computeBalance(db, source, source_id)
+    };
+  }
+
+  /**
+   * Load a card payment for capture or void
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} Payment
+   */
+  async findCardPayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw createError('Payment not found', 404);
+    }
+    if (payment.payment_mode !== 'CARD' || !payment.card_provider) {
+      throw createError('Payment was not taken through a card provider');
+    }
+    return payment;
+  }
+
+  /**
+   * Capture an authorized card payment, optionally for less than was authorized
+   * @param {string} paymentId - Payment ID
+   * @param {number} amount - Amount to capture (defaults to the authorized amount)
+   * @returns {Promise<Object>} Captured payment
+   */
+  async capture(paymentId, amount) {
+    const payment = await this.findCardPayment(paymentId);
+    if (payment.card_status !== 'AUTHORIZED') {
+      throw createError(`Cannot capture a ${payment.card_status} card payment`, 409);
+    }
+
+    const authorized = PaymentService.round(payment.amount);
+    const captureAmount = amount !== undefined && amount !== null ? PaymentService.round(amount) : authorized;
+    if (isNaN(captureAmount) || captureAmount <= 0 || captureAmount > authorized) {
+      throw createError(`Capture amount must be between 0 and the authorized ${authorized}`);
+    }
+
+    const provider = CardProviders.getProvider(payment.card_provider);
+    const result = await provider.capture({ provider_ref: payment.ref, amount: captureAmount });
+
+    if (!await Payment.applyCardResult(payment.id, ['AUTHORIZED'], { ...this.toPaymentFields(result), amount: captureAmount })) {
+      throw createError('Card payment was captured or voided by someone else', 409);
+    }
+    RealtimeService.paymentConfirmed(payment.id);
+    return await Payment.findById(payment.id);
+  }
+
+  /**
+   * Void an authorization or an unfinished hosted checkout.
+   * Captured payments are given back through a refund instead.
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} Voided payment
+   */
+  async void(paymentId) {
+    const payment = await this.findCardPayment(paymentId);
+    if (!['AUTHORIZED', 'CHECKOUT'].includes(payment.card_status)) {
+      throw createError(
+        payment.card_status === 'CAPTURED'
+          ? 'Captured card payments must be refunded, not voided'
+          : `Cannot void a ${payment.card_status} card payment`,
+        409
+      );
+    }
+
+    const provider = CardProviders.getProvider(payment.card_provider);
+    const result = await provider.void({ provider_ref: payment.ref });
+
+    if (!await Payment.applyCardResult(payment.id, ['AUTHORIZED', 'CHECKOUT'], this.toPaymentFields(result))) {
+      throw createError('Card payment was captured or voided by someone else', 409);
+    }
+    return { ...await Payment.findById(payment.id), message: result.message || null };
+  }
+
+  /**
+   * Apply a hosted checkout outcome posted by the provider. Safe to call
+   * repeatedly for the same checkout.
+   * @param {string} providerName - Provider the callback URL belongs to
+   * @param {Object} payload - Request body
+   * @returns {Promise<Object>} { paymentId, applied, status }
+   */
+  async handleCallback(providerName, payload) {
+    const provider = CardProviders.getProvider(providerName);
+    const result = provider.parseCallback(payload);
+
+    const payment = await Payment.findByCardRef(provider.name, result.provider_ref);
+    if (!payment) {
+      throw createError(`No card payment for reference ${result.provider_ref}`, 404);
+    }
+
+    const applied = await Payment.applyCardResult(payment.id, ['CHECKOUT'], this.toPaymentFields(result));
+    if (applied) {
+      RealtimeService.paymentConfirmed(payment.id);
+    }
+    return { paymentId: payment.id, applied, status: result.status };
+  }
+
+  /**
+   * Refund a captured card payment through its provider
+   * @param {Object} payment - Original card payment
+   * @param {number} amount - Amount to refund
+   * @param {string} reference - Our reference for the refund (refund ID)
+   * @returns {Promise<Object>} Card result with status REFUNDED
+   */
+  async refund(payment, amount, reference) {
+    if (payment.card_status !== 'CAPTURED' || !payment.ref) {
+      throw createError('Only captured provider card payments can be refunded to the card', 409);
+    }
+
+    const provider = CardProviders.getProvider(payment.card_provider);
+    const result = await provider.refund({ provider_ref: payment.ref, amount, reference });
+    if (result.status !== 'REFUNDED') {
+      throw createError(result.message || `Card refund ${result.status}`, 502);
+    }
+    return result;
+  }
+}
+
+module.exports = new CardPaymentService();
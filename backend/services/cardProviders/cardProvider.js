@@ -0,0 +1,78 @@
+const { createError } = require('../../utils/errors');
+
+/**
+ * Base class for card providers. A provider takes card tenders one of two ways:
+ * - hosted checkout: authorize() returns status CHECKOUT and a checkout_url; the
+ *   provider later posts the outcome, which parseCallback() turns into a result
+ * - direct/terminal: authorize() returns AUTHORIZED, CAPTURED or DECLINED straight away
+ *
+ * Every operation resolves to a result:
+ * { status, provider_ref, approval_code, card_brand, card_last4, checkout_url, message }
+ * where status is CHECKOUT | AUTHORIZED | CAPTURED | DECLINED | VOIDED | REFUNDED.
+ * Providers throw (with error.status) only when the request itself is unusable.
+ */
+class CardProvider {
+  /**
+   * @param {string} name - Provider name stored in payments.card_provider
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Authorize (and optionally capture) a card payment
+   * @param {Object} request - { reference, amount, capture, card_number, terminal_ref, approval_code, card_last4, return_url }
+   * @returns {Promise<Object>} Card result
+   */
+  async authorize(request) {
+    throw createError(`${this.name} does not support authorize`, 501);
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} request - { provider_ref, amount }
+   * @returns {Promise<Object>} Card result
+   */
+  async capture(request) {
+    throw createError(`${this.name} does not support capture`, 501);
+  }
+
+  /**
+   * Void an authorization or an unfinished checkout
+   * @param {Object} request - { provider_ref }
+   * @returns {Promise<Object>} Card result
+   */
+  async void(request) {
+    throw createError(`${this.name} does not support void`, 501);
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {Object} request - { provider_ref, amount, reference }
+   * @returns {Promise<Object>} Card result
+   */
+  async refund(request) {
+    throw createError(`${this.name} does not support refund`, 501);
+  }
+
+  /**
+   * Whether a request is completed on a hosted checkout page, with the outcome
+   * posted back to the checkout callback
+   * @param {Object} request - Same fields as authorize()
+   * @returns {boolean} True for hosted checkout
+   */
+  usesCheckout(request) {
+    return false;
+  }
+
+  /**
+   * Turn a hosted checkout notification into a card result
+   * @param {Object} payload - Request body posted by the provider
+   * @returns {Object} Card result with provider_ref
+   */
+  parseCallback(payload) {
+    throw createError(`${this.name} does not send checkout callbacks`, 501);
+  }
+}
+
+module.exports = CardProvider;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const CardProvider = require('./cardProvider');
+const { CARD_CHECKOUT_URL } = require('../../config/env');
+const { createError } = require('../../utils/errors');
+
+// Test cards with a fixed outcome; any other number passing the Luhn check is approved
+const TEST_CARDS = {
+  '4242424242424242': { brand: 'VISA' },
+  '5555555555554444': { brand: 'MASTERCARD' },
+  '4000000000000002': { brand: 'VISA', decline: 'Card declined' },
+  '4000000000009995': { brand: 'VISA', decline: 'Insufficient funds' },
+  '4000000000000069': { brand: 'VISA', decline: 'Expired card' }
+};
+
+/**
+ * Short uppercase hash of the inputs, so the same request always gets the same reference
+ * @param {...*} parts - Values to hash
+ * @returns {string} 12 hex characters
+ */
+const digest = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 12).toUpperCase();
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string} number - Digits only
+ * @returns {boolean} True if the check digit is valid
+ */
+const passesLuhn = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((char, i) => {
+    let digit = parseInt(char);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+/**
+ * Deterministic card provider for development and automated tests. Nothing is
+ * charged; outcomes depend only on the card number (see TEST_CARDS) and
+ * references and approval codes are hashes of the request, so repeated runs
+ * produce identical results. Without a card number it behaves as a hosted
+ * checkout whose outcome is posted back to /api/payments/card/callback/fake.
+ */
+class FakeCardProvider extends CardProvider {
+  constructor() {
+    super('fake');
+  }
+
+  /**
+   * Result for a card number
+   * @param {string} cardNumber - Card number as entered
+   * @param {string} providerRef - Provider reference
+   * @returns {Object} Card result (DECLINED or approved with an approval code)
+   */
+  cardOutcome(cardNumber, providerRef) {
+    const number = String(cardNumber).replace(/\D/g, '');
+    const testCard = TEST_CARDS[number];
+
+    if (number.length < 12 || !passesLuhn(number)) {
+      return { status: 'DECLINED', provider_ref: providerRef, message: 'Invalid card number' };
+    }
+    if (testCard && testCard.decline) {
+      return { status: 'DECLINED', provider_ref: providerRef, card_brand: testCard.brand, card_last4: number.slice(-4), message: testCard.decline };
+    }
+
+    return {
+      status: 'APPROVED',
+      provider_ref: providerRef,
+      approval_code: digest('approval', providerRef).slice(0, 6),
+      card_brand: testCard ? testCard.brand : (number.startsWith('5') ? 'MASTERCARD' : 'VISA'),
+      card_last4: number.slice(-4)
+    };
+  }
+
+  usesCheckout({ card_number }) {
+    return !card_number;
+  }
+
+  async authorize({ reference, amount, capture = true, card_number }) {
+    const providerRef = `FAKE-${digest('auth', reference, amount)}`;
+
+    if (!card_number) {
+      return {
+        status: 'CHECKOUT',
+        provider_ref: providerRef,
+        checkout_url: `${CARD_CHECKOUT_URL}?ref=${providerRef}&amount=${amount}`,
+        message: 'Complete payment on the checkout page'
+      };
+    }
+
+    const outcome = this.cardOutcome(card_number, providerRef);
+    if (outcome.status === 'APPROVED') {
+      outcome.status = capture ? 'CAPTURED' : 'AUTHORIZED';
+    }
+    return outcome;
+  }
+
+  async capture({ provider_ref }) {
+    return { status: 'CAPTURED', provider_ref };
+  }
+
+  async void({ provider_ref }) {
+    return { status: 'VOIDED', provider_ref };
+  }
+
+  async refund({ provider_ref, amount, reference }) {
+    return {
+      status: 'REFUNDED',
+      provider_ref: `FAKE-R-${digest('refund', provider_ref, amount, reference)}`,
+      approval_code: digest('approval', reference).slice(0, 6)
+    };
+  }
+
+  /**
+   * Checkout outcome posted as { provider_ref, card_number } (or { provider_ref, cancelled: true })
+   */
+  parseCallback(payload) {
+    if (!payload || !payload.provider_ref) {
+      throw createError('Checkout callback has no provider_ref');
+    }
+    if (payload.cancelled) {
+      return { status: 'VOIDED', provider_ref: payload.provider_ref, message: 'Checkout cancelled' };
+    }
+    if (!payload.card_number) {
+      throw createError('Checkout callback has no card_number');
+    }
+
+    const outcome = this.cardOutcome(payload.card_number, payload.provider_ref);
+    if (outcome.status === 'APPROVED') {
+      outcome.status = 'CAPTURED';
+    }
+    return outcome;
+  }
+}
+
+module.exports = FakeCardProvider;
@@ -0,0 +1,69 @@
+const FakeCardProvider = require('./fakeCardProvider');
+const PdqCardProvider = require('./pdqCardProvider');
+const { CARD_PROVIDER, CARD_ALLOWED_PROVIDERS } = require('../../config/env');
+
+// Registered providers by name; a real acquirer is added with registerProvider()
+const providers = {
+  pdq: new PdqCardProvider()
+};
+
+// The fake provider approves test cards without taking any money
+if (process.env.NODE_ENV !== 'production') {
+  providers.fake = new FakeCardProvider();
+}
+
+/**
+ * Get a card provider by name
+ * @param {string} name - Provider name (defaults to CARD_PROVIDER)
+ * @returns {CardProvider} Provider
+ */
+const getProvider = (name = CARD_PROVIDER) => {
+  if (!name) {
+    const error = new Error('CARD_PROVIDER is not configured');
+    error.status = 500;
+    throw error;
+  }
+
+  const provider = providers[String(name).toLowerCase()];
+  if (!provider) {
+    const error = new Error(`Unknown card provider. Use: ${Object.keys(providers).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return provider;
+};
+
+/**
+ * Get the provider a cashier asked for, if it is in CARD_ALLOWED_PROVIDERS
+ * (by default only CARD_PROVIDER)
+ * @param {string} name - Requested provider name (omit for CARD_PROVIDER)
+ * @returns {CardProvider} Provider
+ */
+const getAllowedProvider = (name) => {
+  if (!name) {
+    return getProvider();
+  }
+
+  const allowed = CARD_ALLOWED_PROVIDERS.length > 0 ? CARD_ALLOWED_PROVIDERS : [String(CARD_PROVIDER).toLowerCase()];
+  if (!allowed.includes(String(name).toLowerCase())) {
+    const error = new Error(`Card provider ${name} is not allowed. Use: ${allowed.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return getProvider(name);
+};
+
+/**
+ * Register a card provider (an instance of CardProvider)
+ * @param {CardProvider} provider - Provider
+ */
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+module.exports = {
+  getProvider,
+  getAllowedProvider,
+  registerProvider,
+  listProviders: () => Object.keys(providers)
+};
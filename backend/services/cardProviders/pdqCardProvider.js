@@ -0,0 +1,51 @@
+const CardProvider = require('./cardProvider');
+const { createError } = require('../../utils/errors');
+
+/**
+ * PDQ terminal provider. The card is charged on the countertop terminal and the
+ * cashier keys in the reference and approval code printed on the slip, so the
+ * sale is captured as soon as it is recorded. Voids and refunds must also be
+ * done on the terminal; here they are only recorded.
+ */
+class PdqCardProvider extends CardProvider {
+  constructor() {
+    super('pdq');
+  }
+
+  async authorize({ terminal_ref, approval_code, card_last4 = null }) {
+    if (!terminal_ref || !approval_code) {
+      throw createError('terminal_ref and approval_code from the PDQ slip are required');
+    }
+    if (!/^[A-Za-z0-9]{4,12}$/.test(approval_code)) {
+      throw createError('Approval code must be 4-12 letters or digits');
+    }
+    if (card_last4 && !/^\d{4}$/.test(card_last4)) {
+      throw createError('card_last4 must be 4 digits');
+    }
+
+    return {
+      status: 'CAPTURED',
+      provider_ref: String(terminal_ref).trim(),
+      approval_code: approval_code.toUpperCase(),
+      card_last4
+    };
+  }
+
+  async capture({ provider_ref }) {
+    return { status: 'CAPTURED', provider_ref };
+  }
+
+  async void({ provider_ref }) {
+    return { status: 'VOIDED', provider_ref, message: 'Void the sale on the PDQ terminal as well' };
+  }
+
+  async refund({ provider_ref, reference }) {
+    return {
+      status: 'REFUNDED',
+      provider_ref: `${provider_ref}-R-${String(reference).slice(0, 8)}`,
+      message: 'Complete the refund on the PDQ terminal'
+    };
+  }
+}
+
+module.exports = PdqCardProvider;
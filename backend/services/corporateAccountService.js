@@ -0,0 +1,851 @@
+const PDFDocument = require('pdfkit');
+const { db } = require('../config/db');
+const CorporateAccount = require('../models/CorporateAccount');
+const CorporateInvoice = require('../models/CorporateInvoice');
+const Payment = require('../models/Payment');
+const PaymentService = require('./paymentService');
+const PlateService = require('./plateService');
+const CustomerService = require('./customerService');
+const ServiceCatalogService = require('./serviceCatalogService');
+const { RECEIPT_BUSINESS_NAME } = require('../config/env');
+const { createError } = require('../utils/errors');
+
+const ACCOUNT_TYPES = ['FLEET', 'CAR_HIRE', 'DEALERSHIP', 'CORPORATE'];
+
+const ACCOUNT_STATUSES = ['ACTIVE', 'SUSPENDED', 'CLOSED'];
+
+// Tenders an invoice can be settled with (ACCOUNT would only move the debt)
+const SETTLEMENT_MODES = ['CASH', 'MPESA', 'CARD', 'BANK'];
+
+// Unpaid invoice balances by days past their due date
+const AGEING_BUCKETS = [
+  { key: 'current', max: 0 },
+  { key: 'days_1_30', max: 30 },
+  { key: 'days_31_60', max: 60 },
+  { key: 'days_61_90', max: 90 },
+  { key: 'days_over_90', max: Infinity }
+];
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date|string} date - Date, or a YYYY-MM-DD string
+ * @returns {string} Formatted date
+ */
+const formatDay = (date) => {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * First and last day of a month
+ * @param {string} month - YYYY-MM (defaults to the month before this one)
+ * @returns {Object} { month, from, to }
+ */
+const monthRange = (month) => {
+  let year;
+  let monthIndex;
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(month));
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+      throw createError('month must be YYYY-MM');
+    }
+    year = parseInt(match[1]);
+    monthIndex = parseInt(match[2]) - 1;
+  } else {
+    const now = new Date();
+    year = now.getMonth() === 0 ? now.getFullYear() - 1 : now.getFullYear();
+    monthIndex = now.getMonth() === 0 ? 11 : now.getMonth() - 1;
+  }
+
+  const from = new Date(year, monthIndex, 1);
+  const to = new Date(year, monthIndex + 1, 0);
+  return { month: formatDay(from).slice(0, 7), from: formatDay(from), to: formatDay(to) };
+};
+
+/**
+ * Format a money value for printing (1,234.50)
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+const money = (value) => PaymentService.round(value).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+/**
+ * Corporate account service: fleet and corporate customers washing on credit.
+ * A wash is charged to an account when its plate or driver is authorised there
+ * and the charge keeps the account within its credit limit. Charges are billed
+ * on monthly invoices, each settled with one payment, and unpaid balances are
+ * aged by days past due.
+ */
+class CorporateAccountService {
+  /**
+   * Check and tidy account details
+   * @param {Object} accountData - Account fields
+   * @returns {Object} Only the fields given, checked
+   */
+  normalizeAccount(accountData) {
+    const account = {};
+
+    if (accountData.account_code !== undefined) {
+      account.account_code = String(accountData.account_code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+      if (!account.account_code || account.account_code.length > 20) {
+        throw createError('account_code must be 1-20 letters or digits');
+      }
+    }
+
+    if (accountData.name !== undefined) {
+      account.name = String(accountData.name || '').trim();
+      if (!account.name) {
+        throw createError('name is required');
+      }
+    }
+
+    if (accountData.account_type !== undefined) {
+      account.account_type = String(accountData.account_type).toUpperCase();
+      if (!ACCOUNT_TYPES.includes(account.account_type)) {
+        throw createError(`Invalid account_type. Use: ${ACCOUNT_TYPES.join(', ')}`);
+      }
+    }
+
+    if (accountData.status !== undefined) {
+      account.status = String(accountData.status).toUpperCase();
+      if (!ACCOUNT_STATUSES.includes(account.status)) {
+        throw createError(`Invalid status. Use: ${ACCOUNT_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (accountData.credit_limit !== undefined) {
+      account.credit_limit = PaymentService.round(accountData.credit_limit);
+      if (isNaN(account.credit_limit) || account.credit_limit < 0) {
+        throw createError('credit_limit must be a number of at least 0');
+      }
+    }
+
+    if (accountData.payment_terms_days !== undefined) {
+      account.payment_terms_days = parseInt(accountData.payment_terms_days);
+      if (isNaN(account.payment_terms_days) || account.payment_terms_days < 0 || account.payment_terms_days > 365) {
+        throw createError('payment_terms_days must be between 0 and 365');
+      }
+    }
+
+    if (accountData.phone_number !== undefined) {
+      account.phone_number = CustomerService.normalizePhone(accountData.phone_number);
+    }
+
+    ['contact_name', 'email', 'billing_address', 'tax_pin'].forEach(field => {
+      if (accountData[field] !== undefined) {
+        account[field] = accountData[field] ? String(accountData[field]).trim() : null;
+      }
+    });
+
+    return account;
+  }
+
+  /**
+   * Open a corporate account
+   * @param {Object} accountData - Account fields
+   * @param {string} createdBy - User opening the account
+   * @returns {Promise<Object>} Created account
+   */
+  async createAccount(accountData, createdBy = null) {
+    if (!accountData.account_code || !accountData.name) {
+      throw createError('Missing required fields: account_code, name');
+    }
+
+    const account = this.normalizeAccount(accountData);
+    if (await CorporateAccount.findByCode(account.account_code)) {
+      throw createError(`Account code ${account.account_code} is already in use`, 409);
+    }
+
+    return await CorporateAccount.create({ ...account, created_by: createdBy });
+  }
+
+  /**
+   * Change an account's details, credit limit, terms or status
+   * @param {number} accountId - Account ID
+   * @param {Object} accountData - Account fields (the code cannot change)
+   * @returns {Promise<Object>} Updated account
+   */
+  async updateAccount(accountId, accountData) {
+    await this.getAccount(accountId);
+    const { account_code, ...changes } = accountData;
+    return await CorporateAccount.update(accountId, this.normalizeAccount(changes));
+  }
+
+  /**
+   * Load an account or fail with 404
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object>} Account
+   */
+  async getAccount(accountId) {
+    const account = await CorporateAccount.findById(accountId);
+    if (!account) {
+      throw createError('Corporate account not found', 404);
+    }
+    return account;
+  }
+
+  /**
+   * How much of an account's credit is in use
+   * @param {Object} account - Account row
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} { credit_limit, unbilled_count, unbilled_amount, invoiced_balance, outstanding, available_credit }
+   */
+  async getCredit(account, connection = db) {
+    const exposure = await CorporateAccount.getExposure(account.id, connection);
+    const outstanding = PaymentService.round(exposure.unbilled_amount + exposure.invoiced_balance);
+    const creditLimit = PaymentService.round(account.credit_limit);
+
+    return {
+      credit_limit: creditLimit,
+      unbilled_count: exposure.unbilled_count,
+      unbilled_amount: PaymentService.round(exposure.unbilled_amount),
+      invoiced_balance: PaymentService.round(exposure.invoiced_balance),
+      outstanding,
+      available_credit: PaymentService.round(Math.max(creditLimit - outstanding, 0))
+    };
+  }
+
+  /**
+   * An account with its authorised plates and drivers, contract prices and credit
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object>} Account profile
+   */
+  async getProfile(accountId) {
+    const account = await this.getAccount(accountId);
+
+    const [vehicles, drivers, prices, credit] = await Promise.all([
+      CorporateAccount.findVehicles(account.id),
+      CorporateAccount.findDrivers(account.id, false),
+      CorporateAccount.findPrices(account.id),
+      this.getCredit(account)
+    ]);
+
+    return { ...account, credit, vehicles, drivers, contract_prices: prices };
+  }
+
+  /**
+   * Authorise a plate to be washed on the account
+   * @param {number} accountId - Account ID
+   * @param {string} licensePlate - Plate as typed
+   * @param {string} addedBy - User adding the plate
+   * @returns {Promise<Array>} The account's authorised plates
+   */
+  async addVehicle(accountId, licensePlate, addedBy = null) {
+    const account = await this.getAccount(accountId);
+    const plate = PlateService.normalize(licensePlate);
+    if (!plate) {
+      throw createError('license_plate must contain letters or digits');
+    }
+
+    await CorporateAccount.addVehicle(account.id, plate, addedBy);
+    return await CorporateAccount.findVehicles(account.id);
+  }
+
+  /**
+   * Withdraw a plate's authorisation
+   * @param {number} accountId - Account ID
+   * @param {string} licensePlate - Plate as typed
+   * @returns {Promise<void>}
+   */
+  async removeVehicle(accountId, licensePlate) {
+    if (!await CorporateAccount.removeVehicle(accountId, PlateService.normalize(licensePlate))) {
+      throw createError('Plate is not authorised on this account', 404);
+    }
+  }
+
+  /**
+   * Authorise a driver on the account
+   * @param {number} accountId - Account ID
+   * @param {Object} driverData - { name, phone_number, id_number }
+   * @returns {Promise<Object>} Created driver
+   */
+  async addDriver(accountId, driverData) {
+    const account = await this.getAccount(accountId);
+    const name = String(driverData.name || '').trim();
+    if (!name) {
+      throw createError('Driver name is required');
+    }
+
+    const phone = CustomerService.normalizePhone(driverData.phone_number);
+    if (phone && await CorporateAccount.findDriverByPhone(account.id, phone)) {
+      throw createError(`A driver with phone ${phone} is already on this account`, 409);
+    }
+
+    return await CorporateAccount.addDriver(account.id, {
+      name,
+      phone_number: phone,
+      id_number: driverData.id_number ? String(driverData.id_number).trim() : null
+    });
+  }
+
+  /**
+   * Change a driver's details or withdraw their authorisation (is_active: false)
+   * @param {number} accountId - Account ID
+   * @param {number} driverId - Driver ID
+   * @param {Object} driverData - Any of { name, phone_number, id_number, is_active }
+   * @returns {Promise<Object>} Updated driver
+   */
+  async updateDriver(accountId, driverId, driverData) {
+    const driver = await CorporateAccount.findDriverById(driverId);
+    if (!driver || driver.account_id !== parseInt(accountId)) {
+      throw createError('Driver not found on this account', 404);
+    }
+
+    const changes = {};
+    if (driverData.name !== undefined) changes.name = String(driverData.name).trim();
+    if (driverData.phone_number !== undefined) changes.phone_number = CustomerService.normalizePhone(driverData.phone_number);
+    if (driverData.id_number !== undefined) changes.id_number = driverData.id_number || null;
+    if (driverData.is_active !== undefined) changes.is_active = driverData.is_active ? 1 : 0;
+
+    return await CorporateAccount.updateDriver(driver.id, changes);
+  }
+
+  /**
+   * Set the account's contract price for a service and vehicle class
+   * @param {number} accountId - Account ID
+   * @param {Object} priceData - { service, vehicle_class, price }
+   * @returns {Promise<Array>} The account's contract prices
+   */
+  async setPrice(accountId, priceData) {
+    const account = await this.getAccount(accountId);
+    const service = await ServiceCatalogService.resolveService(priceData.service);
+    const vehicleClass = ServiceCatalogService.normalizeVehicleClass(priceData.vehicle_class);
+    const price = ServiceCatalogService.normalizePrice(priceData.price);
+
+    await CorporateAccount.setPrice(account.id, service.id, vehicleClass, price);
+    return await CorporateAccount.findPrices(account.id);
+  }
+
+  /**
+   * Remove a contract price so the catalog price applies to the account again
+   * @param {number} accountId - Account ID
+   * @param {Object} priceData - { service, vehicle_class }
+   * @returns {Promise<void>}
+   */
+  async removePrice(accountId, priceData) {
+    const service = await ServiceCatalogService.resolveService(priceData.service);
+    const vehicleClass = ServiceCatalogService.normalizeVehicleClass(priceData.vehicle_class);
+
+    if (!await CorporateAccount.removePrice(accountId, service.id, vehicleClass)) {
+      throw createError('No contract price for that service and vehicle class', 404);
+    }
+  }
+
+  /**
+   * Active accounts a plate may be washed on, for the attendant to pick from
+   * @param {string} licensePlate - Plate as typed
+   * @returns {Promise<Array>} Accounts
+   */
+  async findAccountsForPlate(licensePlate) {
+    return await CorporateAccount.findByPlate(PlateService.normalize(licensePlate));
+  }
+
+  /**
+   * Check that a wash may go on an account: the account is active and the plate
+   * or the driver is authorised on it. Without an account, the one account the
+   * plate is authorised on is used.
+   * @param {Object} washData - { account_id, account_code, regno, driver_id, driver_phone }
+   * @returns {Promise<Object>} { account, driver }
+   */
+  async authoriseWash(washData) {
+    const plate = PlateService.normalize(washData.regno);
+
+    let account = null;
+    if (washData.account_id) {
+      account = await CorporateAccount.findById(washData.account_id);
+    } else if (washData.account_code) {
+      account = await CorporateAccount.findByCode(String(washData.account_code).toUpperCase());
+    } else {
+      const accounts = await CorporateAccount.findByPlate(plate);
+      if (accounts.length > 1) {
+        throw createError(
+          `${plate} is on several accounts (${accounts.map(item => item.account_code).join(', ')}); send account_code`,
+          422
+        );
+      }
+      account = accounts[0] || null;
+      if (!account) {
+        throw createError(`${plate} is not authorised on any corporate account`, 403);
+      }
+    }
+
+    if (!account) {
+      throw createError('Corporate account not found', 404);
+    }
+    if (account.status !== 'ACTIVE') {
+      throw createError(`Account ${account.account_code} is ${account.status.toLowerCase()}`, 403);
+    }
+
+    let driver = null;
+    if (washData.driver_id) {
+      driver = await CorporateAccount.findDriverById(washData.driver_id);
+    } else if (washData.driver_phone) {
+      const phone = CustomerService.normalizePhone(washData.driver_phone);
+      driver = phone ? await CorporateAccount.findDriverByPhone(account.id, phone) : null;
+    }
+    if (driver && (driver.account_id !== account.id || !driver.is_active)) {
+      driver = null;
+    }
+
+    if (!driver && !await CorporateAccount.isVehicleAuthorised(account.id, plate)) {
+      throw createError(
+        `${plate} is not authorised on account ${account.account_code} and no authorised driver was given`,
+        403
+      );
+    }
+
+    return { account, driver };
+  }
+
+  /**
+   * Fail if charging an amount would take the account over its credit limit
+   * @param {Object} account - Account row
+   * @param {number} amount - Amount about to be charged
+   * @param {Object} connection - Optional connection when called inside a transaction
+   * @returns {Promise<Object>} Credit before the charge
+   */
+  async assertCredit(account, amount, connection = db) {
+    const credit = await this.getCredit(account, connection);
+    if (PaymentService.round(amount) > credit.available_credit) {
+      throw createError(
+        `Charging ${PaymentService.round(amount)} would exceed account ${account.account_code}'s credit limit ` +
+        `of ${credit.credit_limit} (${credit.outstanding} outstanding)`,
+        422
+      );
+    }
+    return credit;
+  }
+
+  /**
+   * Charge what is owed on a wash to its account as an ACCOUNT tender
+   * @param {string} carId - Car registry ID
+   * @param {number} accountId - Account ID
+   * @param {string} createdBy - User registering the wash
+   * @returns {Promise<Object>} Created payments and the resulting balance, like PaymentService.recordTenders
+   */
+  async chargeWash(carId, accountId, createdBy = null) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Lock the account so two washes cannot both use the last of its credit
+      const account = await CorporateAccount.findById(accountId, connection);
+      if (!account) {
+        throw createError('Corporate account not found', 404);
+      }
+
+      const before = await PaymentService.computeBalance(connection, 'CARWASH', carId, true);
+      PaymentService.assertPriceReviewed(before);
+      const payments = [];
+      if (before.balance > 0) {
+        await this.assertCredit(account, before.balance, connection);
+        payments.push(await Payment.create({
+          source: 'CARWASH',
+          source_id: carId,
+          transaction_type: 'credit',
+          payment_mode: 'ACCOUNT',
+          amount: before.balance,
+          ref: account.account_code,
+          description: `On account: ${account.name}`,
+          status: 'CONFIRMED',
+          created_by: createdBy
+        }, connection));
+      }
+
+      const after = await PaymentService.computeBalance(connection, 'CARWASH', carId);
+      await connection.commit();
+
+      return { payments, ...after };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Bill an account's unbilled charges up to the end of a month on one invoice
+   * @param {number} accountId - Account ID
+   * @param {string} month - YYYY-MM (defaults to last month)
+   * @param {string} createdBy - User raising the invoice
+   * @returns {Promise<Object>} Invoice with its lines
+   */
+  async generateInvoice(accountId, month, createdBy = null) {
+    const period = monthRange(month);
+
+    const connection = await db.getConnection();
+    let invoiceId;
+    try {
+      await connection.beginTransaction();
+
+      const account = await CorporateAccount.findById(accountId, connection);
+      if (!account) {
+        throw createError('Corporate account not found', 404);
+      }
+
+      // Charges missed by an earlier invoice (or on a voided one) are billed now too
+      const charges = await CorporateInvoice.findUnbilledCharges(account.id, period.to, connection);
+      if (charges.length === 0) {
+        throw createError(`Account ${account.account_code} has no unbilled charges up to ${period.to}`, 422);
+      }
+
+      const sequence = await CorporateInvoice.countByAccount(account.id, connection) + 1;
+      const issueDate = new Date();
+      const dueDate = new Date(issueDate.getFullYear(), issueDate.getMonth(), issueDate.getDate() + account.payment_terms_days);
+
+      invoiceId = await CorporateInvoice.create({
+        invoice_number: `${account.account_code}-${String(sequence).padStart(4, '0')}`,
+        account_id: account.id,
+        period_start: period.from,
+        period_end: period.to,
+        issue_date: formatDay(issueDate),
+        due_date: formatDay(dueDate),
+        wash_count: charges.length,
+        amount: PaymentService.round(charges.reduce((sum, charge) => sum + parseFloat(charge.amount), 0)),
+        created_by: createdBy
+      }, connection);
+
+      for (const charge of charges) {
+        await CorporateInvoice.addLine(invoiceId, charge, connection);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await this.getInvoice(invoiceId);
+  }
+
+  /**
+   * Raise the month's invoice for every account with unbilled charges
+   * @param {string} month - YYYY-MM (defaults to last month)
+   * @param {string} createdBy - User raising the invoices
+   * @returns {Promise<Object>} { month, invoices, skipped }
+   */
+  async generateMonthlyInvoices(month, createdBy = null) {
+    const period = monthRange(month);
+    const accounts = await CorporateAccount.findAll();
+
+    const invoices = [];
+    const skipped = [];
+    for (const account of accounts) {
+      const credit = await this.getCredit(account);
+      if (credit.unbilled_count === 0) {
+        continue;
+      }
+      try {
+        invoices.push(await this.generateInvoice(account.id, period.month, createdBy));
+      } catch (error) {
+        if (!error.status) throw error;
+        skipped.push({ account_id: account.id, account_code: account.account_code, reason: error.message });
+      }
+    }
+
+    return { month: period.month, invoices, skipped };
+  }
+
+  /**
+   * An invoice with its lines and payments
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Invoice
+   */
+  async getInvoice(invoiceId) {
+    const invoice = await CorporateInvoice.findById(invoiceId);
+    if (!invoice) {
+      throw createError('Invoice not found', 404);
+    }
+
+    const [lines, payments] = await Promise.all([
+      CorporateInvoice.findLines(invoice.id),
+      Payment.findBySource('INVOICE', invoice.id)
+    ]);
+
+    return {
+      ...invoice,
+      is_paid: invoice.status === 'ISSUED' && PaymentService.round(invoice.balance) === 0,
+      lines,
+      payments
+    };
+  }
+
+  /**
+   * Void an unpaid invoice; its charges go back to unbilled for the next invoice
+   * @param {number} invoiceId - Invoice ID
+   * @param {string} voidedBy - User voiding the invoice
+   * @param {string} reason - Reason
+   * @returns {Promise<Object>} Voided invoice
+   */
+  async voidInvoice(invoiceId, voidedBy = null, reason = null) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const invoice = await CorporateInvoice.findById(invoiceId, connection);
+      if (!invoice) {
+        throw createError('Invoice not found', 404);
+      }
+      if (invoice.status !== 'ISSUED') {
+        throw createError(`Invoice ${invoice.invoice_number} is already ${invoice.status.toLowerCase()}`, 409);
+      }
+      if (PaymentService.round(invoice.amount_paid) !== 0) {
+        throw createError(`Invoice ${invoice.invoice_number} has payments; refund them before voiding`, 409);
+      }
+
+      await CorporateInvoice.voidInvoice(invoice.id, voidedBy, reason, connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await this.getInvoice(invoiceId);
+  }
+
+  /**
+   * Settle an invoice with a single payment, for the balance unless an amount is given
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} paymentData - { payment_mode, amount, ref, description }
+   * @param {string} createdBy - User taking the payment
+   * @returns {Promise<Object>} Created payment and the invoice's new balance
+   */
+  async settleInvoice(invoiceId, paymentData, createdBy = null) {
+    const invoice = await CorporateInvoice.findById(invoiceId);
+    if (!invoice) {
+      throw createError('Invoice not found', 404);
+    }
+    if (invoice.status !== 'ISSUED') {
+      throw createError(`Invoice ${invoice.invoice_number} is ${invoice.status.toLowerCase()}`, 409);
+    }
+
+    const mode = String(paymentData.payment_mode || '').toUpperCase();
+    if (!SETTLEMENT_MODES.includes(mode)) {
+      throw createError(`Invalid payment mode. Use: ${SETTLEMENT_MODES.join(', ')}`);
+    }
+    if (mode !== 'CASH' && !paymentData.ref) {
+      // An M-Pesa STK push for the invoice goes through /api/payments with source INVOICE
+      throw createError(`${mode} settlements need the transaction reference as ref`);
+    }
+
+    return await PaymentService.recordTenders({
+      source: 'INVOICE',
+      source_id: invoice.id,
+      tenders: [{
+        payment_mode: mode,
+        amount: paymentData.amount || invoice.balance,
+        ref: paymentData.ref,
+        description: paymentData.description || `Settlement of invoice ${invoice.invoice_number}`
+      }],
+      created_by: createdBy
+    });
+  }
+
+  /**
+   * Monthly statement: what the account owed at the start of the month, the
+   * washes charged and payments received during it, and what it owed at the end
+   * @param {number} accountId - Account ID
+   * @param {string} month - YYYY-MM (defaults to last month)
+   * @returns {Promise<Object>} Statement
+   */
+  async getStatement(accountId, month) {
+    const account = await this.getAccount(accountId);
+    const period = monthRange(month);
+
+    const [openingBalance, charges, settlements, invoices] = await Promise.all([
+      CorporateInvoice.getBalanceBefore(account.id, period.from),
+      CorporateInvoice.findCharges(account.id, period.from, period.to),
+      CorporateInvoice.findSettlements(account.id, period.from, period.to),
+      CorporateInvoice.findAll({ account_id: account.id })
+    ]);
+
+    const totalCharges = PaymentService.round(charges.reduce((sum, charge) => sum + parseFloat(charge.amount), 0));
+    const totalPayments = PaymentService.round(settlements.reduce(
+      (sum, payment) => sum + (payment.transaction_type === 'credit' ? 1 : -1) * parseFloat(payment.amount),
+      0
+    ));
+
+    return {
+      account: {
+        id: account.id,
+        account_code: account.account_code,
+        name: account.name,
+        billing_address: account.billing_address,
+        tax_pin: account.tax_pin,
+        credit_limit: PaymentService.round(account.credit_limit)
+      },
+      period,
+      opening_balance: PaymentService.round(openingBalance),
+      charges,
+      payments: settlements,
+      total_charges: totalCharges,
+      total_payments: totalPayments,
+      closing_balance: PaymentService.round(openingBalance + totalCharges - totalPayments),
+      invoices_issued: invoices.filter(invoice => {
+        const issued = formatDay(invoice.issue_date);
+        return issued >= period.from && issued <= period.to;
+      })
+    };
+  }
+
+  /**
+   * Unpaid invoice balances by days past due, with unbilled charges, per account
+   * @param {Object} filters - { account_id }
+   * @returns {Promise<Object>} { as_of, accounts, totals }
+   */
+  async getAgeing(filters = {}) {
+    const invoices = await CorporateInvoice.findAll({ account_id: filters.account_id, status: 'UNPAID' });
+    const accounts = filters.account_id
+      ? [await this.getAccount(filters.account_id)]
+      : await CorporateAccount.findAll();
+
+    const emptyBuckets = () => AGEING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+    const totals = { unbilled: 0, ...emptyBuckets(), total: 0 };
+
+    const rows = [];
+    for (const account of accounts) {
+      const exposure = await CorporateAccount.getExposure(account.id);
+      const row = {
+        account_id: account.id,
+        account_code: account.account_code,
+        name: account.name,
+        status: account.status,
+        credit_limit: PaymentService.round(account.credit_limit),
+        unbilled: PaymentService.round(exposure.unbilled_amount),
+        ...emptyBuckets(),
+        total: 0,
+        oldest_days_overdue: null
+      };
+
+      invoices.filter(invoice => invoice.account_id === account.id).forEach(invoice => {
+        const bucket = AGEING_BUCKETS.find(item => invoice.days_overdue <= item.max);
+        row[bucket.key] = PaymentService.round(row[bucket.key] + parseFloat(invoice.balance));
+        if (invoice.days_overdue > 0) {
+          row.oldest_days_overdue = Math.max(row.oldest_days_overdue || 0, invoice.days_overdue);
+        }
+      });
+
+      row.total = PaymentService.round(row.unbilled + AGEING_BUCKETS.reduce((sum, bucket) => sum + row[bucket.key], 0));
+      if (row.total === 0) {
+        continue;
+      }
+
+      Object.keys(totals).forEach(key => {
+        totals[key] = PaymentService.round(totals[key] + row[key]);
+      });
+      rows.push(row);
+    }
+
+    rows.sort((a, b) => (b.oldest_days_overdue || 0) - (a.oldest_days_overdue || 0) || b.total - a.total);
+
+    return { as_of: formatDay(new Date()), accounts: rows, totals };
+  }
+
+  /**
+   * Render an invoice as an A4 PDF
+   * @param {Object} invoice - Invoice from getInvoice
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderInvoicePdf(invoice) {
+    const account = await this.getAccount(invoice.account_id);
+
+    return await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Invoice ${invoice.invoice_number}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = 40;
+      const right = doc.page.width - 40;
+      const columns = [
+        { label: 'Date', x: left, width: 65 },
+        { label: 'Vehicle', x: left + 65, width: 70 },
+        { label: 'Service', x: left + 135, width: 120 },
+        { label: 'Driver / order', x: left + 255, width: 120 },
+        { label: 'Branch', x: left + 375, width: 70 },
+        { label: 'Amount', x: left + 445, width: right - left - 445, align: 'right' }
+      ];
+      const row = (values, bold = false) => {
+        if (doc.y > doc.page.height - 80) doc.addPage();
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        columns.forEach((column, i) => {
+          doc.text(values[i] || '', column.x, y, { width: column.width, align: column.align || 'left', lineBreak: false, ellipsis: true });
+        });
+        doc.y = y + 13;
+      };
+      const total = (label, value, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, left + 300, y, { width: 140 });
+        doc.text(value, left + 445, y, { width: right - left - 445, align: 'right' });
+        doc.y = y + 14;
+      };
+
+      doc.font('Helvetica-Bold').fontSize(16).text(RECEIPT_BUSINESS_NAME, left, 40);
+      doc.fontSize(12).text('INVOICE', left, 40, { width: right - left, align: 'right' });
+      doc.font('Helvetica').fontSize(9).text(invoice.invoice_number, left, 56, { width: right - left, align: 'right' });
+      doc.moveDown(2);
+
+      const detailsY = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9).text('Bill to', left, detailsY);
+      doc.font('Helvetica').text([
+        account.name,
+        account.contact_name,
+        account.billing_address,
+        account.tax_pin ? `PIN: ${account.tax_pin}` : null,
+        `Account: ${account.account_code}`
+      ].filter(Boolean).join('\n'), left, doc.y, { width: 250 });
+      const billToEnd = doc.y;
+
+      doc.text([
+        `Issued: ${formatDay(invoice.issue_date)}`,
+        `Due: ${formatDay(invoice.due_date)}`,
+        `Period: ${formatDay(invoice.period_start)} to ${formatDay(invoice.period_end)}`,
+        `Washes: ${invoice.wash_count}`
+      ].join('\n'), left + 300, detailsY, { width: right - left - 300, align: 'right' });
+      doc.y = Math.max(billToEnd, doc.y) + 20;
+
+      row(columns.map(column => column.label), true);
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.5).stroke();
+      doc.y += 4;
+      invoice.lines.forEach(line => {
+        row([
+          formatDay(line.charged_at),
+          line.regno,
+          line.service,
+          [line.driver_name, line.account_order_ref].filter(Boolean).join(' / '),
+          line.branch_name,
+          money(line.amount)
+        ]);
+      });
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(0.5).stroke();
+      doc.y += 6;
+
+      total('Total', money(invoice.amount), true);
+      total('Paid', money(invoice.amount_paid));
+      total('Balance due', money(invoice.balance), true);
+
+      if (invoice.status === 'VOID') {
+        doc.font('Helvetica-Bold').fontSize(40).fillColor('red')
+          .text('VOID', left, doc.page.height / 2 - 20, { width: right - left, align: 'center' });
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new CorporateAccountService();
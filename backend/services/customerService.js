@@ -0,0 +1,272 @@
+const Customer = require('../models/Customer');
+const CustomerStats = require('../models/CustomerStats');
+const Vehicle = require('../models/Vehicle');
+const VehicleOffer = require('../models/VehicleOffer');
+const MpesaService = require('./mpesaService');
+const { createError } = require('../utils/errors');
+
+/**
+ * Customer service: one contact record per person, owning vehicles and
+ * carpet client records. Owner details given for a vehicle find or create the
+ * customer by phone number, and the customer's details are copied back onto
+ * their vehicles and carpet clients.
+ */
+class CustomerService {
+  /**
+   * Stored form of a phone number
+   * @param {string} phone - Phone number as typed
+   * @returns {string|null} 2547XXXXXXXX for a Kenyan mobile, else the bare digits; null if there is no number
+   */
+  normalizePhone(phone) {
+    if (!phone) {
+      return null;
+    }
+    try {
+      return MpesaService.normalisePhone(phone);
+    } catch (error) {
+      const digits = String(phone).replace(/[^\d]/g, '');
+      return digits.length >= 7 ? digits : null;
+    }
+  }
+
+  /**
+   * Check and tidy a customer's contact details
+   * @param {Object} contactData - Any of { name, phone_number, email, notes }
+   * @returns {Object} Only the fields given, trimmed, with the phone in stored form
+   */
+  normalizeContact(contactData) {
+    const contact = {};
+
+    ['name', 'email', 'notes'].forEach(field => {
+      if (contactData[field] !== undefined) {
+        contact[field] = contactData[field] ? String(contactData[field]).trim() : null;
+      }
+    });
+
+    if (contactData.phone_number !== undefined) {
+      contact.phone_number = this.normalizePhone(contactData.phone_number);
+      if (contactData.phone_number && !contact.phone_number) {
+        throw createError(`Invalid phone number: ${contactData.phone_number}`);
+      }
+    }
+
+    if (contact.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+      throw createError(`Invalid email: ${contact.email}`);
+    }
+
+    return contact;
+  }
+
+  /**
+   * Add a customer. A phone number can only belong to one customer.
+   * @param {Object} customerData - { name, phone_number, email, notes }
+   * @returns {Promise<Object>} Created customer
+   */
+  async createCustomer(customerData) {
+    const contact = this.normalizeContact(customerData);
+
+    if (!contact.name && !contact.phone_number) {
+      throw createError('A customer needs a name or a phone number');
+    }
+
+    if (contact.phone_number) {
+      const existing = await Customer.findByPhone(contact.phone_number);
+      if (existing) {
+        throw createError(`Phone ${contact.phone_number} already belongs to customer ${existing.id}`, 409);
+      }
+    }
+
+    return await Customer.create(contact);
+  }
+
+  /**
+   * Change a customer's details and copy them onto their vehicles and carpet clients
+   * @param {number} customerId - Customer ID
+   * @param {Object} customerData - Any of { name, phone_number, email, notes }
+   * @param {string} changedBy - User making the change
+   * @returns {Promise<Object>} Updated customer
+   */
+  async updateCustomer(customerId, customerData, changedBy = null) {
+    const contact = this.normalizeContact(customerData);
+
+    if (contact.phone_number) {
+      const existing = await Customer.findByPhone(contact.phone_number);
+      if (existing && existing.id !== parseInt(customerId)) {
+        throw createError(`Phone ${contact.phone_number} already belongs to customer ${existing.id}`, 409);
+      }
+    }
+
+    const customer = await Customer.update(customerId, contact);
+    if (!customer) {
+      throw createError('Customer not found', 404);
+    }
+
+    await Customer.syncContact(customer.id, changedBy);
+    return customer;
+  }
+
+  /**
+   * Record owner details given for a vehicle against a customer: the customer
+   * with that phone number, the vehicle's current customer, or a new one
+   * @param {Object} vehicle - Vehicle row
+   * @param {Object} ownerData - { owner_name, phone_number, email }
+   * @param {string} changedBy - User making the change
+   * @returns {Promise<Object>} Vehicle with its customer_id and owner details updated
+   */
+  async attachOwner(vehicle, ownerData, changedBy = null) {
+    const contact = this.normalizeContact({
+      name: ownerData.owner_name || undefined,
+      phone_number: ownerData.phone_number || undefined,
+      email: ownerData.email || undefined
+    });
+    if (Object.keys(contact).length === 0) {
+      return vehicle;
+    }
+
+    const current = vehicle.customer_id ? await Customer.findById(vehicle.customer_id) : null;
+    let customer = contact.phone_number ? await Customer.findByPhone(contact.phone_number) : null;
+
+    if (!customer && current && (!contact.phone_number || !current.phone_number)) {
+      // Same owner, adding or correcting details
+      customer = current;
+    }
+
+    if (customer) {
+      customer = await Customer.update(customer.id, contact);
+    } else {
+      customer = await Customer.create(contact);
+    }
+
+    if (vehicle.customer_id !== customer.id) {
+      await Customer.setVehicleCustomer(vehicle.id, customer.id);
+    }
+    await Customer.syncContact(customer.id, changedBy);
+
+    return await Vehicle.findById(vehicle.id);
+  }
+
+  /**
+   * Load a customer or fail with 404
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Customer
+   */
+  async getCustomer(customerId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw createError('Customer not found', 404);
+    }
+    return customer;
+  }
+
+  /**
+   * A customer with their vehicles, carpet client records, loyalty and active offers
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object>} Customer profile
+   */
+  async getProfile(customerId) {
+    const customer = await this.getCustomer(customerId);
+
+    const [vehicles, carpetClients, stats, offers] = await Promise.all([
+      Customer.findVehicles(customer.id),
+      Customer.findCarpetClients(customer.id),
+      CustomerStats.findByCustomerId(customer.id),
+      VehicleOffer.findActiveByCustomerId(customer.id)
+    ]);
+
+    return {
+      ...customer,
+      vehicles,
+      carpet_clients: carpetClients,
+      stats: stats || { customer_id: customer.id, total_visits: 0, current_visit_count: 0, total_offers_earned: 0, total_offers_used: 0 },
+      active_offers: offers
+    };
+  }
+
+  /**
+   * Make a customer the owner of a vehicle
+   * @param {number} customerId - Customer ID
+   * @param {Object} vehicleRef - { vehicle_id } or { license_plate }
+   * @param {string} changedBy - User making the change
+   * @returns {Promise<Object>} Vehicle with the customer's details
+   */
+  async linkVehicle(customerId, vehicleRef, changedBy = null) {
+    const customer = await this.getCustomer(customerId);
+
+    const vehicle = vehicleRef.vehicle_id
+      ? await Vehicle.findById(vehicleRef.vehicle_id)
+      : await Vehicle.findByLicensePlate(vehicleRef.license_plate || '');
+    if (!vehicle) {
+      throw createError('Vehicle not found', 404);
+    }
+
+    await Customer.setVehicleCustomer(vehicle.id, customer.id);
+    await Customer.syncContact(customer.id, changedBy);
+    return await Vehicle.findById(vehicle.id);
+  }
+
+  /**
+   * Take a vehicle off a customer. The vehicle keeps its copy of the owner details.
+   * @param {number} customerId - Customer ID
+   * @param {number} vehicleId - Vehicle ID
+   * @returns {Promise<void>}
+   */
+  async unlinkVehicle(customerId, vehicleId) {
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle || vehicle.customer_id !== parseInt(customerId)) {
+      throw createError('Vehicle does not belong to this customer', 404);
+    }
+    await Customer.setVehicleCustomer(vehicle.id, null);
+  }
+
+  /**
+   * Link a carpet client record to a customer so both share one contact
+   * @param {number} customerId - Customer ID
+   * @param {number} carpetClientId - Carpet client ID
+   * @param {string} changedBy - User making the change
+   * @returns {Promise<Array>} The customer's carpet client records
+   */
+  async linkCarpetClient(customerId, carpetClientId, changedBy = null) {
+    const customer = await this.getCustomer(customerId);
+
+    if (!await Customer.setCarpetClientCustomer(carpetClientId, customer.id)) {
+      throw createError('Carpet client not found', 404);
+    }
+    await Customer.syncContact(customer.id, changedBy);
+    return await Customer.findCarpetClients(customer.id);
+  }
+
+  /**
+   * Take a carpet client record off a customer
+   * @param {number} customerId - Customer ID
+   * @param {number} carpetClientId - Carpet client ID
+   * @returns {Promise<void>}
+   */
+  async unlinkCarpetClient(customerId, carpetClientId) {
+    const clients = await Customer.findCarpetClients(customerId);
+    if (!clients.some(client => String(client.id) === String(carpetClientId))) {
+      throw createError('Carpet client does not belong to this customer', 404);
+    }
+    await Customer.setCarpetClientCustomer(carpetClientId, null);
+  }
+
+  /**
+   * Issue an offer to a customer, usable on any of their vehicles
+   * @param {number} customerId - Customer ID
+   * @param {Object} offerData - { offer_id, earned_on_visit_id, notes }
+   * @returns {Promise<Object>} Issued offer
+   */
+  async issueOffer(customerId, offerData) {
+    const customer = await this.getCustomer(customerId);
+    const { offer_id, earned_on_visit_id = null, notes = null } = offerData;
+
+    if (await VehicleOffer.hasActiveCustomerOffer(customer.id, offer_id)) {
+      throw createError('Customer already has an active offer of this type', 409);
+    }
+
+    const offer = await VehicleOffer.create({ customer_id: customer.id, offer_id, earned_on_visit_id, notes });
+    await CustomerStats.incrementOffersEarned(customer.id);
+    return await VehicleOffer.findById(offer.id);
+  }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,162 @@
+// ESC/POS control bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+/**
+ * Builds an ESC/POS byte stream for thermal receipt printers. Methods chain,
+ * and build() returns the bytes to send to the printer:
+ *
+ *   new EscPosBuilder(48).align('center').bold(true).line('Carwash').cut().build()
+ *
+ * Text is reduced to printable ASCII since printers differ in code pages.
+ */
+class EscPosBuilder {
+  /**
+   * @param {number} width - Characters per line at normal size (32 or 48)
+   */
+  constructor(width = 32) {
+    this.width = width;
+    this.chunks = [Buffer.from([ESC, 0x40])]; // ESC @ - reset the printer
+  }
+
+  /**
+   * Append raw bytes
+   * @param {Array|Buffer} bytes - Bytes
+   * @returns {EscPosBuilder} this
+   */
+  raw(bytes) {
+    this.chunks.push(Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes));
+    return this;
+  }
+
+  /**
+   * Replace characters the printer may not have with plain ASCII
+   * @param {string} text - Text
+   * @returns {string} Printable text
+   */
+  static sanitize(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\u201c\u201d]/g, '"')
+      .replace(/[\u2013\u2014]/g, '-')
+      .replace(/[^\x20-\x7e\n]/g, '?');
+  }
+
+  /**
+   * Append text without a line feed
+   * @param {string} text - Text
+   * @returns {EscPosBuilder} this
+   */
+  text(text) {
+    return this.raw(Buffer.from(EscPosBuilder.sanitize(text), 'ascii'));
+  }
+
+  /**
+   * Append a line of text
+   * @param {string} text - Text
+   * @returns {EscPosBuilder} this
+   */
+  line(text = '') {
+    return this.text(text).raw([LF]);
+  }
+
+  /**
+   * Label on the left, value on the right, truncating the label to fit
+   * @param {string} label - Left text
+   * @param {string} value - Right text
+   * @returns {EscPosBuilder} this
+   */
+  row(label, value) {
+    const right = EscPosBuilder.sanitize(value);
+    const left = EscPosBuilder.sanitize(label).slice(0, Math.max(this.width - right.length - 1, 0));
+    return this.line(left + ' '.repeat(Math.max(this.width - left.length - right.length, 1)) + right);
+  }
+
+  /**
+   * Full-width horizontal rule
+   * @param {string} char - Rule character
+   * @returns {EscPosBuilder} this
+   */
+  rule(char = '-') {
+    return this.line(char.repeat(this.width));
+  }
+
+  /**
+   * ESC a - text alignment
+   * @param {string} alignment - left, center or right
+   * @returns {EscPosBuilder} this
+   */
+  align(alignment = 'left') {
+    return this.raw([ESC, 0x61, ALIGNMENTS[alignment] || 0]);
+  }
+
+  /**
+   * ESC E - emphasised (bold) text
+   * @param {boolean} on - Bold on or off
+   * @returns {EscPosBuilder} this
+   */
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  /**
+   * GS ! - character size; double width halves the characters per line
+   * @param {boolean} doubleWidth - Double width
+   * @param {boolean} doubleHeight - Double height
+   * @returns {EscPosBuilder} this
+   */
+  size(doubleWidth = false, doubleHeight = false) {
+    return this.raw([GS, 0x21, (doubleWidth ? 0x10 : 0) | (doubleHeight ? 0x01 : 0)]);
+  }
+
+  /**
+   * ESC d - feed a number of lines
+   * @param {number} lines - Lines to feed
+   * @returns {EscPosBuilder} this
+   */
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, Math.min(Math.max(lines, 0), 255)]);
+  }
+
+  /**
+   * GS ( k - print a QR code (model 2)
+   * @param {string} data - Data to encode
+   * @param {number} moduleSize - Dot size of each module, 1-16
+   * @returns {EscPosBuilder} this
+   */
+  qr(data, moduleSize = 6) {
+    const bytes = Buffer.from(EscPosBuilder.sanitize(data), 'ascii');
+    const storeLength = bytes.length + 3;
+
+    return this
+      .raw([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]) // model 2
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize]) // module size
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]) // error correction M
+      .raw([GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30])
+      .raw(bytes)
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]); // print the stored symbol
+  }
+
+  /**
+   * Feed past the tear bar and GS V - partial cut
+   * @returns {EscPosBuilder} this
+   */
+  cut() {
+    return this.feed(4).raw([GS, 0x56, 0x01]);
+  }
+
+  /**
+   * Bytes to send to the printer
+   * @returns {Buffer} ESC/POS stream
+   */
+  build() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = EscPosBuilder;
@@ -4,6 +4,7 @@ const fs = require('fs');
 
 /**
  * File upload service for handling image uploads (avatars, carpet images)
+ * and CSV imports (M-Pesa statements)
  */
 class FileUploadService {
   constructor() {
@@ -60,6 +61,30 @@ class FileUploadService {
     });
   }
 
+  /**
+   * Configure multer for CSV imports, kept in memory so they are never served from /uploads
+   * @returns {Object} Multer configuration
+   */
+  configureCsvMulter() {
+    const fileFilter = (req, file, cb) => {
+      const isCsv = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+        path.extname(file.originalname).toLowerCase() === '.csv';
+      if (isCsv) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only CSV files are allowed!'), false);
+      }
+    };
+
+    return multer({
+      storage: multer.memoryStorage(),
+      fileFilter: fileFilter,
+      limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+      }
+    });
+  }
+
   /**
    * Get full file path for serving static files
    * @param {string} filename - Filename
@@ -138,6 +163,36 @@ class FileUploadService {
     });
   }
 
+  /**
+   * Handle a single CSV upload
+   * @param {Object} req - Express request object
+   * @param {string} fieldName - Field name for upload
+   * @returns {Promise<Object>} Upload result with the file contents as text
+   */
+  async handleCsvUpload(req, fieldName) {
+    return new Promise((resolve, reject) => {
+      const upload = this.configureCsvMulter().single(fieldName);
+
+      upload(req, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          if (req.file) {
+            resolve({
+              success: true,
+              originalname: req.file.originalname,
+              mimetype: req.file.mimetype,
+              size: req.file.size,
+              text: req.file.buffer.toString('utf8')
+            });
+          } else {
+            reject(new Error('No file uploaded'));
+          }
+        }
+      });
+    });
+  }
+
   /**
    * Handle multiple file uploads
    * @param {Object} req - Express request object
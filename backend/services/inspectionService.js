@@ -0,0 +1,681 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { db } = require('../config/db');
+const CarRegistry = require('../models/CarRegistry');
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const VehicleInspection = require('../models/VehicleInspection');
+const CustomerService = require('./customerService');
+const FileUploadService = require('./fileUploadService');
+const SmsService = require('./smsService');
+const { createError } = require('../utils/errors');
+const {
+  RECEIPT_BUSINESS_NAME,
+  INSPECTION_OTP_TTL_MINUTES,
+  INSPECTION_OTP_MAX_ATTEMPTS
+} = require('../config/env');
+
+// Zones of the vehicle diagram damage can be marked on
+const ZONES = [
+  'FRONT_BUMPER', 'BONNET', 'WINDSCREEN', 'ROOF', 'REAR_WINDSCREEN', 'BOOT', 'REAR_BUMPER',
+  'LEFT_FRONT_WING', 'LEFT_FRONT_DOOR', 'LEFT_REAR_DOOR', 'LEFT_REAR_WING', 'LEFT_MIRROR',
+  'RIGHT_FRONT_WING', 'RIGHT_FRONT_DOOR', 'RIGHT_REAR_DOOR', 'RIGHT_REAR_WING', 'RIGHT_MIRROR',
+  'WHEELS', 'LIGHTS', 'INTERIOR', 'OTHER'
+];
+
+const DAMAGE_TYPES = ['DENT', 'SCRATCH', 'CRACK', 'CHIP', 'RUST', 'OTHER'];
+const SEVERITIES = ['MINOR', 'MAJOR'];
+
+// Loose items checked at check-in so "my spare wheel is gone" can be answered
+const CHECKLIST_ITEMS = [
+  'SPARE_WHEEL', 'JACK', 'WHEEL_SPANNER', 'WARNING_TRIANGLE', 'FLOOR_MATS', 'RADIO_FACEPLATE',
+  'WHEEL_CAPS', 'SIDE_MIRRORS', 'WIPERS', 'ANTENNA', 'FUEL_CAP', 'NUMBER_PLATES'
+];
+const CHECKLIST_VALUES = ['PRESENT', 'MISSING', 'NOT_APPLICABLE'];
+
+const PHOTO_STAGES = ['BEFORE', 'AFTER'];
+const MAX_PHOTOS_PER_UPLOAD = 10;
+const PHOTO_DIRECTORY = 'inspections';
+const SIGNATURE_DIRECTORY = 'inspections/signatures';
+
+// A photo's own timestamp is trusted only this far ahead of the server clock
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// 2547XXXX1234 -> 2547*****234
+const maskPhone = (phone) => phone.replace(/^(\d{4})\d+(\d{3})$/, (match, head, tail) => `${head}${'*'.repeat(phone.length - 7)}${tail}`);
+
+const label = (value) => String(value || '').replace(/_/g, ' ').toLowerCase().replace(/^\w/, c => c.toUpperCase());
+
+/**
+ * Format a date as YYYY-MM-DD HH:mm in local time
+ * @param {Date|string} value - Date
+ * @returns {string} Formatted date
+ */
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Where an uploaded file's /uploads/... URL lives on disk
+const uploadPath = (url) => path.join(FileUploadService.uploadDir, String(url).replace(/^\/uploads\//, ''));
+
+/**
+ * Inspection service: check-in inspections of cars before they are washed -
+ * a checklist of loose items, damage marked on the vehicle diagram, before and
+ * after photos, and the customer's acknowledgement by signature or a one-time
+ * code - exported as a PDF when a damage claim comes in
+ */
+class InspectionService {
+  /**
+   * Values the inspection screen offers
+   * @returns {Object} { zones, damage_types, severities, checklist_items, checklist_values, photo_stages }
+   */
+  getOptions() {
+    return {
+      zones: ZONES,
+      damage_types: DAMAGE_TYPES,
+      severities: SEVERITIES,
+      checklist_items: CHECKLIST_ITEMS,
+      checklist_values: CHECKLIST_VALUES,
+      photo_stages: PHOTO_STAGES
+    };
+  }
+
+  /**
+   * Validate a checklist
+   * @param {Object} checklist - { SPARE_WHEEL: 'PRESENT', ... }
+   * @returns {Object|null} Checklist with upper-case keys and values
+   */
+  normalizeChecklist(checklist) {
+    if (checklist === undefined || checklist === null) {
+      return null;
+    }
+    if (typeof checklist !== 'object' || Array.isArray(checklist)) {
+      throw createError('checklist must be an object of item: PRESENT | MISSING | NOT_APPLICABLE');
+    }
+
+    const normalized = {};
+    Object.entries(checklist).forEach(([item, value]) => {
+      const key = String(item).toUpperCase();
+      const status = String(value).toUpperCase();
+      if (!CHECKLIST_ITEMS.includes(key)) {
+        throw createError(`Unknown checklist item ${item}. Use ${CHECKLIST_ITEMS.join(', ')}`);
+      }
+      if (!CHECKLIST_VALUES.includes(status)) {
+        throw createError(`${key} must be ${CHECKLIST_VALUES.join(', ')}`);
+      }
+      normalized[key] = status;
+    });
+    return normalized;
+  }
+
+  /**
+   * Validate a damage mark
+   * @param {Object} damage - { zone, damage_type, severity, pos_x, pos_y, notes }
+   * @returns {Object} Damage with upper-case codes and numeric positions
+   */
+  normalizeDamage(damage) {
+    const zone = String(damage.zone || '').toUpperCase();
+    const damageType = String(damage.damage_type || '').toUpperCase();
+    const severity = String(damage.severity || 'MINOR').toUpperCase();
+
+    if (!ZONES.includes(zone)) {
+      throw createError(`zone must be one of ${ZONES.join(', ')}`);
+    }
+    if (!DAMAGE_TYPES.includes(damageType)) {
+      throw createError(`damage_type must be one of ${DAMAGE_TYPES.join(', ')}`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw createError(`severity must be ${SEVERITIES.join(' or ')}`);
+    }
+
+    const position = (value, name) => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = parseFloat(value);
+      if (isNaN(number) || number < 0 || number > 100) {
+        throw createError(`${name} must be a percentage of the diagram (0-100)`);
+      }
+      return number;
+    };
+
+    return {
+      zone,
+      damage_type: damageType,
+      severity,
+      pos_x: position(damage.pos_x, 'pos_x'),
+      pos_y: position(damage.pos_y, 'pos_y'),
+      notes: damage.notes || null
+    };
+  }
+
+  /**
+   * Start the inspection of a car_registry entry
+   * @param {Object} inspectionData - { car_registry_id, checklist, damages, notes }
+   * @param {string} inspectedBy - User doing the inspection
+   * @returns {Promise<Object>} Inspection with damages and photos
+   */
+  async createInspection(inspectionData, inspectedBy = null) {
+    const { car_registry_id, notes } = inspectionData;
+    if (!car_registry_id) {
+      throw createError('car_registry_id is required');
+    }
+
+    const car = await CarRegistry.findById(car_registry_id);
+    if (!car) {
+      throw createError('Car service not found', 404);
+    }
+
+    const checklist = this.normalizeChecklist(inspectionData.checklist);
+    const damages = (inspectionData.damages || []).map(damage => this.normalizeDamage(damage));
+
+    if (await VehicleInspection.findByCarId(car.id)) {
+      throw createError(`Car service ${car.id} already has an inspection`, 409);
+    }
+
+    let inspection;
+    try {
+      inspection = await VehicleInspection.create({
+        car_registry_id: car.id,
+        license_plate: car.regno,
+        branch_id: car.branch_id,
+        checklist,
+        notes,
+        inspected_by: inspectedBy
+      });
+    } catch (error) {
+      // Started by a concurrent request
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`Car service ${car.id} already has an inspection`, 409);
+      }
+      throw error;
+    }
+
+    for (const damage of damages) {
+      await VehicleInspection.addDamage(inspection.id, { ...damage, created_by: inspectedBy });
+    }
+
+    return await this.getInspection(inspection.id);
+  }
+
+  /**
+   * An inspection with its damage marks and photos
+   * @param {number} id - Inspection ID
+   * @returns {Promise<Object>} Inspection
+   */
+  async getInspection(id) {
+    const inspection = await VehicleInspection.findById(id);
+    if (!inspection) {
+      throw createError('Inspection not found', 404);
+    }
+    return await this.withDetails(inspection);
+  }
+
+  /**
+   * The inspection of a car_registry entry
+   * @param {string} carRegistryId - Car registry ID
+   * @returns {Promise<Object>} Inspection
+   */
+  async getInspectionForCar(carRegistryId) {
+    const inspection = await VehicleInspection.findByCarId(carRegistryId);
+    if (!inspection) {
+      throw createError('This car service has no inspection', 404);
+    }
+    return await this.withDetails(inspection);
+  }
+
+  /**
+   * Add damage marks and photos to an inspection, leaving out the pending code
+   * @param {Object} inspection - Inspection row
+   * @returns {Promise<Object>} Inspection
+   */
+  async withDetails(inspection) {
+    const [damages, photos] = await Promise.all([
+      VehicleInspection.findDamages(inspection.id),
+      VehicleInspection.findPhotos(inspection.id)
+    ]);
+
+    const { otp_hash, otp_attempts, ...rest } = inspection;
+    return {
+      ...rest,
+      otp_pending: Boolean(otp_hash) && inspection.status === 'OPEN',
+      damages,
+      photos
+    };
+  }
+
+  /**
+   * Load an inspection the customer has not acknowledged yet
+   * @param {number} id - Inspection ID
+   * @returns {Promise<Object>} Inspection row
+   */
+  async getOpenInspection(id) {
+    const inspection = await VehicleInspection.findById(id);
+    if (!inspection) {
+      throw createError('Inspection not found', 404);
+    }
+    if (inspection.status !== 'OPEN') {
+      throw createError('The customer has acknowledged this inspection; it can no longer be changed', 409);
+    }
+    return inspection;
+  }
+
+  /**
+   * Change an open inspection's checklist or notes
+   * @param {number} id - Inspection ID
+   * @param {Object} updateData - Any of { checklist, notes }
+   * @returns {Promise<Object>} Inspection
+   */
+  async updateInspection(id, updateData) {
+    await this.getOpenInspection(id);
+
+    const changes = {};
+    if (updateData.checklist !== undefined) changes.checklist = this.normalizeChecklist(updateData.checklist);
+    if (updateData.notes !== undefined) changes.notes = updateData.notes;
+
+    if (!await VehicleInspection.update(id, changes)) {
+      throw createError('The customer has acknowledged this inspection; it can no longer be changed', 409);
+    }
+    return await this.getInspection(id);
+  }
+
+  /**
+   * Mark damage on an open inspection
+   * @param {number} id - Inspection ID
+   * @param {Object} damageData - { zone, damage_type, severity, pos_x, pos_y, notes }
+   * @param {string} createdBy - User marking the damage
+   * @returns {Promise<Object>} Inspection
+   */
+  async addDamage(id, damageData, createdBy = null) {
+    await this.getOpenInspection(id);
+    await VehicleInspection.addDamage(id, { ...this.normalizeDamage(damageData), created_by: createdBy });
+    return await this.getInspection(id);
+  }
+
+  /**
+   * Remove a damage mark from an open inspection
+   * @param {number} id - Inspection ID
+   * @param {number} damageId - Damage ID
+   * @returns {Promise<Object>} Inspection
+   */
+  async removeDamage(id, damageId) {
+    await this.getOpenInspection(id);
+    if (!await VehicleInspection.removeDamage(id, damageId)) {
+      throw createError('Damage mark not found on this inspection', 404);
+    }
+    return await this.getInspection(id);
+  }
+
+  /**
+   * Upload photos to an inspection (multipart field "photos", up to 10 images).
+   * BEFORE photos are taken before the customer acknowledges; AFTER photos any time.
+   * @param {number} id - Inspection ID
+   * @param {Object} req - Express request carrying the upload and { stage, zone, damage_id, taken_at }
+   * @param {string} uploadedBy - User uploading
+   * @returns {Promise<Object>} Inspection
+   */
+  async addPhotos(id, req, uploadedBy = null) {
+    const inspection = await VehicleInspection.findById(id);
+    if (!inspection) {
+      throw createError('Inspection not found', 404);
+    }
+
+    let uploads;
+    try {
+      uploads = await FileUploadService.handleMultipleUpload(req, 'photos', MAX_PHOTOS_PER_UPLOAD, PHOTO_DIRECTORY);
+    } catch (error) {
+      throw createError(error.message);
+    }
+
+    try {
+      const { zone, damage_id, taken_at } = req.body;
+      const stage = String(req.body.stage || '').toUpperCase();
+
+      if (!PHOTO_STAGES.includes(stage)) {
+        throw createError('stage must be BEFORE or AFTER');
+      }
+      if (stage === 'BEFORE' && inspection.status !== 'OPEN') {
+        throw createError('The customer has acknowledged this inspection; only AFTER photos can be added', 409);
+      }
+      if (zone && !ZONES.includes(String(zone).toUpperCase())) {
+        throw createError(`zone must be one of ${ZONES.join(', ')}`);
+      }
+      if (damage_id) {
+        const damages = await VehicleInspection.findDamages(id);
+        if (!damages.some(damage => damage.id === parseInt(damage_id))) {
+          throw createError('Damage mark not found on this inspection', 404);
+        }
+      }
+
+      // The device's time when it is believable, else when the photo arrived
+      const now = new Date();
+      const deviceTime = taken_at ? new Date(taken_at) : null;
+      const takenAt = deviceTime && !isNaN(deviceTime.getTime()) && deviceTime.getTime() <= now.getTime() + MAX_CLOCK_SKEW_MS
+        ? deviceTime
+        : now;
+
+      for (const upload of uploads) {
+        await VehicleInspection.addPhoto(id, {
+          stage,
+          zone: zone ? String(zone).toUpperCase() : null,
+          damage_id: damage_id ? parseInt(damage_id) : null,
+          filename: upload.filename,
+          url: upload.url,
+          mimetype: upload.mimetype,
+          size: upload.size,
+          taken_at: takenAt,
+          uploaded_by: uploadedBy
+        });
+      }
+    } catch (error) {
+      await Promise.all(uploads.map(upload => FileUploadService.deleteFile(upload.filename, PHOTO_DIRECTORY)));
+      throw error;
+    }
+
+    return await this.getInspection(id);
+  }
+
+  /**
+   * Customer acknowledges the inspection by signing (multipart field "signature", an image)
+   * @param {number} id - Inspection ID
+   * @param {Object} req - Express request carrying the upload and { ack_name }
+   * @returns {Promise<Object>} Inspection
+   */
+  async acknowledgeWithSignature(id, req) {
+    await this.getOpenInspection(id);
+
+    let upload;
+    try {
+      upload = await FileUploadService.handleSingleUpload(req, 'signature', SIGNATURE_DIRECTORY);
+    } catch (error) {
+      throw createError(error.message);
+    }
+
+    const acknowledged = await VehicleInspection.acknowledge(id, {
+      ack_method: 'SIGNATURE',
+      ack_name: req.body.ack_name || null,
+      signature_url: upload.url
+    });
+    if (!acknowledged) {
+      await FileUploadService.deleteFile(upload.filename, SIGNATURE_DIRECTORY);
+      throw createError('The customer has already acknowledged this inspection', 409);
+    }
+
+    return await this.getInspection(id);
+  }
+
+  /**
+   * Send the customer a one-time code to acknowledge the inspection with. A
+   * phone other than the owner's or customer's on record is marked as entered
+   * by staff on the acknowledgement.
+   * @param {number} id - Inspection ID
+   * @param {string} phone - Phone to send to; the vehicle owner's phone if not given
+   * @returns {Promise<Object>} { phone (masked), on_record, expires_at, mocked }
+   */
+  async sendOtp(id, phone = null) {
+    const inspection = await this.getOpenInspection(id);
+
+    const vehicle = await Vehicle.findByLicensePlate(inspection.license_plate);
+    const customer = vehicle && vehicle.customer_id ? await Customer.findById(vehicle.customer_id) : null;
+    const phonesOnRecord = [vehicle && vehicle.phone_number, customer && customer.phone_number]
+      .map(value => CustomerService.normalizePhone(value))
+      .filter(Boolean);
+
+    const msisdn = CustomerService.normalizePhone(phone || phonesOnRecord[0]);
+    if (!msisdn) {
+      throw createError('phone_number is required; the vehicle has no owner phone on record');
+    }
+    const onRecord = phonesOnRecord.includes(msisdn);
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + INSPECTION_OTP_TTL_MINUTES * 60 * 1000);
+    if (!await VehicleInspection.setOtp(id, hashCode(code), expiresAt, msisdn, onRecord)) {
+      throw createError('The customer has already acknowledged this inspection', 409);
+    }
+
+    const result = await SmsService.send(msisdn,
+      `${RECEIPT_BUSINESS_NAME}: ${code} is your code to confirm the condition of ${inspection.license_plate} at check-in. ` +
+      `Valid for ${INSPECTION_OTP_TTL_MINUTES} minutes.`);
+
+    return { phone: maskPhone(msisdn), on_record: onRecord, expires_at: expiresAt, mocked: result.mocked };
+  }
+
+  /**
+   * Customer acknowledges the inspection with the code sent to their phone
+   * @param {number} id - Inspection ID
+   * @param {string} code - Code as typed
+   * @param {string} ackName - Name the customer gives
+   * @returns {Promise<Object>} Inspection
+   */
+  async verifyOtp(id, code, ackName = null) {
+    if (!code) {
+      throw createError('code is required');
+    }
+
+    let correct = false;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const inspection = await VehicleInspection.findById(id, connection);
+      if (!inspection) {
+        throw createError('Inspection not found', 404);
+      }
+      if (inspection.status !== 'OPEN') {
+        throw createError('The customer has already acknowledged this inspection', 409);
+      }
+      if (!inspection.otp_hash) {
+        throw createError('No code has been sent for this inspection', 409);
+      }
+      if (new Date(inspection.otp_expires_at) < new Date()) {
+        throw createError('The code has expired; send a new one', 410);
+      }
+      if (inspection.otp_attempts >= INSPECTION_OTP_MAX_ATTEMPTS) {
+        throw createError('Too many wrong codes; send a new one', 429);
+      }
+
+      correct = crypto.timingSafeEqual(
+        Buffer.from(hashCode(String(code).trim()), 'hex'),
+        Buffer.from(inspection.otp_hash, 'hex')
+      );
+      if (correct) {
+        await VehicleInspection.acknowledge(id, { ack_method: 'OTP', ack_name: ackName }, connection);
+      } else {
+        await VehicleInspection.recordOtpAttempt(id, connection);
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    if (!correct) {
+      throw createError('Incorrect code');
+    }
+    return await this.getInspection(id);
+  }
+
+  /**
+   * Render an inspection as an A4 PDF for a damage dispute: car and inspection
+   * details, checklist, damage marks on a diagram, photos and the acknowledgement
+   * @param {Object} inspection - Inspection from getInspection
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPdf(inspection) {
+    const car = await CarRegistry.findById(inspection.car_registry_id);
+
+    return await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: { Title: `Inspection ${inspection.license_plate} ${inspection.car_registry_id}` }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = 40;
+      const right = doc.page.width - 40;
+      const bottom = doc.page.height - 60;
+      const ensureSpace = (height) => {
+        if (doc.y + height > bottom) doc.addPage();
+      };
+      const heading = (text) => {
+        ensureSpace(40);
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(11).text(text, left, doc.y);
+        doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).lineWidth(0.5).stroke();
+        doc.y += 6;
+        doc.font('Helvetica').fontSize(9);
+      };
+      const pair = (name, value) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').fontSize(9).text(name, left, y, { width: 110 });
+        doc.font('Helvetica').text(value || '-', left + 110, y, { width: right - left - 110 });
+        doc.y = Math.max(doc.y, y + 12);
+      };
+
+      doc.font('Helvetica-Bold').fontSize(16).text(RECEIPT_BUSINESS_NAME, left, 40);
+      doc.fontSize(12).text('CHECK-IN INSPECTION', left, 40, { width: right - left, align: 'right' });
+      doc.font('Helvetica').fontSize(9).text(inspection.license_plate, left, 56, { width: right - left, align: 'right' });
+      doc.y = 80;
+
+      heading('Vehicle');
+      pair('Plate', inspection.license_plate);
+      pair('Model', car ? car.model : null);
+      pair('Service', car ? car.service : null);
+      pair('Car service ID', inspection.car_registry_id);
+      pair('Branch', inspection.branch_name || inspection.branch_id);
+      pair('Inspected', `${formatDate(inspection.created_at)}${inspection.inspected_by_name ? ` by ${inspection.inspected_by_name}` : ''}`);
+      if (inspection.notes) pair('Notes', inspection.notes);
+
+      heading('Checklist');
+      const checklist = inspection.checklist || {};
+      const items = CHECKLIST_ITEMS.filter(item => checklist[item]);
+      if (items.length === 0) {
+        doc.text('No checklist recorded', left, doc.y);
+      }
+      items.forEach((item, i) => {
+        const column = i % 2;
+        const y = column === 0 ? doc.y : doc.y - 12;
+        const x = left + column * ((right - left) / 2);
+        doc.font('Helvetica').fontSize(9).text(label(item), x, y, { width: 140 });
+        doc.font(checklist[item] === 'MISSING' ? 'Helvetica-Bold' : 'Helvetica')
+          .text(label(checklist[item]), x + 140, y, { width: 100 });
+        doc.y = y + 12;
+      });
+
+      heading(`Damage (${inspection.damages.length})`);
+      const diagramWidth = 160;
+      const diagramHeight = 280;
+      ensureSpace(diagramHeight + 10);
+      const diagramX = left;
+      const diagramY = doc.y;
+
+      // Top view: front at the top, the driver's right on the right
+      doc.lineWidth(1).roundedRect(diagramX + 20, diagramY, diagramWidth - 40, diagramHeight, 30).stroke();
+      doc.lineWidth(0.5)
+        .rect(diagramX + 35, diagramY + 55, diagramWidth - 70, 35).stroke()
+        .rect(diagramX + 35, diagramY + diagramHeight - 75, diagramWidth - 70, 30).stroke();
+      doc.fontSize(7).text('FRONT', diagramX, diagramY - 10, { width: diagramWidth, align: 'center' });
+      doc.text('REAR', diagramX, diagramY + diagramHeight + 2, { width: diagramWidth, align: 'center' });
+
+      inspection.damages.forEach((damage, i) => {
+        if (damage.pos_x === null || damage.pos_y === null) return;
+        const x = diagramX + (parseFloat(damage.pos_x) / 100) * diagramWidth;
+        const y = diagramY + (parseFloat(damage.pos_y) / 100) * diagramHeight;
+        doc.circle(x, y, 6).fillAndStroke('#d32f2f', '#d32f2f');
+        doc.fillColor('white').font('Helvetica-Bold').fontSize(6).text(String(i + 1), x - 6, y - 2.5, { width: 12, align: 'center' });
+        doc.fillColor('black');
+      });
+
+      const listX = left + diagramWidth + 20;
+      doc.y = diagramY;
+      if (inspection.damages.length === 0) {
+        doc.font('Helvetica').fontSize(9).text('No existing damage recorded', listX, doc.y);
+      }
+      inspection.damages.forEach((damage, i) => {
+        doc.font('Helvetica-Bold').fontSize(9)
+          .text(`${i + 1}. ${label(damage.zone)}: ${label(damage.damage_type)} (${label(damage.severity)})`, listX, doc.y, { width: right - listX });
+        if (damage.notes) {
+          doc.font('Helvetica').text(damage.notes, listX + 12, doc.y, { width: right - listX - 12 });
+        }
+        doc.y += 3;
+      });
+      doc.y = Math.max(doc.y, diagramY + diagramHeight + 14);
+
+      PHOTO_STAGES.forEach(stage => {
+        const photos = inspection.photos.filter(photo => photo.stage === stage);
+        heading(`Photos ${stage === 'BEFORE' ? 'before' : 'after'} the wash (${photos.length})`);
+
+        const size = (right - left - 20) / 3;
+        let column = 0;
+        let rowY = doc.y;
+        photos.forEach(photo => {
+          if (column === 0) {
+            if (doc.y + size + 24 > bottom) {
+              doc.addPage();
+            }
+            rowY = doc.y;
+          }
+          const x = left + column * (size + 10);
+          const file = uploadPath(photo.url);
+          try {
+            if (!fs.existsSync(file)) throw new Error('missing');
+            doc.image(file, x, rowY, { fit: [size, size], align: 'center', valign: 'center' });
+          } catch (error) {
+            // Missing, or a format PDFKit cannot embed (it takes JPEG and PNG)
+            doc.rect(x, rowY, size, size).lineWidth(0.5).stroke();
+            doc.font('Helvetica').fontSize(7).text(photo.filename, x + 4, rowY + size / 2, { width: size - 8, align: 'center' });
+          }
+          doc.font('Helvetica').fontSize(7).text(
+            [formatDate(photo.taken_at), photo.zone ? label(photo.zone) : null].filter(Boolean).join(' - '),
+            x, rowY + size + 3, { width: size, align: 'center' }
+          );
+
+          column = (column + 1) % 3;
+          doc.y = column === 0 ? rowY + size + 18 : rowY;
+        });
+        if (column !== 0) {
+          doc.y = rowY + size + 18;
+        }
+        if (photos.length === 0) {
+          doc.font('Helvetica').fontSize(9).text('None', left, doc.y);
+        }
+      });
+
+      heading('Customer acknowledgement');
+      if (inspection.status !== 'ACKNOWLEDGED') {
+        doc.font('Helvetica-Bold').fontSize(9).text('Not acknowledged by the customer', left, doc.y);
+      } else {
+        pair('Acknowledged', formatDate(inspection.acknowledged_at));
+        pair('Name', inspection.ack_name);
+        pair('Method', inspection.ack_method === 'OTP'
+          ? `One-time code sent to ${inspection.ack_phone ? maskPhone(inspection.ack_phone) : 'the customer'}`
+            + (inspection.ack_phone_on_record === 0 ? ' (number entered by staff, not on record)' : '')
+          : 'Signature');
+        if (inspection.signature_url) {
+          ensureSpace(90);
+          try {
+            doc.image(uploadPath(inspection.signature_url), left + 110, doc.y + 4, { fit: [200, 80] });
+          } catch (error) {
+            doc.text('(signature image unavailable)', left + 110, doc.y + 4);
+          }
+          doc.y += 90;
+        }
+      }
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InspectionService();
@@ -0,0 +1,248 @@
+const { db } = require('../config/db');
+const {
+  USE_REAL_MPESA,
+  MPESA_C2B_SHORTCODE,
+  MPESA_C2B_VALIDATION_URL,
+  MPESA_C2B_CONFIRMATION_URL,
+  MPESA_C2B_RESPONSE_TYPE,
+  MPESA_C2B_REJECT_UNKNOWN_ACCOUNTS,
+  MPESA_C2B_MATCH_WINDOW_HOURS
+} = require('../config/env');
+const Payment = require('../models/Payment');
+const MpesaPaymentCallback = require('../models/MpesaPaymentCallback');
+const MpesaService = require('./mpesaService');
+const PaymentService = require('./paymentService');
+const { createError } = require('../utils/errors');
+
+// Daraja C2B validation result codes
+const C2B_ACCEPTED = '0';
+const C2B_INVALID_ACCOUNT = 'C2B00012';
+
+/**
+ * M-Pesa C2B service for payments made straight to the paybill/till.
+ * Customers type the car's plate or the carpet tag as the account number.
+ */
+class MpesaC2bService {
+  /**
+   * Normalise a typed account number: upper case, letters and digits only
+   * @param {string} value - Account number as typed (e.g. "kda 123a")
+   * @returns {string} Normalised account number (e.g. "KDA123A")
+   */
+  normaliseAccount(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Flatten a Daraja C2B validation/confirmation payload
+   * @param {Object} payload - Raw request body from Daraja
+   * @returns {Object} Parsed transaction
+   */
+  parsePayload(payload) {
+    if (!payload || !payload.TransID || payload.TransAmount === undefined) {
+      throw createError('Invalid C2B payload');
+    }
+
+    const amount = parseFloat(payload.TransAmount);
+    if (isNaN(amount) || amount <= 0) {
+      throw createError('Invalid C2B amount');
+    }
+
+    const name = [payload.FirstName, payload.MiddleName, payload.LastName]
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      transId: payload.TransID,
+      transactionType: payload.TransactionType || null,
+      transactionDate: MpesaService.parseTransactionDate(payload.TransTime),
+      amount: PaymentService.round(amount),
+      shortcode: payload.BusinessShortCode || null,
+      rawAccount: payload.BillRefNumber || null,
+      account: this.normaliseAccount(payload.BillRefNumber),
+      phone: payload.MSISDN ? String(payload.MSISDN) : null,
+      name: name || null
+    };
+  }
+
+  /**
+   * Find open car wash and carpet jobs for an account number.
+   * Car washes match on plate (stored in the same canonical form, e.g. KDG123A)
+   * within MPESA_C2B_MATCH_WINDOW_HOURS; carpets on client tag.
+   * @param {string} account - Normalised account number
+   * @returns {Promise<Array>} Jobs with an outstanding balance, most recent first
+   */
+  async findOpenJobs(account) {
+    if (!account) {
+      return [];
+    }
+
+    const [cars] = await db.execute(
+      `SELECT id, regno as account_label, updated_at
+       FROM car_registry
+       WHERE regno = ?
+         AND updated_at >= UNIX_TIMESTAMP() - ?
+       ORDER BY updated_at DESC`,
+      [account, MPESA_C2B_MATCH_WINDOW_HOURS * 3600]
+    );
+
+    const [carpets] = await db.execute(
+      `SELECT id, client_tag as account_label, updated_at
+       FROM carpet_registry
+       WHERE CAST(client_tag AS CHAR) = ?
+       ORDER BY updated_at DESC`,
+      [account]
+    );
+
+    const candidates = [
+      ...cars.map(row => ({ ...row, source: 'CARWASH' })),
+      ...carpets.map(row => ({ ...row, source: 'CARPETS' }))
+    ].sort((a, b) => b.updated_at - a.updated_at);
+
+    const jobs = [];
+    for (const candidate of candidates) {
+      const balance = await PaymentService.computeBalance(db, candidate.source, candidate.id);
+      if (balance.balance > 0) {
+        jobs.push({ ...balance, account_label: candidate.account_label });
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Pick the job a payment belongs to: an exact balance match, else the most recent
+   * @param {Array} jobs - Open jobs, most recent first
+   * @param {number} amount - Amount paid
+   * @returns {Object} Chosen job
+   */
+  pickJob(jobs, amount) {
+    return jobs.find(job => job.balance === amount) || jobs[0];
+  }
+
+  /**
+   * Answer a Daraja C2B validation request
+   * @param {Object} payload - Raw request body from Daraja
+   * @returns {Promise<Object>} { ResultCode, ResultDesc } for Daraja
+   */
+  async validate(payload) {
+    const parsed = this.parsePayload(payload);
+
+    if (!MPESA_C2B_REJECT_UNKNOWN_ACCOUNTS) {
+      return { ResultCode: C2B_ACCEPTED, ResultDesc: 'Accepted' };
+    }
+
+    const jobs = await this.findOpenJobs(parsed.account);
+    if (jobs.length === 0) {
+      console.log(`C2B validation ${parsed.transId}: rejected unknown account "${parsed.rawAccount}"`);
+      return { ResultCode: C2B_INVALID_ACCOUNT, ResultDesc: 'Rejected' };
+    }
+
+    return { ResultCode: C2B_ACCEPTED, ResultDesc: 'Accepted' };
+  }
+
+  /**
+   * Store a C2B confirmation and apply it to the open job named by its account number.
+   * Redelivered confirmations are stored as DUPLICATE.
+   * @param {Object} payload - Raw request body from Daraja
+   * @returns {Promise<Object>} Stored callback status and the payment it was applied to
+   */
+  async confirm(payload) {
+    let parsed;
+    try {
+      parsed = this.parsePayload(payload);
+    } catch (error) {
+      // keep malformed deliveries too, for audit
+      await MpesaPaymentCallback.create({ source: 'C2B', status: 'INVALID', raw_payload: payload });
+      throw error;
+    }
+
+    const callback = await MpesaPaymentCallback.create({
+      datetime: parsed.transactionDate,
+      source: 'C2B',
+      name: parsed.name,
+      phone: parsed.phone,
+      account_no: parsed.rawAccount,
+      amount: parsed.amount,
+      ref: parsed.transId,
+      status: 'RECEIVED',
+      raw_payload: payload
+    });
+
+    const existing = await Payment.findByRef(parsed.transId);
+    if (existing) {
+      await MpesaPaymentCallback.updateStatus(callback.id, 'DUPLICATE', existing.id);
+      return { callbackId: callback.id, status: 'DUPLICATE', paymentId: existing.id, ...parsed };
+    }
+
+    const jobs = await this.findOpenJobs(parsed.account);
+    if (jobs.length === 0) {
+      await MpesaPaymentCallback.updateStatus(callback.id, 'UNMATCHED');
+      return { callbackId: callback.id, status: 'UNMATCHED', ...parsed };
+    }
+
+    const job = this.pickJob(jobs, parsed.amount);
+
+    try {
+      const paymentId = await PaymentService.applyMpesaReceipt({
+        source: job.source,
+        source_id: job.source_id,
+        amount: parsed.amount,
+        ref: parsed.transId,
+        payer_phone: parsed.phone,
+        description: `M-Pesa C2B payment, account ${parsed.rawAccount}`
+      });
+      await MpesaPaymentCallback.updateStatus(callback.id, 'APPLIED', paymentId);
+      return {
+        callbackId: callback.id,
+        status: 'APPLIED',
+        paymentId,
+        source: job.source,
+        source_id: job.source_id,
+        ...parsed
+      };
+    } catch (error) {
+      // Recorded meanwhile by a concurrent delivery of the same confirmation
+      if (error.code === 'ER_DUP_ENTRY') {
+        const recorded = await Payment.findByRef(parsed.transId);
+        await MpesaPaymentCallback.updateStatus(callback.id, 'DUPLICATE', recorded ? recorded.id : null);
+        return { callbackId: callback.id, status: 'DUPLICATE', paymentId: recorded ? recorded.id : null, ...parsed };
+      }
+      // e.g. the job was settled in the meantime; leave it for reconciliation
+      console.error(`C2B confirmation ${parsed.transId} could not be applied:`, error.message);
+      await MpesaPaymentCallback.updateStatus(callback.id, 'UNMATCHED');
+      return { callbackId: callback.id, status: 'UNMATCHED', ...parsed };
+    }
+  }
+
+  /**
+   * Register the validation and confirmation URLs for the C2B shortcode with Daraja
+   * @returns {Promise<Object>} Daraja response
+   */
+  async registerUrls() {
+    if (!MPESA_C2B_CONFIRMATION_URL) {
+      throw createError('MPESA_C2B_CONFIRMATION_URL is not configured', 500);
+    }
+    // A validation request posted to the confirmation URL would be recorded as a payment
+    if (!MPESA_C2B_VALIDATION_URL || MPESA_C2B_VALIDATION_URL === MPESA_C2B_CONFIRMATION_URL) {
+      throw createError('MPESA_C2B_VALIDATION_URL must be configured and differ from MPESA_C2B_CONFIRMATION_URL', 500);
+    }
+
+    const payload = {
+      ShortCode: MPESA_C2B_SHORTCODE,
+      ResponseType: MPESA_C2B_RESPONSE_TYPE,
+      ConfirmationURL: MPESA_C2B_CONFIRMATION_URL,
+      ValidationURL: MPESA_C2B_VALIDATION_URL
+    };
+
+    if (!USE_REAL_MPESA) {
+      return { ...payload, ResponseCode: '0', ResponseDescription: 'Mock C2B URLs registered' };
+    }
+
+    const { ok, status, data } = await MpesaService.darajaPost('/mpesa/c2b/v1/registerurl', payload);
+    if (!ok || (data.ResponseCode !== undefined && data.ResponseCode !== '0')) {
+      throw createError(data.errorMessage || data.ResponseDescription || `C2B URL registration failed (HTTP ${status})`, 502);
+    }
+    return { ...payload, ...data };
+  }
+}
+
+module.exports = new MpesaC2bService();
@@ -1,88 +1,580 @@
 // backend/services/mpesaService.js
 const { v4: uuidv4 } = require("uuid");
-const { USE_REAL_MPESA, MPESA_CONSUMER_KEY, MPESA_CONSUMER_SECRET, MPESA_SHORTCODE, MPESA_PASSKEY, MPESA_CALLBACK_URL } = require("../config/db");
-const fetch = require("node-fetch"); // if using real implementation uncomment fetch usage
-const db = require("../config/db");
-const PaymentModel = require("../models/paymentModel");
-
-// MOCK mode active by default
-const mockSendStkPush = async ({ amount, phone, parent_type, parent_id, branch_id, created_by }) => {
-  // create a pending payment entry in DB with a fake checkout id
-  const payment = {
-    id: uuidv4(),
-    parent_type,
-    parent_id,
+const fetch = require("node-fetch");
+const {
+  USE_REAL_MPESA,
+  MPESA_ENVIRONMENT,
+  MPESA_BASE_URL,
+  MPESA_CONSUMER_KEY,
+  MPESA_CONSUMER_SECRET,
+  MPESA_SHORTCODE,
+  MPESA_PASSKEY,
+  MPESA_TRANSACTION_TYPE,
+  MPESA_PARTY_B,
+  MPESA_CALLBACK_URL,
+  MPESA_STK_QUERY_AFTER_SECONDS,
+  MPESA_STK_TIMEOUT_SECONDS,
+  MPESA_EXPIRY_JOB_INTERVAL_SECONDS,
+  MPESA_C2B_SHORTCODE,
+  MPESA_INITIATOR_NAME,
+  MPESA_SECURITY_CREDENTIAL,
+  MPESA_B2C_SHORTCODE,
+  MPESA_RESULT_URL,
+  MPESA_QUEUE_TIMEOUT_URL,
+  MPESA_CALLBACK_TOKEN
+} = require("../config/env");
+const { db } = require("../config/db");
+const Payment = require("../models/Payment");
+const MpesaPaymentCallback = require("../models/MpesaPaymentCallback");
+const RealtimeService = require("./realtimeService");
+
+const DARAJA_URLS = {
+  sandbox: "https://sandbox.safaricom.co.ke",
+  production: "https://api.safaricom.co.ke"
+};
+
+// STK ResultCodes that are not plain failures
+const STK_RESULT_STATUSES = {
+  0: "CONFIRMED",
+  1032: "CANCELLED", // request cancelled by user
+  1037: "TIMEOUT" // DS timeout, user cannot be reached
+};
+
+// Refresh the OAuth token this long before Daraja says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Cached Daraja OAuth token, shared by every request in this process
+let tokenCache = { token: null, expiresAt: 0, pending: null };
+
+const mpesaError = (message, status = 502, details = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+// Daraja does not sign STK, C2B or result requests, so the URLs given to Daraja
+// (MPESA_CALLBACK_URL included) must carry MPESA_CALLBACK_TOKEN as ?token=. The token
+// is only optional for the local mock; with real Daraja or in production every
+// callback is refused until it is configured.
+const isCallbackTokenRequired = () => USE_REAL_MPESA || process.env.NODE_ENV === "production";
+
+const isValidCallbackToken = (token) => {
+  if (!MPESA_CALLBACK_TOKEN) return !isCallbackTokenRequired();
+  return token === MPESA_CALLBACK_TOKEN;
+};
+
+const getBaseUrl = () => {
+  if (MPESA_BASE_URL) return MPESA_BASE_URL.replace(/\/+$/, "");
+  const url = DARAJA_URLS[MPESA_ENVIRONMENT];
+  if (!url) {
+    throw mpesaError(`Unknown MPESA_ENVIRONMENT "${MPESA_ENVIRONMENT}". Use sandbox or production`, 500);
+  }
+  return url;
+};
+
+// Daraja expects the timestamp in East Africa Time (UTC+3, no DST): yyyyMMddHHmmss
+const getTimestamp = (date = new Date()) => {
+  return new Date(date.getTime() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:TZ.]/g, "")
+    .slice(0, 14);
+};
+
+const getPassword = (timestamp) => {
+  return Buffer.from(`${MPESA_SHORTCODE}${MPESA_PASSKEY}${timestamp}`).toString("base64");
+};
+
+// Accepts 07XX/01XX, +2547XX/+2541XX and 2547XX/2541XX; returns 2547XXXXXXXX
+const normalisePhone = (phone) => {
+  const digits = String(phone || "").replace(/[^\d]/g, "");
+  let msisdn = digits;
+  if (/^0[17]\d{8}$/.test(digits)) msisdn = `254${digits.slice(1)}`;
+  else if (/^[17]\d{8}$/.test(digits)) msisdn = `254${digits}`;
+
+  if (!/^254[17]\d{8}$/.test(msisdn)) {
+    throw mpesaError(`Invalid M-Pesa phone number: ${phone}`, 400);
+  }
+  return msisdn;
+};
+
+const requestToken = async () => {
+  const auth = Buffer.from(`${MPESA_CONSUMER_KEY}:${MPESA_CONSUMER_SECRET}`).toString("base64");
+  const r = await fetch(`${getBaseUrl()}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${auth}` }
+  });
+
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok || !j.access_token) {
+    throw mpesaError("Failed to obtain Daraja access token", 502, j);
+  }
+
+  tokenCache.token = j.access_token;
+  tokenCache.expiresAt = Date.now() + parseInt(j.expires_in || 3599) * 1000;
+  return tokenCache.token;
+};
+
+// Cached OAuth token; concurrent callers share a single in-flight request
+async function getDarajaToken({ forceRefresh = false } = {}) {
+  if (!forceRefresh && tokenCache.token && Date.now() < tokenCache.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+    return tokenCache.token;
+  }
+
+  if (!tokenCache.pending) {
+    tokenCache.pending = requestToken().finally(() => {
+      tokenCache.pending = null;
+    });
+  }
+  return tokenCache.pending;
+}
+
+// POST to Daraja with the bearer token, retrying once if the token was rejected
+async function darajaPost(path, payload) {
+  let token = await getDarajaToken();
+  let resp = await fetch(`${getBaseUrl()}${path}`, {
+    method: "POST",
+    body: JSON.stringify(payload),
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" }
+  });
+
+  if (resp.status === 401) {
+    token = await getDarajaToken({ forceRefresh: true });
+    resp = await fetch(`${getBaseUrl()}${path}`, {
+      method: "POST",
+      body: JSON.stringify(payload),
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" }
+    });
+  }
+
+  const data = await resp.json().catch(() => ({}));
+  return { ok: resp.ok, status: resp.status, data };
+}
+
+// Records the pending MPESA tender the callback will later confirm or fail
+// A re-push replaces the unconfirmed payment it was sent for in the same transaction
+const createPendingPayment = async ({ amount, phone, source, source_id, created_by, replaces_payment_id = null }) => {
+  const paymentData = {
+    source,
+    source_id,
+    transaction_type: "credit",
+    payment_mode: "MPESA",
     amount,
-    method: "MPESA",
-    reference: null,
+    ref: null,
+    description: replaces_payment_id ? `STK push to ${phone} replacing ${replaces_payment_id}` : `STK push to ${phone}`,
+    status: "PENDING",
     created_by,
-    branch_id
+    payer_phone: phone
   };
-  const record = await PaymentModel.create(payment);
-  // create a fake checkoutRequestID that will be used to simulate callback
-  const checkoutRequestID = "MOCK-" + uuidv4();
-  // store a mapping in payments.updated_at or reference? We'll update reference after callback simulation
-  // For now return checkoutRequestID and payment id
-  return { checkoutRequestID, paymentId: record.id };
+  if (!replaces_payment_id) {
+    return await Payment.create(paymentData);
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const payment = await Payment.create(paymentData, connection);
+    if (!await Payment.markReplaced(replaces_payment_id, payment.id, connection)) {
+      throw mpesaError(`Payment ${replaces_payment_id} was confirmed or replaced meanwhile`, 409);
+    }
+    await connection.commit();
+    return payment;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
 };
 
-// Real Daraja logic (commented — replace mock with this when ready)
-/*
-async function getDarajaToken() {
-  const auth = Buffer.from(`${MPESA_CONSUMER_KEY}:${MPESA_CONSUMER_SECRET}`).toString("base64");
-  const url = "https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials";
-  const r = await fetch(url, { headers: { Authorization: `Basic ${auth}` }});
-  const j = await r.json();
-  return j.access_token;
-}
+// MOCK mode active by default; no callback ever arrives, so use the Daraja simulator
+// (simulators/darajaSimulator.js) to exercise the full flow offline
+const mockSendStkPush = async () => {
+  // fake identifiers that will be used to simulate the callback
+  return {
+    MerchantRequestID: "MOCK-" + uuidv4(),
+    CheckoutRequestID: "MOCK-" + uuidv4(),
+    ResponseCode: "0",
+    CustomerMessage: "Success. Request accepted for processing"
+  };
+};
 
-async function realSendStkPush({ amount, phone, parent_type, parent_id, branch_id, created_by }) {
-  const token = await getDarajaToken();
-  const timestamp = new Date().toISOString().replace(/[-:TZ.]/g, '').slice(0,14);
-  const pass = Buffer.from(`${MPESA_SHORTCODE}${MPESA_PASSKEY}${timestamp}`).toString('base64');
+async function realSendStkPush({ amount, phone, source, source_id, account_reference }) {
+  const timestamp = getTimestamp();
   const payload = {
     BusinessShortCode: MPESA_SHORTCODE,
-    Password: pass,
+    Password: getPassword(timestamp),
     Timestamp: timestamp,
-    TransactionType: "CustomerPayBillOnline",
+    TransactionType: MPESA_TRANSACTION_TYPE,
     Amount: amount,
     PartyA: phone,
-    PartyB: MPESA_SHORTCODE,
+    PartyB: MPESA_PARTY_B || MPESA_SHORTCODE,
     PhoneNumber: phone,
     CallBackURL: MPESA_CALLBACK_URL,
-    AccountReference: parent_id,
-    TransactionDesc: `Payment for ${parent_type}:${parent_id}`
+    // Daraja limits: AccountReference 12 chars, TransactionDesc 13 chars
+    AccountReference: String(account_reference || source_id).slice(0, 12),
+    TransactionDesc: source === "CARPETS" ? "Carpet clean" : "Car wash"
   };
-  const resp = await fetch("https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest", {
-    method: "POST",
-    body: JSON.stringify(payload),
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json"
-    }
+
+  const { ok, data } = await darajaPost("/mpesa/stkpush/v1/processrequest", payload);
+  if (!ok || data.ResponseCode !== "0") {
+    throw mpesaError(data.errorMessage || data.ResponseDescription || "STK push rejected by Daraja", 502, data);
+  }
+  return data;
+}
+
+// Daraja TransactionDate (yyyyMMddHHmmss, EAT) -> MySQL DATETIME
+const parseTransactionDate = (value) => {
+  const s = String(value || "");
+  if (!/^\d{14}$/.test(s)) return null;
+  return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)} ${s.slice(8, 10)}:${s.slice(10, 12)}:${s.slice(12, 14)}`;
+};
+
+// Flattens Body.stkCallback and its CallbackMetadata.Item [{ Name, Value }] list
+const parseStkCallback = (payload) => {
+  const callback = payload && payload.Body && payload.Body.stkCallback;
+  if (!callback || !callback.CheckoutRequestID) {
+    throw mpesaError("Invalid STK callback payload", 400);
+  }
+
+  const items = (callback.CallbackMetadata && callback.CallbackMetadata.Item) || [];
+  const meta = items.reduce((acc, item) => {
+    acc[item.Name] = item.Value;
+    return acc;
+  }, {});
+
+  const resultCode = parseInt(callback.ResultCode);
+  return {
+    merchantRequestID: callback.MerchantRequestID,
+    checkoutRequestID: callback.CheckoutRequestID,
+    resultCode,
+    resultDesc: callback.ResultDesc,
+    status: STK_RESULT_STATUSES[resultCode] || "FAILED",
+    amount: meta.Amount !== undefined ? parseFloat(meta.Amount) : null,
+    receiptNumber: meta.MpesaReceiptNumber || null,
+    transactionDate: parseTransactionDate(meta.TransactionDate),
+    phone: meta.PhoneNumber !== undefined ? String(meta.PhoneNumber) : null
+  };
+};
+
+/**
+ * Store a raw STK callback and apply it to the pending payment with the same
+ * CheckoutRequestID. Safe to call repeatedly for the same delivery.
+ */
+async function handleStkCallback(payload) {
+  let parsed;
+  try {
+    parsed = parseStkCallback(payload);
+  } catch (error) {
+    // keep malformed deliveries too, for audit
+    await MpesaPaymentCallback.create({ source: "STK", status: "INVALID", raw_payload: payload });
+    throw error;
+  }
+  const payment = await Payment.findByCheckoutRequestId(parsed.checkoutRequestID);
+
+  const callback = await MpesaPaymentCallback.create({
+    datetime: parsed.transactionDate,
+    source: "STK",
+    phone: parsed.phone,
+    account_no: payment ? payment.source_id : null,
+    amount: parsed.amount,
+    ref: parsed.receiptNumber,
+    status: "RECEIVED",
+    checkout_request_id: parsed.checkoutRequestID,
+    merchant_request_id: parsed.merchantRequestID,
+    result_code: parsed.resultCode,
+    result_desc: parsed.resultDesc,
+    payment_id: payment ? payment.id : null,
+    raw_payload: payload
   });
-  const data = await resp.json();
-  // store initial payment row with status pending, use data.CheckoutRequestID as reference
-  // ...
+
+  if (!payment) {
+    await MpesaPaymentCallback.updateStatus(callback.id, "UNMATCHED");
+    return { callbackId: callback.id, status: "UNMATCHED", ...parsed };
+  }
+
+  // Money that does not match the push never confirms it: a still-pending push fails
+  // and the receipt is FLAGGED for a supervisor to apply at the amount actually paid
+  const cents = (value) => Math.round(parseFloat(value) * 100);
+  if (parsed.status === "CONFIRMED" && parsed.amount !== null && cents(parsed.amount) !== cents(payment.amount)) {
+    await Payment.resolvePending(payment.id, "FAILED");
+    console.warn(`STK callback ${parsed.checkoutRequestID}: paid ${parsed.amount}, pushed ${payment.amount}`);
+    await MpesaPaymentCallback.updateStatus(callback.id, "FLAGGED", payment.id);
+    return { callbackId: callback.id, paymentId: payment.id, ...parsed, status: "FLAGGED" };
+  }
+
+  let applied = await Payment.resolvePending(payment.id, parsed.status, parsed.receiptNumber);
+  if (!applied && parsed.status === "CONFIRMED" && parsed.receiptNumber) {
+    // confirmed earlier by an STK query, which carries no receipt number
+    applied = await Payment.attachReceipt(payment.id, parsed.receiptNumber);
+  }
+
+  // LATE: money arrived for a push we had already given up on (cancelled, re-pushed or switched to cash)
+  let status = "DUPLICATE";
+  if (applied) status = "APPLIED";
+  else if (parsed.status === "CONFIRMED" && payment.status !== "CONFIRMED") status = "LATE";
+
+  await MpesaPaymentCallback.updateStatus(callback.id, status, payment.id);
+  if (applied && parsed.status === "CONFIRMED") {
+    RealtimeService.paymentConfirmed(payment.id);
+  }
+
+  return {
+    callbackId: callback.id,
+    paymentId: payment.id,
+    status,
+    ...parsed
+  };
+}
+
+// STK Query; pending: true while Daraja is still processing or unreachable
+async function queryStkStatus(checkoutRequestID) {
+  if (!USE_REAL_MPESA) {
+    // mock pushes are only resolved by a (simulated) callback
+    return { pending: true, resultDesc: "Mock STK push awaiting callback" };
+  }
+
+  const timestamp = getTimestamp();
+  const { ok, status, data } = await darajaPost("/mpesa/stkpushquery/v1/query", {
+    BusinessShortCode: MPESA_SHORTCODE,
+    Password: getPassword(timestamp),
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestID
+  });
+
+  if (ok && data.ResponseCode === "0" && data.ResultCode !== undefined) {
+    const resultCode = parseInt(data.ResultCode);
+    return {
+      pending: false,
+      resultCode,
+      resultDesc: data.ResultDesc,
+      status: STK_RESULT_STATUSES[resultCode] || "FAILED"
+    };
+  }
+
+  // e.g. errorCode 500.001.1001 "The transaction is being processed"
+  return { pending: true, resultDesc: data.errorMessage || data.ResultDesc || `HTTP ${status}` };
+}
+
+/**
+ * Query Daraja for a PENDING STK payment and resolve it; a push still
+ * unanswered after MPESA_STK_TIMEOUT_SECONDS is marked TIMEOUT.
+ */
+async function refreshStkPayment(payment) {
+  const result = await queryStkStatus(payment.checkout_request_id)
+    .catch(error => ({ pending: true, resultDesc: error.message }));
+
+  let status = null;
+  if (!result.pending) status = result.status;
+  else if (parseInt(payment.age_seconds) >= MPESA_STK_TIMEOUT_SECONDS) status = "TIMEOUT";
+
+  const resolved = status ? await Payment.resolvePending(payment.id, status) : false;
+  if (resolved && status === "CONFIRMED") {
+    RealtimeService.paymentConfirmed(payment.id);
+  }
+
+  return {
+    paymentId: payment.id,
+    checkoutRequestID: payment.checkout_request_id,
+    status: resolved ? status : "PENDING",
+    resolved,
+    resultDesc: result.resultDesc
+  };
+}
+
+// Checks every STK payment pending longer than olderThanSeconds
+async function expireStalePayments({ olderThanSeconds = MPESA_STK_QUERY_AFTER_SECONDS } = {}) {
+  const payments = await Payment.findStalePending(olderThanSeconds);
+  const results = [];
+  for (const payment of payments) {
+    results.push(await refreshStkPayment(payment));
+  }
+  return {
+    checked: payments.length,
+    resolved: results.filter(result => result.resolved).length,
+    results
+  };
+}
+
+// Async Daraja requests (reversal, B2C) answer later at MPESA_RESULT_URL, or at
+// MPESA_QUEUE_TIMEOUT_URL when they time out in Daraja's queue
+const mockAsyncRequest = () => ({
+  OriginatorConversationID: "MOCK-" + uuidv4(),
+  ConversationID: "MOCK-" + uuidv4(),
+  ResponseCode: "0",
+  ResponseDescription: "Mock request accepted",
+  mock: true
+});
+
+// Mock reversals and B2C payouts are settled at once without moving any money,
+// so production refuses them
+const assertPayoutsEnabled = () => {
+  if (!USE_REAL_MPESA && process.env.NODE_ENV === "production") {
+    throw mpesaError("M-Pesa refunds need USE_REAL_MPESA=true in production; refund by cash instead", 500);
+  }
+};
+
+// A timeout posted to the result URL would be read as a result, so the two must differ
+const requireResultUrls = () => {
+  if (!MPESA_RESULT_URL || !MPESA_QUEUE_TIMEOUT_URL || !MPESA_INITIATOR_NAME || !MPESA_SECURITY_CREDENTIAL) {
+    throw mpesaError(
+      "MPESA_RESULT_URL, MPESA_QUEUE_TIMEOUT_URL, MPESA_INITIATOR_NAME and MPESA_SECURITY_CREDENTIAL are required",
+      500
+    );
+  }
+  if (MPESA_QUEUE_TIMEOUT_URL === MPESA_RESULT_URL) {
+    throw mpesaError("MPESA_QUEUE_TIMEOUT_URL must differ from MPESA_RESULT_URL", 500);
+  }
+};
+
+const postAsyncRequest = async (path, payload, failure) => {
+  const { ok, data } = await darajaPost(path, payload);
+  if (!ok || data.ResponseCode !== "0") {
+    throw mpesaError(data.errorMessage || data.ResponseDescription || failure, 502, data);
+  }
   return data;
+};
+
+// Reverse a received M-Pesa transaction back to the customer
+async function requestReversal({ transactionId, amount, remarks = "Refund" }) {
+  assertPayoutsEnabled();
+  if (!USE_REAL_MPESA) return mockAsyncRequest();
+  requireResultUrls();
+
+  return await postAsyncRequest("/mpesa/reversal/v1/request", {
+    Initiator: MPESA_INITIATOR_NAME,
+    SecurityCredential: MPESA_SECURITY_CREDENTIAL,
+    CommandID: "TransactionReversal",
+    TransactionID: transactionId,
+    Amount: amount,
+    ReceiverParty: MPESA_C2B_SHORTCODE || MPESA_SHORTCODE,
+    RecieverIdentifierType: "11",
+    ResultURL: MPESA_RESULT_URL,
+    QueueTimeOutURL: MPESA_QUEUE_TIMEOUT_URL,
+    Remarks: String(remarks).slice(0, 100),
+    Occasion: ""
+  }, "Reversal rejected by Daraja");
+}
+
+// Pay money out to a customer's phone (B2C)
+async function requestB2cPayment({ phone, amount, remarks = "Refund" }) {
+  const msisdn = normalisePhone(phone);
+  assertPayoutsEnabled();
+  if (!USE_REAL_MPESA) return mockAsyncRequest();
+  requireResultUrls();
+
+  return await postAsyncRequest("/mpesa/b2c/v1/paymentrequest", {
+    InitiatorName: MPESA_INITIATOR_NAME,
+    SecurityCredential: MPESA_SECURITY_CREDENTIAL,
+    CommandID: "BusinessPayment",
+    Amount: amount,
+    PartyA: MPESA_B2C_SHORTCODE,
+    PartyB: msisdn,
+    Remarks: String(remarks).slice(0, 100),
+    QueueTimeOutURL: MPESA_QUEUE_TIMEOUT_URL,
+    ResultURL: MPESA_RESULT_URL,
+    Occasion: ""
+  }, "B2C payment rejected by Daraja");
+}
+
+// Flattens a reversal/B2C Result and its ResultParameters.ResultParameter [{ Key, Value }] list
+const parseResultCallback = (payload) => {
+  const result = payload && payload.Result;
+  if (!result || (!result.ConversationID && !result.OriginatorConversationID)) {
+    throw mpesaError("Invalid Daraja result payload", 400);
+  }
+
+  let items = (result.ResultParameters && result.ResultParameters.ResultParameter) || [];
+  if (!Array.isArray(items)) items = [items];
+  const params = items.reduce((acc, item) => {
+    acc[item.Key] = item.Value;
+    return acc;
+  }, {});
+
+  return {
+    resultType: result.ResultType,
+    resultCode: String(result.ResultCode),
+    resultDesc: result.ResultDesc,
+    conversationID: result.ConversationID || null,
+    originatorConversationID: result.OriginatorConversationID || null,
+    transactionID: result.TransactionID || null,
+    params
+  };
+};
+
+let expiryTimer = null;
+
+// Runs expireStalePayments every MPESA_EXPIRY_JOB_INTERVAL_SECONDS (0 disables it)
+function startExpiryJob(intervalSeconds = MPESA_EXPIRY_JOB_INTERVAL_SECONDS) {
+  if (expiryTimer || !intervalSeconds) return;
+
+  expiryTimer = setInterval(async () => {
+    try {
+      const summary = await expireStalePayments();
+      if (summary.resolved > 0) {
+        console.log(`M-Pesa expiry job: resolved ${summary.resolved} of ${summary.checked} pending STK payments`);
+      }
+    } catch (error) {
+      console.error("M-Pesa expiry job failed:", error.message);
+    }
+  }, intervalSeconds * 1000);
+  expiryTimer.unref();
+}
+
+function stopExpiryJob() {
+  clearInterval(expiryTimer);
+  expiryTimer = null;
 }
-*/
 
 module.exports = {
+  /**
+   * Send an STK push and persist its CheckoutRequestID/MerchantRequestID
+   * against a new PENDING payment. The payment is marked FAILED if Daraja
+   * rejects the request. opts.replaces_payment_id marks an earlier push REPLACED.
+   */
   sendStkPush: async (opts) => {
-    if (USE_REAL_MPESA) {
-      // uncomment and implement realSendStkPush when ready
-      // return await realSendStkPush(opts);
+    const phone = normalisePhone(opts.phone);
+    const amount = parseFloat(opts.amount);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw mpesaError("M-Pesa amounts must be whole shillings", 400);
+    }
+
+    const payment = await createPendingPayment({ ...opts, amount, phone });
+
+    try {
+      const response = USE_REAL_MPESA
+        ? await realSendStkPush({ ...opts, amount, phone })
+        : await mockSendStkPush({ ...opts, amount, phone });
+
+      await Payment.setMpesaRequestIds(payment.id, response.CheckoutRequestID, response.MerchantRequestID);
+
+      return {
+        paymentId: payment.id,
+        checkoutRequestID: response.CheckoutRequestID,
+        merchantRequestID: response.MerchantRequestID,
+        customerMessage: response.CustomerMessage
+      };
+    } catch (error) {
+      await Payment.updateStatus(payment.id, "FAILED");
+      throw error;
     }
-    return await mockSendStkPush(opts);
   },
 
-  // helper to simulate a callback (for testing local dev)
-  simulateMpesaCallback: async ({ checkoutRequestID, paymentId, resultCode = 0, mpesaReceipt = "MOCKRECEIPT123", amount }) => {
-    // Update payment reference and store a note in payments.reference
-    const q = `UPDATE payments SET reference=$1, updated_at=extract(epoch from now())::bigint WHERE id=$2 RETURNING *`;
-    const res = await db.query(q, [mpesaReceipt, paymentId]);
-    // You could also update parent record (e.g., car_registry.mpesa_ref) here
-    return res.rows[0];
-  }
+  handleStkCallback,
+  parseStkCallback,
+  queryStkStatus,
+  refreshStkPayment,
+  expireStalePayments,
+  startExpiryJob,
+  stopExpiryJob,
+  getDarajaToken,
+  darajaPost,
+  getTimestamp,
+  getPassword,
+  normalisePhone,
+  parseTransactionDate,
+  assertPayoutsEnabled,
+  requestReversal,
+  requestB2cPayment,
+  parseResultCallback,
+  isValidCallbackToken
 };
@@ -0,0 +1,331 @@
+const Payment = require('../models/Payment');
+const MpesaPaymentCallback = require('../models/MpesaPaymentCallback');
+const MpesaStatement = require('../models/MpesaStatement');
+const PaymentService = require('./paymentService');
+const { createError } = require('../utils/errors');
+
+// Org portal column headers (lower case) -> statement line fields
+const STATEMENT_COLUMNS = {
+  'receipt no': 'receipt_no',
+  'receipt no.': 'receipt_no',
+  'receipt number': 'receipt_no',
+  'transaction id': 'receipt_no',
+  'completion time': 'completed_at',
+  'transaction time': 'completed_at',
+  'details': 'details',
+  'transaction status': 'status',
+  'paid in': 'paid_in',
+  'withdrawn': 'withdrawn',
+  'other party info': 'other_party',
+  'other party': 'other_party',
+  'a/c no.': 'account_no',
+  'account no': 'account_no',
+  'account no.': 'account_no'
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * M-Pesa statement service: imports the org portal statement CSV and
+ * checks it against received callbacks and recorded payments
+ */
+class MpesaStatementService {
+  /**
+   * Normalise a receipt number (e.g. " qk12abc3de " -> "QK12ABC3DE")
+   * @param {string} value - Receipt number
+   * @returns {string} Normalised receipt number
+   */
+  normaliseReceipt(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Parse a statement amount ("1,500.00", "-20.00", "(20.00)")
+   * @param {string} value - Amount as printed
+   * @returns {number} Amount, 0 when blank
+   */
+  parseAmount(value) {
+    const text = String(value || '').trim();
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const amount = parseFloat(text.replace(/[^\d.]/g, ''));
+    if (isNaN(amount)) return 0;
+    return PaymentService.round(negative ? -amount : amount);
+  }
+
+  /**
+   * Parse a statement timestamp into a MySQL DATETIME
+   * Accepts 2024-01-15 14:23:11, 15-01-2024 14:23:11, 15/01/2024 14:23 and 2024/01/15 14:23
+   * @param {string} value - Timestamp as printed
+   * @returns {string|null} YYYY-MM-DD HH:mm:ss
+   */
+  parseTimestamp(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    let year, month, day;
+
+    if (match) {
+      [, year, month, day] = match;
+    } else {
+      match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+      if (!match) return null;
+      [, day, month, year] = match;
+    }
+
+    const [hour, minute, second = '00'] = match.slice(4);
+    const pad = (part) => String(part).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+  }
+
+  /**
+   * Parse an org portal statement CSV. Preamble rows before the header are skipped;
+   * only completed paid-in lines are kept.
+   * @param {string} text - CSV text
+   * @returns {Object} { lines, skipped }
+   */
+  parseStatement(text) {
+    const rows = parseCsv(text);
+    const headerIndex = rows.findIndex(row =>
+      row.some(cell => STATEMENT_COLUMNS[cell.trim().toLowerCase()] === 'receipt_no')
+    );
+
+    if (headerIndex === -1) {
+      throw createError('Statement has no "Receipt No." header row');
+    }
+
+    const columns = rows[headerIndex].map(cell => STATEMENT_COLUMNS[cell.trim().toLowerCase()] || null);
+    if (!columns.includes('paid_in') || !columns.includes('completed_at')) {
+      throw createError('Statement must have "Completion Time" and "Paid In" columns');
+    }
+
+    const lines = [];
+    let skipped = 0;
+
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+      const cells = {};
+      columns.forEach((column, j) => {
+        if (column) cells[column] = (row[j] || '').trim();
+      });
+
+      const receiptNo = this.normaliseReceipt(cells.receipt_no);
+      if (!receiptNo) return;
+
+      const amount = this.parseAmount(cells.paid_in);
+      const completed = !cells.status || cells.status.toLowerCase() === 'completed';
+      if (amount <= 0 || !completed) {
+        skipped++;
+        return;
+      }
+
+      lines.push({
+        line_number: headerIndex + i + 2,
+        receipt_no: receiptNo,
+        completed_at: this.parseTimestamp(cells.completed_at),
+        amount,
+        details: cells.details || null,
+        other_party: cells.other_party || null,
+        account_no: cells.account_no || null
+      });
+    });
+
+    return { lines, skipped };
+  }
+
+  /**
+   * Import a statement CSV and reconcile it
+   * @param {Object} importData - { text, filename, imported_by }
+   * @returns {Promise<Object>} Reconciliation report for the import
+   */
+  async importStatement(importData) {
+    const { text, filename = null, imported_by = null } = importData;
+    const { lines, skipped } = this.parseStatement(text);
+
+    if (lines.length === 0) {
+      throw createError('Statement has no completed paid-in lines');
+    }
+
+    const times = lines.map(line => line.completed_at).filter(Boolean).sort();
+    const statementImport = await MpesaStatement.create({
+      filename,
+      period_start: times[0] || null,
+      period_end: times[times.length - 1] || null,
+      skipped_count: skipped,
+      imported_by
+    }, lines);
+
+    const report = await this.reconcileImport(statementImport.id);
+    await MpesaStatement.saveSummary(statementImport.id, report.summary);
+    return report;
+  }
+
+  /**
+   * Compare an imported statement with callbacks and payments
+   * @param {number} importId - Import ID
+   * @returns {Promise<Object>} Missing callbacks, amount mismatches, duplicates and unverified payments
+   */
+  async reconcileImport(importId) {
+    const statementImport = await MpesaStatement.findById(importId);
+    if (!statementImport) {
+      throw createError('Statement import not found', 404);
+    }
+
+    const lines = await MpesaStatement.findLines(importId);
+    const refs = [...new Set(lines.map(line => line.receipt_no))];
+
+    const [callbacks, payments] = await Promise.all([
+      MpesaPaymentCallback.findByRefs(refs),
+      Payment.findByRefs(refs)
+    ]);
+
+    const groupByRef = (rows) => rows.reduce((acc, row) => {
+      const ref = this.normaliseReceipt(row.ref || row.receipt_no);
+      (acc[ref] = acc[ref] || []).push(row);
+      return acc;
+    }, {});
+
+    const linesByRef = groupByRef(lines);
+    const callbacksByRef = groupByRef(callbacks.filter(callback => callback.status !== 'INVALID'));
+    const paymentsByRef = groupByRef(payments.filter(payment =>
+      payment.status === 'CONFIRMED' && payment.transaction_type === 'credit'
+    ));
+
+    const missingCallbacks = [];
+    const amountMismatches = [];
+    const duplicates = [];
+    const notApplied = [];
+    let matched = 0;
+
+    for (const ref of refs) {
+      const [line, ...repeats] = linesByRef[ref];
+      const lineAmount = PaymentService.round(line.amount);
+      const refCallbacks = callbacksByRef[ref] || [];
+      const refPayments = paymentsByRef[ref] || [];
+
+      if (repeats.length > 0) {
+        duplicates.push({ receipt_no: ref, kind: 'STATEMENT', count: repeats.length + 1, lines: linesByRef[ref].map(row => row.line_number) });
+      }
+      if (refPayments.length > 1) {
+        duplicates.push({ receipt_no: ref, kind: 'PAYMENT', count: refPayments.length, payments: refPayments.map(payment => payment.id) });
+      }
+
+      if (refCallbacks.length === 0) {
+        missingCallbacks.push({
+          ...line,
+          payment_id: refPayments[0] ? refPayments[0].id : null,
+          note: refPayments.length > 0 ? 'recorded manually, no callback received' : 'no callback and no payment'
+        });
+      }
+
+      const callbackAmount = refCallbacks.length > 0 ? PaymentService.round(refCallbacks[0].amount) : null;
+      const paymentAmount = refPayments.length > 0
+        ? PaymentService.round(refPayments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0))
+        : null;
+
+      if ((callbackAmount !== null && callbackAmount !== lineAmount) ||
+          (paymentAmount !== null && paymentAmount !== lineAmount)) {
+        amountMismatches.push({
+          receipt_no: ref,
+          statement_amount: lineAmount,
+          callback_amount: callbackAmount,
+          payment_amount: paymentAmount,
+          payment_ids: refPayments.map(payment => payment.id)
+        });
+      }
+
+      if (refPayments.length === 0 && refCallbacks.length > 0) {
+        notApplied.push({ ...line, callback_id: refCallbacks[0].id, callback_status: refCallbacks[0].status });
+      }
+
+      if (refCallbacks.length > 0 && refPayments.length === 1 && paymentAmount === lineAmount) {
+        matched++;
+      }
+    }
+
+    // App payments in the statement's days whose receipt is not on the statement
+    let notInStatement = [];
+    if (statementImport.period_start_date && statementImport.period_end_date) {
+      const recorded = await Payment.findConfirmedMpesaBetween(
+        `${statementImport.period_start_date} 00:00:00`,
+        `${statementImport.period_end_date} 23:59:59`
+      );
+      notInStatement = recorded
+        .filter(payment => !payment.ref || !linesByRef[this.normaliseReceipt(payment.ref)])
+        .map(payment => ({
+          payment_id: payment.id,
+          source: payment.source,
+          source_id: payment.source_id,
+          amount: parseFloat(payment.amount),
+          ref: payment.ref,
+          created_at: payment.created_at
+        }));
+    }
+
+    const statementTotal = PaymentService.round(lines.reduce((sum, line) => sum + parseFloat(line.amount), 0));
+    const unverifiedAmount = PaymentService.round(notInStatement.reduce((sum, payment) => sum + payment.amount, 0));
+
+    return {
+      import: statementImport,
+      summary: {
+        statement_lines: lines.length,
+        statement_amount: statementTotal,
+        matched,
+        missing_callbacks: missingCallbacks.length,
+        amount_mismatches: amountMismatches.length,
+        duplicates: duplicates.length,
+        not_applied: notApplied.length,
+        not_in_statement: notInStatement.length,
+        unverified_amount: unverifiedAmount
+      },
+      missing_callbacks: missingCallbacks,
+      amount_mismatches: amountMismatches,
+      duplicates,
+      not_applied: notApplied,
+      not_in_statement: notInStatement
+    };
+  }
+}
+
+module.exports = new MpesaStatementService();
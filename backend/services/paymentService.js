@@ -0,0 +1,463 @@
+const { db } = require('../config/db');
+const Payment = require('../models/Payment');
+const TillSession = require('../models/TillSession');
+const MpesaService = require('./mpesaService');
+const RealtimeService = require('./realtimeService');
+const { createError } = require('../utils/errors');
+
+// Tables that payments can be recorded against, keyed by payments.source
+const SOURCE_TABLES = {
+  CARWASH: 'car_registry',
+  CARPETS: 'carpet_registry',
+  INVOICE: 'corporate_invoices'
+};
+
+// What a source record is called in messages
+const SOURCE_LABELS = {
+  CARWASH: 'Car service',
+  CARPETS: 'Carpet job',
+  INVOICE: 'Invoice'
+};
+
+// BANK is a transfer, used to settle corporate invoices
+const TENDER_MODES = ['CASH', 'MPESA', 'CARD', 'BANK'];
+
+// M-Pesa outcomes after which the attendant may re-push or take cash instead
+const RETRYABLE_STATUSES = ['FAILED', 'CANCELLED', 'TIMEOUT'];
+
+/**
+ * Payment service for recording tenders and computing balances
+ */
+class PaymentService {
+  /**
+   * Round a money value to two decimals
+   * @param {number} value - Amount
+   * @returns {number} Rounded amount
+   */
+  round(value) {
+    return Math.round(parseFloat(value || 0) * 100) / 100;
+  }
+
+  /**
+   * Validate payment source type
+   * @param {string} source - CARWASH, CARPETS or INVOICE
+   * @returns {string} Source table name
+   */
+  getSourceTable(source) {
+    const table = SOURCE_TABLES[source];
+    if (!table) {
+      throw createError(`Invalid payment source. Use: ${Object.keys(SOURCE_TABLES).join(', ')}`);
+    }
+    return table;
+  }
+
+  /**
+   * A tender as sent by a client. Only the fields a cashier may enter are kept:
+   * status and card provider fields are set by the card and M-Pesa services alone.
+   * @param {Object} tender - Tender from a request body
+   * @returns {Object} { payment_mode, amount, ref, description, payer_phone }
+   */
+  fromRequest(tender) {
+    const { payment_mode, amount, ref = null, description = null, payer_phone = null } = tender || {};
+    return { payment_mode: String(payment_mode || '').toUpperCase(), amount, ref, description, payer_phone };
+  }
+
+  /**
+   * Compute what is owed on a record from its amounts and tenders
+   * @param {Object} connection - Database connection or pool
+   * @param {string} source - CARWASH, CARPETS or INVOICE
+   * @param {string} sourceId - Source record ID
+   * @param {boolean} forUpdate - Lock the source row (inside a transaction)
+   * @returns {Promise<Object>} Balance breakdown
+   */
+  async computeBalance(connection, source, sourceId, forUpdate = false) {
+    const table = this.getSourceTable(source);
+    const overrideColumn = source === 'CARWASH' ? ', price_override_status' : '';
+
+    const [records] = await connection.execute(
+      `SELECT id, amount, tip_amount, excess_amount${overrideColumn} FROM ${table} WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [sourceId]
+    );
+
+    if (records.length === 0) {
+      throw createError(`${SOURCE_LABELS[source]} ${sourceId} not found`, 404);
+    }
+
+    const [discounts] = await connection.execute(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM discount WHERE source = ? AND source_id = ?',
+      [source, sourceId]
+    );
+
+    const [tenders] = await connection.execute(
+      `SELECT transaction_type, status, COALESCE(SUM(amount), 0) as amount
+       FROM payments
+       WHERE source = ? AND source_id = ? AND status IN ('CONFIRMED', 'PENDING')
+       GROUP BY transaction_type, status`,
+      [source, sourceId]
+    );
+
+    return this.summariseBalance(source, sourceId, records[0], discounts[0].total, tenders);
+  }
+
+  /**
+   * Balance breakdown from already loaded rows (see computeBalance)
+   * @param {string} source - CARWASH, CARPETS or INVOICE
+   * @param {string} sourceId - Source record ID
+   * @param {Object} record - Source row { amount, tip_amount, excess_amount, price_override_status }
+   * @param {number|string} discountTotal - Sum of its discounts
+   * @param {Array} tenders - Its payments, or totals per { transaction_type, status, amount }
+   * @returns {Object} Balance breakdown
+   */
+  summariseBalance(source, sourceId, record, discountTotal, tenders) {
+    const sumOf = (type, status) => tenders
+      .filter(row => row.transaction_type === type && row.status === status)
+      .reduce((sum, row) => sum + parseFloat(row.amount), 0);
+
+    // Confirmed refunds (debits) give back what was paid
+    const refunded = sumOf('debit', 'CONFIRMED');
+    const paid = sumOf('credit', 'CONFIRMED') - refunded;
+    const pending = sumOf('credit', 'PENDING');
+
+    const serviceAmount = this.round(record.amount);
+    const discountAmount = this.round(discountTotal);
+    const tipAmount = this.round(record.tip_amount);
+    const excessAmount = this.round(record.excess_amount);
+    const totalDue = this.round(serviceAmount - discountAmount + tipAmount + excessAmount);
+
+    return {
+      source,
+      source_id: sourceId,
+      service_amount: serviceAmount,
+      discount_amount: discountAmount,
+      tip_amount: tipAmount,
+      excess_amount: excessAmount,
+      total_due: totalDue,
+      amount_paid: this.round(paid),
+      amount_pending: this.round(pending),
+      amount_refunded: this.round(refunded),
+      balance: Math.max(this.round(totalDue - paid - pending), 0),
+      price_override_pending: record.price_override_status === 'PENDING'
+    };
+  }
+
+  /**
+   * Refuse to settle a car wash whose manual price override is still waiting
+   * for approval; a rejection puts it back on the list price
+   * @param {Object} balance - Balance from computeBalance
+   * @returns {void}
+   */
+  assertPriceReviewed(balance) {
+    if (balance.price_override_pending) {
+      throw createError(
+        `The price of ${SOURCE_LABELS[balance.source]} ${balance.source_id} is waiting for a supervisor to approve it`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Get the balance for a car wash or carpet record
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @returns {Promise<Object>} Balance breakdown with tenders
+   */
+  async getBalance(source, sourceId) {
+    const balance = await this.computeBalance(db, source, sourceId);
+    const payments = await Payment.findBySource(source, sourceId);
+    return { ...balance, payments };
+  }
+
+  /**
+   * Ensure a new tender of the given amount would not overpay the record
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @param {number} amount - Tender amount
+   * @returns {Promise<Object>} Current balance
+   */
+  async assertWithinBalance(source, sourceId, amount) {
+    const balance = await this.computeBalance(db, source, sourceId);
+    this.assertPriceReviewed(balance);
+    if (this.round(amount) > balance.balance) {
+      throw createError(
+        `Amount ${this.round(amount)} exceeds balance ${balance.balance}. Record the extra as excess_amount or tip_amount`,
+        422
+      );
+    }
+    return balance;
+  }
+
+  /**
+   * Record one or more tenders against a car wash or carpet record, or a corporate invoice
+   * @param {Object} tenderData - Tender data
+   * @param {string} tenderData.source - CARWASH, CARPETS or INVOICE
+   * @param {string} tenderData.source_id - Source record ID
+   * @param {Array} tenderData.tenders - [{ payment_mode, amount, ref, status, description, payer_phone, approval_code, ... }]
+   * @param {number} tenderData.tip_amount - Extra recorded as a tip
+   * @param {number} tenderData.excess_amount - Extra recorded as excess
+   * @param {string} tenderData.replaces_payment_id - Unconfirmed M-Pesa payment the (single) tender replaces
+   * @param {string} tenderData.created_by - User recording the payment
+   * @returns {Promise<Object>} Created payments and the resulting balance
+   */
+  async recordTenders(tenderData) {
+    const {
+      source, source_id, tenders, tip_amount = 0, excess_amount = 0, replaces_payment_id = null, created_by = null
+    } = tenderData;
+    const table = this.getSourceTable(source);
+
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+      throw createError('At least one tender is required');
+    }
+
+    for (const tender of tenders) {
+      if (!TENDER_MODES.includes(tender.payment_mode)) {
+        throw createError(`Invalid payment mode. Use: ${TENDER_MODES.join(', ')}`);
+      }
+      if (isNaN(tender.amount) || parseFloat(tender.amount) <= 0) {
+        throw createError('Tender amount must be a positive number');
+      }
+    }
+
+    const tip = this.round(tip_amount);
+    const excess = this.round(excess_amount);
+    if (tip < 0 || excess < 0) {
+      throw createError('tip_amount and excess_amount cannot be negative');
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      if (tip > 0 || excess > 0) {
+        await connection.execute(
+          `UPDATE ${table} SET tip_amount = tip_amount + ?, excess_amount = excess_amount + ? WHERE id = ?`,
+          [tip, excess, source_id]
+        );
+      }
+
+      // A pending push being replaced still holds its share of the balance
+      let replaced = null;
+      if (replaces_payment_id) {
+        replaced = await Payment.lockById(replaces_payment_id, connection);
+        if (!replaced || !['PENDING', ...RETRYABLE_STATUSES].includes(replaced.status) || replaced.replaced_by) {
+          throw createError(`Payment ${replaces_payment_id} was confirmed or replaced meanwhile`, 409);
+        }
+      }
+
+      const before = await this.computeBalance(connection, source, source_id, true);
+      this.assertPriceReviewed(before);
+      const available = this.round(before.balance + (replaced && replaced.status === 'PENDING' ? parseFloat(replaced.amount) : 0));
+      const tendered = this.round(tenders.reduce((sum, tender) => sum + parseFloat(tender.amount), 0));
+
+      if (tendered > available) {
+        throw createError(
+          `Tendered ${tendered} exceeds balance ${available}. Record the extra as excess_amount or tip_amount`,
+          422
+        );
+      }
+
+      // Cash goes into the drawer of the cashier's open till session, so it is not taken without one
+      const takesCash = tenders.some(tender => tender.payment_mode === 'CASH');
+      const tillSession = takesCash && created_by ? await TillSession.findOpenByCashier(created_by, connection) : null;
+      if (takesCash && !tillSession) {
+        throw createError('Open a till before taking cash', 409);
+      }
+
+      const payments = [];
+      for (const tender of tenders) {
+        payments.push(await Payment.create({
+          source,
+          source_id,
+          transaction_type: 'credit',
+          payment_mode: tender.payment_mode,
+          amount: this.round(tender.amount),
+          ref: tender.ref || null,
+          description: tender.description || null,
+          status: tender.status || 'CONFIRMED',
+          created_by,
+          payer_phone: tender.payer_phone || null,
+          card_provider: tender.card_provider || null,
+          card_status: tender.card_status || null,
+          approval_code: tender.approval_code || null,
+          card_brand: tender.card_brand || null,
+          card_last4: tender.card_last4 || null,
+          till_session_id: tender.payment_mode === 'CASH' && tillSession ? tillSession.id : null
+        }, connection));
+      }
+
+      if (replaced) {
+        await Payment.markReplaced(replaced.id, payments[0].id, connection);
+      }
+
+      const after = await this.computeBalance(connection, source, source_id);
+      await connection.commit();
+
+      payments
+        .filter(payment => payment.status === 'CONFIRMED')
+        .forEach(payment => RealtimeService.paymentConfirmed(payment.id));
+
+      return { payments, ...after };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Apply an M-Pesa receipt that arrived outside an STK callback (C2B, reconciliation).
+   * A pending STK push of the same amount on the record is confirmed instead of adding
+   * a second payment; anything paid over the balance is kept as excess.
+   * @param {Object} receipt - { source, source_id, amount, ref, payer_phone, description, created_by }
+   * @returns {Promise<string>} Payment ID the receipt was applied to
+   */
+  async applyMpesaReceipt(receipt) {
+    const { source, source_id, ref, payer_phone = null, description = null, created_by = null } = receipt;
+    const amount = this.round(receipt.amount);
+
+    // Paybill STK payments can also arrive as C2B confirmations
+    const pending = await Payment.findPendingMpesa(source, source_id, amount);
+    if (pending && await Payment.resolvePending(pending.id, 'CONFIRMED', ref)) {
+      RealtimeService.paymentConfirmed(pending.id);
+      return pending.id;
+    }
+
+    const balance = await this.computeBalance(db, source, source_id);
+    const excess = Math.max(this.round(amount - balance.balance), 0);
+
+    const result = await this.recordTenders({
+      source,
+      source_id,
+      tenders: [{ payment_mode: 'MPESA', amount, ref, description, payer_phone }],
+      excess_amount: excess,
+      created_by
+    });
+
+    return result.payments[0].id;
+  }
+
+  /**
+   * Move a confirmed payment to another record, e.g. an M-Pesa receipt applied to the wrong car
+   * @param {string} paymentId - Payment ID
+   * @param {string} source - Target source (CARWASH or CARPETS)
+   * @param {string} sourceId - Target record ID
+   * @returns {Promise<Object>} Moved payment and the target's new balance
+   */
+  async reassignPayment(paymentId, source, sourceId) {
+    this.getSourceTable(source);
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw createError('Payment not found', 404);
+    }
+    if (payment.source === source && String(payment.source_id) === String(sourceId)) {
+      throw createError('Payment is already on that record');
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const target = await this.computeBalance(connection, source, sourceId, true);
+      this.assertPriceReviewed(target);
+      if (this.round(payment.amount) > target.balance) {
+        throw createError(
+          `Payment of ${this.round(payment.amount)} exceeds the target balance ${target.balance}`,
+          422
+        );
+      }
+
+      await Payment.reassignSource(payment.id, source, sourceId, connection);
+      const after = await this.computeBalance(connection, source, sourceId);
+      await connection.commit();
+
+      return { payment: await Payment.findById(payment.id), moved_from: { source: payment.source, source_id: payment.source_id }, ...after };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Load an M-Pesa payment that the attendant wants to retry or replace
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} Payment
+   */
+  async findMpesaPayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw createError('Payment not found', 404);
+    }
+    if (payment.payment_mode !== 'MPESA') {
+      throw createError('Only M-Pesa payments can be re-pushed or switched to cash');
+    }
+    if (payment.status === 'CONFIRMED') {
+      throw createError('Payment is already confirmed', 409);
+    }
+    if (payment.status === 'REPLACED') {
+      throw createError(`Payment was already replaced by ${payment.replaced_by}`, 409);
+    }
+    return payment;
+  }
+
+  /**
+   * Send a new STK push for a failed, cancelled or timed-out M-Pesa payment.
+   * The old payment is marked REPLACED, so a late callback for it is not applied.
+   * @param {string} paymentId - Original payment ID
+   * @param {string} phone - Phone to push to (defaults to the original payer)
+   * @param {string} createdBy - User re-sending the push
+   * @returns {Promise<Object>} New STK push details
+   */
+  async repushStk(paymentId, phone = null, createdBy = null) {
+    const payment = await this.findMpesaPayment(paymentId);
+    if (!RETRYABLE_STATUSES.includes(payment.status)) {
+      throw createError(`Cannot re-push a ${payment.status} payment; wait for it to time out or switch to cash`, 409);
+    }
+
+    const payerPhone = phone || payment.payer_phone;
+    if (!payerPhone) {
+      throw createError('Phone number is required to re-push');
+    }
+
+    await this.assertWithinBalance(payment.source, payment.source_id, payment.amount);
+
+    const result = await MpesaService.sendStkPush({
+      amount: this.round(payment.amount),
+      phone: payerPhone,
+      source: payment.source,
+      source_id: payment.source_id,
+      created_by: createdBy,
+      replaces_payment_id: payment.id
+    });
+
+    return { ...result, replacesPaymentId: payment.id };
+  }
+
+  /**
+   * Replace an unconfirmed M-Pesa payment with a CASH tender for the same amount.
+   * The old payment is marked REPLACED in the same transaction, so a late
+   * callback for a still-pending push cannot double count it.
+   * @param {string} paymentId - Original payment ID
+   * @param {string} createdBy - User taking the cash
+   * @returns {Promise<Object>} Created cash payment and the resulting balance
+   */
+  async switchToCash(paymentId, createdBy = null) {
+    const payment = await this.findMpesaPayment(paymentId);
+
+    return await this.recordTenders({
+      source: payment.source,
+      source_id: payment.source_id,
+      tenders: [{
+        payment_mode: 'CASH',
+        amount: payment.amount,
+        description: `Cash in place of M-Pesa payment ${payment.id}`
+      }],
+      replaces_payment_id: payment.id,
+      created_by: createdBy
+    });
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,88 @@
+// Plate formats recognised, in the order they are tried. `display` splits the
+// compact plate into the groups painted on the plate.
+const PLATE_FORMATS = [
+  // KAA 123A .. KDx 123A
+  { format: 'PRIVATE', country: 'KE', pattern: /^(K[A-D][A-Z])(\d{3}[A-Z])$/, display: '$1 $2' },
+  // KMxx 123A
+  { format: 'MOTORCYCLE', country: 'KE', pattern: /^(KM[A-Z]{2})(\d{3}[A-Z])$/, display: '$1 $2' },
+  // GK 123A, GKB 123A
+  { format: 'GOVERNMENT', country: 'KE', pattern: /^(GK[A-Z]?)(\d{3}[A-Z])$/, display: '$1 $2' },
+  // 45 CD 12K
+  { format: 'DIPLOMATIC', country: 'KE', pattern: /^(\d{1,3})(CD)(\d{1,4}[A-Z]?)$/, display: '$1 $2 $3' },
+  // ZD 1234
+  { format: 'TRAILER', country: 'KE', pattern: /^(Z[A-Z])(\d{4})$/, display: '$1 $2' },
+  // Neighbouring countries seen at branches near the borders
+  { format: 'FOREIGN', country: 'UG', pattern: /^(U[A-Z]{2})(\d{3}[A-Z])$/, display: '$1 $2' },
+  { format: 'FOREIGN', country: 'TZ', pattern: /^(T)(\d{3})([A-Z]{3})$/, display: '$1 $2 $3' },
+  { format: 'FOREIGN', country: 'RW', pattern: /^(R[A-Z]{2})(\d{3}[A-Z])$/, display: '$1 $2' }
+];
+
+/**
+ * Number plate parsing: turns "kdg 123a", "KDG123A" and "KDG-123 A" into one
+ * canonical plate (KDG123A) and says which format it is. Plates that match no
+ * known format are kept as typed (upper case, no separators) but flagged
+ * UNRECOGNISED so they can be checked.
+ */
+class PlateService {
+  /**
+   * Plate formats a plate can be recognised as
+   * @returns {Array<string>} Formats, plus UNRECOGNISED
+   */
+  getFormats() {
+    return [...new Set(PLATE_FORMATS.map(entry => entry.format)), 'UNRECOGNISED'];
+  }
+
+  /**
+   * Canonical form of a plate: upper case letters and digits only
+   * @param {string} plate - Plate as typed
+   * @returns {string} Canonical plate ('' if nothing is left)
+   */
+  normalize(plate) {
+    if (plate === undefined || plate === null) {
+      return '';
+    }
+    return String(plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Parse a plate into its canonical form and format
+   * @param {string} plate - Plate as typed
+   * @returns {Object} { plate, display, format, country, valid }
+   */
+  parse(plate) {
+    const canonical = this.normalize(plate);
+
+    const match = PLATE_FORMATS.find(entry => entry.pattern.test(canonical));
+    if (match) {
+      return {
+        plate: canonical,
+        display: canonical.replace(match.pattern, match.display),
+        format: match.format,
+        country: match.country,
+        valid: true
+      };
+    }
+
+    return {
+      plate: canonical,
+      display: canonical,
+      format: 'UNRECOGNISED',
+      country: null,
+      valid: false
+    };
+  }
+
+  /**
+   * Warning to show for a plate that matched no known format
+   * @param {Object} parsed - Result of parse()
+   * @returns {string|null} Warning, or null for a recognised plate
+   */
+  getWarning(parsed) {
+    if (parsed.valid) {
+      return null;
+    }
+    return `Plate ${parsed.plate} does not match a known Kenyan, diplomatic, trailer or foreign format; check it was typed correctly`;
+  }
+}
+
+module.exports = new PlateService();
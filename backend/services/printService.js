@@ -0,0 +1,503 @@
+const net = require('net');
+const Printer = require('../models/Printer');
+const PrintJob = require('../models/PrintJob');
+const Branch = require('../models/Branch');
+const EscPosBuilder = require('./escposBuilder');
+const ReceiptService = require('./receiptService');
+const ReportService = require('./reportService');
+const { createError } = require('../utils/errors');
+const {
+  RECEIPT_BUSINESS_NAME,
+  RECEIPT_FOOTER,
+  PRINT_QUEUE_INTERVAL_SECONDS,
+  PRINT_MAX_ATTEMPTS,
+  PRINT_SOCKET_TIMEOUT_MS
+} = require('../config/env');
+
+// Thermal printer paper widths in characters (58mm and 80mm rolls)
+const PAPER_WIDTHS = [32, 48];
+
+const JOB_KINDS = ['RECEIPT', 'JOB_TICKET', 'DAILY_SUMMARY', 'TEST'];
+
+// Delay before retry n is 5s, 10s, 20s... capped at 5 minutes
+const retryDelaySeconds = (attempts) => Math.min(5 * Math.pow(2, Math.max(attempts - 1, 0)), 300);
+
+let queueTimer = null;
+let processing = false;
+
+/**
+ * Print service: renders receipts, job tickets and end-of-day summaries as
+ * ESC/POS, queues them per branch printer and sends them over raw TCP
+ * (port 9100), retrying failed jobs with a growing delay
+ */
+class PrintService {
+  /**
+   * Check printer settings shared by create and update
+   * @param {Object} printerData - Printer fields
+   */
+  validatePrinter(printerData) {
+    const { port, paper_width } = printerData;
+
+    if (port !== undefined && (!Number.isInteger(Number(port)) || port < 1 || port > 65535)) {
+      throw createError('port must be between 1 and 65535');
+    }
+    if (paper_width !== undefined && !PAPER_WIDTHS.includes(Number(paper_width))) {
+      throw createError(`paper_width must be one of: ${PAPER_WIDTHS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Add a network printer to a branch
+   * @param {Object} printerData - { branch_id, name, host, port, paper_width, is_default }
+   * @returns {Promise<Object>} Created printer
+   */
+  async createPrinter(printerData) {
+    const { branch_id, name, host } = printerData;
+
+    if (!name || !host) {
+      throw createError('name and host are required');
+    }
+    if (!Branch.isValidId(branch_id) || !await Branch.findById(branch_id)) {
+      throw createError('Branch not found', 404);
+    }
+    this.validatePrinter(printerData);
+
+    try {
+      return await Printer.create({
+        ...printerData,
+        name: name.trim(),
+        host: host.trim(),
+        port: printerData.port !== undefined ? Number(printerData.port) : undefined,
+        paper_width: printerData.paper_width !== undefined ? Number(printerData.paper_width) : undefined
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`A printer named "${name}" already exists at this branch`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a printer's settings
+   * @param {number} printerId - Printer ID
+   * @param {Object} updateData - Any of { name, host, port, paper_width, is_default, is_active }
+   * @returns {Promise<Object>} Updated printer
+   */
+  async updatePrinter(printerId, updateData) {
+    this.validatePrinter(updateData);
+
+    try {
+      const printer = await Printer.update(printerId, updateData);
+      if (!printer) {
+        throw createError('Printer not found', 404);
+      }
+      return printer;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`A printer named "${updateData.name}" already exists at this branch`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The printer a job goes to: the one asked for, else the branch's default
+   * @param {number} printerId - Printer ID (optional)
+   * @param {string} branchId - Branch the document belongs to
+   * @returns {Promise<Object>} Active printer
+   */
+  async resolvePrinter(printerId, branchId) {
+    const printer = printerId
+      ? await Printer.findById(printerId)
+      : await Printer.findDefaultForBranch(branchId);
+
+    if (!printer) {
+      throw createError(
+        printerId ? 'Printer not found' : `No active printer configured for branch ${branchId}`,
+        404
+      );
+    }
+    if (!printer.is_active) {
+      throw createError(`Printer "${printer.name}" is not active`, 409);
+    }
+    return printer;
+  }
+
+  /**
+   * ESC/POS bytes for a receipt
+   * @param {Object} receipt - Receipt from ReceiptService.getReceipt
+   * @param {number} width - Characters per line
+   * @returns {Buffer} ESC/POS stream
+   */
+  buildReceipt(receipt, width = 32) {
+    const { header, details, charges, total, payments } = ReceiptService.layout(receipt);
+    const doc = new EscPosBuilder(width);
+
+    doc.align('center').bold(true).size(true, true).line(header[0]).size().bold(false);
+    header.slice(1).forEach(line => doc.line(line));
+    doc.align('left').rule();
+    details.forEach(([label, value]) => doc.row(`${label}:`, value));
+    doc.rule();
+    charges.forEach(([label, value]) => doc.row(label, value));
+    doc.rule().bold(true).row('TOTAL', total).bold(false);
+    payments.forEach(([label, value]) => doc.row(label, value));
+    doc.rule();
+
+    return doc
+      .align('center')
+      .line('Scan to verify')
+      .qr(receipt.verify_url, width === 48 ? 6 : 4)
+      .line(receipt.receipt_number)
+      .feed(1)
+      .line(RECEIPT_FOOTER)
+      .cut()
+      .build();
+  }
+
+  /**
+   * ESC/POS bytes for a job ticket that travels with the car or carpet
+   * @param {Object} job - Job from ReceiptService.loadJob
+   * @param {string} source - CARWASH or CARPETS
+   * @param {number} width - Characters per line
+   * @returns {Buffer} ESC/POS stream
+   */
+  buildJobTicket(job, source, width = 32) {
+    const doc = new EscPosBuilder(width);
+    const identifier = source === 'CARWASH' ? job.regno : `TAG ${job.client_tag || job.id}`;
+
+    doc.align('center').bold(true).line(source === 'CARWASH' ? 'CAR WASH TICKET' : 'CARPET TICKET').bold(false)
+      .line(job.branch_name)
+      .feed(1)
+      .size(true, true).bold(true).line(identifier).bold(false).size()
+      .feed(1)
+      .align('left').rule()
+      .row('Service:', job.service || '-');
+
+    if (source === 'CARWASH' && job.model) doc.row('Model:', job.model);
+    if (source === 'CARPETS' && job.client_name) doc.row('Client:', job.client_name);
+    if (job.served_by) doc.row('Checked in by:', job.served_by);
+
+    return doc
+      .row('Time:', ReceiptService.formatDate(job.updated_at ? new Date(job.updated_at * 1000) : new Date()))
+      .rule()
+      .align('center')
+      .qr(`${source}:${job.id}`, 5)
+      .line(job.id)
+      .cut()
+      .build();
+  }
+
+  /**
+   * ESC/POS bytes for an end-of-day summary
+   * @param {Object} report - Report from ReportService.generateDailySalesReport
+   * @param {Object} branch - Branch the report is for
+   * @param {number} width - Characters per line
+   * @returns {Buffer} ESC/POS stream
+   */
+  buildDailySummary(report, branch, width = 32) {
+    const money = (value) => ReceiptService.formatMoney(value);
+    const { summary, mpesa_verification: mpesa } = report;
+    const doc = new EscPosBuilder(width);
+
+    doc.align('center').bold(true).line(RECEIPT_BUSINESS_NAME).line('END OF DAY SUMMARY').bold(false)
+      .line(branch.name)
+      .line(report.date)
+      .align('left').rule()
+      .row('Car services', summary.car_services)
+      .row('Carpet services', summary.carpet_services)
+      .row('Total services', summary.total_services)
+      .rule()
+      .bold(true).row('Revenue', money(summary.total_revenue)).bold(false)
+      .row('Tips', money(summary.total_tips))
+      .row('Excess paid', money(summary.total_excess))
+      .rule()
+      .bold(true).line('Payments').bold(false);
+
+    report.payments.forEach(payment => {
+      const label = `${payment.payment_mode}${payment.transaction_type === 'debit' ? ' refunds' : ''} (${payment.transaction_count})`;
+      doc.row(label, `${payment.transaction_type === 'debit' ? '-' : ''}${money(payment.total_amount)}`);
+    });
+    if (report.payments.length === 0) doc.line('No payments');
+
+    doc.rule()
+      .bold(true).line('M-Pesa verification').bold(false)
+      .row('Statement imported', mpesa.statement_imported ? 'Yes' : 'No')
+      .row(`Verified (${mpesa.verified_payments})`, money(mpesa.verified_amount))
+      .row(`Unverified (${mpesa.unverified_payments})`, money(mpesa.unverified_amount))
+      .rule()
+      .row('Printed', ReceiptService.formatDate(new Date()));
+
+    return doc.feed(2).line('Signature: ____________').cut().build();
+  }
+
+  /**
+   * ESC/POS bytes for a printer test page
+   * @param {Object} printer - Printer
+   * @returns {Buffer} ESC/POS stream
+   */
+  buildTestPage(printer) {
+    const width = printer.paper_width;
+    return new EscPosBuilder(width)
+      .align('center').bold(true).line('PRINTER TEST').bold(false)
+      .line(printer.name)
+      .line(`${printer.host}:${printer.port}`)
+      .align('left').rule()
+      .line('0123456789'.repeat(Math.ceil(width / 10)).slice(0, width))
+      .row('Left', 'Right')
+      .size(true, true).line('Large').size()
+      .rule('=')
+      .align('center')
+      .qr(`printer:${printer.id}`, 4)
+      .line(ReceiptService.formatDate(new Date()))
+      .cut()
+      .build();
+  }
+
+  /**
+   * Queue bytes for a printer and nudge the queue so it prints promptly
+   * @param {Object} printer - Printer
+   * @param {Object} jobData - { kind, source, source_id, payload, created_by }
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue(printer, jobData) {
+    if (!JOB_KINDS.includes(jobData.kind)) {
+      throw createError(`Unknown print job kind ${jobData.kind}`);
+    }
+
+    const job = await PrintJob.create({
+      ...jobData,
+      printer_id: printer.id,
+      max_attempts: PRINT_MAX_ATTEMPTS
+    });
+
+    this.processQueue().catch(error => console.error('Print queue failed:', error.message));
+    return job;
+  }
+
+  /**
+   * Queue a job's receipt, issuing its receipt number the first time
+   * @param {Object} printData - { source, source_id, printer_id, created_by }
+   * @returns {Promise<Object>} Queued job
+   */
+  async printReceipt(printData) {
+    const { source, source_id, printer_id, created_by = null } = printData;
+
+    const job = await ReceiptService.loadJob(source, source_id);
+    const printer = await this.resolvePrinter(printer_id, job.branch_id);
+    const receipt = await ReceiptService.getReceipt(source, source_id, created_by);
+
+    return await this.enqueue(printer, {
+      kind: 'RECEIPT',
+      source,
+      source_id,
+      payload: this.buildReceipt(receipt, printer.paper_width),
+      created_by
+    });
+  }
+
+  /**
+   * Queue a job ticket for a car or carpet
+   * @param {Object} printData - { source, source_id, printer_id, created_by }
+   * @returns {Promise<Object>} Queued job
+   */
+  async printJobTicket(printData) {
+    const { source, source_id, printer_id, created_by = null } = printData;
+
+    const job = await ReceiptService.loadJob(source, source_id);
+    const printer = await this.resolvePrinter(printer_id, job.branch_id);
+
+    return await this.enqueue(printer, {
+      kind: 'JOB_TICKET',
+      source,
+      source_id,
+      payload: this.buildJobTicket(job, source, printer.paper_width),
+      created_by
+    });
+  }
+
+  /**
+   * Queue a branch's end-of-day summary
+   * @param {Object} printData - { branch_id, date, printer_id, created_by }
+   * @returns {Promise<Object>} Queued job
+   */
+  async printDailySummary(printData) {
+    const { branch_id, printer_id, created_by = null } = printData;
+    const date = printData.date || new Date().toISOString().split('T')[0];
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw createError('date must be in YYYY-MM-DD format');
+    }
+
+    const branch = Branch.isValidId(branch_id) ? await Branch.findById(branch_id) : null;
+    if (!branch) {
+      throw createError('Branch not found', 404);
+    }
+
+    const printer = await this.resolvePrinter(printer_id, branch.id);
+    const report = await ReportService.generateDailySalesReport(date, branch.id);
+
+    return await this.enqueue(printer, {
+      kind: 'DAILY_SUMMARY',
+      source: 'BRANCH',
+      source_id: `${branch.id}:${date}`,
+      payload: this.buildDailySummary(report, branch, printer.paper_width),
+      created_by
+    });
+  }
+
+  /**
+   * Queue a test page
+   * @param {number} printerId - Printer ID
+   * @param {string} createdBy - User asking for it
+   * @returns {Promise<Object>} Queued job
+   */
+  async printTestPage(printerId, createdBy = null) {
+    const printer = await this.resolvePrinter(printerId);
+    return await this.enqueue(printer, {
+      kind: 'TEST',
+      payload: this.buildTestPage(printer),
+      created_by: createdBy
+    });
+  }
+
+  /**
+   * Send a FAILED or CANCELLED job again
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Re-queued job
+   */
+  async retryJob(jobId) {
+    const job = await PrintJob.findById(jobId);
+    if (!job) {
+      throw createError('Print job not found', 404);
+    }
+    if (!await PrintJob.requeue(job.id)) {
+      throw createError(`Only FAILED or CANCELLED jobs can be retried; this one is ${job.status}`, 409);
+    }
+
+    this.processQueue().catch(error => console.error('Print queue failed:', error.message));
+    return await PrintJob.findById(job.id);
+  }
+
+  /**
+   * Cancel a job that is still waiting to print
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Cancelled job
+   */
+  async cancelJob(jobId) {
+    const job = await PrintJob.findById(jobId);
+    if (!job) {
+      throw createError('Print job not found', 404);
+    }
+    if (!await PrintJob.cancel(job.id)) {
+      throw createError(`Only QUEUED jobs can be cancelled; this one is ${job.status}`, 409);
+    }
+    return await PrintJob.findById(job.id);
+  }
+
+  /**
+   * Write bytes to a raw TCP printer port and wait for the printer to close the connection.
+   * Many printers keep it open after printing, so once every byte has been sent the idle
+   * timeout counts as success; failing then would print the receipt again on retry.
+   * @param {string} host - Printer host
+   * @param {number} port - Printer port (usually 9100)
+   * @param {Buffer} payload - ESC/POS stream
+   * @param {number} timeoutMs - Give up after this long without activity
+   * @returns {Promise<void>}
+   */
+  sendRaw(host, port, payload, timeoutMs = PRINT_SOCKET_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      let failed = null;
+      let sent = false;
+
+      socket.setTimeout(timeoutMs);
+      socket.on('connect', () => socket.end(payload));
+      socket.on('finish', () => { sent = true; });
+      socket.on('timeout', () => (sent
+        ? socket.destroy()
+        : socket.destroy(new Error(`Printer ${host}:${port} timed out after ${timeoutMs}ms`))));
+      socket.on('error', error => { failed = error; });
+      socket.on('close', () => (failed ? reject(failed) : resolve()));
+    });
+  }
+
+  /**
+   * Send one claimed job and record the outcome
+   * @param {Object} job - Due job with its payload and printer address
+   * @returns {Promise<boolean>} True if it printed
+   */
+  async sendJob(job) {
+    if (!await PrintJob.claim(job.id)) {
+      return false;
+    }
+
+    try {
+      await this.sendRaw(job.host, job.port, job.payload);
+      await PrintJob.markPrinted(job.id);
+      return true;
+    } catch (error) {
+      await PrintJob.markAttemptFailed(job.id, error.message, retryDelaySeconds(job.attempts + 1));
+      console.error(`Print job ${job.id} attempt ${job.attempts + 1} failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send due jobs: in order for each printer, and printers side by side.
+   * A printer that fails is skipped for the rest of the pass so its later
+   * jobs do not print ahead of the one that failed.
+   * @returns {Promise<Object>} { sent, printed }
+   */
+  async processQueue() {
+    if (processing) {
+      return { sent: 0, printed: 0 };
+    }
+    processing = true;
+
+    try {
+      await PrintJob.releaseStuck(Math.ceil(PRINT_SOCKET_TIMEOUT_MS / 1000) * 4);
+
+      const jobs = (await PrintJob.findDue(50)).filter(job => job.printer_active);
+      const byPrinter = new Map();
+      jobs.forEach(job => {
+        if (!byPrinter.has(job.printer_id)) byPrinter.set(job.printer_id, []);
+        byPrinter.get(job.printer_id).push(job);
+      });
+
+      const results = await Promise.all([...byPrinter.values()].map(async printerJobs => {
+        let printed = 0;
+        for (const job of printerJobs) {
+          if (!await this.sendJob(job)) break;
+          printed++;
+        }
+        return printed;
+      }));
+
+      return { sent: jobs.length, printed: results.reduce((sum, count) => sum + count, 0) };
+    } finally {
+      processing = false;
+    }
+  }
+
+  // Runs processQueue every PRINT_QUEUE_INTERVAL_SECONDS (0 disables it)
+  startPrintJob(intervalSeconds = PRINT_QUEUE_INTERVAL_SECONDS) {
+    if (queueTimer || !intervalSeconds) return;
+
+    queueTimer = setInterval(async () => {
+      try {
+        await this.processQueue();
+      } catch (error) {
+        console.error('Print queue job failed:', error.message);
+      }
+    }, intervalSeconds * 1000);
+    queueTimer.unref();
+  }
+
+  stopPrintJob() {
+    clearInterval(queueTimer);
+    queueTimer = null;
+  }
+}
+
+module.exports = new PrintService();
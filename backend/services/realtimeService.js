@@ -0,0 +1,330 @@
+const RealtimeEvent = require('../models/RealtimeEvent');
+const Payment = require('../models/Payment');
+const Item = require('../models/Item');
+const {
+  REALTIME_HEARTBEAT_SECONDS,
+  REALTIME_REPLAY_LIMIT,
+  REALTIME_RETENTION_HOURS,
+  REALTIME_PURGE_INTERVAL_MINUTES,
+  REALTIME_STOCK_CHECK_MINUTES
+} = require('../config/env');
+
+const EVENT_TYPES = {
+  QUEUE_CHANGED: 'queue.changed',
+  CAR_REGISTERED: 'car.registered',
+  PAYMENT_CONFIRMED: 'payment.confirmed',
+  STOCK_LOW: 'stock.low'
+};
+
+// How long an EventSource waits before reconnecting
+const RETRY_MS = 3000;
+
+// Open streams: { res, user_id, branch_ids (null = all), types (null = all), replaying, pending, last_sent_id }
+const clients = new Set();
+
+let purgeTimer = null;
+let stockTimer = null;
+
+// Item/branch pairs already announced as low ('<item_id>:<branch_id>'); a pair
+// is announced again only after it has been restocked above its reorder level
+const lowStock = new Set();
+
+const matches = (client, event) =>
+  (client.branch_ids === null || client.branch_ids.includes(event.branch_id))
+  && (client.types === null || client.types.includes(event.type));
+
+const write = (client, event) => {
+  const lines = [];
+  if (event.id) {
+    lines.push(`id: ${event.id}`);
+  }
+  lines.push(`event: ${event.type}`, `data: ${JSON.stringify(event)}`);
+  client.res.write(`${lines.join('\n')}\n\n`);
+  if (event.id) {
+    client.last_sent_id = Math.max(client.last_sent_id, event.id);
+  }
+};
+
+/**
+ * Real-time service: pushes queue changes, new cars, payment confirmations and
+ * low-stock alerts to devices as server-sent events, scoped by branch. Every
+ * event is stored before it is pushed, so a client reconnecting with the last
+ * event ID it saw (the Last-Event-ID header EventSource sends) is replayed what
+ * it missed. Stock levels are kept by the inventory system, so low stock is
+ * found by polling items against their reorder level. Streams live in this
+ * process; run a single API instance or pin /api/events/stream to one.
+ */
+class RealtimeService {
+  /**
+   * Event types that can be subscribed to
+   * @returns {Array<string>} Event types
+   */
+  getEventTypes() {
+    return Object.values(EVENT_TYPES);
+  }
+
+  /**
+   * Open a server-sent event stream on the response and keep it until the
+   * client disconnects
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { branch_ids (null for all branches), types (null for all), last_event_id }
+   */
+  async subscribe(req, res, options) {
+    const { branch_ids = null, types = null, last_event_id = null } = options;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = {
+      res,
+      user_id: req.user ? req.user.id : null,
+      branch_ids,
+      types,
+      replaying: last_event_id !== null,
+      pending: [],
+      last_sent_id: last_event_id || 0
+    };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), REALTIME_HEARTBEAT_SECONDS * 1000);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+
+    write(client, { type: 'connected', data: { branch_ids, types: types || this.getEventTypes() } });
+
+    if (client.replaying) {
+      await this.replay(client, last_event_id);
+    }
+  }
+
+  /**
+   * Send a reconnecting client the events after the last one it saw. When
+   * some may be gone (purged, or more than REALTIME_REPLAY_LIMIT) it is sent a
+   * resync event instead and should reload its screens over REST.
+   * @param {Object} client - Stream
+   * @param {number} lastEventId - Last event ID the client saw
+   */
+  async replay(client, lastEventId) {
+    try {
+      const range = await RealtimeEvent.findIdRange();
+      const missed = await RealtimeEvent.findSince(lastEventId, client.branch_ids, REALTIME_REPLAY_LIMIT + 1);
+
+      const lost = range.oldest_id === null
+        || range.oldest_id > lastEventId + 1
+        || lastEventId > range.latest_id
+        || missed.length > REALTIME_REPLAY_LIMIT;
+
+      if (lost) {
+        write(client, {
+          id: range.latest_id || undefined,
+          type: 'resync',
+          data: { reason: 'Missed events are no longer available; reload current state' }
+        });
+      } else {
+        missed.filter(event => matches(client, event)).forEach(event => write(client, event));
+      }
+    } catch (error) {
+      console.error('Error replaying real-time events:', error);
+      write(client, { type: 'resync', data: { reason: 'Missed events could not be loaded; reload current state' } });
+    }
+
+    client.pending
+      .filter(event => event.id > client.last_sent_id)
+      .forEach(event => write(client, event));
+    client.pending = [];
+    client.replaying = false;
+  }
+
+  /**
+   * Store an event and push it to the streams watching its branch. Never
+   * throws: a failed push must not fail the change that caused it.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {string|null} branchId - Branch the event belongs to
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object|null>} Event, or null if it could not be stored
+   */
+  async publish(type, branchId, data) {
+    try {
+      const event = await RealtimeEvent.create({ branch_id: branchId || null, type, payload: data });
+
+      clients.forEach(client => {
+        if (!matches(client, event)) return;
+        if (client.replaying) {
+          client.pending.push(event);
+        } else {
+          write(client, event);
+        }
+      });
+
+      return event;
+    } catch (error) {
+      console.error('Error publishing real-time event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * A wash job was queued, moved, edited or had attendants changed
+   * @param {Object} job - Job as returned by the wash queue service
+   * @param {string} action - ENQUEUED, TRANSITION, UPDATED, ATTENDANT_ASSIGNED or ATTENDANT_REMOVED
+   * @returns {Promise<Object|null>} Event
+   */
+  queueChanged(job, action) {
+    const { events, ...summary } = job;
+    return this.publish(EVENT_TYPES.QUEUE_CHANGED, job.branch_id, { action, job: summary });
+  }
+
+  /**
+   * A car was registered for a wash
+   * @param {Object} carService - car_registry row
+   * @returns {Promise<Object|null>} Event
+   */
+  carRegistered(carService) {
+    return this.publish(EVENT_TYPES.CAR_REGISTERED, carService.branch_id, {
+      id: carService.id,
+      regno: carService.regno,
+      model: carService.model,
+      service: carService.service,
+      vehicle_class: carService.vehicle_class,
+      amount: carService.amount,
+      registered_by: carService.registered_by
+    });
+  }
+
+  /**
+   * A payment was confirmed. Looks the payment up, so callers only need its
+   * ID; payments that are not confirmed credits are ignored.
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object|null>} Event
+   */
+  async paymentConfirmed(paymentId) {
+    try {
+      const payment = await Payment.findById(paymentId);
+      if (!payment || payment.status !== 'CONFIRMED' || payment.transaction_type !== 'credit') {
+        return null;
+      }
+
+      return await this.publish(EVENT_TYPES.PAYMENT_CONFIRMED, payment.branch_id, {
+        payment_id: payment.id,
+        source: payment.source,
+        source_id: payment.source_id,
+        source_name: payment.source_name,
+        payment_mode: payment.payment_mode,
+        amount: payment.amount,
+        ref: payment.ref
+      });
+    } catch (error) {
+      console.error('Error publishing payment confirmation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * An inventory item is at or below its reorder level
+   * @param {string|null} branchId - Branch using the item
+   * @param {Object} item - { id, name, stock, reorder_level, unit_of_measurement, critical }
+   * @returns {Promise<Object|null>} Event
+   */
+  stockLow(branchId, item) {
+    return this.publish(EVENT_TYPES.STOCK_LOW, branchId, {
+      item_id: item.id,
+      name: item.name,
+      stock: item.stock,
+      reorder_level: item.reorder_level,
+      unit_of_measurement: item.unit_of_measurement || null,
+      critical: !!item.critical
+    });
+  }
+
+  /**
+   * Announce items that have fallen to their reorder level since the last
+   * check. After a restart every item that is low is announced once.
+   * @returns {Promise<number>} Alerts published
+   */
+  async checkLowStock() {
+    const items = await Item.findLowStock();
+    const current = new Set();
+    let published = 0;
+
+    for (const item of items) {
+      const key = `${item.id}:${item.branch_id || '*'}`;
+      current.add(key);
+      if (!lowStock.has(key)) {
+        await this.stockLow(item.branch_id, item);
+        published++;
+      }
+    }
+
+    lowStock.clear();
+    current.forEach(key => lowStock.add(key));
+    return published;
+  }
+
+  /**
+   * Number of open streams per branch ('*' for streams watching all branches)
+   * @returns {Object} { total, by_branch }
+   */
+  getConnections() {
+    const byBranch = {};
+    clients.forEach(client => {
+      (client.branch_ids || ['*']).forEach(branchId => {
+        byBranch[branchId] = (byBranch[branchId] || 0) + 1;
+      });
+    });
+    return { total: clients.size, by_branch: byBranch };
+  }
+
+  /**
+   * Delete events older than REALTIME_RETENTION_HOURS
+   * @returns {Promise<number>} Events deleted
+   */
+  async purgeOldEvents() {
+    return await RealtimeEvent.deleteOlderThan(new Date(Date.now() - REALTIME_RETENTION_HOURS * 3600 * 1000));
+  }
+
+  startPurgeJob(intervalMinutes = REALTIME_PURGE_INTERVAL_MINUTES) {
+    if (purgeTimer || !intervalMinutes) return;
+
+    purgeTimer = setInterval(async () => {
+      try {
+        await this.purgeOldEvents();
+      } catch (error) {
+        console.error('Real-time event purge job failed:', error.message);
+      }
+    }, intervalMinutes * 60 * 1000);
+    purgeTimer.unref();
+  }
+
+  stopPurgeJob() {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+
+  startStockJob(intervalMinutes = REALTIME_STOCK_CHECK_MINUTES) {
+    if (stockTimer || !intervalMinutes) return;
+
+    stockTimer = setInterval(async () => {
+      try {
+        await this.checkLowStock();
+      } catch (error) {
+        console.error('Low-stock check failed:', error.message);
+      }
+    }, intervalMinutes * 60 * 1000);
+    stockTimer.unref();
+  }
+
+  stopStockJob() {
+    clearInterval(stockTimer);
+    stockTimer = null;
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { db } = require('../config/db');
+const Receipt = require('../models/Receipt');
+const Payment = require('../models/Payment');
+const PaymentService = require('./paymentService');
+const { RECEIPT_BUSINESS_NAME, RECEIPT_FOOTER, RECEIPT_VERIFY_URL } = require('../config/env');
+const { createError } = require('../utils/errors');
+
+// Thermal printer paper widths in characters (58mm and 80mm rolls)
+const TEXT_WIDTHS = [32, 48];
+
+// Verification codes avoid characters that are easy to misread on paper
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Random verification code for a receipt's QR code
+ * @param {number} length - Code length
+ * @returns {string} Code
+ */
+const generateCode = (length = 12) => {
+  const bytes = crypto.randomBytes(length);
+  return [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Format a money value for printing (1,234.50)
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+const money = (value) => PaymentService.round(value).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+/**
+ * Format a date as YYYY-MM-DD HH:mm in local time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Receipt service: issues per-branch receipt numbers and renders receipts
+ * for car wash and carpet jobs as JSON, thermal printer text or PDF
+ */
+class ReceiptService {
+  /**
+   * Load the job a receipt is for
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @returns {Promise<Object>} Job with branch, customer and service details
+   */
+  async loadJob(source, sourceId) {
+    PaymentService.getSourceTable(source);
+    if (source === 'INVOICE') {
+      throw createError('Receipts are for car wash and carpet jobs; download the invoice instead');
+    }
+
+    const query = source === 'CARWASH'
+      ? `SELECT cr.id, cr.branch_id, cr.regno, cr.model, cr.service, cr.updated_at,
+                u.name as served_by, b.name as branch_name, b.location as branch_location
+         FROM car_registry cr
+         LEFT JOIN users u ON cr.registered_by = u.id
+         LEFT JOIN branches b ON cr.branch_id = b.id
+         WHERE cr.id = ?`
+      : `SELECT carr.id, carr.branch_id, carr.type as service, carr.updated_at, carr.client_tag,
+                cc.client_name, cc.phone, b.name as branch_name, b.location as branch_location
+         FROM carpet_registry carr
+         LEFT JOIN carpet_clients cc ON carr.client_tag = cc.id
+         LEFT JOIN branches b ON carr.branch_id = b.id
+         WHERE carr.id = ?`;
+
+    const [jobs] = await db.execute(query, [sourceId]);
+    if (jobs.length === 0) {
+      throw createError(`${source === 'CARWASH' ? 'Car service' : 'Carpet job'} ${sourceId} not found`, 404);
+    }
+
+    const job = jobs[0];
+    if (!job.branch_id) {
+      throw createError('Job has no branch; receipt numbers are issued per branch', 422);
+    }
+
+    return {
+      ...job,
+      customer: source === 'CARWASH'
+        ? [job.regno, job.model ? `(${job.model})` : null].filter(Boolean).join(' ')
+        : [job.client_name, job.client_tag ? `#${job.client_tag}` : null].filter(Boolean).join(' ')
+    };
+  }
+
+  /**
+   * Build a receipt for a job, issuing its receipt number the first time
+   * @param {string} source - CARWASH or CARPETS
+   * @param {string} sourceId - Source record ID
+   * @param {string} issuedBy - User printing the receipt
+   * @returns {Promise<Object>} Receipt data
+   */
+  async getReceipt(source, sourceId, issuedBy = null) {
+    const job = await this.loadJob(source, sourceId);
+    const [balance, payments] = await Promise.all([
+      PaymentService.computeBalance(db, source, sourceId),
+      Payment.findBySource(source, sourceId)
+    ]);
+    PaymentService.assertPriceReviewed(balance);
+
+    let receipt = await Receipt.findBySource(source, sourceId);
+    if (!receipt) {
+      try {
+        receipt = await Receipt.issue({
+          branch_id: job.branch_id,
+          source,
+          source_id: sourceId,
+          verification_code: generateCode(),
+          total_due: balance.total_due,
+          amount_paid: balance.amount_paid,
+          issued_by: issuedBy
+        });
+      } catch (error) {
+        // Issued by a concurrent request; use that one
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        receipt = await Receipt.findBySource(source, sourceId);
+      }
+    }
+    await Receipt.recordPrint(receipt.id, balance.total_due, balance.amount_paid);
+
+    const confirmed = payments.filter(payment => payment.status === 'CONFIRMED');
+    const toTender = (payment) => ({
+      payment_mode: payment.payment_mode,
+      amount: PaymentService.round(payment.amount),
+      ref: payment.ref,
+      approval_code: payment.approval_code || null,
+      card_last4: payment.card_last4 || null
+    });
+
+    return {
+      receipt_number: receipt.receipt_number,
+      issued_at: receipt.issued_at,
+      verification_code: receipt.verification_code,
+      verify_url: `${RECEIPT_VERIFY_URL}/${receipt.verification_code}`,
+      business_name: RECEIPT_BUSINESS_NAME,
+      branch: { id: job.branch_id, name: job.branch_name, location: job.branch_location },
+      source,
+      source_id: sourceId,
+      service_date: job.updated_at ? new Date(job.updated_at * 1000) : null,
+      customer: job.customer,
+      service: job.service,
+      served_by: job.served_by || null,
+      service_amount: balance.service_amount,
+      discount_amount: balance.discount_amount,
+      tip_amount: balance.tip_amount,
+      excess_amount: balance.excess_amount,
+      total_due: balance.total_due,
+      amount_paid: balance.amount_paid,
+      amount_refunded: balance.amount_refunded,
+      balance: balance.balance,
+      tenders: confirmed.filter(payment => payment.transaction_type === 'credit').map(toTender),
+      refunds: confirmed.filter(payment => payment.transaction_type === 'debit').map(toTender),
+      mpesa_receipts: confirmed
+        .filter(payment => payment.payment_mode === 'MPESA' && payment.transaction_type === 'credit' && payment.ref)
+        .map(payment => payment.ref)
+    };
+  }
+
+  /**
+   * Format a money value the way receipts print it
+   * @param {number} value - Amount
+   * @returns {string} Formatted amount
+   */
+  formatMoney(value) {
+    return money(value);
+  }
+
+  /**
+   * Format a date the way receipts print it
+   * @param {Date} date - Date
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return formatDate(date);
+  }
+
+  /**
+   * Lines of a receipt as label/amount pairs, shared by the text, PDF and ESC/POS layouts
+   * @param {Object} receipt - Receipt data
+   * @returns {Object} { header, details, charges, total, payments }
+   */
+  layout(receipt) {
+    const header = [receipt.business_name, receipt.branch.name, receipt.branch.location].filter(Boolean);
+
+    const details = [
+      ['Receipt', receipt.receipt_number],
+      ['Date', formatDate(receipt.service_date || new Date(receipt.issued_at))],
+      [receipt.source === 'CARWASH' ? 'Vehicle' : 'Client', receipt.customer],
+      receipt.served_by ? ['Served by', receipt.served_by] : null
+    ].filter(Boolean);
+
+    const charges = [[receipt.service || 'Service', money(receipt.service_amount)]];
+    if (receipt.discount_amount > 0) charges.push(['Discount', `-${money(receipt.discount_amount)}`]);
+    if (receipt.tip_amount > 0) charges.push(['Tip', money(receipt.tip_amount)]);
+    if (receipt.excess_amount > 0) charges.push(['Excess paid', money(receipt.excess_amount)]);
+
+    const payments = receipt.tenders.map(tender => {
+      const reference = tender.payment_mode === 'CARD'
+        ? [tender.card_last4 ? `*${tender.card_last4}` : null, tender.approval_code].filter(Boolean).join(' ')
+        : tender.ref;
+      return [[tender.payment_mode, reference].filter(Boolean).join(' '), money(tender.amount)];
+    });
+    receipt.refunds.forEach(refund => {
+      payments.push([`Refund ${refund.payment_mode}`, `-${money(refund.amount)}`]);
+    });
+    payments.push(['Paid', money(receipt.amount_paid)]);
+    payments.push(['Balance', money(receipt.balance)]);
+
+    return { header, details, charges, total: money(receipt.total_due), payments };
+  }
+
+  /**
+   * Render a receipt as plain text for a thermal printer
+   * @param {Object} receipt - Receipt data
+   * @param {number} width - Characters per line (32 or 48)
+   * @returns {string} Receipt text
+   */
+  renderText(receipt, width = 32) {
+    if (!TEXT_WIDTHS.includes(width)) {
+      throw createError(`Receipt width must be one of: ${TEXT_WIDTHS.join(', ')}`);
+    }
+
+    const { header, details, charges, total, payments } = this.layout(receipt);
+    const rule = '-'.repeat(width);
+    const center = (text) => {
+      const line = String(text).slice(0, width);
+      return ' '.repeat(Math.floor((width - line.length) / 2)) + line;
+    };
+    const row = (label, value) => {
+      const right = String(value);
+      const left = String(label).slice(0, Math.max(width - right.length - 1, 0));
+      return left + ' '.repeat(Math.max(width - left.length - right.length, 1)) + right;
+    };
+
+    return [
+      ...header.map(center),
+      rule,
+      ...details.map(([label, value]) => row(`${label}:`, value)),
+      rule,
+      ...charges.map(([label, value]) => row(label, value)),
+      rule,
+      row('TOTAL', total),
+      ...payments.map(([label, value]) => row(label, value)),
+      rule,
+      center('Scan or visit to verify:'),
+      ...receipt.verify_url.match(new RegExp(`.{1,${width}}`, 'g')),
+      '',
+      center(RECEIPT_FOOTER),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Render a receipt as an 80mm-wide PDF with a verification QR code
+   * @param {Object} receipt - Receipt data
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderPdf(receipt) {
+    const { header, details, charges, total, payments } = this.layout(receipt);
+    const qr = await QRCode.toBuffer(receipt.verify_url, { margin: 1, width: 140 });
+
+    const width = 226; // 80mm in points
+    const margin = 12;
+    const lineHeight = 13;
+    const lineCount = header.length + details.length + charges.length + payments.length + 8;
+    const height = margin * 2 + lineCount * lineHeight + 150;
+
+    return await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: [width, height], margin, info: { Title: `Receipt ${receipt.receipt_number}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const contentWidth = width - margin * 2;
+      const rule = () => {
+        doc.moveTo(margin, doc.y + 2).lineTo(width - margin, doc.y + 2).lineWidth(0.5).stroke();
+        doc.moveDown(0.5);
+      };
+      const row = (label, value, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        doc.text(label, margin, y, { width: contentWidth * 0.65, lineBreak: false, ellipsis: true });
+        doc.text(value, margin, y, { width: contentWidth, align: 'right' });
+      };
+
+      header.forEach((line, i) => {
+        doc.font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(i === 0 ? 11 : 8)
+          .text(line, margin, doc.y, { width: contentWidth, align: 'center' });
+      });
+      rule();
+      details.forEach(([label, value]) => row(label, value));
+      rule();
+      charges.forEach(([label, value]) => row(label, value));
+      rule();
+      row('TOTAL', total, true);
+      payments.forEach(([label, value]) => row(label, value, label === 'Balance'));
+      rule();
+
+      doc.image(qr, (width - 110) / 2, doc.y + 4, { width: 110 });
+      doc.y += 118;
+      doc.font('Helvetica').fontSize(6).text(receipt.verify_url, margin, doc.y, { width: contentWidth, align: 'center' });
+      doc.moveDown(0.5);
+      doc.fontSize(8).text(RECEIPT_FOOTER, margin, doc.y, { width: contentWidth, align: 'center' });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Public check of a receipt from its QR code. Only what is printed on the
+   * receipt is returned.
+   * @param {string} code - Verification code
+   * @returns {Promise<Object>} Receipt summary
+   */
+  async verify(code) {
+    const receipt = await Receipt.findByVerificationCode(String(code || '').toUpperCase());
+    if (!receipt) {
+      throw createError('Receipt not found', 404);
+    }
+
+    const balance = await PaymentService.computeBalance(db, receipt.source, receipt.source_id);
+
+    return {
+      valid: true,
+      receipt_number: receipt.receipt_number,
+      issued_at: receipt.issued_at,
+      business_name: RECEIPT_BUSINESS_NAME,
+      branch: { name: receipt.branch_name, location: receipt.branch_location },
+      job_type: receipt.source === 'CARWASH' ? 'Car wash' : 'Carpet cleaning',
+      total_due: balance.total_due,
+      amount_paid: balance.amount_paid,
+      amount_refunded: balance.amount_refunded,
+      fully_paid: balance.balance === 0
+    };
+  }
+}
+
+module.exports = new ReceiptService();
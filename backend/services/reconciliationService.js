@@ -0,0 +1,431 @@
+const { db } = require('../config/db');
+const { MPESA_RECONCILE_WINDOW_MINUTES } = require('../config/env');
+const Payment = require('../models/Payment');
+const MpesaPaymentCallback = require('../models/MpesaPaymentCallback');
+const CarRegistry = require('../models/CarRegistry');
+const PaymentService = require('./paymentService');
+const { createError } = require('../utils/errors');
+
+// Receipts a supervisor still has to work
+const OPEN_STATUSES = ['UNMATCHED', 'LATE', 'FLAGGED'];
+
+// Receipts already sitting on a payment that can be moved elsewhere
+const APPLIED_STATUSES = ['APPLIED', 'RECONCILED'];
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+/**
+ * Compare two phone numbers in any local/international format.
+ * Daraja masks C2B numbers (2547*****149); masked digits match anything.
+ * @param {string} a - Phone number
+ * @param {string} b - Phone number
+ * @returns {boolean} True if they could be the same number
+ */
+const samePhone = (a, b) => {
+  const toInternational = (value) => String(value || '').replace(/[^\d*]/g, '').replace(/^0/, '254').replace(/^(?=[17])/, '254');
+  const x = toInternational(a);
+  const y = toInternational(b);
+  if (!x || !y || x.length !== y.length) return false;
+  return [...x].every((digit, i) => digit === y[i] || digit === '*' || y[i] === '*');
+};
+
+const normaliseAccount = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Reconciliation service for M-Pesa receipts that did not line up with a job
+ * (wrong account number, paid twice, split across phones)
+ */
+class ReconciliationService {
+  /**
+   * Load a receipt by its callback ID
+   * @param {number} callbackId - Callback ID
+   * @returns {Promise<Object>} Callback
+   */
+  async findReceipt(callbackId) {
+    const receipt = await MpesaPaymentCallback.findById(callbackId);
+    if (!receipt || !receipt.ref) {
+      throw createError('M-Pesa receipt not found', 404);
+    }
+    return receipt;
+  }
+
+  /**
+   * Load car wash and carpet jobs touched within the window around a time,
+   * with their discounts and payments fetched once per source
+   * @param {string} at - DATETIME the receipt was paid
+   * @param {number} windowMinutes - Minutes either side
+   * @param {string} until - Widen the window to end this long after a later DATETIME
+   * @returns {Promise<Array>} Jobs with their balance and owner phone
+   */
+  async findJobsInWindow(at, windowMinutes, until = at) {
+    const [cars] = await db.execute(
+      `SELECT cr.id, cr.regno as label, cr.branch_id, cr.updated_at, v.phone_number as phone,
+              cr.amount, cr.tip_amount, cr.excess_amount, cr.price_override_status
+       FROM car_registry cr
+       LEFT JOIN vehicles v ON v.license_plate = cr.regno
+       WHERE cr.updated_at BETWEEN UNIX_TIMESTAMP(?) - ? AND UNIX_TIMESTAMP(?) + ?`,
+      [at, windowMinutes * 60, until, windowMinutes * 60]
+    );
+
+    const [carpets] = await db.execute(
+      `SELECT carr.id, CAST(carr.client_tag AS CHAR) as label, carr.branch_id, carr.updated_at, cc.phone,
+              carr.amount, carr.tip_amount, carr.excess_amount
+       FROM carpet_registry carr
+       LEFT JOIN carpet_clients cc ON carr.client_tag = cc.id
+       WHERE carr.updated_at BETWEEN UNIX_TIMESTAMP(?) - ? AND UNIX_TIMESTAMP(?) + ?`,
+      [at, windowMinutes * 60, until, windowMinutes * 60]
+    );
+
+    const jobs = [];
+    for (const [source, rows] of [['CARWASH', cars], ['CARPETS', carpets]]) {
+      if (rows.length === 0) continue;
+
+      const ids = rows.map(row => row.id);
+      const [discounts] = await db.execute(
+        `SELECT source_id, COALESCE(SUM(amount), 0) as total
+         FROM discount
+         WHERE source = ? AND source_id IN (${ids.map(() => '?').join(', ')})
+         GROUP BY source_id`,
+        [source, ...ids]
+      );
+      const payments = await Payment.findBySources(source, ids);
+
+      for (const row of rows) {
+        const discount = discounts.find(other => String(other.source_id) === String(row.id));
+        const jobPayments = payments.filter(payment => String(payment.source_id) === String(row.id));
+        jobs.push({
+          ...PaymentService.summariseBalance(source, row.id, row, discount ? discount.total : 0, jobPayments),
+          label: row.label,
+          branch_id: row.branch_id,
+          updated_at: row.updated_at,
+          phones: [row.phone, ...jobPayments.map(payment => payment.payer_phone)].filter(Boolean),
+          payments: jobPayments
+        });
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Suggest jobs a receipt may belong to, scored by amount, phone, account and time
+   * @param {number} callbackId - Callback ID
+   * @param {Object} options - { window_minutes }
+   * @returns {Promise<Object>} Receipt, ranked suggestions and related receipts
+   */
+  async suggestMatches(callbackId, options = {}) {
+    const receipt = await this.findReceipt(callbackId);
+    const windowMinutes = parseInt(options.window_minutes) || MPESA_RECONCILE_WINDOW_MINUTES;
+    const paidAt = receipt.datetime || receipt.received_at;
+
+    const [jobs, nearby] = await Promise.all([
+      this.findJobsInWindow(paidAt, windowMinutes),
+      MpesaPaymentCallback.findInWindow(paidAt, windowMinutes, receipt.id)
+    ]);
+
+    return this.rankMatches(receipt, jobs, nearby, windowMinutes);
+  }
+
+  /**
+   * Score jobs against a receipt (see suggestMatches)
+   * @param {Object} receipt - Callback
+   * @param {Array} jobs - Jobs in the window, from findJobsInWindow
+   * @param {Array} nearby - Other receipts in the window
+   * @param {number} windowMinutes - Minutes either side
+   * @returns {Object} Receipt, ranked suggestions and related receipts
+   */
+  rankMatches(receipt, jobs, nearby, windowMinutes) {
+    const paidAt = receipt.datetime || receipt.received_at;
+    const amount = PaymentService.round(receipt.amount);
+    const account = normaliseAccount(receipt.account_no);
+    const paidAtSeconds = new Date(paidAt).getTime() / 1000;
+
+    // Same phone and amount already applied nearby: probably paid twice
+    const possibleDuplicates = nearby.filter(other =>
+      APPLIED_STATUSES.includes(other.status) &&
+      PaymentService.round(other.amount) === amount &&
+      samePhone(other.phone, receipt.phone)
+    );
+
+    // Other open receipts that together with this one settle a job
+    const openNearby = nearby.filter(other => OPEN_STATUSES.includes(other.status));
+
+    const suggestions = [];
+    for (const job of jobs) {
+      let score = 0;
+      const reasons = [];
+
+      if (job.balance > 0 && amount === job.balance) {
+        score += 50;
+        reasons.push('amount equals balance');
+      } else if (job.balance > 0 && amount < job.balance) {
+        const partner = openNearby.find(other => PaymentService.round(amount + parseFloat(other.amount)) === job.balance);
+        if (partner) {
+          score += 40;
+          reasons.push(`with receipt ${partner.ref} settles the balance (split payment)`);
+        } else {
+          score += 15;
+          reasons.push('part payment of balance');
+        }
+      } else if (job.balance === 0) {
+        if (possibleDuplicates.some(other => job.payments.some(payment => payment.id === other.payment_id))) {
+          score += 30;
+          reasons.push('job already paid by the same phone and amount (paid twice)');
+        } else {
+          continue;
+        }
+      }
+
+      if (receipt.phone && job.phones.some(phone => samePhone(phone, receipt.phone))) {
+        score += 30;
+        reasons.push('phone matches');
+      }
+
+      const distance = account && job.label ? editDistance(account, normaliseAccount(job.label)) : null;
+      if (distance !== null && distance <= 2) {
+        score += distance === 0 ? 25 : 20 - distance * 5;
+        reasons.push(distance === 0 ? 'account matches' : `account within ${distance} character(s)`);
+      }
+
+      const minutesApart = Math.abs(job.updated_at - paidAtSeconds) / 60;
+      score += Math.max(0, Math.round(10 - (minutesApart / windowMinutes) * 10));
+
+      if (reasons.length > 0) {
+        const { payments, phones, ...summary } = job;
+        suggestions.push({ ...summary, score, reasons, minutes_apart: Math.round(minutesApart) });
+      }
+    }
+
+    suggestions.sort((a, b) => b.score - a.score);
+
+    return {
+      receipt,
+      suggestions,
+      possible_duplicates: possibleDuplicates,
+      window_minutes: windowMinutes
+    };
+  }
+
+  /**
+   * Accept a match: apply an unreconciled receipt to the chosen job
+   * @param {number} callbackId - Callback ID
+   * @param {Object} decision - { source, source_id, note, user_id }
+   * @returns {Promise<Object>} Reconciled receipt and the payment created
+   */
+  async accept(callbackId, decision) {
+    const { source, source_id, note = null, user_id = null } = decision;
+    const receipt = await this.findReceipt(callbackId);
+
+    if (!OPEN_STATUSES.includes(receipt.status)) {
+      throw createError(
+        `Receipt is ${receipt.status}; use reassign to move an applied receipt`,
+        409
+      );
+    }
+
+    const existing = await Payment.findByRef(receipt.ref);
+    if (existing && existing.status === 'CONFIRMED') {
+      throw createError(`Receipt ${receipt.ref} is already on payment ${existing.id}`, 409);
+    }
+
+    let paymentId;
+    try {
+      paymentId = await PaymentService.applyMpesaReceipt({
+        source,
+        source_id,
+        amount: receipt.amount,
+        ref: receipt.ref,
+        payer_phone: receipt.phone,
+        description: `M-Pesa receipt ${receipt.ref} reconciled`,
+        created_by: user_id
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`Receipt ${receipt.ref} was applied by someone else meanwhile`, 409);
+      }
+      throw error;
+    }
+
+    const reconciled = await MpesaPaymentCallback.reconcile(receipt.id, 'RECONCILED', {
+      payment_id: paymentId,
+      reconciled_by: user_id,
+      note
+    });
+
+    return { receipt: reconciled, payment: await Payment.findById(paymentId) };
+  }
+
+  /**
+   * Reassign an applied receipt to a different job
+   * @param {number} callbackId - Callback ID
+   * @param {Object} decision - { source, source_id, note, user_id }
+   * @returns {Promise<Object>} Reconciled receipt and the moved payment
+   */
+  async reassign(callbackId, decision) {
+    const { source, source_id, note = null, user_id = null } = decision;
+    const receipt = await this.findReceipt(callbackId);
+
+    if (OPEN_STATUSES.includes(receipt.status)) {
+      return await this.accept(callbackId, decision);
+    }
+
+    const payment = receipt.payment_id ? await Payment.findById(receipt.payment_id) : await Payment.findByRef(receipt.ref);
+    if (!APPLIED_STATUSES.includes(receipt.status) || !payment || payment.status !== 'CONFIRMED') {
+      throw createError(`Receipt is ${receipt.status} and has no confirmed payment to move`, 409);
+    }
+
+    const moved = await PaymentService.reassignPayment(payment.id, source, source_id);
+
+    const reconciled = await MpesaPaymentCallback.reconcile(receipt.id, 'RECONCILED', {
+      payment_id: payment.id,
+      reconciled_by: user_id,
+      note: note || `Moved from ${moved.moved_from.source} ${moved.moved_from.source_id}`
+    });
+
+    return { receipt: reconciled, ...moved };
+  }
+
+  /**
+   * Flag a receipt for follow-up (e.g. refund of a double payment)
+   * @param {number} callbackId - Callback ID
+   * @param {Object} decision - { note, user_id }
+   * @returns {Promise<Object>} Flagged receipt
+   */
+  async flag(callbackId, decision) {
+    const { note, user_id = null } = decision;
+    const receipt = await this.findReceipt(callbackId);
+
+    if (!note) {
+      throw createError('A note is required to flag a receipt');
+    }
+    if (receipt.status === 'RECONCILED') {
+      throw createError('Receipt is already reconciled', 409);
+    }
+
+    return await MpesaPaymentCallback.reconcile(receipt.id, 'FLAGGED', { reconciled_by: user_id, note });
+  }
+
+  /**
+   * Cars settled (partly) by M-Pesa whose receipt we never received
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} branchId - Optional branch filter
+   * @returns {Promise<Array>} Cars with the unverified M-Pesa payments
+   */
+  async getMpesaCarsWithoutReceipt(date, branchId = null) {
+    const cars = await CarRegistry.findByPaymentMode('MPESA', date, branchId);
+
+    const carPayments = await Promise.all(cars.map(car => Payment.findBySource('CARWASH', car.id)));
+    const mpesaPayments = carPayments.map(payments => payments.filter(payment =>
+      payment.payment_mode === 'MPESA' && payment.transaction_type === 'credit' && payment.status === 'CONFIRMED'
+    ));
+
+    const refs = [...new Set(mpesaPayments.flat().map(payment => payment.ref).filter(Boolean))];
+    const received = await MpesaPaymentCallback.findReceivedRefs(refs);
+
+    const missing = [];
+    cars.forEach((car, i) => {
+      const unverified = mpesaPayments[i]
+        .filter(payment => !payment.ref || !received.has(payment.ref))
+        .map(payment => ({
+          payment_id: payment.id,
+          amount: parseFloat(payment.amount),
+          ref: payment.ref,
+          reason: payment.ref ? 'RECEIPT_NOT_RECEIVED' : 'NO_RECEIPT_NUMBER'
+        }));
+
+      if (unverified.length > 0) {
+        missing.push({
+          id: car.id,
+          regno: car.regno,
+          branch_id: car.branch_id,
+          branch_name: car.branch_name,
+          payment_amount: parseFloat(car.payment_amount),
+          unverified_amount: PaymentService.round(unverified.reduce((sum, payment) => sum + payment.amount, 0)),
+          payments: unverified
+        });
+      }
+    });
+
+    return missing;
+  }
+
+  /**
+   * Daily reconciliation list: unmatched receipts (with their best suggestion)
+   * and M-Pesa cars with no receipt
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} branchId - Optional branch filter (cars only; receipts carry no branch)
+   * @returns {Promise<Object>} Daily reconciliation report
+   */
+  async getDailyReport(date, branchId = null) {
+    const receipts = await MpesaPaymentCallback.findUnreconciled({ date });
+    const windowSeconds = MPESA_RECONCILE_WINDOW_MINUTES * 60;
+    const paidAtSeconds = (row) => new Date(row.datetime || row.received_at).getTime() / 1000;
+
+    // Load every job and receipt any of the day's receipts could match once,
+    // then narrow them to each receipt's own window
+    let jobs = [];
+    let nearby = [];
+    if (receipts.length > 0) {
+      const sorted = [...receipts].sort((a, b) => paidAtSeconds(a) - paidAtSeconds(b));
+      const first = sorted[0].datetime || sorted[0].received_at;
+      const last = sorted[sorted.length - 1].datetime || sorted[sorted.length - 1].received_at;
+      [jobs, nearby] = await Promise.all([
+        this.findJobsInWindow(first, MPESA_RECONCILE_WINDOW_MINUTES, last),
+        MpesaPaymentCallback.findInWindow(first, MPESA_RECONCILE_WINDOW_MINUTES, null, last)
+      ]);
+    }
+
+    const unmatched = receipts.map(receipt => {
+      const at = paidAtSeconds(receipt);
+      const { suggestions, possible_duplicates } = this.rankMatches(
+        receipt,
+        jobs.filter(job => Math.abs(job.updated_at - at) <= windowSeconds),
+        nearby.filter(other => other.id !== receipt.id && Math.abs(paidAtSeconds(other) - at) <= windowSeconds),
+        MPESA_RECONCILE_WINDOW_MINUTES
+      );
+      return {
+        ...receipt,
+        raw_payload: undefined,
+        best_suggestion: suggestions[0] || null,
+        possible_duplicate: possible_duplicates.length > 0
+      };
+    });
+
+    const carsWithoutReceipt = await this.getMpesaCarsWithoutReceipt(date, branchId);
+
+    return {
+      date,
+      summary: {
+        unmatched_receipts: unmatched.length,
+        unmatched_amount: PaymentService.round(unmatched.reduce((sum, receipt) => sum + parseFloat(receipt.amount || 0), 0)),
+        cars_without_receipt: carsWithoutReceipt.length,
+        unverified_amount: PaymentService.round(carsWithoutReceipt.reduce((sum, car) => sum + car.unverified_amount, 0))
+      },
+      unmatched_receipts: unmatched,
+      cars_without_receipt: carsWithoutReceipt
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
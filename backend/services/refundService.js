@@ -0,0 +1,361 @@
+const { db } = require('../config/db');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const TillSession = require('../models/TillSession');
+const MpesaPaymentCallback = require('../models/MpesaPaymentCallback');
+const MpesaService = require('./mpesaService');
+const PaymentService = require('./paymentService');
+const CardPaymentService = require('./cardPaymentService');
+const { createError } = require('../utils/errors');
+
+// How each kind of payment can be refunded
+const REFUND_METHODS = {
+  MPESA: ['REVERSAL', 'B2C', 'CASH'],
+  CASH: ['CASH'],
+  CARD: ['CARD', 'CASH']
+};
+
+// Tender the refund is paid out in, by refund method
+const PAYOUT_MODES = {
+  REVERSAL: 'MPESA',
+  B2C: 'MPESA',
+  CARD: 'CARD',
+  CASH: 'CASH'
+};
+
+/**
+ * Refund service: cashier requests, supervisor approves, then the money goes
+ * back by Daraja reversal, B2C, the card provider or cash. The original payment is left intact
+ * and the refund is recorded as a linked 'debit' payment.
+ */
+class RefundService {
+  /**
+   * Request a refund against a confirmed payment
+   * @param {Object} refundData - { payment_id, amount, method, reason, phone, requested_by }
+   * @returns {Promise<Object>} Created refund
+   */
+  async requestRefund(refundData) {
+    const { payment_id, method, reason, requested_by = null } = refundData;
+
+    if (!reason) {
+      throw createError('A reason is required for a refund');
+    }
+
+    // The payment row is locked so two requests cannot both take what is left to refund
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const payment = await Payment.lockById(payment_id, connection);
+      if (!payment) {
+        throw createError('Payment not found', 404);
+      }
+      if (payment.transaction_type !== 'credit' || payment.status !== 'CONFIRMED') {
+        throw createError('Only confirmed payments can be refunded', 409);
+      }
+
+      const allowed = REFUND_METHODS[payment.payment_mode] || [];
+      if (!allowed.includes(method)) {
+        throw createError(`${payment.payment_mode} payments can be refunded by: ${allowed.join(', ')}`);
+      }
+
+      const paymentAmount = PaymentService.round(payment.amount);
+      const amount = refundData.amount !== undefined ? PaymentService.round(refundData.amount) : paymentAmount;
+      if (isNaN(amount) || amount <= 0) {
+        throw createError('Refund amount must be a positive number');
+      }
+
+      const committed = await Refund.getCommittedAmount(payment.id, connection);
+      const refundable = PaymentService.round(paymentAmount - committed);
+      if (amount > refundable) {
+        throw createError(`Refund of ${amount} exceeds the refundable ${refundable} on this payment`, 422);
+      }
+
+      if (method === 'REVERSAL') {
+        if (!payment.ref) {
+          throw createError('Payment has no M-Pesa receipt number to reverse');
+        }
+        if (amount !== paymentAmount || committed > 0) {
+          throw createError('A reversal returns the whole transaction; use B2C or CASH for a part refund');
+        }
+      }
+
+      if (method === 'CARD' && (!payment.card_provider || payment.card_status !== 'CAPTURED')) {
+        throw createError('Only card payments captured through a card provider can be refunded to the card; use CASH');
+      }
+
+      let phone = null;
+      if (method === 'B2C') {
+        phone = MpesaService.normalisePhone(refundData.phone || payment.payer_phone);
+      }
+
+      const refund = await Refund.create({ payment_id: payment.id, amount, method, reason, phone, requested_by }, connection);
+      await connection.commit();
+      return refund;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Load a refund that is still waiting for a supervisor
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<Object>} Refund
+   */
+  async findRequested(refundId) {
+    const refund = await Refund.findById(refundId);
+    if (!refund) {
+      throw createError('Refund not found', 404);
+    }
+    if (refund.status !== 'REQUESTED') {
+      throw createError(`Refund is already ${refund.status}`, 409);
+    }
+    return refund;
+  }
+
+  /**
+   * Approve a refund and pay it out
+   * @param {string} refundId - Refund ID
+   * @param {string} approvedBy - Supervisor approving
+   * @returns {Promise<Object>} Refund after payout was issued (COMPLETED, or PROCESSING until Daraja answers)
+   */
+  async approve(refundId, approvedBy) {
+    const refund = await this.findRequested(refundId);
+    if (approvedBy && refund.requested_by && String(approvedBy) === String(refund.requested_by)) {
+      throw createError('A refund must be approved by someone other than the requester', 403);
+    }
+
+    const payment = await Payment.findById(refund.payment_id);
+    if (payment.status !== 'CONFIRMED') {
+      throw createError(`Original payment is ${payment.status}`, 409);
+    }
+    if (['REVERSAL', 'B2C'].includes(refund.method)) {
+      MpesaService.assertPayoutsEnabled();
+    }
+
+    if (refund.method === 'CASH') {
+      return await this.payOutCash(refund, payment, approvedBy);
+    }
+
+    if (!await Refund.transition(refund.id, 'REQUESTED', 'PROCESSING', { approved_by: approvedBy })) {
+      throw createError('Refund was approved or rejected by someone else', 409);
+    }
+
+    const debit = await Payment.create({
+      source: payment.source,
+      source_id: payment.source_id,
+      transaction_type: 'debit',
+      payment_mode: PAYOUT_MODES[refund.method],
+      amount: refund.amount,
+      description: `Refund of payment ${payment.id}: ${refund.reason}`,
+      status: 'PENDING',
+      created_by: approvedBy,
+      payer_phone: refund.phone || payment.payer_phone,
+      related_payment_id: payment.id
+    });
+
+    if (refund.method === 'CARD') {
+      await Refund.transition(refund.id, 'PROCESSING', 'PROCESSING', { debit_payment_id: debit.id });
+      try {
+        const result = await CardPaymentService.refund(payment, refund.amount, refund.id);
+        await this.settle({ ...refund, debit_payment_id: debit.id }, {
+          resultCode: '0',
+          resultDesc: result.message || 'Card refund completed',
+          transactionID: result.provider_ref
+        });
+      } catch (error) {
+        await this.settle({ ...refund, debit_payment_id: debit.id }, { resultCode: 'CARD', resultDesc: error.message });
+        throw error;
+      }
+      return await Refund.findById(refund.id);
+    }
+
+    let response;
+    try {
+      response = refund.method === 'REVERSAL'
+        ? await MpesaService.requestReversal({ transactionId: payment.ref, amount: refund.amount, remarks: refund.reason })
+        : await MpesaService.requestB2cPayment({ phone: refund.phone, amount: refund.amount, remarks: refund.reason });
+    } catch (error) {
+      await Payment.updateStatus(debit.id, 'FAILED');
+      await Refund.transition(refund.id, 'PROCESSING', 'FAILED', {
+        debit_payment_id: debit.id,
+        result_desc: String(error.message).slice(0, 255)
+      });
+      throw error;
+    }
+
+    await Refund.transition(refund.id, 'PROCESSING', 'PROCESSING', {
+      debit_payment_id: debit.id,
+      conversation_id: response.ConversationID,
+      originator_conversation_id: response.OriginatorConversationID
+    });
+
+    // Mock mode has no Daraja to call back; settle straight away
+    if (response.mock) {
+      await this.settle(await Refund.findById(refund.id), {
+        resultCode: '0',
+        resultDesc: 'Mock refund completed',
+        transactionID: response.ConversationID
+      });
+    }
+
+    return await Refund.findById(refund.id);
+  }
+
+  /**
+   * Pay a cash refund out of the requesting cashier's drawer, or the approver's.
+   * The till session is locked so it cannot be closed while the payout is recorded.
+   * @param {Object} refund - Refund still REQUESTED
+   * @param {Object} payment - Original payment
+   * @param {string} approvedBy - Supervisor approving
+   * @returns {Promise<Object>} Completed refund
+   */
+  async payOutCash(refund, payment, approvedBy) {
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      if (!await Refund.transition(refund.id, 'REQUESTED', 'PROCESSING', { approved_by: approvedBy }, connection)) {
+        throw createError('Refund was approved or rejected by someone else', 409);
+      }
+
+      const tillSession = (refund.requested_by && await TillSession.findOpenByCashier(refund.requested_by, connection))
+        || (approvedBy && await TillSession.findOpenByCashier(approvedBy, connection));
+      if (!tillSession) {
+        throw createError('Open a till before paying out cash', 409);
+      }
+
+      const debit = await Payment.create({
+        source: payment.source,
+        source_id: payment.source_id,
+        transaction_type: 'debit',
+        payment_mode: PAYOUT_MODES[refund.method],
+        amount: refund.amount,
+        description: `Refund of payment ${payment.id}: ${refund.reason}`,
+        status: 'CONFIRMED',
+        created_by: approvedBy,
+        payer_phone: refund.phone || payment.payer_phone,
+        related_payment_id: payment.id,
+        till_session_id: tillSession.id
+      }, connection);
+
+      await Refund.transition(refund.id, 'PROCESSING', 'COMPLETED', { debit_payment_id: debit.id }, connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await Refund.findById(refund.id);
+  }
+
+  /**
+   * Reject a refund request
+   * @param {string} refundId - Refund ID
+   * @param {string} rejectedBy - Supervisor rejecting
+   * @param {string} reason - Why it was rejected
+   * @returns {Promise<Object>} Rejected refund
+   */
+  async reject(refundId, rejectedBy, reason) {
+    const refund = await this.findRequested(refundId);
+
+    if (!await Refund.transition(refund.id, 'REQUESTED', 'REJECTED', {
+      approved_by: rejectedBy,
+      rejection_reason: reason || null
+    })) {
+      throw createError('Refund was approved or rejected by someone else', 409);
+    }
+
+    return await Refund.findById(refund.id);
+  }
+
+  /**
+   * Complete or fail a PROCESSING refund from its Daraja or card provider result
+   * @param {Object} refund - Refund
+   * @param {Object} result - { resultCode, resultDesc, transactionID }
+   * @returns {Promise<boolean>} True if this call settled the refund
+   */
+  async settle(refund, result) {
+    const succeeded = result.resultCode === '0';
+    const settled = await Refund.transition(refund.id, 'PROCESSING', succeeded ? 'COMPLETED' : 'FAILED', {
+      result_code: result.resultCode,
+      result_desc: result.resultDesc ? String(result.resultDesc).slice(0, 255) : null,
+      mpesa_ref: succeeded ? result.transactionID : null
+    });
+
+    if (settled && refund.debit_payment_id) {
+      await Payment.resolvePending(refund.debit_payment_id, succeeded ? 'CONFIRMED' : 'FAILED', succeeded ? result.transactionID : null);
+    }
+    return settled;
+  }
+
+  /**
+   * Store a Daraja reversal/B2C result and settle the refund it belongs to.
+   * Safe to call repeatedly for the same delivery.
+   * @param {Object} payload - Raw request body from Daraja
+   * @param {Object} options - { timeout: true for QueueTimeOutURL deliveries }
+   * @returns {Promise<Object>} Stored result status
+   */
+  async handleMpesaResult(payload, { timeout = false } = {}) {
+    let parsed;
+    try {
+      parsed = MpesaService.parseResultCallback(payload);
+    } catch (error) {
+      await MpesaPaymentCallback.create({ source: 'RESULT', status: 'INVALID', raw_payload: payload });
+      throw error;
+    }
+
+    const refund = await Refund.findByConversationId(parsed.conversationID, parsed.originatorConversationID);
+
+    const callback = await MpesaPaymentCallback.create({
+      source: refund ? refund.method : 'RESULT',
+      amount: parsed.params.Amount || parsed.params.TransactionAmount || null,
+      ref: parsed.transactionID,
+      status: 'RECEIVED',
+      result_code: parseInt(parsed.resultCode) || null,
+      result_desc: parsed.resultDesc,
+      payment_id: refund ? refund.debit_payment_id : null,
+      raw_payload: payload
+    });
+
+    let status;
+    if (!refund) {
+      status = 'UNMATCHED';
+    } else if (timeout) {
+      // Daraja may still complete it; leave the refund PROCESSING
+      await Refund.setResultDesc(refund.id, `Queue timeout: ${parsed.resultDesc || 'no result yet'}`.slice(0, 255));
+      status = 'TIMEOUT';
+    } else {
+      status = await this.settle(refund, parsed) ? 'APPLIED' : 'DUPLICATE';
+    }
+
+    await MpesaPaymentCallback.updateStatus(callback.id, status);
+    return { callbackId: callback.id, refundId: refund ? refund.id : null, status, ...parsed };
+  }
+
+  /**
+   * Get a refund with its original and debit payments
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<Object>} Refund details
+   */
+  async getRefund(refundId) {
+    const refund = await Refund.findById(refundId);
+    if (!refund) {
+      throw createError('Refund not found', 404);
+    }
+
+    const [payment, debit] = await Promise.all([
+      Payment.findById(refund.payment_id),
+      refund.debit_payment_id ? Payment.findById(refund.debit_payment_id) : null
+    ]);
+
+    return { ...refund, payment, debit_payment: debit };
+  }
+}
+
+module.exports = new RefundService();
@@ -1,4 +1,4 @@
-const { pool } = require('../config/db');
+const { db, pool } = require('../config/db');
 
 /**
  * Report service for generating comprehensive business reports
@@ -6,12 +6,16 @@ const { pool } = require('../config/db');
 class ReportService {
   /**
    * Generate daily sales report
+   * M-Pesa credits are split into verified (receipt on an imported statement) and unverified
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} branchId - Branch ID (optional)
    * @returns {Promise<Object>} Daily sales report
    */
   async generateDailySalesReport(date, branchId = null) {
     try {
+      const branchFilter = branchId ? 'AND branch_id = ?' : '';
+      const values = branchId ? [date, branchId] : [date];
+
       // Car wash services
       const carWashQuery = `
         SELECT 
@@ -22,8 +26,8 @@ class ReportService {
           model,
           COUNT(*) as model_count
         FROM car_registry 
-        WHERE DATE(to_timestamp(updated_at)) = $1
-        ${branchId ? 'AND branch_id = $2' : ''}
+        WHERE DATE(FROM_UNIXTIME(updated_at)) = ?
+        ${branchFilter}
         GROUP BY model
         ORDER BY car_service_revenue DESC
       `;
@@ -36,12 +40,25 @@ class ReportService {
           type,
           COUNT(*) as type_count
         FROM carpet_registry 
-        WHERE DATE(to_timestamp(updated_at)) = $1
-        ${branchId ? 'AND branch_id = $2' : ''}
+        WHERE DATE(FROM_UNIXTIME(updated_at)) = ?
+        ${branchFilter}
         GROUP BY type
         ORDER BY carpet_service_revenue DESC
       `;
 
+      // Confirmed payments on the day's car wash and carpet jobs
+      const jobFilter = `
+        p.status = 'CONFIRMED' AND (
+          (p.source = 'CARWASH' AND p.source_id IN (
+            SELECT id FROM car_registry WHERE DATE(FROM_UNIXTIME(updated_at)) = ? ${branchFilter}
+          ))
+          OR (p.source = 'CARPETS' AND p.source_id IN (
+            SELECT id FROM carpet_registry WHERE DATE(FROM_UNIXTIME(updated_at)) = ? ${branchFilter}
+          ))
+        )
+      `;
+      const jobValues = [...values, ...values];
+
       // Payments summary
       const paymentsQuery = `
         SELECT 
@@ -50,30 +67,47 @@ class ReportService {
           COUNT(*) as transaction_count,
           COALESCE(SUM(p.amount), 0) as total_amount
         FROM payments p
-        WHERE p.source_id IN (
-          SELECT id FROM car_registry WHERE DATE(to_timestamp(updated_at)) = $1
-          UNION 
-          SELECT id FROM carpet_registry WHERE DATE(to_timestamp(updated_at)) = $1
-        )
-        ${branchId ? 'AND p.source_id IN (SELECT id FROM car_registry WHERE branch_id = $2 UNION SELECT id FROM carpet_registry WHERE branch_id = $2)' : ''}
+        WHERE ${jobFilter}
         GROUP BY p.payment_mode, p.transaction_type
         ORDER BY total_amount DESC
       `;
 
-      const values = branchId ? [date, branchId] : [date];
+      // M-Pesa credits verified against an imported statement
+      const mpesaQuery = `
+        SELECT
+          COUNT(*) as mpesa_count,
+          COALESCE(SUM(p.amount), 0) as mpesa_amount,
+          COALESCE(SUM(CASE WHEN sl.receipt_no IS NOT NULL THEN 1 ELSE 0 END), 0) as verified_count,
+          COALESCE(SUM(CASE WHEN sl.receipt_no IS NOT NULL THEN p.amount ELSE 0 END), 0) as verified_amount
+        FROM payments p
+        LEFT JOIN (SELECT DISTINCT receipt_no FROM mpesa_statement_lines) sl ON sl.receipt_no = p.ref
+        WHERE p.payment_mode = 'MPESA' AND p.transaction_type = 'credit' AND ${jobFilter}
+      `;
 
-      const [carResults, carpetResults, paymentResults] = await Promise.all([
-        pool.query(carWashQuery, values),
-        pool.query(carpetQuery, values),
-        pool.query(paymentsQuery, values)
+      const statementQuery = `
+        SELECT COUNT(*) as line_count
+        FROM mpesa_statement_lines
+        WHERE DATE(completed_at) = ?
+      `;
+
+      const [[carResults], [carpetResults], [paymentResults], [mpesaResults], [statementResults]] = await Promise.all([
+        db.execute(carWashQuery, values),
+        db.execute(carpetQuery, values),
+        db.execute(paymentsQuery, jobValues),
+        db.execute(mpesaQuery, jobValues),
+        db.execute(statementQuery, [date])
       ]);
 
       // Calculate totals
-      const totalRevenue = carResults.rows.reduce((sum, row) => sum + parseFloat(row.car_service_revenue), 0) +
-                          carpetResults.rows.reduce((sum, row) => sum + parseFloat(row.carpet_service_revenue), 0);
+      const totalRevenue = carResults.reduce((sum, row) => sum + parseFloat(row.car_service_revenue), 0) +
+                          carpetResults.reduce((sum, row) => sum + parseFloat(row.carpet_service_revenue), 0);
+
+      const totalServices = carResults.reduce((sum, row) => sum + parseInt(row.car_service_count), 0) +
+                           carpetResults.reduce((sum, row) => sum + parseInt(row.carpet_service_count), 0);
 
-      const totalServices = carResults.rows.reduce((sum, row) => sum + parseInt(row.car_service_count), 0) +
-                           carpetResults.rows.reduce((sum, row) => sum + parseInt(row.carpet_service_count), 0);
+      const mpesa = mpesaResults[0];
+      const mpesaAmount = parseFloat(mpesa.mpesa_amount);
+      const verifiedAmount = parseFloat(mpesa.verified_amount);
 
       return {
         date,
@@ -81,14 +115,23 @@ class ReportService {
         summary: {
           total_services: totalServices,
           total_revenue: totalRevenue,
-          car_services: carResults.rows.reduce((sum, row) => sum + parseInt(row.car_service_count), 0),
-          carpet_services: carpetResults.rows.reduce((sum, row) => sum + parseInt(row.carpet_service_count), 0),
-          total_tips: carResults.rows.reduce((sum, row) => sum + parseFloat(row.total_tips), 0),
-          total_excess: carResults.rows.reduce((sum, row) => sum + parseFloat(row.total_excess), 0)
+          car_services: carResults.reduce((sum, row) => sum + parseInt(row.car_service_count), 0),
+          carpet_services: carpetResults.reduce((sum, row) => sum + parseInt(row.carpet_service_count), 0),
+          total_tips: carResults.reduce((sum, row) => sum + parseFloat(row.total_tips), 0),
+          total_excess: carResults.reduce((sum, row) => sum + parseFloat(row.total_excess), 0)
+        },
+        mpesa_verification: {
+          statement_imported: parseInt(statementResults[0].line_count) > 0,
+          mpesa_payments: parseInt(mpesa.mpesa_count),
+          mpesa_amount: mpesaAmount,
+          verified_payments: parseInt(mpesa.verified_count),
+          verified_amount: verifiedAmount,
+          unverified_payments: parseInt(mpesa.mpesa_count) - parseInt(mpesa.verified_count),
+          unverified_amount: Math.round((mpesaAmount - verifiedAmount) * 100) / 100
         },
-        car_services: carResults.rows,
-        carpet_services: carpetResults.rows,
-        payments: paymentResults.rows
+        car_services: carResults,
+        carpet_services: carpetResults,
+        payments: paymentResults
       };
     } catch (error) {
       throw error;
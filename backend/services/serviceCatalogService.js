@@ -0,0 +1,365 @@
+const ServiceCatalog = require('../models/ServiceCatalog');
+const CarRegistry = require('../models/CarRegistry');
+const Vehicle = require('../models/Vehicle');
+const Branch = require('../models/Branch');
+const CorporateAccount = require('../models/CorporateAccount');
+const PaymentService = require('./paymentService');
+const { createError } = require('../utils/errors');
+
+// Vehicle classes services are priced by (VAN includes matatus)
+const VEHICLE_CLASSES = ['SALOON', 'SUV', 'VAN', 'PICKUP', 'LORRY', 'MOTORBIKE'];
+
+// Class used when a registration does not say
+const DEFAULT_VEHICLE_CLASS = 'SALOON';
+
+/**
+ * Service catalog service: the services offered, their price per vehicle
+ * class with branch overrides, and checking the price charged at car
+ * registration against the catalog
+ */
+class ServiceCatalogService {
+  /**
+   * Vehicle classes services are priced by
+   * @returns {Array<string>} Vehicle classes
+   */
+  getVehicleClasses() {
+    return [...VEHICLE_CLASSES];
+  }
+
+  /**
+   * Check and normalise a vehicle class
+   * @param {string} vehicleClass - Vehicle class (defaults to SALOON)
+   * @returns {string} Vehicle class in upper case
+   */
+  normalizeVehicleClass(vehicleClass) {
+    const normalized = String(vehicleClass || DEFAULT_VEHICLE_CLASS).trim().toUpperCase();
+    if (!VEHICLE_CLASSES.includes(normalized)) {
+      throw createError(`Invalid vehicle_class. Use: ${VEHICLE_CLASSES.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Check a price
+   * @param {number} price - Price
+   * @returns {number} Rounded price
+   */
+  normalizePrice(price) {
+    const rounded = PaymentService.round(price);
+    if (isNaN(rounded) || rounded < 0) {
+      throw createError('price must be a number of at least 0');
+    }
+    return rounded;
+  }
+
+  /**
+   * Check how long a service holds a bay
+   * @param {number} minutes - Duration in minutes
+   * @returns {number} Whole minutes
+   */
+  normalizeDuration(minutes) {
+    const duration = parseInt(minutes);
+    if (isNaN(duration) || duration < 5 || duration > 720) {
+      throw createError('duration_minutes must be between 5 and 720');
+    }
+    return duration;
+  }
+
+  /**
+   * Load an active catalog service by code or name
+   * @param {string} codeOrName - e.g. FULL_WASH or "Full wash"
+   * @returns {Promise<Object>} Service
+   */
+  async resolveService(codeOrName) {
+    const service = codeOrName ? await ServiceCatalog.findByCodeOrName(codeOrName) : null;
+    if (!service || !service.is_active) {
+      const active = await ServiceCatalog.findAll({ is_active: true });
+      throw createError(
+        `Unknown service "${codeOrName}". Use one of: ${active.map(item => item.code).join(', ')}`,
+        422
+      );
+    }
+    return service;
+  }
+
+  /**
+   * Price a service for a vehicle class at a branch and compare it with the
+   * amount charged. An amount that differs from the list price is a manual
+   * override that needs supervisor approval. A corporate account's contract
+   * price replaces the catalog price.
+   * @param {Object} quoteData - { service, vehicle_class, branch_id, amount, account_id }
+   * @returns {Promise<Object>} { service_code, service, vehicle_class, list_price, price_source, amount, price_override }
+   */
+  async quote(quoteData) {
+    const service = await this.resolveService(quoteData.service);
+    const vehicleClass = this.normalizeVehicleClass(quoteData.vehicle_class);
+
+    const contract = quoteData.account_id
+      ? await CorporateAccount.findContractPrice(quoteData.account_id, service.id, vehicleClass)
+      : null;
+    const listed = contract || await ServiceCatalog.getEffectivePrice(service.id, vehicleClass, quoteData.branch_id);
+    if (!listed) {
+      throw createError(`${service.name} is not offered for ${vehicleClass} vehicles`, 422);
+    }
+
+    const listPrice = PaymentService.round(listed.price);
+    const hasAmount = quoteData.amount !== undefined && quoteData.amount !== null && quoteData.amount !== '';
+    const amount = hasAmount ? this.normalizePrice(quoteData.amount) : listPrice;
+
+    return {
+      service_code: service.code,
+      service: service.name,
+      vehicle_class: vehicleClass,
+      list_price: listPrice,
+      price_source: listed.price_source,
+      amount,
+      price_override: amount !== listPrice
+    };
+  }
+
+  /**
+   * Price a service for a known vehicle. It is priced for the class on the
+   * vehicle's record; charging another class is a manual override for
+   * approval (at that class's price unless an amount is given) and leaves
+   * the record as it is.
+   * @param {Object} quoteData - { service, vehicle_class, recorded_class, branch_id, amount, account_id }
+   * @returns {Promise<Object>} Quote as from quote(), with requested_class when another class was asked for
+   */
+  async quoteForVehicle(quoteData) {
+    const { recorded_class, ...rest } = quoteData;
+    const requestedClass = quoteData.vehicle_class ? this.normalizeVehicleClass(quoteData.vehicle_class) : null;
+    if (!recorded_class || !requestedClass || requestedClass === recorded_class) {
+      return await this.quote({ ...rest, vehicle_class: requestedClass || recorded_class });
+    }
+
+    const hasAmount = quoteData.amount !== undefined && quoteData.amount !== null && quoteData.amount !== '';
+    const amount = hasAmount
+      ? quoteData.amount
+      : (await this.quote({ ...rest, vehicle_class: requestedClass, amount: undefined })).amount;
+    const quote = await this.quote({ ...rest, vehicle_class: recorded_class, amount });
+    return { ...quote, price_override: true, requested_class: requestedClass };
+  }
+
+  /**
+   * Reason to store with a price override; charging another vehicle class says so
+   * @param {Object} quote - Quote from quoteForVehicle
+   * @param {string} reason - Reason given by the user
+   * @returns {string|null} Reason
+   */
+  overrideReason(quote, reason) {
+    if (!quote.requested_class) return reason || null;
+    const classNote = `Charged as ${quote.requested_class}; vehicle is ${quote.vehicle_class}`;
+    return reason ? `${classNote}. ${reason}` : classNote;
+  }
+
+  /**
+   * Price a service done on a registered car, e.g. by an attendant. The amount
+   * must be the catalog price, or what the car was charged for that service.
+   * @param {string} carId - Car registry ID
+   * @param {string} service - Service code or name
+   * @param {number} amount - Amount (defaults to the catalog price)
+   * @returns {Promise<Object>} Quote for the car's branch and vehicle class
+   */
+  async quoteForCar(carId, service, amount) {
+    const car = await CarRegistry.findById(carId);
+    if (!car) {
+      throw createError('Car service not found', 404);
+    }
+
+    const quote = await this.quote({
+      service,
+      vehicle_class: car.vehicle_class,
+      branch_id: car.branch_id,
+      amount,
+      account_id: car.account_id
+    });
+
+    const chargedOnCar = car.service_code === quote.service_code && PaymentService.round(car.amount) === quote.amount;
+    if (quote.price_override && !chargedOnCar) {
+      throw createError(
+        `Amount ${quote.amount} does not match the ${quote.service} price of ${quote.list_price} for ${quote.vehicle_class} vehicles`,
+        422
+      );
+    }
+    return quote;
+  }
+
+  /**
+   * The catalog with each service's price per vehicle class, as charged at a
+   * branch when one is given
+   * @param {Object} options - { branch_id, include_inactive }
+   * @returns {Promise<Array>} Services with a prices map { SALOON: { price, price_source } }
+   */
+  async getPriceList(options = {}) {
+    const { branch_id, include_inactive = false } = options;
+
+    if (branch_id && (!Branch.isValidId(branch_id) || !await Branch.findById(branch_id))) {
+      throw createError('Branch not found', 404);
+    }
+
+    const [services, basePrices, branchPrices] = await Promise.all([
+      ServiceCatalog.findAll(include_inactive ? {} : { is_active: true }),
+      ServiceCatalog.findBasePrices(),
+      branch_id ? ServiceCatalog.findBranchPrices(branch_id) : []
+    ]);
+
+    return services.map(service => {
+      const prices = {};
+      basePrices.filter(row => row.service_id === service.id).forEach(row => {
+        prices[row.vehicle_class] = { price: PaymentService.round(row.price), price_source: 'BASE' };
+      });
+      branchPrices.filter(row => row.service_id === service.id).forEach(row => {
+        prices[row.vehicle_class] = {
+          price: PaymentService.round(row.price),
+          price_source: 'BRANCH',
+          base_price: prices[row.vehicle_class] ? prices[row.vehicle_class].price : null
+        };
+      });
+      return { ...service, prices };
+    });
+  }
+
+  /**
+   * Add a service to the catalog with optional base prices
+   * @param {Object} serviceData - { code, name, description, duration_minutes, is_bookable, prices: { SALOON: 500, ... } }
+   * @returns {Promise<Object>} Created service with its prices
+   */
+  async createService(serviceData) {
+    const { name, description = null, is_bookable = false, prices = {} } = serviceData;
+    const duration = serviceData.duration_minutes !== undefined ? this.normalizeDuration(serviceData.duration_minutes) : 30;
+    const code = String(serviceData.code || '').trim().toUpperCase();
+
+    if (!/^[A-Z0-9_]{2,30}$/.test(code)) {
+      throw createError('code must be 2-30 letters, digits or underscores, e.g. FULL_WASH');
+    }
+
+    const normalizedPrices = Object.entries(prices).map(([vehicleClass, price]) => [
+      this.normalizeVehicleClass(vehicleClass),
+      this.normalizePrice(price)
+    ]);
+
+    let service;
+    try {
+      service = await ServiceCatalog.create({
+        code,
+        name: name.trim(),
+        description,
+        duration_minutes: duration,
+        is_bookable: is_bookable === true || is_bookable === 'true'
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`Service ${code} already exists`, 409);
+      }
+      throw error;
+    }
+
+    for (const [vehicleClass, price] of normalizedPrices) {
+      await ServiceCatalog.setBasePrice(service.id, vehicleClass, price);
+    }
+
+    return { ...service, prices: await ServiceCatalog.findBasePrices(service.id) };
+  }
+
+  /**
+   * Set the base price, or a branch's own price, of a service for a vehicle class
+   * @param {Object} priceData - { service_id, vehicle_class, price, branch_id }
+   * @returns {Promise<Object>} Effective price at the branch (or the base price)
+   */
+  async setPrice(priceData) {
+    const { service_id, branch_id = null } = priceData;
+    const vehicleClass = this.normalizeVehicleClass(priceData.vehicle_class);
+    const price = this.normalizePrice(priceData.price);
+
+    const service = await ServiceCatalog.findById(service_id);
+    if (!service) {
+      throw createError('Service not found', 404);
+    }
+
+    if (branch_id) {
+      if (!Branch.isValidId(branch_id) || !await Branch.findById(branch_id)) {
+        throw createError('Branch not found', 404);
+      }
+      await ServiceCatalog.setBranchPrice(branch_id, service.id, vehicleClass, price);
+    } else {
+      await ServiceCatalog.setBasePrice(service.id, vehicleClass, price);
+    }
+
+    return {
+      service_id: service.id,
+      service_code: service.code,
+      vehicle_class: vehicleClass,
+      branch_id,
+      ...await ServiceCatalog.getEffectivePrice(service.id, vehicleClass, branch_id)
+    };
+  }
+
+  /**
+   * Remove a branch's own price so the base price applies again
+   * @param {Object} priceData - { service_id, vehicle_class, branch_id }
+   * @returns {Promise<void>}
+   */
+  async removeBranchPrice(priceData) {
+    const vehicleClass = this.normalizeVehicleClass(priceData.vehicle_class);
+
+    if (!await ServiceCatalog.removeBranchPrice(priceData.branch_id, priceData.service_id, vehicleClass)) {
+      throw createError('Branch has no price of its own for this service and vehicle class', 404);
+    }
+  }
+
+  /**
+   * Add or change an entry in the make/model lookup that classifies new vehicles
+   * @param {Object} lookupData - { make, model, vehicle_class }; omit model to classify the whole make
+   * @returns {Promise<Object>} Saved lookup entry
+   */
+  async setModelClass(lookupData) {
+    const { make, model = null } = lookupData;
+    const vehicleClass = this.normalizeVehicleClass(lookupData.vehicle_class);
+
+    if (!make || !String(make).trim()) {
+      throw createError('make is required');
+    }
+
+    await Vehicle.setModelClass(String(make), model ? String(model) : null, vehicleClass);
+    return {
+      make: String(make).toUpperCase().trim(),
+      model: model ? String(model).toUpperCase().trim() : '',
+      vehicle_class: vehicleClass
+    };
+  }
+
+  /**
+   * Approve or reject a manual price override on a car registration. A
+   * rejected override puts the car back on the list price. The car cannot be
+   * paid or receipted while its override is pending, so nothing has been
+   * settled at the overridden amount.
+   * @param {string} carId - Car registry ID
+   * @param {boolean} approve - Approve (true) or reject (false)
+   * @param {string} reviewedBy - Supervisor reviewing the override
+   * @returns {Promise<Object>} Updated car registration
+   */
+  async reviewPriceOverride(carId, approve, reviewedBy) {
+    const car = await CarRegistry.findById(carId);
+    if (!car) {
+      throw createError('Car service not found', 404);
+    }
+    if (car.price_override_status !== 'PENDING') {
+      throw createError(
+        car.price_override_status
+          ? `Price override is already ${car.price_override_status}`
+          : 'Car service was charged the list price',
+        409
+      );
+    }
+    if (String(car.price_override_by || car.registered_by) === String(reviewedBy)) {
+      throw createError('A price override must be reviewed by someone other than who entered it', 403);
+    }
+
+    if (!await CarRegistry.reviewPriceOverride(car.id, approve ? 'APPROVED' : 'REJECTED', reviewedBy)) {
+      throw createError('Price override was reviewed by someone else', 409);
+    }
+    return await CarRegistry.findById(car.id);
+  }
+}
+
+module.exports = new ServiceCatalogService();
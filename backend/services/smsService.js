@@ -0,0 +1,52 @@
+const fetch = require('node-fetch');
+const { SMS_GATEWAY_URL, SMS_API_KEY, SMS_SENDER_ID } = require('../config/env');
+const { createError } = require('../utils/errors');
+
+/**
+ * SMS service: sends text messages through the HTTP gateway in SMS_GATEWAY_URL.
+ * With no gateway configured messages are dropped outside production (development);
+ * in production sending fails.
+ */
+class SmsService {
+  /**
+   * Whether messages actually leave the system
+   * @returns {boolean} True when a gateway is configured
+   */
+  isConfigured() {
+    return Boolean(SMS_GATEWAY_URL);
+  }
+
+  /**
+   * Send a text message
+   * @param {string} phone - Phone number (2547XXXXXXXX)
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} { sent, mocked }
+   */
+  async send(phone, message) {
+    if (!this.isConfigured()) {
+      if (process.env.NODE_ENV === 'production') {
+        throw createError('SMS_GATEWAY_URL is not configured', 500);
+      }
+      // Messages may carry one-time codes, so only the recipient is logged
+      console.log(`[SMS] not sent to ${phone} (${message.length} characters): no SMS_GATEWAY_URL`);
+      return { sent: true, mocked: true };
+    }
+
+    const response = await fetch(SMS_GATEWAY_URL, {
+      method: 'POST',
+      body: JSON.stringify({ to: phone, message, sender_id: SMS_SENDER_ID || undefined }),
+      headers: {
+        'Content-Type': 'application/json',
+        ...(SMS_API_KEY && { Authorization: `Bearer ${SMS_API_KEY}` })
+      }
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw createError(`SMS gateway rejected the message (${response.status}) ${body}`.trim(), 502);
+    }
+    return { sent: true, mocked: false };
+  }
+}
+
+module.exports = new SmsService();
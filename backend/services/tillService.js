@@ -0,0 +1,232 @@
+const { db } = require('../config/db');
+const Till = require('../models/Till');
+const TillSession = require('../models/TillSession');
+const Payment = require('../models/Payment');
+const Branch = require('../models/Branch');
+const PaymentService = require('./paymentService');
+const { createError } = require('../utils/errors');
+
+// Kenyan shilling notes and coins accepted in a cash-up count
+const DENOMINATIONS = [1000, 500, 200, 100, 50, 40, 20, 10, 5, 1];
+
+/**
+ * Till service: opening a cashier session with a float, cash-up at close
+ * and supervisor sign-off before the till can be opened again
+ */
+class TillService {
+  /**
+   * Add a till to a branch
+   * @param {Object} tillData - { branch_id, name }
+   * @returns {Promise<Object>} Created till
+   */
+  async createTill(tillData) {
+    const { branch_id, name } = tillData;
+
+    if (!Branch.isValidId(branch_id) || !await Branch.findById(branch_id)) {
+      throw createError('Branch not found', 404);
+    }
+
+    try {
+      return await Till.create({ branch_id, name: name.trim() });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`A till named "${name}" already exists at this branch`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a session on a till. The till's previous session must have been
+   * signed off, and the cashier may only have one session open.
+   * @param {Object} sessionData - { till_id, cashier_id, opening_float }
+   * @returns {Promise<Object>} Opened session
+   */
+  async openSession(sessionData) {
+    const { till_id, cashier_id } = sessionData;
+    const openingFloat = PaymentService.round(sessionData.opening_float);
+
+    if (isNaN(openingFloat) || openingFloat < 0) {
+      throw createError('opening_float cannot be negative');
+    }
+
+    const connection = await db.getConnection();
+    let sessionId;
+    try {
+      await connection.beginTransaction();
+
+      const till = await Till.findById(till_id, connection);
+      if (!till) {
+        throw createError('Till not found', 404);
+      }
+      if (!till.is_active) {
+        throw createError('Till is not active', 409);
+      }
+
+      const previous = await TillSession.findUnapprovedByTill(till.id, connection);
+      if (previous) {
+        throw createError(
+          previous.status === 'OPEN'
+            ? `Till already has an open session (${previous.id})`
+            : `Session ${previous.id} on this till is waiting for supervisor sign-off`,
+          409
+        );
+      }
+
+      const current = await TillSession.findOpenByCashier(cashier_id, connection);
+      if (current) {
+        throw createError(`You already have session ${current.id} open; close it first`, 409);
+      }
+
+      sessionId = await TillSession.create({ till_id: till.id, cashier_id, opening_float: openingFloat }, connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await TillSession.findById(sessionId);
+  }
+
+  /**
+   * Total a denomination count
+   * @param {Object} denominations - Count per denomination, e.g. { "1000": 3, "50": 4 }
+   * @returns {Object} { counts, total } with only non-zero counts kept
+   */
+  countCash(denominations) {
+    if (!denominations || typeof denominations !== 'object' || Array.isArray(denominations)) {
+      throw createError('denominations must be an object of counts, e.g. { "1000": 3, "50": 4 }');
+    }
+
+    const counts = {};
+    let total = 0;
+
+    for (const [key, value] of Object.entries(denominations)) {
+      const denomination = parseInt(key);
+      const count = Number(value);
+
+      if (!DENOMINATIONS.includes(denomination)) {
+        throw createError(`Unknown denomination ${key}. Use: ${DENOMINATIONS.join(', ')}`);
+      }
+      if (!Number.isInteger(count) || count < 0) {
+        throw createError(`Count for ${key} must be a whole number`);
+      }
+
+      if (count > 0) {
+        counts[denomination] = count;
+        total += denomination * count;
+      }
+    }
+
+    return { counts, total: PaymentService.round(total) };
+  }
+
+  /**
+   * Close a session with the cashier's denomination count and record the variance
+   * @param {number} sessionId - Session ID
+   * @param {Object} closeData - { denominations, note }
+   * @param {string} closedBy - User closing the session (must be its cashier)
+   * @returns {Promise<Object>} Closed session
+   */
+  async closeSession(sessionId, closeData, closedBy) {
+    const { denominations, note = null } = closeData;
+    const { counts, total: countedCash } = this.countCash(denominations);
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Locked so no cash payment can land on the session while it is counted
+      const session = await TillSession.lock(sessionId, connection);
+      if (!session) {
+        throw createError('Till session not found', 404);
+      }
+      if (session.status !== 'OPEN') {
+        throw createError(`Till session is already ${session.status}`, 409);
+      }
+      if (String(session.cashier_id) !== String(closedBy)) {
+        throw createError('Only the cashier who opened the session can close it', 403);
+      }
+
+      const { cash_in, cash_out } = await TillSession.getCashTotals(session.id, connection);
+      const expectedCash = PaymentService.round(parseFloat(session.opening_float) + cash_in - cash_out);
+
+      await TillSession.close(session.id, {
+        cash_in: PaymentService.round(cash_in),
+        cash_out: PaymentService.round(cash_out),
+        expected_cash: expectedCash,
+        counted_cash: countedCash,
+        variance: PaymentService.round(countedCash - expectedCash),
+        denominations: counts,
+        close_note: note
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await TillSession.findById(sessionId);
+  }
+
+  /**
+   * Supervisor sign-off of a closed session, which frees the till for the next session
+   * @param {number} sessionId - Session ID
+   * @param {string} approvedBy - Supervisor signing off
+   * @param {string} note - Required when the count does not match
+   * @returns {Promise<Object>} Approved session
+   */
+  async approveSession(sessionId, approvedBy, note = null) {
+    const session = await TillSession.findById(sessionId);
+    if (!session) {
+      throw createError('Till session not found', 404);
+    }
+    if (session.status !== 'CLOSED') {
+      throw createError(
+        session.status === 'OPEN' ? 'Till session must be closed before sign-off' : 'Till session is already signed off',
+        409
+      );
+    }
+    if (String(session.cashier_id) === String(approvedBy)) {
+      throw createError('A till session must be signed off by someone other than its cashier', 403);
+    }
+    if (PaymentService.round(session.variance) !== 0 && !note) {
+      throw createError(`Variance of ${PaymentService.round(session.variance)}: a note is required to sign off`);
+    }
+
+    if (!await TillSession.approve(session.id, approvedBy, note)) {
+      throw createError('Till session was signed off by someone else', 409);
+    }
+    return await TillSession.findById(session.id);
+  }
+
+  /**
+   * Get a session with its cash payments and, while open, the running expected cash
+   * @param {number} sessionId - Session ID
+   * @returns {Promise<Object>} Session details
+   */
+  async getSession(sessionId) {
+    const session = await TillSession.findById(sessionId);
+    if (!session) {
+      throw createError('Till session not found', 404);
+    }
+
+    const payments = await Payment.findAll({ till_session_id: session.id });
+
+    if (session.status === 'OPEN') {
+      const { cash_in, cash_out } = await TillSession.getCashTotals(session.id);
+      session.cash_in = PaymentService.round(cash_in);
+      session.cash_out = PaymentService.round(cash_out);
+      session.expected_cash = PaymentService.round(parseFloat(session.opening_float) + cash_in - cash_out);
+    }
+
+    return { ...session, payments };
+  }
+}
+
+module.exports = new TillService();
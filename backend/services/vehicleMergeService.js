@@ -0,0 +1,331 @@
+const { db } = require('../config/db');
+const Vehicle = require('../models/Vehicle');
+const VehicleMerge = require('../models/VehicleMerge');
+const CustomerService = require('./customerService');
+const PlateService = require('./plateService');
+const { createError } = require('../utils/errors');
+
+// Characters an OCR read or a hurried attendant mixes up, folded to one form
+const CONFUSABLE = { O: '0', Q: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6' };
+
+// Plates of one owner's vehicles further apart than this are different cars
+const MAX_SHARED_PHONE_DISTANCE = 3;
+
+// A phone shared by more vehicles than this is a placeholder, not an owner
+const MAX_GROUP_SIZE = 50;
+
+const CONFIDENCE_ORDER = ['LOW', 'MEDIUM', 'HIGH'];
+
+/**
+ * Duplicate vehicle detection and merging. Historic entries hold the same car
+ * under plates that differ by an O/0 or I/1 swap or one mistyped character;
+ * those are found by comparing plates (and owner phones) and merged into one
+ * vehicle, with every merge recorded so it can be undone.
+ */
+class VehicleMergeService {
+  /**
+   * A plate with look-alike characters folded together, e.g. KDO1I3A -> KD00113A
+   * @param {string} plate - Canonical plate
+   * @returns {string} Folded plate
+   */
+  foldConfusable(plate) {
+    return plate.replace(/[OQILZSBG]/g, char => CONFUSABLE[char]);
+  }
+
+  /**
+   * Edit distance between two plates, counting a swap of neighbouring
+   * characters (123 -> 132) as one edit
+   * @param {string} a - First plate
+   * @param {string} b - Second plate
+   * @returns {number} Edits needed to turn a into b
+   */
+  editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Compare two vehicles and say why they look like the same car
+   * @param {Object} a - Vehicle
+   * @param {Object} b - Vehicle
+   * @returns {Object} { reasons, distance, confidence } with confidence null if they do not match
+   */
+  compare(a, b) {
+    const plateA = PlateService.normalize(a.license_plate);
+    const plateB = PlateService.normalize(b.license_plate);
+    const distance = this.editDistance(this.foldConfusable(plateA), this.foldConfusable(plateB));
+
+    const phoneA = CustomerService.normalizePhone(a.phone_number);
+    const phoneB = CustomerService.normalizePhone(b.phone_number);
+    const samePhone = Boolean(phoneA) && phoneA === phoneB;
+    const otherPhone = Boolean(phoneA) && Boolean(phoneB) && phoneA !== phoneB;
+
+    const reasons = [];
+    if (plateA === plateB) {
+      reasons.push('SAME_PLATE');
+    } else if (distance === 0) {
+      reasons.push('OCR_CONFUSABLE');
+    } else if (distance === 1) {
+      reasons.push('EDIT_DISTANCE');
+    }
+    if (samePhone) reasons.push('SHARED_PHONE');
+    if (otherPhone) reasons.push('DIFFERENT_PHONE');
+
+    let confidence = null;
+    if (distance === 0) {
+      confidence = otherPhone ? 'MEDIUM' : 'HIGH';
+    } else if (distance === 1) {
+      confidence = samePhone ? 'HIGH' : (otherPhone ? 'LOW' : 'MEDIUM');
+    } else if (samePhone && distance <= MAX_SHARED_PHONE_DISTANCE) {
+      confidence = 'LOW';
+    }
+
+    return { reasons, distance, confidence };
+  }
+
+  /**
+   * Which of two duplicates should survive: a plate in a recognised format,
+   * then the one with more visits, then the older record
+   * @param {Object} a - Vehicle
+   * @param {Object} b - Vehicle
+   * @returns {Object} Suggested survivor
+   */
+  pickSurvivor(a, b) {
+    const recognised = vehicle => (vehicle.plate_format && vehicle.plate_format !== 'UNRECOGNISED' ? 1 : 0);
+
+    const preferB = (recognised(b) - recognised(a)) || (b.total_visits - a.total_visits) || (a.id - b.id);
+    return preferB > 0 ? b : a;
+  }
+
+  /**
+   * Find pairs of vehicles that are likely the same car. Vehicles are only
+   * compared when they share a folded plate, a plate with one character
+   * dropped (so one edit apart) or an owner phone number.
+   * @param {Object} options - { confidence: lowest confidence to list (default MEDIUM), vehicle_id }
+   * @returns {Promise<Array>} Pairs, most likely first
+   */
+  async findDuplicates(options = {}) {
+    const minConfidence = String(options.confidence || 'MEDIUM').toUpperCase();
+    if (!CONFIDENCE_ORDER.includes(minConfidence)) {
+      throw createError(`Invalid confidence. Use: ${CONFIDENCE_ORDER.join(', ')}`);
+    }
+    const vehicleId = options.vehicle_id ? parseInt(options.vehicle_id) : null;
+
+    const vehicles = await Vehicle.findAllForMatching();
+
+    const groups = new Map();
+    const addToGroup = (key, index) => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    };
+
+    vehicles.forEach((vehicle, index) => {
+      const folded = this.foldConfusable(PlateService.normalize(vehicle.license_plate));
+      addToGroup(`plate:${folded}`, index);
+      for (let i = 0; i < folded.length; i++) {
+        addToGroup(`plate:${folded.slice(0, i)}${folded.slice(i + 1)}`, index);
+      }
+
+      const phone = CustomerService.normalizePhone(vehicle.phone_number);
+      if (phone) addToGroup(`phone:${phone}`, index);
+    });
+
+    const pairs = new Map();
+    for (const members of groups.values()) {
+      if (members.length < 2 || members.length > MAX_GROUP_SIZE) continue;
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const a = vehicles[members[i]];
+          const b = vehicles[members[j]];
+          const key = `${Math.min(a.id, b.id)}:${Math.max(a.id, b.id)}`;
+          if (a.id === b.id || pairs.has(key)) continue;
+          if (vehicleId && a.id !== vehicleId && b.id !== vehicleId) continue;
+
+          const match = this.compare(a, b);
+          pairs.set(key, match.confidence ? { a, b, ...match } : null);
+        }
+      }
+    }
+
+    return [...pairs.values()]
+      .filter(pair => pair && CONFIDENCE_ORDER.indexOf(pair.confidence) >= CONFIDENCE_ORDER.indexOf(minConfidence))
+      .map(pair => {
+        const survivor = this.pickSurvivor(pair.a, pair.b);
+        return {
+          confidence: pair.confidence,
+          reasons: pair.reasons,
+          distance: pair.distance,
+          suggested_survivor_id: survivor.id,
+          suggested_merged_id: survivor === pair.a ? pair.b.id : pair.a.id,
+          vehicles: [pair.a, pair.b]
+        };
+      })
+      .sort((x, y) => (
+        (CONFIDENCE_ORDER.indexOf(y.confidence) - CONFIDENCE_ORDER.indexOf(x.confidence)) ||
+        (x.distance - y.distance) ||
+        (x.vehicles[0].id - y.vehicles[0].id)
+      ));
+  }
+
+  /**
+   * Merge a duplicate vehicle into the vehicle that survives. Its car
+   * registrations, account authorisations, inspections and appointments take
+   * the survivor's plate, its offers, owner history and visit counts move
+   * to the survivor, owner details the survivor lacks are copied over, and the
+   * duplicate is removed. Everything is recorded for undo.
+   * @param {Object} mergeData - { survivor_id, merged_id, reason }
+   * @param {string} mergedBy - User merging the vehicles
+   * @returns {Promise<Object>} Merge record and the surviving vehicle
+   */
+  async merge(mergeData, mergedBy) {
+    const survivorId = parseInt(mergeData.survivor_id);
+    const mergedId = parseInt(mergeData.merged_id);
+
+    if (!survivorId || !mergedId) {
+      throw createError('survivor_id and merged_id must be vehicle IDs');
+    }
+    if (survivorId === mergedId) {
+      throw createError('A vehicle cannot be merged into itself');
+    }
+
+    const connection = await db.getConnection();
+    let mergeId;
+    try {
+      await connection.beginTransaction();
+
+      // Lock in ID order so two merges of the same pair cannot deadlock
+      const [first, second] = [survivorId, mergedId].sort((a, b) => a - b);
+      const locked = {
+        [first]: await VehicleMerge.lockVehicle(first, connection),
+        [second]: await VehicleMerge.lockVehicle(second, connection)
+      };
+      const survivor = locked[survivorId];
+      const merged = locked[mergedId];
+      if (!survivor || !merged) {
+        throw createError(`Vehicle ${survivor ? mergedId : survivorId} not found`, 404);
+      }
+
+      const survivorStats = await VehicleMerge.lockStats(survivor.id, connection);
+      const mergedStats = await VehicleMerge.lockStats(merged.id, connection);
+
+      const moved = await VehicleMerge.moveVehicle(survivor, merged, mergedStats, connection);
+
+      mergeId = await VehicleMerge.create({
+        survivor,
+        merged,
+        survivor_stats: survivorStats,
+        merged_stats: mergedStats,
+        ...moved,
+        match_reasons: this.compare(survivor, merged).reasons,
+        reason: mergeData.reason || null,
+        merged_by: mergedBy
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const merge = await VehicleMerge.findById(mergeId);
+    return { merge: this.summarize(merge), vehicle: await Vehicle.findById(merge.survivor_id) };
+  }
+
+  /**
+   * Undo a merge: put the merged vehicle back with its registrations, offers
+   * and visit counts. Later merges of either vehicle have to be undone first.
+   * @param {number} mergeId - Merge ID
+   * @param {string} undoneBy - User undoing the merge
+   * @returns {Promise<Object>} Merge record and both vehicles
+   */
+  async undo(mergeId, undoneBy) {
+    const connection = await db.getConnection();
+    let merge;
+    try {
+      await connection.beginTransaction();
+
+      merge = await VehicleMerge.findById(mergeId, connection);
+      if (!merge) {
+        throw createError('Merge not found', 404);
+      }
+      if (merge.status !== 'MERGED') {
+        throw createError(`Merge is already ${merge.status}`, 409);
+      }
+
+      const later = await VehicleMerge.findLaterMerge(merge, connection);
+      if (later) {
+        throw createError(
+          `Undo merge ${later.id} (${later.merged_plate} into ${later.survivor_plate}) first`,
+          409
+        );
+      }
+
+      if (!await VehicleMerge.lockVehicle(merge.survivor_id, connection)) {
+        throw createError('Surviving vehicle no longer exists', 409);
+      }
+
+      try {
+        await VehicleMerge.restoreVehicle(merge, connection);
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+          throw createError(`Plate ${merge.merged_plate} has been registered again since the merge`, 409);
+        }
+        throw error;
+      }
+
+      await VehicleMerge.markUndone(merge.id, undoneBy, connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return {
+      merge: this.summarize(await VehicleMerge.findById(merge.id)),
+      vehicles: [await Vehicle.findById(merge.survivor_id), await Vehicle.findById(merge.merged_id)]
+    };
+  }
+
+  /**
+   * A merge record without its snapshots, with the counts of what moved
+   * @param {Object} merge - Merge row
+   * @returns {Object} Merge summary
+   */
+  summarize(merge) {
+    const {
+      survivor_snapshot, merged_snapshot, survivor_stats, merged_stats,
+      car_registry_ids, vehicle_offer_ids, account_vehicle_ids, owner_change_ids, inspection_ids, appointment_ids,
+      ...summary
+    } = merge;
+
+    return {
+      ...summary,
+      car_registrations_moved: car_registry_ids.length,
+      offers_moved: vehicle_offer_ids.length,
+      account_vehicles_moved: (account_vehicle_ids || []).length,
+      owner_changes_moved: (owner_change_ids || []).length,
+      inspections_moved: (inspection_ids || []).length,
+      appointments_moved: (appointment_ids || []).length,
+      visits_moved: merged_stats ? merged_stats.total_visits : 0
+    };
+  }
+}
+
+module.exports = new VehicleMergeService();
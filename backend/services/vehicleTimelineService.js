@@ -0,0 +1,212 @@
+const Vehicle = require('../models/Vehicle');
+const VehicleTimeline = require('../models/VehicleTimeline');
+const VehicleOwnerChange = require('../models/VehicleOwnerChange');
+const PlateService = require('./plateService');
+const { createError } = require('../utils/errors');
+
+const EVENT_TYPES = [
+  'VEHICLE_REGISTERED', 'WASH', 'INSPECTION', 'INSPECTION_ACKNOWLEDGED', 'PAYMENT', 'REFUND',
+  'RECEIPT', 'DISCOUNT', 'OFFER_EARNED', 'OFFER_REDEEMED', 'OWNER_CHANGED'
+];
+
+const OWNER_FIELDS = { owner_name: 'name', phone_number: 'phone number', email: 'email' };
+
+// Car registry IDs start with the local registration time (YYYYMMDDHHmmss);
+// updated_at holds Unix seconds
+const washTime = (wash) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(String(wash.id));
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const time = new Date(year, month - 1, day, hours, minutes, seconds);
+    if (!isNaN(time.getTime()) && time.getMonth() === month - 1) {
+      return time;
+    }
+  }
+  return wash.updated_at ? new Date(wash.updated_at * 1000) : null;
+};
+
+const money = (value) => parseFloat(value || 0).toFixed(2);
+
+/**
+ * Vehicle timeline: one chronological feed of everything that happened to a
+ * vehicle - washes and the attendants who did them, check-in inspections,
+ * payments and refunds, receipts, discounts, loyalty offers earned and redeemed, and owner detail
+ * changes. Events are { type, occurred_at, car_id, summary, data }.
+ */
+class VehicleTimelineService {
+  /**
+   * Event types a timeline can hold
+   * @returns {Array<string>} Event types
+   */
+  getEventTypes() {
+    return EVENT_TYPES;
+  }
+
+  /**
+   * A vehicle's timeline
+   * @param {string} licensePlate - Plate as typed
+   * @param {Object} options - { types: event types to keep, from, to: dates (YYYY-MM-DD), order: 'asc' | 'desc' }
+   * @returns {Promise<Object>} { license_plate, vehicle, events }
+   */
+  async getTimeline(licensePlate, options = {}) {
+    const plate = PlateService.normalize(licensePlate);
+    if (!plate) {
+      throw createError('License plate is required', 400);
+    }
+
+    const types = options.types && options.types.length > 0 ? options.types : EVENT_TYPES;
+    const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw createError(`Unknown event type(s): ${unknown.join(', ')}. Use ${EVENT_TYPES.join(', ')}`, 400);
+    }
+
+    const [vehicle, washes] = await Promise.all([
+      Vehicle.findByLicensePlate(plate),
+      VehicleTimeline.findWashes(plate)
+    ]);
+    if (!vehicle && washes.length === 0) {
+      throw createError('Vehicle not found', 404);
+    }
+
+    const carIds = washes.map(wash => wash.id);
+    const [attendants, inspections, payments, receipts, discounts, offers, ownerChanges] = await Promise.all([
+      VehicleTimeline.findAttendantServices(carIds),
+      VehicleTimeline.findInspections(carIds),
+      VehicleTimeline.findPayments(carIds),
+      VehicleTimeline.findReceipts(carIds),
+      VehicleTimeline.findDiscounts(carIds),
+      VehicleTimeline.findOffers(vehicle ? vehicle.id : null, carIds),
+      vehicle ? VehicleOwnerChange.findByVehicleId(vehicle.id) : []
+    ]);
+
+    const washTimes = new Map(washes.map(wash => [wash.id, washTime(wash)]));
+    const events = [];
+
+    if (vehicle && vehicle.created_at) {
+      events.push(this.event('VEHICLE_REGISTERED', vehicle.created_at, null,
+        `Vehicle ${vehicle.license_plate} registered`,
+        { vehicle_id: vehicle.id, make: vehicle.make, model: vehicle.model, vehicle_class: vehicle.vehicle_class }));
+    }
+
+    washes.forEach(wash => {
+      const washAttendants = attendants
+        .filter(service => service.car_id === wash.id)
+        .map(service => ({
+          attendant_id: service.attendant_id,
+          attendant_name: service.attendant_name,
+          service: service.service,
+          amount: service.amount
+        }));
+      const names = washAttendants.map(attendant => attendant.attendant_name).filter(Boolean);
+
+      events.push(this.event('WASH', washTimes.get(wash.id), wash.id,
+        `${wash.service || 'Wash'} at ${wash.branch_name || wash.branch_id}${names.length > 0 ? ` by ${names.join(', ')}` : ''}`,
+        {
+          service: wash.service,
+          model: wash.model,
+          vehicle_class: wash.vehicle_class,
+          amount: wash.amount,
+          tip_amount: wash.tip_amount,
+          excess_amount: wash.excess_amount,
+          branch_id: wash.branch_id,
+          branch_name: wash.branch_name,
+          registered_by_name: wash.registered_by_name,
+          account_code: wash.account_code,
+          account_name: wash.account_name,
+          attendants: washAttendants
+        }));
+    });
+
+    inspections.forEach(inspection => {
+      const missing = Object.keys(inspection.checklist || {}).filter(item => inspection.checklist[item] === 'MISSING');
+      events.push(this.event('INSPECTION', inspection.created_at, inspection.car_id,
+        `Check-in inspection: ${inspection.damage_count} damage mark(s), ${missing.length} missing item(s), ${inspection.photo_count} photo(s)` +
+        `${inspection.inspected_by_name ? ` by ${inspection.inspected_by_name}` : ''}`,
+        { ...inspection, missing_items: missing }));
+      if (inspection.acknowledged_at) {
+        events.push(this.event('INSPECTION_ACKNOWLEDGED', inspection.acknowledged_at, inspection.car_id,
+          `Inspection acknowledged by ${inspection.ack_method === 'OTP' ? 'one-time code' : 'signature'}${inspection.ack_name ? ` (${inspection.ack_name})` : ''}`,
+          { inspection_id: inspection.id, ack_method: inspection.ack_method, ack_name: inspection.ack_name }));
+      }
+    });
+
+    payments.forEach(payment => {
+      const isRefund = payment.transaction_type === 'debit';
+      events.push(this.event(isRefund ? 'REFUND' : 'PAYMENT', payment.created_at, payment.car_id,
+        isRefund
+          ? `Refund of ${money(payment.amount)} by ${payment.payment_mode}`
+          : `${payment.payment_mode} payment of ${money(payment.amount)}${payment.status !== 'CONFIRMED' ? ` (${payment.status})` : ''}`,
+        payment));
+    });
+
+    receipts.forEach(receipt => {
+      events.push(this.event('RECEIPT', receipt.issued_at, receipt.car_id,
+        `Receipt ${receipt.receipt_number} issued`, receipt));
+    });
+
+    discounts.forEach(discount => {
+      events.push(this.event('DISCOUNT', discount.auth_date || washTimes.get(discount.car_id), discount.car_id,
+        `Discount of ${money(discount.amount)}${discount.authorised_by_name ? ` authorised by ${discount.authorised_by_name}` : ''}`,
+        discount));
+    });
+
+    offers.forEach(offer => {
+      const name = offer.offer_name || 'Offer';
+      if (offer.issued_date) {
+        events.push(this.event('OFFER_EARNED', offer.issued_date, offer.earned_on_visit_id,
+          `${name} earned`, offer));
+      }
+      if (offer.used_date) {
+        events.push(this.event('OFFER_REDEEMED', offer.used_date, offer.used_on_visit_id,
+          `${name} redeemed`, offer));
+      }
+    });
+
+    ownerChanges.forEach(change => {
+      const fields = Object.keys(OWNER_FIELDS).filter(field => change[`old_${field}`] !== change[`new_${field}`]);
+      events.push(this.event('OWNER_CHANGED', change.changed_at, null,
+        `Owner ${fields.map(field => OWNER_FIELDS[field]).join(', ')} changed${change.changed_by_name ? ` by ${change.changed_by_name}` : ''}`,
+        change));
+    });
+
+    const from = options.from ? new Date(`${options.from}T00:00:00`) : null;
+    const to = options.to ? new Date(`${options.to}T23:59:59.999`) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      throw createError('from and to must be dates (YYYY-MM-DD)', 400);
+    }
+    const direction = options.order === 'asc' ? 1 : -1;
+
+    const filtered = events
+      .filter(event => types.includes(event.type))
+      .filter(event => !from || (event.occurred_at && event.occurred_at >= from))
+      .filter(event => !to || (event.occurred_at && event.occurred_at <= to))
+      .sort((a, b) => direction * ((a.occurred_at || 0) - (b.occurred_at || 0)));
+
+    return {
+      license_plate: vehicle ? vehicle.license_plate : plate,
+      vehicle,
+      events: filtered
+    };
+  }
+
+  /**
+   * One timeline event
+   * @param {string} type - Event type
+   * @param {Date|string} occurredAt - When it happened
+   * @param {string|null} carId - Wash it belongs to
+   * @param {string} summary - One line description
+   * @param {Object} data - Source record
+   * @returns {Object} Event
+   */
+  event(type, occurredAt, carId, summary, data) {
+    return {
+      type,
+      occurred_at: occurredAt ? new Date(occurredAt) : null,
+      car_id: carId || null,
+      summary,
+      data
+    };
+  }
+}
+
+module.exports = new VehicleTimelineService();
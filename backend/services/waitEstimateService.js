@@ -0,0 +1,425 @@
+const Branch = require('../models/Branch');
+const BranchBay = require('../models/BranchBay');
+const AttendantShift = require('../models/AttendantShift');
+const ServiceCatalog = require('../models/ServiceCatalog');
+const WashJob = require('../models/WashJob');
+const UserModel = require('../models/userModel');
+const ServiceCatalogService = require('./serviceCatalogService');
+const { createError } = require('../utils/errors');
+const {
+  WAIT_ESTIMATE_HISTORY_DAYS,
+  WAIT_ESTIMATE_MIN_SAMPLES,
+  WAIT_ESTIMATE_CACHE_MINUTES,
+  WAIT_PROMISE_TOLERANCE_MINUTES
+} = require('../config/env');
+
+// Statuses in which a job holds a bay (as in the wash queue)
+const BAY_STATUSES = ['IN_BAY', 'WASHING', 'DRYING', 'QUALITY_CHECK'];
+
+// Bay time assumed for a service with no history and no catalog duration
+const DEFAULT_SERVICE_MINUTES = 30;
+
+// Learned durations, narrowest group first
+const DURATION_LEVELS = [
+  ['BRANCH_SERVICE_CLASS', (branchId, service, vehicleClass) => `${branchId}|${service}|${vehicleClass}`],
+  ['SERVICE_CLASS', (branchId, service, vehicleClass) => `*|${service}|${vehicleClass}`],
+  ['BRANCH_SERVICE', (branchId, service) => `${branchId}|${service}|*`],
+  ['SERVICE', (branchId, service) => `*|${service}|*`]
+];
+
+// Bay minutes of recently finished jobs per group, reloaded every WAIT_ESTIMATE_CACHE_MINUTES
+let durationCache = { loaded_at: 0, groups: null };
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+/**
+ * Wait estimate service: predicts when a car will start and be ready. Each
+ * service's bay time is the median of recent finished jobs of the same
+ * service, vehicle class and branch (falling back to broader groups, then the
+ * catalog duration). The branch's queue is played forward over its lanes:
+ * active bays, limited by attendants on shift. The times given when a car is
+ * queued are kept on its job as promises and reported against when it was
+ * actually ready.
+ */
+class WaitEstimateService {
+  /**
+   * Bay minutes of recently finished jobs, grouped per duration level
+   * @returns {Promise<Map>} Group key -> minutes
+   */
+  async loadDurations() {
+    if (durationCache.groups && Date.now() - durationCache.loaded_at < WAIT_ESTIMATE_CACHE_MINUTES * 60000) {
+      return durationCache.groups;
+    }
+
+    const since = addMinutes(new Date(), -WAIT_ESTIMATE_HISTORY_DAYS * 24 * 60);
+    const rows = await WashJob.findServiceDurations(since);
+
+    const groups = new Map();
+    rows.filter(row => row.service_code).forEach(row => {
+      const minutes = row.seconds / 60;
+      DURATION_LEVELS.forEach(([, key]) => {
+        const groupKey = key(row.branch_id, row.service_code, row.vehicle_class || '');
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(minutes);
+      });
+    });
+
+    durationCache = { loaded_at: Date.now(), groups };
+    return groups;
+  }
+
+  /**
+   * Expected bay time of a service
+   * @param {Object} job - { branch_id, service_code, vehicle_class }
+   * @param {Map} groups - Learned durations
+   * @param {Object} catalogMinutes - Service code -> catalog duration
+   * @returns {Object} { minutes, source, samples }
+   */
+  expectedDuration(job, groups, catalogMinutes) {
+    for (const [source, key] of DURATION_LEVELS) {
+      const samples = groups.get(key(job.branch_id, job.service_code, job.vehicle_class || '')) || [];
+      if (samples.length >= WAIT_ESTIMATE_MIN_SAMPLES) {
+        return { minutes: Math.round(median(samples)), source, samples: samples.length };
+      }
+    }
+
+    if (catalogMinutes[job.service_code]) {
+      return { minutes: catalogMinutes[job.service_code], source: 'CATALOG', samples: 0 };
+    }
+    return { minutes: DEFAULT_SERVICE_MINUTES, source: 'DEFAULT', samples: 0 };
+  }
+
+  /**
+   * How many cars a branch can work at once
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} { bays, attendants_on_shift, lanes }
+   */
+  async getCapacity(branchId) {
+    const [bays, shifts] = await Promise.all([
+      BranchBay.findAll({ branch_id: branchId, is_active: true }),
+      AttendantShift.findOpenByBranch(branchId)
+    ]);
+
+    // Nobody clocked in means staffing is unknown, not zero
+    let lanes = bays.length || 1;
+    if (shifts.length > 0) {
+      lanes = bays.length > 0 ? Math.min(bays.length, shifts.length) : shifts.length;
+    }
+
+    return { bays: bays.length, attendants_on_shift: shifts.length, lanes };
+  }
+
+  /**
+   * Play a branch's queue forward: cars in bays finish their remaining time,
+   * then queued cars take the first lane to come free, in queue order
+   * @param {string} branchId - Branch ID
+   * @param {Object} newJob - Optional car not yet queued: { service_code, vehicle_class, priority }
+   * @returns {Promise<Object>} { generated_at, capacity, times: Map job ID -> { start, ready, duration, jobs_ahead }, new_job }
+   */
+  async simulate(branchId, newJob = null) {
+    const [jobs, capacity, groups, services] = await Promise.all([
+      WashJob.findAll({ branch_id: branchId, statuses: ['QUEUED', ...BAY_STATUSES] }),
+      this.getCapacity(branchId),
+      this.loadDurations(),
+      ServiceCatalog.findAll()
+    ]);
+
+    const catalogMinutes = {};
+    services.forEach(service => {
+      catalogMinutes[service.code] = service.duration_minutes;
+    });
+
+    const now = new Date();
+    const lanes = Array(capacity.lanes).fill(now.getTime());
+    const takeLane = minutes => {
+      const lane = lanes.indexOf(Math.min(...lanes));
+      const start = new Date(lanes[lane]);
+      lanes[lane] += minutes * 60000;
+      return { start, ready: new Date(lanes[lane]) };
+    };
+
+    const times = new Map();
+    const inBay = jobs.filter(job => BAY_STATUSES.includes(job.status))
+      .sort((a, b) => new Date(a.in_bay_at) - new Date(b.in_bay_at));
+    inBay.forEach(job => {
+      const duration = this.expectedDuration(job, groups, catalogMinutes);
+      const remaining = Math.max(duration.minutes - minutesBetween(job.in_bay_at, now), 1);
+      const slot = takeLane(remaining);
+      times.set(job.id, { start: new Date(job.in_bay_at), ready: slot.ready, duration, jobs_ahead: 0 });
+    });
+
+    // A new car goes behind every queued car of the same or higher priority
+    const queued = jobs.filter(job => job.status === 'QUEUED');
+    let newJobResult = null;
+    if (newJob) {
+      const position = queued.findIndex(job => job.priority < newJob.priority);
+      queued.splice(position === -1 ? queued.length : position, 0, { ...newJob, id: null, branch_id: branchId });
+    }
+
+    queued.forEach((job, index) => {
+      const duration = this.expectedDuration(job, groups, catalogMinutes);
+      const slot = takeLane(duration.minutes);
+      const result = { start: slot.start, ready: slot.ready, duration, jobs_ahead: inBay.length + index };
+      if (job.id === null) {
+        newJobResult = result;
+      } else {
+        times.set(job.id, result);
+      }
+    });
+
+    return { generated_at: now, capacity, times, new_job: newJobResult };
+  }
+
+  /**
+   * Shape a simulated time as an estimate
+   * @param {Object} simulation - Result of simulate()
+   * @param {Object} time - { start, ready, duration, jobs_ahead }
+   * @param {Object} job - { branch_id, service_code, vehicle_class }
+   * @returns {Object} Estimate
+   */
+  toEstimate(simulation, time, job) {
+    return {
+      branch_id: job.branch_id,
+      service_code: job.service_code,
+      vehicle_class: job.vehicle_class || null,
+      generated_at: simulation.generated_at,
+      estimated_start_at: time.start,
+      estimated_ready_at: time.ready,
+      wait_minutes: Math.max(minutesBetween(simulation.generated_at, time.start), 0),
+      ready_in_minutes: Math.max(minutesBetween(simulation.generated_at, time.ready), 0),
+      service_minutes: time.duration.minutes,
+      duration_source: time.duration.source,
+      duration_samples: time.duration.samples,
+      jobs_ahead: time.jobs_ahead,
+      ...simulation.capacity
+    };
+  }
+
+  /**
+   * Estimate start and ready times for a car arriving now
+   * @param {Object} query - { branch_id, service, vehicle_class, priority }
+   * @returns {Promise<Object>} Estimate
+   */
+  async estimate(query) {
+    if (!query.branch_id || !query.service) {
+      throw createError('branch_id and service are required');
+    }
+    if (!await Branch.findById(query.branch_id)) {
+      throw createError('Branch not found', 404);
+    }
+
+    const service = await ServiceCatalogService.resolveService(query.service);
+    const job = {
+      branch_id: query.branch_id,
+      service_code: service.code,
+      vehicle_class: ServiceCatalogService.normalizeVehicleClass(query.vehicle_class),
+      priority: parseInt(query.priority) || 0
+    };
+
+    const simulation = await this.simulate(query.branch_id, job);
+    return this.toEstimate(simulation, simulation.new_job, job);
+  }
+
+  /**
+   * Current estimate for a queued or in-bay job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Estimate with the job's promise
+   */
+  async estimateJob(jobId) {
+    const job = await WashJob.findById(jobId);
+    if (!job) {
+      throw createError('Wash job not found', 404);
+    }
+    if (job.status !== 'QUEUED' && !BAY_STATUSES.includes(job.status)) {
+      throw createError(`The job is ${job.status}; there is nothing left to estimate`, 409);
+    }
+
+    const simulation = await this.simulate(job.branch_id);
+    return {
+      job_id: job.id,
+      status: job.status,
+      ...this.toEstimate(simulation, simulation.times.get(job.id), job),
+      promised_start_at: job.promised_start_at,
+      promised_ready_at: job.promised_ready_at
+    };
+  }
+
+  /**
+   * Record the times promised to a job's customer: the current estimate, or
+   * a ready time the attendant gave instead
+   * @param {number} jobId - Job ID
+   * @param {string} promisedBy - User making the promise
+   * @param {Object} override - { promised_ready_at }
+   * @returns {Promise<Object>} Job's estimate and promise
+   */
+  async promiseJob(jobId, promisedBy = null, override = {}) {
+    const estimate = await this.estimateJob(jobId);
+
+    let promisedReadyAt = estimate.estimated_ready_at;
+    if (override.promised_ready_at) {
+      promisedReadyAt = new Date(override.promised_ready_at);
+      if (isNaN(promisedReadyAt.getTime()) || promisedReadyAt < estimate.generated_at) {
+        throw createError('promised_ready_at must be a date-time in the future');
+      }
+    }
+
+    await WashJob.setPromise(jobId, {
+      promised_start_at: estimate.estimated_start_at,
+      promised_ready_at: promisedReadyAt,
+      promise_basis: {
+        estimated_ready_at: estimate.estimated_ready_at,
+        service_minutes: estimate.service_minutes,
+        duration_source: estimate.duration_source,
+        duration_samples: estimate.duration_samples,
+        jobs_ahead: estimate.jobs_ahead,
+        lanes: estimate.lanes,
+        bays: estimate.bays,
+        attendants_on_shift: estimate.attendants_on_shift,
+        overridden: Boolean(override.promised_ready_at)
+      },
+      promised_by: promisedBy,
+      promised_at: estimate.generated_at
+    });
+
+    return { ...estimate, promised_start_at: estimate.estimated_start_at, promised_ready_at: promisedReadyAt };
+  }
+
+  /**
+   * How often promised ready times were kept. A car ready within
+   * WAIT_PROMISE_TOLERANCE_MINUTES of its promise is on time; one still not
+   * ready after that is overdue and counts as a miss.
+   * @param {Object} filters - { branch_id, start_date, end_date } (promised between, YYYY-MM-DD)
+   * @returns {Promise<Object>} { filters, tolerance_minutes, summary, by_branch, by_service }
+   */
+  async getPromiseReport(filters = {}) {
+    const jobs = await WashJob.findPromised(filters);
+    const now = new Date();
+
+    const outcomes = jobs.map(job => {
+      const due = addMinutes(new Date(job.promised_ready_at), WAIT_PROMISE_TOLERANCE_MINUTES);
+      let outcome = 'PENDING';
+      if (job.ready_at) {
+        outcome = new Date(job.ready_at) <= due ? 'ON_TIME' : 'LATE';
+      } else if (now > due) {
+        outcome = 'OVERDUE';
+      }
+
+      const startDue = job.promised_start_at
+        ? addMinutes(new Date(job.promised_start_at), WAIT_PROMISE_TOLERANCE_MINUTES)
+        : null;
+
+      return {
+        branch_id: job.branch_id,
+        service_code: job.service_code || job.service,
+        outcome,
+        late_minutes: outcome === 'LATE' ? minutesBetween(job.promised_ready_at, job.ready_at) : null,
+        started_on_time: startDue && job.in_bay_at ? new Date(job.in_bay_at) <= startDue : null
+      };
+    });
+
+    const summarize = rows => {
+      const count = outcome => rows.filter(row => row.outcome === outcome).length;
+      const onTime = count('ON_TIME');
+      const settled = onTime + count('LATE') + count('OVERDUE');
+      const late = rows.filter(row => row.outcome === 'LATE');
+      const started = rows.filter(row => row.started_on_time !== null);
+
+      return {
+        promised: rows.length,
+        on_time: onTime,
+        late: late.length,
+        overdue: count('OVERDUE'),
+        pending: count('PENDING'),
+        hit_rate: settled > 0 ? Math.round(onTime / settled * 1000) / 10 : null,
+        average_late_minutes: late.length > 0
+          ? Math.round(late.reduce((sum, row) => sum + row.late_minutes, 0) / late.length)
+          : null,
+        start_hit_rate: started.length > 0
+          ? Math.round(started.filter(row => row.started_on_time).length / started.length * 1000) / 10
+          : null
+      };
+    };
+
+    const groupBy = field => {
+      const keys = [...new Set(outcomes.map(row => row[field]))];
+      return keys.map(key => ({ [field]: key, ...summarize(outcomes.filter(row => row[field] === key)) }));
+    };
+
+    return {
+      filters,
+      tolerance_minutes: WAIT_PROMISE_TOLERANCE_MINUTES,
+      summary: summarize(outcomes),
+      by_branch: groupBy('branch_id'),
+      by_service: groupBy('service_code')
+    };
+  }
+
+  /**
+   * Attendants on shift at a branch
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Array>} Open shifts
+   */
+  async getShifts(branchId) {
+    return await AttendantShift.findOpenByBranch(branchId);
+  }
+
+  /**
+   * Clock an attendant in at a branch
+   * @param {string} branchId - Branch ID
+   * @param {string} attendantId - Attendant (user) ID
+   * @param {string} startedBy - User clocking in
+   * @returns {Promise<Object>} Shift
+   */
+  async clockIn(branchId, attendantId, startedBy = null) {
+    if (!branchId || !attendantId) {
+      throw createError('branch_id and attendant_id are required');
+    }
+    if (!await Branch.findById(branchId)) {
+      throw createError('Branch not found', 404);
+    }
+    const attendant = await UserModel.findById(attendantId);
+    if (!attendant || attendant.role === 'inactive') {
+      throw createError('Attendant not found', 404);
+    }
+
+    const open = await AttendantShift.findOpenByAttendant(attendant.id);
+    if (open) {
+      throw createError(`${attendant.name} is already on shift at branch ${open.branch_id}`, 409);
+    }
+
+    const shiftId = await AttendantShift.create({
+      branch_id: branchId,
+      attendant_id: attendant.id,
+      started_at: new Date(),
+      started_by: startedBy
+    });
+    return await AttendantShift.findById(shiftId);
+  }
+
+  /**
+   * Clock an attendant out
+   * @param {number} shiftId - Shift ID
+   * @param {string} endedBy - User clocking out
+   * @returns {Promise<Object>} Shift
+   */
+  async clockOut(shiftId, endedBy = null) {
+    const shift = await AttendantShift.findById(shiftId);
+    if (!shift) {
+      throw createError('Shift not found', 404);
+    }
+    if (!await AttendantShift.end(shift.id, new Date(), endedBy)) {
+      throw createError('The shift has already ended', 409);
+    }
+    return await AttendantShift.findById(shift.id);
+  }
+}
+
+module.exports = new WaitEstimateService();
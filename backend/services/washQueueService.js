@@ -0,0 +1,464 @@
+const { db } = require('../config/db');
+const Appointment = require('../models/Appointment');
+const Branch = require('../models/Branch');
+const BranchBay = require('../models/BranchBay');
+const CarRegistry = require('../models/CarRegistry');
+const ServiceCatalog = require('../models/ServiceCatalog');
+const WashJob = require('../models/WashJob');
+const UserModel = require('../models/userModel');
+const RealtimeService = require('./realtimeService');
+const WaitEstimateService = require('./waitEstimateService');
+const { createError } = require('../utils/errors');
+const { APPOINTMENT_SLOT_MINUTES } = require('../config/env');
+
+const STATUSES = ['QUEUED', 'IN_BAY', 'WASHING', 'DRYING', 'QUALITY_CHECK', 'READY', 'COLLECTED', 'CANCELLED'];
+
+// Allowed moves; going back to WASHING from drying or quality check is rework
+const TRANSITIONS = {
+  QUEUED: ['IN_BAY', 'CANCELLED'],
+  IN_BAY: ['WASHING', 'QUEUED', 'CANCELLED'],
+  WASHING: ['DRYING', 'CANCELLED'],
+  DRYING: ['QUALITY_CHECK', 'WASHING'],
+  QUALITY_CHECK: ['READY', 'WASHING'],
+  READY: ['COLLECTED'],
+  COLLECTED: [],
+  CANCELLED: []
+};
+
+// Column holding the latest time a job entered each status
+const STATUS_COLUMNS = {
+  QUEUED: 'queued_at',
+  IN_BAY: 'in_bay_at',
+  WASHING: 'washing_at',
+  DRYING: 'drying_at',
+  QUALITY_CHECK: 'quality_check_at',
+  READY: 'ready_at',
+  COLLECTED: 'collected_at',
+  CANCELLED: 'cancelled_at'
+};
+
+// A job holds its bay in these statuses
+const BAY_STATUSES = ['IN_BAY', 'WASHING', 'DRYING', 'QUALITY_CHECK'];
+
+// An appointment holds its bay in these statuses
+const APPOINTMENT_HOLDING_STATUSES = ['BOOKED', 'CHECKED_IN'];
+
+// Statuses shown on the queue board
+const ACTIVE_STATUSES = ['QUEUED', ...BAY_STATUSES, 'READY'];
+
+const toBoolean = value => value === true || value === 'true' || value === 1 || value === '1';
+
+const minutesSince = (value, now) => value ? Math.max(0, Math.round((now - new Date(value)) / 60000)) : null;
+
+/**
+ * Wash queue service: the wash job state machine. Every car registered becomes
+ * a QUEUED job; the supervisor moves it into a bay of its branch and through
+ * washing, drying and quality check to READY and COLLECTED, with attendants
+ * assigned. Only the moves in TRANSITIONS are allowed, a bay holds one job at a
+ * time, and every move is timestamped in wash_job_events.
+ */
+class WashQueueService {
+  /**
+   * The job state machine
+   * @returns {Object} { statuses, transitions, bay_statuses }
+   */
+  getStateMachine() {
+    return { statuses: STATUSES, transitions: TRANSITIONS, bay_statuses: BAY_STATUSES };
+  }
+
+  /**
+   * Add a bay to a branch
+   * @param {Object} bayData - { branch_id, name, sort_order, is_bookable (false keeps it for walk-ins) }
+   * @returns {Promise<Object>} Created bay
+   */
+  async createBay(bayData) {
+    const { branch_id, name, sort_order, is_bookable } = bayData;
+    if (!branch_id || !name) {
+      throw createError('branch_id and name are required');
+    }
+    if (!await Branch.findById(branch_id)) {
+      throw createError('Branch not found', 404);
+    }
+
+    try {
+      return await BranchBay.create({
+        branch_id,
+        name: String(name).trim(),
+        sort_order: parseInt(sort_order) || 0,
+        is_bookable: is_bookable === undefined ? true : toBoolean(is_bookable)
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`Branch ${branch_id} already has a bay named ${name}`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, reorder or close a bay. A bay holding a car cannot be closed.
+   * @param {number} bayId - Bay ID
+   * @param {Object} updateData - Any of { name, sort_order, is_active, is_bookable }
+   * @returns {Promise<Object>} Updated bay
+   */
+  async updateBay(bayId, updateData) {
+    const bay = await BranchBay.findById(bayId);
+    if (!bay) {
+      throw createError('Bay not found', 404);
+    }
+
+    const isActive = updateData.is_active === undefined ? undefined : toBoolean(updateData.is_active);
+    if (isActive === false && await WashJob.findInBay(bay.id, BAY_STATUSES)) {
+      throw createError(`${bay.name} has a car in it; move it out before closing the bay`, 409);
+    }
+
+    try {
+      return await BranchBay.update(bay.id, {
+        name: updateData.name !== undefined ? String(updateData.name).trim() : undefined,
+        sort_order: updateData.sort_order !== undefined ? parseInt(updateData.sort_order) || 0 : undefined,
+        is_active: isActive,
+        is_bookable: updateData.is_bookable === undefined ? undefined : toBoolean(updateData.is_bookable)
+      });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`Branch ${bay.branch_id} already has a bay named ${updateData.name}`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put a car service in its branch's queue
+   * @param {Object|string} car - car_registry row or ID
+   * @param {string} createdBy - User queueing the car
+   * @param {Object} options - { priority, notes }
+   * @returns {Promise<Object>} Job
+   */
+  async enqueue(car, createdBy = null, options = {}) {
+    const carService = typeof car === 'object' ? car : await CarRegistry.findById(car);
+    if (!carService) {
+      throw createError('Car service not found', 404);
+    }
+    if (!carService.branch_id) {
+      throw createError('Car service has no branch; queues are per branch', 422);
+    }
+    if (await WashJob.findByCarId(carService.id)) {
+      throw createError(`Car service ${carService.id} is already in the queue`, 409);
+    }
+
+    const now = new Date();
+    let jobId;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      jobId = await WashJob.create({
+        car_registry_id: carService.id,
+        branch_id: carService.branch_id,
+        license_plate: carService.regno,
+        priority: parseInt(options.priority) || 0,
+        notes: options.notes || null,
+        queued_at: now,
+        created_by: createdBy
+      }, connection);
+      await WashJob.addEvent(jobId, { to_status: 'QUEUED', changed_by: createdBy, changed_at: now }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw createError(`Car service ${carService.id} is already in the queue`, 409);
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // The car is queued either way; without a promise it is left out of the promise report
+    try {
+      await WaitEstimateService.promiseJob(jobId, createdBy);
+    } catch (error) {
+      console.error('Error estimating ready time:', error);
+    }
+
+    const job = await this.getJob(jobId);
+    RealtimeService.queueChanged(job, 'ENQUEUED');
+    return job;
+  }
+
+  /**
+   * Move a job to its next status
+   * @param {number} jobId - Job ID
+   * @param {Object} change - { status, bay_id (required to enter IN_BAY), notes, reason (required to cancel) }
+   * @param {string} changedBy - User making the move
+   * @returns {Promise<Object>} Job
+   */
+  async transition(jobId, change, changedBy = null) {
+    const status = String(change.status || '').toUpperCase();
+    if (!STATUSES.includes(status)) {
+      throw createError(`status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const job = await WashJob.findById(jobId, connection);
+      if (!job) {
+        throw createError('Wash job not found', 404);
+      }
+      if (!TRANSITIONS[job.status].includes(status)) {
+        const allowed = TRANSITIONS[job.status];
+        throw createError(
+          `A ${job.status} job cannot move to ${status}${allowed.length > 0 ? `; next can be ${allowed.join(' or ')}` : ''}`,
+          409
+        );
+      }
+
+      let bayId = BAY_STATUSES.includes(status) ? job.bay_id : null;
+      if (status === 'IN_BAY') {
+        bayId = change.bay_id || job.bay_id;
+        if (!bayId) {
+          throw createError('bay_id is required to move a car into a bay');
+        }
+        const bay = await BranchBay.findById(bayId, connection);
+        if (!bay || bay.branch_id !== job.branch_id) {
+          throw createError(`Bay ${bayId} is not a bay of branch ${job.branch_id}`, 404);
+        }
+        if (!bay.is_active) {
+          throw createError(`${bay.name} is closed`, 409);
+        }
+        const occupant = await WashJob.findInBay(bay.id, BAY_STATUSES, connection);
+        if (occupant && occupant.id !== job.id) {
+          throw createError(`${bay.name} is occupied by ${occupant.license_plate}`, 409);
+        }
+        await this.assertBayNotBooked(bay, job, connection);
+      }
+
+      if (status === 'WASHING') {
+        const attendants = await WashJob.findAttendants([job.id], connection);
+        if (attendants.length === 0) {
+          throw createError('Assign at least one attendant before washing starts', 409);
+        }
+      }
+
+      const reason = change.reason || change.cancel_reason;
+      if (status === 'CANCELLED' && !reason) {
+        throw createError('reason is required to cancel a job');
+      }
+
+      const now = new Date();
+      await WashJob.updateStatus(job.id, {
+        status,
+        bay_id: bayId,
+        // A car sent back from a bay keeps its place in the queue
+        timestamp_column: status === 'QUEUED' ? null : STATUS_COLUMNS[status],
+        changed_at: now,
+        ...(status === 'CANCELLED' && { cancel_reason: reason })
+      }, connection);
+      await WashJob.addEvent(job.id, {
+        from_status: job.status,
+        to_status: status,
+        bay_id: bayId || job.bay_id,
+        notes: change.notes || (status === 'CANCELLED' ? reason : null),
+        changed_by: changedBy,
+        changed_at: now
+      }, connection);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const job = await this.getJob(jobId);
+    RealtimeService.queueChanged(job, 'TRANSITION');
+    return job;
+  }
+
+  /**
+   * Keep a car out of a bookable bay when an appointment for another car holds
+   * the bay before the car's service would be done
+   * @param {Object} bay - Bay
+   * @param {Object} job - Job moving into the bay
+   * @param {Object} connection - Connection inside the transition's transaction
+   * @returns {Promise<void>}
+   */
+  async assertBayNotBooked(bay, job, connection) {
+    if (!bay.is_bookable) return;
+
+    const service = job.service_code ? await ServiceCatalog.findByCodeOrName(job.service_code) : null;
+    const from = new Date();
+    const to = new Date(from.getTime() + (service ? service.duration_minutes : APPOINTMENT_SLOT_MINUTES) * 60000);
+
+    const appointments = await Appointment.findOverlapping(
+      job.branch_id, from, to, APPOINTMENT_HOLDING_STATUSES, null, connection
+    );
+    const booked = appointments.find(appointment =>
+      appointment.bay_id === bay.id && appointment.car_registry_id !== job.car_registry_id);
+    if (booked) {
+      const startsAt = new Date(booked.starts_at);
+      throw createError(
+        `${bay.name} is booked for ${booked.license_plate} at `
+        + `${String(startsAt.getHours()).padStart(2, '0')}:${String(startsAt.getMinutes()).padStart(2, '0')}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Change a job's queue priority or notes
+   * @param {number} jobId - Job ID
+   * @param {Object} updateData - Any of { priority, notes }
+   * @returns {Promise<Object>} Job
+   */
+  async updateJob(jobId, updateData) {
+    await this.getActiveJob(jobId);
+    await WashJob.update(jobId, {
+      priority: updateData.priority !== undefined ? parseInt(updateData.priority) || 0 : undefined,
+      notes: updateData.notes
+    });
+
+    const job = await this.getJob(jobId);
+    RealtimeService.queueChanged(job, 'UPDATED');
+    return job;
+  }
+
+  /**
+   * Assign an attendant to a job
+   * @param {number} jobId - Job ID
+   * @param {string} attendantId - Attendant (user) ID
+   * @param {string} assignedBy - User assigning
+   * @returns {Promise<Object>} Job
+   */
+  async assignAttendant(jobId, attendantId, assignedBy = null) {
+    await this.getActiveJob(jobId);
+    if (!attendantId) {
+      throw createError('attendant_id is required');
+    }
+
+    const attendant = await UserModel.findById(attendantId);
+    if (!attendant || attendant.role === 'inactive') {
+      throw createError('Attendant not found', 404);
+    }
+
+    await WashJob.addAttendant(jobId, attendant.id, assignedBy);
+
+    const job = await this.getJob(jobId);
+    RealtimeService.queueChanged(job, 'ATTENDANT_ASSIGNED');
+    return job;
+  }
+
+  /**
+   * Take an attendant off a job
+   * @param {number} jobId - Job ID
+   * @param {string} attendantId - Attendant (user) ID
+   * @returns {Promise<Object>} Job
+   */
+  async removeAttendant(jobId, attendantId) {
+    await this.getActiveJob(jobId);
+    if (!await WashJob.removeAttendant(jobId, attendantId)) {
+      throw createError('Attendant is not on this job', 404);
+    }
+
+    const job = await this.getJob(jobId);
+    RealtimeService.queueChanged(job, 'ATTENDANT_REMOVED');
+    return job;
+  }
+
+  /**
+   * Load a job that is not collected or cancelled
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Job row
+   */
+  async getActiveJob(jobId) {
+    const job = await WashJob.findById(jobId);
+    if (!job) {
+      throw createError('Wash job not found', 404);
+    }
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw createError(`The job is ${job.status}`, 409);
+    }
+    return job;
+  }
+
+  /**
+   * A job with its attendants, state changes and the moves open to it
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(jobId) {
+    const job = await WashJob.findById(jobId);
+    if (!job) {
+      throw createError('Wash job not found', 404);
+    }
+
+    const [attendants, events] = await Promise.all([
+      WashJob.findAttendants([job.id]),
+      WashJob.findEvents(job.id)
+    ]);
+    return { ...job, next_statuses: TRANSITIONS[job.status], attendants, events };
+  }
+
+  /**
+   * The job of a car service
+   * @param {string} carRegistryId - Car registry ID
+   * @returns {Promise<Object>} Job
+   */
+  async getJobForCar(carRegistryId) {
+    const job = await WashJob.findByCarId(carRegistryId);
+    if (!job) {
+      throw createError('This car service is not in the queue', 404);
+    }
+    return await this.getJob(job.id);
+  }
+
+  /**
+   * The supervisor's board for a branch: each bay with the car in it, the
+   * waiting queue in order, cars in progress and cars ready for collection
+   * @param {string} branchId - Branch ID
+   * @returns {Promise<Object>} { branch_id, generated_at, counts, bays, queued, in_progress, ready }
+   */
+  async getBranchQueue(branchId) {
+    const [bays, jobs] = await Promise.all([
+      BranchBay.findAll({ branch_id: branchId, is_active: true }),
+      WashJob.findAll({ branch_id: branchId, statuses: ACTIVE_STATUSES })
+    ]);
+
+    const attendants = await WashJob.findAttendants(jobs.map(job => job.id));
+    const now = new Date();
+    const board = jobs.map(job => ({
+      ...job,
+      attendants: attendants.filter(attendant => attendant.job_id === job.id),
+      next_statuses: TRANSITIONS[job.status],
+      waiting_minutes: minutesSince(job.queued_at, now),
+      minutes_in_status: minutesSince(job[STATUS_COLUMNS[job.status]], now)
+    }));
+
+    const queued = board.filter(job => job.status === 'QUEUED')
+      .map((job, i) => ({ ...job, queue_position: i + 1 }));
+    const inProgress = board.filter(job => BAY_STATUSES.includes(job.status));
+
+    const counts = {};
+    ACTIVE_STATUSES.forEach(status => {
+      counts[status] = board.filter(job => job.status === status).length;
+    });
+
+    return {
+      branch_id: branchId,
+      generated_at: now,
+      counts,
+      bays: bays.map(bay => ({
+        ...bay,
+        job: inProgress.find(job => job.bay_id === bay.id) || null
+      })),
+      queued,
+      in_progress: inProgress,
+      ready: board.filter(job => job.status === 'READY')
+    };
+  }
+}
+
+module.exports = new WashQueueService();
@@ -0,0 +1,603 @@
+const express = require('express');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+
+// Result descriptions Daraja sends with common STK/C2B/reversal result codes
+const RESULT_DESCRIPTIONS = {
+  0: 'The service request is processed successfully.',
+  1: 'The balance is insufficient for the transaction.',
+  1001: 'Unable to lock subscriber, a transaction is already in process for the current subscriber',
+  1032: 'Request cancelled by user',
+  1037: 'DS timeout user cannot be reached',
+  2001: 'The initiator information is invalid.',
+  'R000002': 'The OriginalTransactionID is invalid.'
+};
+
+/**
+ * Local stand-in for the Safaricom Daraja API, for development and automated tests.
+ * Point MPESA_BASE_URL at it with USE_REAL_MPESA=true; it issues OAuth tokens,
+ * accepts STK push, STK query, C2B, reversal and B2C requests, and fires callbacks
+ * back at the URLs in those requests after a configurable delay.
+ */
+class DarajaSimulator {
+  /**
+   * @param {Object} options - Simulator options
+   * @param {number} options.callbackDelayMs - Delay before callbacks are fired
+   * @param {number|string} options.resultCode - Result code for callbacks (0 = success)
+   * @param {string} options.consumerKey - Expected consumer key (any key accepted if omitted)
+   * @param {string} options.consumerSecret - Expected consumer secret
+   * @param {number} options.tokenTtlSeconds - OAuth token lifetime
+   * @param {boolean} options.log - Log requests and callbacks
+   */
+  constructor(options = {}) {
+    this.config = {
+      callbackDelayMs: options.callbackDelayMs !== undefined ? options.callbackDelayMs : 3000,
+      resultCode: options.resultCode !== undefined ? options.resultCode : 0,
+      consumerKey: options.consumerKey || null,
+      consumerSecret: options.consumerSecret || null,
+      tokenTtlSeconds: options.tokenTtlSeconds || 3599,
+      log: options.log !== undefined ? options.log : true
+    };
+
+    this.tokens = new Map();
+    this.stkRequests = new Map();
+    this.c2bUrls = new Map();
+    this.transactions = [];
+    this.callbacks = [];
+    this.outcomes = [];
+    this.timers = new Set();
+    this.server = null;
+
+    this.app = this.createApp();
+  }
+
+  /**
+   * Log a simulator message when logging is enabled
+   * @param {string} message - Message
+   */
+  log(message) {
+    if (this.config.log) {
+      console.log(`[daraja-sim] ${message}`);
+    }
+  }
+
+  /**
+   * Change the default callback delay and result code
+   * @param {Object} config - { callbackDelayMs, resultCode }
+   * @returns {Object} Current configuration
+   */
+  configure(config = {}) {
+    ['callbackDelayMs', 'resultCode'].forEach(key => {
+      if (config[key] !== undefined) this.config[key] = config[key];
+    });
+    return this.config;
+  }
+
+  /**
+   * Queue the outcome of the next request, overriding the defaults once
+   * @param {Object} outcome - { resultCode, callbackDelayMs, skipCallback }
+   * @returns {number} Outcomes queued
+   */
+  queueOutcome(outcome = {}) {
+    this.outcomes.push(outcome);
+    return this.outcomes.length;
+  }
+
+  /**
+   * Take the next queued outcome, falling back to the configured defaults
+   * @returns {Object} { resultCode, callbackDelayMs, skipCallback }
+   */
+  nextOutcome() {
+    const outcome = this.outcomes.shift() || {};
+    return {
+      resultCode: outcome.resultCode !== undefined ? outcome.resultCode : this.config.resultCode,
+      callbackDelayMs: outcome.callbackDelayMs !== undefined ? outcome.callbackDelayMs : this.config.callbackDelayMs,
+      skipCallback: outcome.skipCallback === true
+    };
+  }
+
+  /**
+   * Generate an M-Pesa style receipt number (e.g. SJK3ABCD12)
+   * @returns {string} Receipt number
+   */
+  receiptNumber() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let receipt = 'S';
+    for (let i = 0; i < 9; i++) {
+      receipt += chars[Math.floor(Math.random() * chars.length)];
+    }
+    return receipt;
+  }
+
+  /**
+   * Current time as Daraja prints it: yyyyMMddHHmmss in East Africa Time
+   * @returns {string} Timestamp
+   */
+  timestamp() {
+    return new Date(Date.now() + 3 * 60 * 60 * 1000)
+      .toISOString()
+      .replace(/[-:TZ.]/g, '')
+      .slice(0, 14);
+  }
+
+  /**
+   * Describe a result code
+   * @param {number|string} resultCode - Result code
+   * @returns {string} Result description
+   */
+  describe(resultCode) {
+    return RESULT_DESCRIPTIONS[resultCode] || `Simulated failure ${resultCode}`;
+  }
+
+  /**
+   * POST a callback to our backend after a delay
+   * @param {string} url - Callback URL
+   * @param {Object} payload - Callback body
+   * @param {number} delayMs - Delay in milliseconds
+   * @returns {Promise<Object>} Delivery record once sent
+   */
+  fireCallback(url, payload, delayMs) {
+    return new Promise(resolve => {
+      const timer = setTimeout(async () => {
+        this.timers.delete(timer);
+        const delivery = { url, payload, sent_at: new Date().toISOString(), status: null, response: null, error: null };
+
+        try {
+          const resp = await fetch(url, {
+            method: 'POST',
+            body: JSON.stringify(payload),
+            headers: { 'Content-Type': 'application/json' }
+          });
+          delivery.status = resp.status;
+          delivery.response = await resp.json().catch(() => null);
+        } catch (error) {
+          delivery.error = error.message;
+        }
+
+        this.callbacks.push(delivery);
+        this.log(`callback ${url} -> ${delivery.status || delivery.error}`);
+        resolve(delivery);
+      }, delayMs);
+      this.timers.add(timer);
+    });
+  }
+
+  /**
+   * Express middleware rejecting requests without a valid bearer token
+   * @returns {Function} Middleware
+   */
+  requireToken() {
+    return (req, res, next) => {
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const expiresAt = this.tokens.get(token);
+
+      if (!expiresAt || expiresAt < Date.now()) {
+        return res.status(401).json({
+          requestId: uuidv4(),
+          errorCode: '404.001.03',
+          errorMessage: 'Invalid Access Token'
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Build the Express app with the Daraja endpoints and the simulator control endpoints
+   * @returns {Object} Express app
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      this.log(`${req.method} ${req.path}`);
+      next();
+    });
+
+    // GET /oauth/v1/generate - Issue an access token for Basic consumer key:secret
+    app.get('/oauth/v1/generate', (req, res) => {
+      const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+      const [key, secret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+      const validKey = !this.config.consumerKey || (key === this.config.consumerKey && secret === this.config.consumerSecret);
+      if (scheme !== 'Basic' || !key || !validKey || req.query.grant_type !== 'client_credentials') {
+        return res.status(400).json({
+          requestId: uuidv4(),
+          errorCode: '400.008.01',
+          errorMessage: 'Invalid Authentication passed'
+        });
+      }
+
+      const token = uuidv4().replace(/-/g, '');
+      this.tokens.set(token, Date.now() + this.config.tokenTtlSeconds * 1000);
+
+      res.json({ access_token: token, expires_in: String(this.config.tokenTtlSeconds) });
+    });
+
+    // POST /mpesa/stkpush/v1/processrequest - Accept an STK push and fire its callback
+    app.post('/mpesa/stkpush/v1/processrequest', this.requireToken(), (req, res) => {
+      const { BusinessShortCode, Amount, PhoneNumber, CallBackURL, AccountReference } = req.body;
+
+      if (!BusinessShortCode || !Amount || !PhoneNumber || !CallBackURL) {
+        return res.status(400).json({
+          requestId: uuidv4(),
+          errorCode: '400.002.02',
+          errorMessage: 'Bad Request - Invalid request body'
+        });
+      }
+
+      const outcome = this.nextOutcome();
+      const merchantRequestId = `SIM-${uuidv4()}`;
+      const checkoutRequestId = `ws_CO_SIM_${uuidv4().replace(/-/g, '')}`;
+      const resultCode = parseInt(outcome.resultCode);
+
+      const stkCallback = {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: this.describe(resultCode)
+      };
+
+      if (resultCode === 0) {
+        const receipt = this.receiptNumber();
+        stkCallback.CallbackMetadata = {
+          Item: [
+            { Name: 'Amount', Value: parseFloat(Amount) },
+            { Name: 'MpesaReceiptNumber', Value: receipt },
+            { Name: 'Balance' },
+            { Name: 'TransactionDate', Value: parseInt(this.timestamp()) },
+            { Name: 'PhoneNumber', Value: parseInt(PhoneNumber) }
+          ]
+        };
+        this.transactions.push({
+          receipt, amount: parseFloat(Amount), phone: String(PhoneNumber),
+          account: AccountReference || null, type: 'STK', reversed: false
+        });
+      }
+
+      const request = { ...req.body, merchantRequestId, checkoutRequestId, stkCallback, completed: false };
+      this.stkRequests.set(checkoutRequestId, request);
+
+      if (!outcome.skipCallback) {
+        this.fireCallback(CallBackURL, { Body: { stkCallback } }, outcome.callbackDelayMs)
+          .then(() => { request.completed = true; });
+      } else {
+        // the push still completes; only the callback is lost
+        request.completed = true;
+      }
+
+      res.json({
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+      });
+    });
+
+    // POST /mpesa/stkpushquery/v1/query - Report the result of an STK push
+    app.post('/mpesa/stkpushquery/v1/query', this.requireToken(), (req, res) => {
+      const request = this.stkRequests.get(req.body.CheckoutRequestID);
+
+      if (!request) {
+        return res.status(500).json({
+          requestId: uuidv4(),
+          errorCode: '500.001.1001',
+          errorMessage: 'No transaction found'
+        });
+      }
+
+      if (!request.completed) {
+        return res.status(500).json({
+          requestId: uuidv4(),
+          errorCode: '500.001.1001',
+          errorMessage: 'The transaction is being processed'
+        });
+      }
+
+      res.json({
+        ResponseCode: '0',
+        ResponseDescription: 'The service request has been accepted successsfully',
+        MerchantRequestID: request.merchantRequestId,
+        CheckoutRequestID: request.checkoutRequestId,
+        ResultCode: String(request.stkCallback.ResultCode),
+        ResultDesc: request.stkCallback.ResultDesc
+      });
+    });
+
+    // POST /mpesa/c2b/v1/registerurl - Register validation and confirmation URLs for a shortcode
+    app.post('/mpesa/c2b/v1/registerurl', this.requireToken(), (req, res) => {
+      const { ShortCode, ResponseType, ConfirmationURL, ValidationURL } = req.body;
+
+      if (!ShortCode || !ConfirmationURL) {
+        return res.status(400).json({
+          requestId: uuidv4(),
+          errorCode: '400.002.02',
+          errorMessage: 'Bad Request - Invalid ShortCode or ConfirmationURL'
+        });
+      }
+
+      this.c2bUrls.set(String(ShortCode), { ResponseType, ConfirmationURL, ValidationURL });
+
+      res.json({
+        OriginatorCoversationID: uuidv4(),
+        ResponseCode: '0',
+        ResponseDescription: 'success'
+      });
+    });
+
+    // POST /mpesa/c2b/v1/simulate - Customer pays the paybill/till: validation, then confirmation
+    app.post('/mpesa/c2b/v1/simulate', this.requireToken(), (req, res) => {
+      const { ShortCode, CommandID = 'CustomerPayBillOnline', Amount, Msisdn, BillRefNumber } = req.body;
+      const urls = this.c2bUrls.get(String(ShortCode));
+
+      if (!urls) {
+        return res.status(400).json({
+          requestId: uuidv4(),
+          errorCode: '400.002.02',
+          errorMessage: `No URLs registered for shortcode ${ShortCode}`
+        });
+      }
+
+      const outcome = this.nextOutcome();
+      const conversationId = `AG_SIM_${uuidv4().replace(/-/g, '')}`;
+      const receipt = this.receiptNumber();
+      const payload = {
+        TransactionType: CommandID === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+        TransID: receipt,
+        TransTime: this.timestamp(),
+        TransAmount: parseFloat(Amount).toFixed(2),
+        BusinessShortCode: String(ShortCode),
+        BillRefNumber: BillRefNumber || '',
+        InvoiceNumber: '',
+        OrgAccountBalance: '',
+        ThirdPartyTransID: '',
+        MSISDN: String(Msisdn),
+        FirstName: 'SIMULATED',
+        MiddleName: '',
+        LastName: 'CUSTOMER'
+      };
+
+      const complete = async () => {
+        if (urls.ValidationURL && urls.ValidationURL !== urls.ConfirmationURL) {
+          const validation = await this.fireCallback(urls.ValidationURL, payload, outcome.callbackDelayMs);
+          const accepted = validation.response
+            ? String(validation.response.ResultCode) === '0'
+            : urls.ResponseType !== 'Cancelled';
+          if (!accepted) {
+            this.log(`C2B ${receipt} rejected by validation`);
+            return;
+          }
+        }
+
+        this.transactions.push({
+          receipt, amount: parseFloat(Amount), phone: String(Msisdn),
+          account: BillRefNumber || null, type: 'C2B', reversed: false
+        });
+
+        if (!outcome.skipCallback) {
+          await this.fireCallback(urls.ConfirmationURL, payload, outcome.callbackDelayMs);
+        }
+      };
+      complete();
+
+      res.json({
+        OriginatorCoversationID: conversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      });
+    });
+
+    // POST /mpesa/reversal/v1/request - Reverse a transaction and post the result to ResultURL
+    app.post('/mpesa/reversal/v1/request', this.requireToken(), (req, res) => {
+      const { TransactionID, Amount, ResultURL, QueueTimeOutURL } = req.body;
+
+      if (!TransactionID || !ResultURL) {
+        return res.status(400).json({
+          requestId: uuidv4(),
+          errorCode: '400.002.02',
+          errorMessage: 'Bad Request - Invalid TransactionID or ResultURL'
+        });
+      }
+
+      const outcome = this.nextOutcome();
+      const conversationId = `AG_SIM_${uuidv4().replace(/-/g, '')}`;
+      const originatorConversationId = uuidv4();
+      const transaction = this.transactions.find(tx => tx.receipt === TransactionID);
+
+      let resultCode = outcome.resultCode;
+      if (String(resultCode) === '0' && (!transaction || transaction.reversed)) {
+        resultCode = 'R000002';
+      }
+
+      const reversalReceipt = this.receiptNumber();
+      const result = {
+        ResultType: 0,
+        ResultCode: resultCode,
+        ResultDesc: this.describe(resultCode),
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: reversalReceipt,
+        ReferenceData: {
+          ReferenceItem: { Key: 'QueueTimeoutURL', Value: QueueTimeOutURL || '' }
+        }
+      };
+
+      if (String(resultCode) === '0') {
+        transaction.reversed = true;
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: 'DebitAccountBalance', Value: '' },
+            { Key: 'Amount', Value: parseFloat(Amount || transaction.amount) },
+            { Key: 'TransCompletedTime', Value: parseInt(this.timestamp()) },
+            { Key: 'OriginalTransactionID', Value: TransactionID },
+            { Key: 'Charge', Value: 0 },
+            { Key: 'CreditPartyPublicName', Value: `${transaction.phone} - SIMULATED CUSTOMER` },
+            { Key: 'DebitPartyPublicName', Value: 'SIMULATED BUSINESS' }
+          ]
+        };
+      }
+
+      if (!outcome.skipCallback) {
+        this.fireCallback(ResultURL, { Result: result }, outcome.callbackDelayMs);
+      }
+
+      res.json({
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      });
+    });
+
+    // POST /mpesa/b2c/v1/paymentrequest - Send money to a phone and post the result to ResultURL
+    app.post('/mpesa/b2c/v1/paymentrequest', this.requireToken(), (req, res) => {
+      const { Amount, PartyB, ResultURL, QueueTimeOutURL } = req.body;
+
+      if (!PartyB || !Amount || !ResultURL) {
+        return res.status(400).json({
+          requestId: uuidv4(),
+          errorCode: '400.002.02',
+          errorMessage: 'Bad Request - Invalid PartyB, Amount or ResultURL'
+        });
+      }
+
+      const outcome = this.nextOutcome();
+      const conversationId = `AG_SIM_${uuidv4().replace(/-/g, '')}`;
+      const originatorConversationId = uuidv4();
+      const receipt = this.receiptNumber();
+
+      const result = {
+        ResultType: 0,
+        ResultCode: outcome.resultCode,
+        ResultDesc: this.describe(outcome.resultCode),
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: receipt,
+        ReferenceData: {
+          ReferenceItem: { Key: 'QueueTimeoutURL', Value: QueueTimeOutURL || '' }
+        }
+      };
+
+      if (String(outcome.resultCode) === '0') {
+        result.ResultParameters = {
+          ResultParameter: [
+            { Key: 'TransactionAmount', Value: parseFloat(Amount) },
+            { Key: 'TransactionReceipt', Value: receipt },
+            { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - SIMULATED CUSTOMER` },
+            { Key: 'TransactionCompletedDateTime', Value: new Date().toISOString() },
+            { Key: 'B2CUtilityAccountAvailableFunds', Value: 0 },
+            { Key: 'B2CWorkingAccountAvailableFunds', Value: 0 },
+            { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+            { Key: 'B2CChargesPaidAccountAvailableFunds', Value: 0 }
+          ]
+        };
+      }
+
+      if (!outcome.skipCallback) {
+        this.fireCallback(ResultURL, { Result: result }, outcome.callbackDelayMs);
+      }
+
+      res.json({
+        ConversationID: conversationId,
+        OriginatorConversationID: originatorConversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+      });
+    });
+
+    // GET /simulator/state - Requests, transactions and callbacks seen so far
+    app.get('/simulator/state', (req, res) => {
+      res.json({
+        config: this.config,
+        queued_outcomes: this.outcomes,
+        stk_requests: [...this.stkRequests.values()],
+        c2b_urls: Object.fromEntries(this.c2bUrls),
+        transactions: this.transactions,
+        callbacks: this.callbacks
+      });
+    });
+
+    // PUT /simulator/config - Change the default callback delay and result code
+    app.put('/simulator/config', (req, res) => {
+      res.json(this.configure(req.body));
+    });
+
+    // POST /simulator/outcomes - Queue { resultCode, callbackDelayMs, skipCallback } for the next request
+    app.post('/simulator/outcomes', (req, res) => {
+      res.status(201).json({ queued: this.queueOutcome(req.body) });
+    });
+
+    // POST /simulator/reset - Forget all requests, transactions and queued outcomes
+    app.post('/simulator/reset', (req, res) => {
+      this.reset();
+      res.json({ reset: true });
+    });
+
+    return app;
+  }
+
+  /**
+   * Forget all requests, transactions, callbacks and queued outcomes
+   */
+  reset() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.stkRequests.clear();
+    this.c2bUrls.clear();
+    this.transactions = [];
+    this.callbacks = [];
+    this.outcomes = [];
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free port)
+   * @returns {Promise<Object>} { port, url }
+   */
+  start(port = 4000) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, () => {
+        const address = this.server.address();
+        this.log(`Daraja simulator listening on port ${address.port}`);
+        resolve({ port: address.port, url: `http://localhost:${address.port}` });
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening and cancel pending callbacks
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+// Standalone: node simulators/darajaSimulator.js
+if (require.main === module) {
+  const {
+    DARAJA_SIMULATOR_PORT,
+    DARAJA_SIMULATOR_DELAY_MS,
+    DARAJA_SIMULATOR_RESULT_CODE,
+    MPESA_CONSUMER_KEY,
+    MPESA_CONSUMER_SECRET
+  } = require('../config/env');
+
+  new DarajaSimulator({
+    callbackDelayMs: DARAJA_SIMULATOR_DELAY_MS,
+    resultCode: DARAJA_SIMULATOR_RESULT_CODE,
+    consumerKey: MPESA_CONSUMER_KEY,
+    consumerSecret: MPESA_CONSUMER_SECRET
+  }).start(DARAJA_SIMULATOR_PORT);
+}
+
+module.exports = DarajaSimulator;
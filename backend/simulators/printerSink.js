@@ -0,0 +1,167 @@
+const net = require('net');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+/**
+ * Local stand-in for a raw TCP (port 9100) receipt printer, for development and
+ * automated tests. Point a printer's host/port at it; every connection is kept
+ * as a job with its bytes and a plain-text rendering of the ESC/POS stream.
+ */
+class PrinterSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {boolean} options.log - Log received jobs
+   * @param {boolean} options.echo - Log the text of each job as well
+   * @param {number} options.maxJobs - Jobs kept in memory
+   */
+  constructor(options = {}) {
+    this.config = {
+      log: options.log !== undefined ? options.log : true,
+      echo: options.echo !== undefined ? options.echo : false,
+      maxJobs: options.maxJobs || 100
+    };
+
+    this.jobs = [];
+    this.failures = 0;
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  /**
+   * Log a sink message when logging is enabled
+   * @param {string} message - Message
+   */
+  log(message) {
+    if (this.config.log) {
+      console.log(`[printer-sink] ${message}`);
+    }
+  }
+
+  /**
+   * Reset the next connections without reading them, as a jammed or busy printer would
+   * @param {number} count - Connections to reset
+   * @returns {number} Connections still to be reset
+   */
+  failNext(count = 1) {
+    this.failures += count;
+    return this.failures;
+  }
+
+  /**
+   * Forget received jobs and pending failures
+   */
+  reset() {
+    this.jobs = [];
+    this.failures = 0;
+  }
+
+  /**
+   * Read one connection as a print job
+   * @param {net.Socket} socket - Incoming connection
+   */
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    if (this.failures > 0) {
+      this.failures--;
+      this.log(`Reset connection from ${socket.remoteAddress} (${this.failures} more to reset)`);
+      socket.resetAndDestroy();
+      return;
+    }
+
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => {
+      const bytes = Buffer.concat(chunks);
+      const job = {
+        id: this.jobs.length > 0 ? this.jobs[this.jobs.length - 1].id + 1 : 1,
+        received_at: new Date().toISOString(),
+        from: socket.remoteAddress,
+        bytes,
+        text: PrinterSink.toText(bytes)
+      };
+
+      this.jobs.push(job);
+      if (this.jobs.length > this.config.maxJobs) this.jobs.shift();
+
+      this.log(`Job ${job.id}: ${bytes.length} bytes from ${job.from}`);
+      if (this.config.echo) console.log(job.text);
+      socket.end();
+    });
+  }
+
+  /**
+   * Strip ESC/POS commands from a stream, keeping the printed text.
+   * QR codes are shown as [QR:data].
+   * @param {Buffer} bytes - ESC/POS stream
+   * @returns {string} Printed text
+   */
+  static toText(bytes) {
+    let text = '';
+    let i = 0;
+
+    while (i < bytes.length) {
+      const byte = bytes[i];
+
+      if (byte === ESC) {
+        // ESC @ takes no argument; ESC a / E / d and the rest take one
+        i += bytes[i + 1] === 0x40 ? 2 : 3;
+      } else if (byte === GS && bytes[i + 1] === 0x28 && bytes[i + 2] === 0x6b) {
+        // GS ( k pL pH cn fn data
+        const length = bytes[i + 3] + bytes[i + 4] * 256;
+        if (bytes[i + 6] === 0x50) {
+          text += `[QR:${bytes.slice(i + 8, i + 5 + length).toString('ascii')}]\n`;
+        }
+        i += 5 + length;
+      } else if (byte === GS) {
+        i += 3;
+      } else {
+        if (byte === 0x0a || (byte >= 0x20 && byte < 0x7f)) text += String.fromCharCode(byte);
+        i++;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @returns {Promise<Object>} { port }
+   */
+  start(port = 9100) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        const address = this.server.address();
+        this.log(`Printer sink listening on port ${address.port}`);
+        resolve({ port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+    return new Promise(resolve => {
+      if (!this.server.listening) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+// Standalone: node simulators/printerSink.js
+if (require.main === module) {
+  const { PRINTER_SINK_PORT } = require('../config/env');
+
+  new PrinterSink({ echo: true }).start(PRINTER_SINK_PORT);
+}
+
+module.exports = PrinterSink;
@@ -0,0 +1,17 @@
+/**
+ * Error helpers shared by the services
+ */
+
+/**
+ * Build an error carrying an HTTP status for the controllers
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+const createError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = { createError };